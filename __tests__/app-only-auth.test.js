@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfidentialClientApplication } = require('@azure/msal-node');
+const config = require('../config');
+const { AuthService } = require('../auth/auth-service');
+const { authenticateHandler, revokeAuthenticationHandler } = require('../auth/tools-api');
+const { parseResponse } = require('../test/helpers');
+
+const TENANT_AUTHORITY = 'https://login.microsoftonline.com/00000000-0000-0000-0000-000000000001';
+
+// App-only service with MSAL's token endpoint replaced by a stub
+function createAppService(options = {}) {
+  const service = new AuthService({
+    clientId: 'app-client-id',
+    clientSecret: 'app-secret',
+    authority: TENANT_AUTHORITY,
+    authMode: 'app',
+    ...options
+  });
+  jest.spyOn(service.pca, 'acquireTokenByClientCredential').mockResolvedValue({ accessToken: 'app-token' });
+  return service;
+}
+
+describe('app-only authentication', () => {
+  test('needs a client secret or certificate', () => {
+    expect(() => new AuthService({ clientId: 'app-client-id', clientSecret: '', authority: TENANT_AUTHORITY, authMode: 'app' }))
+      .toThrow(/requires MS_CLIENT_SECRET, or MS_CLIENT_CERT_THUMBPRINT/);
+  });
+
+  test.each(['common', 'organizations', 'consumers'])('rejects the multi-tenant authority /%s', tenant => {
+    expect(() => createAppService({ authority: `https://login.microsoftonline.com/${tenant}` })).toThrow(/tenant-specific MS_AUTHORITY/);
+  });
+
+  test('rejects an unknown mode', () => {
+    expect(() => createAppService({ authMode: 'robot' })).toThrow("Invalid MS_AUTH_MODE 'robot'");
+  });
+
+  test('uses a confidential client and the .default scope', async () => {
+    const service = createAppService();
+
+    expect(service.isAppOnly()).toBe(true);
+    expect(service.pca).toBeInstanceOf(ConfidentialClientApplication);
+    await expect(service.getTokenSilently()).resolves.toBe('app-token');
+    await expect(service.getTokenSilently(true)).resolves.toBe('app-token');
+    expect(service.pca.acquireTokenByClientCredential.mock.calls.map(([request]) => request)).toEqual([
+      { scopes: ['https://graph.microsoft.com/.default'], skipCache: false },
+      { scopes: ['https://graph.microsoft.com/.default'], skipCache: true }
+    ]);
+  });
+
+  test('reports a failed token request as not authenticated', async () => {
+    const service = createAppService();
+    service.pca.acquireTokenByClientCredential.mockRejectedValue(new Error('AADSTS7000215: Invalid client secret'));
+
+    await expect(service.getTokenSilently()).resolves.toBeNull();
+    await expect(service.isAuthenticated()).resolves.toBe(false);
+    await expect(service.authenticate()).rejects.toThrow('Invalid client secret');
+  });
+
+  test('has no sign-in URL and cannot be signed out', async () => {
+    const service = createAppService();
+
+    await expect(service.getAuthUrl()).rejects.toThrow('has no sign-in URL');
+    await expect(service.signOut()).resolves.toBe(false);
+  });
+
+  test('prefers a certificate and picks the thumbprint kind by length', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-cert-'));
+    const privateKeyPath = path.join(dir, 'key.pem');
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    fs.writeFileSync(privateKeyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+
+    try {
+      const sha1 = createAppService({ clientCertificate: { thumbprint: `AB:CD:EF:${'0'.repeat(34)}`, privateKeyPath } });
+      const sha256 = createAppService({ clientCertificate: { thumbprint: 'a'.repeat(64), privateKeyPath } });
+
+      expect(sha1._getClientCredential().clientCertificate).toEqual({
+        privateKey: expect.stringContaining('PRIVATE KEY'),
+        thumbprint: `ABCDEF${'0'.repeat(34)}`
+      });
+      expect(sha256._getClientCredential().clientCertificate).toMatchObject({ thumbprintSha256: 'a'.repeat(64) });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('authentication tools in app-only mode', () => {
+  let authMode;
+
+  beforeAll(() => {
+    authMode = config.microsoft.authMode;
+    config.microsoft.authMode = 'app';
+  });
+
+  afterAll(() => {
+    config.microsoft.authMode = authMode;
+  });
+
+  test('authenticate reports the application and asks for a mailbox', async () => {
+    const result = parseResponse(await authenticateHandler());
+
+    expect(result).toMatchObject({ status: 'authenticated', authMode: 'app' });
+    expect(result.instruction).toContain('mailbox parameter');
+  });
+
+  test('revoke_authentication explains that credentials are revoked in configuration', async () => {
+    const result = parseResponse(await revokeAuthenticationHandler());
+
+    expect(result).toMatchObject({ status: 'warning', authMode: 'app' });
+  });
+});
@@ -0,0 +1,302 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { AuditLog, recordToolCall, summarizeOutcome, hashEntry } = require('../audit/audit-log');
+const { getAuditLogHandler } = require('../audit');
+const { parseResponse } = require('../test/helpers');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const success = payload => ({ content: [{ type: 'text', text: JSON.stringify({ status: 'success', ...payload }) }] });
+
+describe('audit log', () => {
+  let dir;
+  let file;
+  let saved;
+
+  const readLines = () => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  const readEntries = () => readLines().map(line => JSON.parse(line));
+
+  // Entry as written before the chain was keyed
+  const legacyEntry = (seq, prevHash) => {
+    const entry = { seq, timestamp: new Date().toISOString(), tool: 'send_email', outcome: { status: 'success' }, prevHash };
+    entry.hash = hashEntry(entry);
+    return entry;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+    file = path.join(dir, 'audit.jsonl');
+    saved = { ...config.audit };
+    Object.assign(config.audit, { key: 'test-audit-key', keyFile: path.join(dir, 'audit-key') });
+  });
+
+  afterEach(() => {
+    Object.assign(config.audit, saved);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('chains entries and records the head', async () => {
+    const log = new AuditLog(file);
+
+    const first = await log.append({ tool: 'send_email' });
+    const second = await log.append({ tool: 'delete_event' });
+
+    expect(first).toMatchObject({ seq: 1, alg: 'hmac-sha256', prevHash: GENESIS_HASH, hash: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    expect(second).toMatchObject({ seq: 2, prevHash: first.hash });
+    expect(JSON.parse(fs.readFileSync(`${file}.head`, 'utf8'))).toMatchObject({ seq: 2, hash: second.hash });
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+
+    const { entries, matched, integrity } = await new AuditLog(file).query({ tools: ['send_email'] });
+    expect(entries.map(entry => entry.seq)).toEqual([1]);
+    expect(matched).toBe(1);
+    expect(integrity).toEqual({ valid: true, checkedEntries: 2, legacyEntries: 0 });
+  });
+
+  test('appends made together stay in order', async () => {
+    const log = new AuditLog(file);
+
+    await Promise.all([1, 2, 3, 4].map(n => log.append({ tool: `tool_${n}` })));
+
+    expect(readEntries().map(entry => [entry.seq, entry.tool])).toEqual([[1, 'tool_1'], [2, 'tool_2'], [3, 'tool_3'], [4, 'tool_4']]);
+    expect((await log.query()).integrity.valid).toBe(true);
+  });
+
+  test('detects an edited entry', async () => {
+    const log = new AuditLog(file);
+    await log.append({ tool: 'send_email', outcome: { status: 'error' } });
+    await log.append({ tool: 'send_email' });
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('"error"', '"success"'));
+
+    expect((await log.query()).integrity).toMatchObject({ valid: false, firstInvalidLine: 1, reason: 'entry content does not match its hash' });
+  });
+
+  test('detects a rewritten chain without the key', async () => {
+    const log = new AuditLog(file);
+    await log.append({ tool: 'send_email' });
+    const [entry] = readEntries();
+    entry.tool = 'create_draft';
+    entry.hash = hashEntry({ ...entry, alg: undefined });
+    fs.writeFileSync(file, `${JSON.stringify(entry)}\n`);
+
+    expect((await log.query()).integrity).toMatchObject({ valid: false, reason: 'entry content does not match its hash' });
+  });
+
+  test('detects entries removed from the end', async () => {
+    const log = new AuditLog(file);
+    await log.append({ tool: 'send_email' });
+    await log.append({ tool: 'delete_event' });
+    fs.writeFileSync(file, `${readLines()[0]}\n`);
+
+    expect((await log.query()).integrity).toMatchObject({
+      valid: false,
+      reason: 'the log ends at entry 1 but the head file records entry 2; entries were removed from the end'
+    });
+  });
+
+  test('records a gap when the log was truncated before a restart', async () => {
+    const before = new AuditLog(file);
+    await before.append({ tool: 'send_email' });
+    await before.append({ tool: 'delete_event' });
+    const [first, second] = readLines();
+    fs.writeFileSync(file, `${first}\n`);
+
+    // A new process appends to the truncated log
+    const after = new AuditLog(file);
+    await after.append({ tool: 'move_emails' });
+
+    const entries = readEntries();
+    expect(readLines()[0]).toBe(first);
+    expect(entries.map(entry => [entry.seq, entry.type || entry.tool])).toEqual([[1, 'send_email'], [3, 'gap'], [4, 'move_emails']]);
+    expect(entries[1]).toMatchObject({
+      prevHash: entries[0].hash,
+      gap: {
+        reason: 'the log ends at entry 1 but the head file records entry 2; entries were removed from the end',
+        lastEntry: { seq: 1, hash: entries[0].hash },
+        head: { seq: 2, hash: JSON.parse(second).hash }
+      }
+    });
+    expect((await after.query()).integrity).toMatchObject({
+      valid: false,
+      firstInvalidLine: 2,
+      reason: expect.stringContaining('entries were lost before this entry: the log ends at entry 1')
+    });
+  });
+
+  test('records a gap when the head file was removed', async () => {
+    await new AuditLog(file).append({ tool: 'send_email' });
+    fs.unlinkSync(`${file}.head`);
+
+    await new AuditLog(file).append({ tool: 'send_email' });
+
+    expect(readEntries().map(entry => entry.type || entry.tool)).toEqual(['send_email', 'gap', 'send_email']);
+    expect(readEntries()[1].gap).toMatchObject({ reason: 'the head file is missing', head: null });
+  });
+
+  test('continues after an unreadable last line from the last readable entry', async () => {
+    const before = new AuditLog(file);
+    await before.append({ tool: 'send_email' });
+    await before.append({ tool: 'send_email' });
+    // A write cut off part way, without its newline
+    fs.appendFileSync(file, '{"seq":3,"tool":"sen');
+
+    await new AuditLog(file).append({ tool: 'delete_event' });
+
+    const lines = readLines();
+    expect(lines[2]).toBe('{"seq":3,"tool":"sen');
+    const gap = JSON.parse(lines[3]);
+    expect(gap).toMatchObject({ seq: 4, type: 'gap', gap: { reason: 'the log ends with 1 unreadable line(s)' } });
+    expect(JSON.parse(lines[4])).toMatchObject({ seq: 5, tool: 'delete_event', prevHash: gap.hash });
+    expect((await new AuditLog(file).query()).integrity).toMatchObject({ valid: false, firstInvalidLine: 3, reason: 'unreadable entry' });
+  });
+
+  test('refuses to append when no sequence number can be found', async () => {
+    fs.writeFileSync(file, 'not json\nnot json either\n');
+    const log = new AuditLog(file);
+
+    await expect(log.append({ tool: 'send_email' })).rejects.toThrow('cannot be continued');
+    expect(fs.readFileSync(file, 'utf8')).toBe('not json\nnot json either\n');
+  });
+
+  test('verifies legacy entries as a plain SHA-256 chain', async () => {
+    const first = legacyEntry(1, GENESIS_HASH);
+    const second = legacyEntry(2, first.hash);
+    fs.writeFileSync(file, `${JSON.stringify(first)}\n${JSON.stringify(second)}\n`);
+    Object.assign(config.audit, { key: undefined });
+
+    // No key and no head file yet: legacy entries still verify
+    expect((await new AuditLog(file).query()).integrity).toEqual({ valid: true, checkedEntries: 2, legacyEntries: 2 });
+    expect(fs.existsSync(config.audit.keyFile)).toBe(false);
+
+    // Keyed entries continue the chain without a gap
+    const log = new AuditLog(file);
+    const entry = await log.append({ tool: 'send_email' });
+    expect(entry).toMatchObject({ seq: 3, prevHash: second.hash, alg: 'hmac-sha256' });
+    expect((await log.query()).integrity).toEqual({ valid: true, checkedEntries: 3, legacyEntries: 2 });
+  });
+
+  test('rejects legacy entries after keyed ones', async () => {
+    const log = new AuditLog(file);
+    const keyed = await log.append({ tool: 'send_email' });
+    fs.appendFileSync(file, `${JSON.stringify(legacyEntry(2, keyed.hash))}\n`);
+
+    expect((await log.query()).integrity).toMatchObject({ valid: false, firstInvalidLine: 2, reason: 'entry without an HMAC follows keyed entries' });
+  });
+
+  test('cannot check keyed entries without the key', async () => {
+    await new AuditLog(file).append({ tool: 'send_email' });
+    Object.assign(config.audit, { key: undefined, keyFile: path.join(dir, 'missing-key') });
+
+    expect((await new AuditLog(file).query()).integrity).toMatchObject({
+      valid: false,
+      reason: 'the audit key is missing, so entry hashes cannot be checked'
+    });
+  });
+});
+
+describe('recordToolCall', () => {
+  let dir;
+  let saved;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-record-'));
+    saved = { ...config.audit };
+    Object.assign(config.audit, { enabled: true, path: path.join(dir, 'audit.jsonl'), key: 'test-audit-key' });
+  });
+
+  afterEach(() => {
+    Object.assign(config.audit, saved);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('records mutating calls with their targets and outcome', async () => {
+    const entry = await recordToolCall('move_emails', {
+      userId: 'sarah.lee@contoso.com',
+      emailIds: ['AAMkMessage000000002'],
+      destinationFolderId: 'archive'
+    }, success({ results: { success: ['AAMkMessage000000002'] } }), 42);
+
+    expect(entry).toMatchObject({
+      tool: 'move_emails',
+      account: { userId: 'sarah.lee@contoso.com', mailbox: null },
+      targets: { emailIds: ['AAMkMessage000000002'], destinationFolderId: 'archive' },
+      paramsDigest: expect.stringMatching(/^sha256:[0-9a-f]{64}$/),
+      outcome: { status: 'success' },
+      durationMs: 42
+    });
+  });
+
+  test('skips reads, dry runs and calls awaiting confirmation', async () => {
+    await expect(recordToolCall('read_email', { id: '1' }, success({}), 1)).resolves.toBeNull();
+    await expect(recordToolCall('send_email', {}, success({ dryRun: true }), 1)).resolves.toBeNull();
+    await expect(recordToolCall('delete_event', { eventId: '1' }, success({ status: 'confirmation_required' }), 1)).resolves.toBeNull();
+    expect(fs.existsSync(config.audit.path)).toBe(false);
+  });
+
+  test('summarizes errors and created items', () => {
+    expect(summarizeOutcome({ content: [{ type: 'text', text: JSON.stringify({ error: { type: 'not_found', message: 'Gone' } }) }] }))
+      .toEqual({ status: 'error', errorType: 'not_found', message: 'Gone' });
+    expect(summarizeOutcome(success({ event: { id: 'AAMkEvent1' } }))).toEqual({ status: 'success', resultIds: { eventId: 'AAMkEvent1' } });
+    expect(summarizeOutcome({ content: [{ type: 'text', text: 'plain text' }] })).toEqual({ status: 'unknown' });
+  });
+});
+
+describe('get_audit_log', () => {
+  let dir;
+  let saved;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-query-'));
+    saved = { ...config.audit };
+    Object.assign(config.audit, { path: path.join(dir, 'audit.jsonl'), key: 'test-audit-key' });
+  });
+
+  afterEach(() => {
+    Object.assign(config.audit, saved);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reads nothing while the audit log is disabled', async () => {
+    await new AuditLog(config.audit.path).append({ tool: 'send_email', timestamp: new Date().toISOString() });
+    config.audit.enabled = false;
+
+    const result = parseResponse(await getAuditLogHandler());
+
+    expect(result).toMatchObject({ status: 'disabled', auditEnabled: false, count: 0, entries: [] });
+  });
+
+  test('returns the most recent matching entries first', async () => {
+    config.audit.enabled = true;
+    const log = new AuditLog(config.audit.path);
+    await log.append({ tool: 'send_email' });
+    await log.append({ tool: 'delete_event' });
+    await log.append({ tool: 'send_email' });
+
+    const result = parseResponse(await getAuditLogHandler({ tool: 'send_email, delete_event', limit: 2 }));
+
+    expect(result).toMatchObject({ status: 'success', count: 2, matched: 3, integrity: { valid: true } });
+    expect(result.entries.map(entry => entry.seq)).toEqual([3, 2]);
+    expect(result).not.toHaveProperty('note');
+  });
+
+  test('notes entries from before the chain was keyed', async () => {
+    config.audit.enabled = true;
+    const entry = { seq: 1, timestamp: new Date().toISOString(), tool: 'send_email', prevHash: GENESIS_HASH };
+    entry.hash = hashEntry(entry);
+    fs.writeFileSync(config.audit.path, `${JSON.stringify(entry)}\n`);
+
+    const result = parseResponse(await getAuditLogHandler());
+
+    expect(result.integrity).toEqual({ valid: true, checkedEntries: 1, legacyEntries: 1 });
+    expect(result.note).toBe('1 entries predate the keyed chain. Their order is verified, but they are not protected against rewriting.');
+  });
+
+  test('rejects an invalid time', async () => {
+    config.audit.enabled = true;
+
+    const result = parseResponse(await getAuditLogHandler({ startTime: 'yesterday' }));
+
+    expect(result).toMatchObject({ status: 'error', message: 'startTime must be an ISO 8601 date-time, got "yesterday"' });
+  });
+});
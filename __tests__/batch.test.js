@@ -0,0 +1,106 @@
+const config = require('../config');
+const { startFakeGraphServer } = require('../utils/fake-graph-server');
+const { folder: folderApi } = require('../utils/graph-api-adapter');
+const { searchEmailsHandler } = require('../email');
+const { moveEmailsHandler } = require('../folder');
+const { parseResponse } = require('../test/helpers');
+
+// Run a handler and parse its response
+const run = async (handler, params = {}) => parseResponse(await handler(params));
+
+// Requests the fake server received, as "METHOD path"
+const calls = graph => graph.requests.map(request => `${request.method} ${request.url.split('?')[0]}`);
+
+describe('Graph $batch requests', () => {
+  let graph;
+  const saved = {};
+
+  beforeAll(async () => {
+    graph = await startFakeGraphServer();
+    saved.apiBaseUrl = config.microsoft.apiBaseUrl;
+    saved.retry = { ...config.retry };
+    config.microsoft.apiBaseUrl = graph.url;
+    config.retry.baseDelayMs = 1;
+    config.retry.maxDelayMs = 5;
+  });
+
+  afterAll(async () => {
+    config.microsoft.apiBaseUrl = saved.apiBaseUrl;
+    Object.assign(config.retry, saved.retry);
+    await graph.stop();
+  });
+
+  beforeEach(() => {
+    graph.reset();
+  });
+
+  test('search_emails names the folders of its results with one $batch call', async () => {
+    const result = await run(searchEmailsHandler, { query: 'project' });
+
+    expect(result.folderResults.map(folder => [folder.folderId, folder.folderName])).toEqual([
+      ['AAMkFolderInbox00001', 'Inbox'],
+      ['AAMkFolderProjects01', 'Projects']
+    ]);
+    expect(calls(graph)).toEqual([
+      'GET /me/messages',
+      'POST /$batch',
+      'GET /me/mailFolders/AAMkFolderInbox00001',
+      'GET /me/mailFolders/AAMkFolderProjects01'
+    ]);
+    expect(graph.requests[0].url).toMatch(/parentFolderId/);
+  });
+
+  test('more than 20 requests are split into batches of 20', async () => {
+    const results = await folderApi.getFolders('default', new Array(21).fill('inbox'));
+
+    expect(results).toHaveLength(21);
+    results.forEach(result => expect(result).toMatchObject({ status: 200, body: { displayName: 'Inbox' }, error: null }));
+    expect(calls(graph).filter(call => call === 'POST /$batch')).toHaveLength(2);
+  });
+
+  test('a throttled step is resent on its own', async () => {
+    graph.injectFault({ status: 429, method: 'POST', path: 'AAMkMessage000000003/move', retryAfter: 0 });
+
+    const result = await run(moveEmailsHandler, {
+      emailIds: ['AAMkMessage000000002', 'AAMkMessage000000003'],
+      destinationFolderId: 'archive'
+    });
+
+    expect(result.results).toEqual({ success: ['AAMkMessage000000002', 'AAMkMessage000000003'], failed: [] });
+    expect(calls(graph)).toEqual([
+      'POST /$batch',
+      'POST /me/messages/AAMkMessage000000002/move',
+      'POST /me/messages/AAMkMessage000000003/move',
+      'POST /$batch',
+      'POST /me/messages/AAMkMessage000000003/move'
+    ]);
+  });
+
+  test('a move step that fails with 503 is reported, not resent', async () => {
+    graph.injectFault({ status: 503, method: 'POST', path: 'AAMkMessage000000003/move' });
+
+    const result = await run(moveEmailsHandler, {
+      emailIds: ['AAMkMessage000000002', 'AAMkMessage000000003'],
+      destinationFolderId: 'archive'
+    });
+
+    expect(result.results.success).toEqual(['AAMkMessage000000002']);
+    expect(result.results.failed).toEqual([expect.objectContaining({ id: 'AAMkMessage000000003', status: 503 })]);
+    expect(calls(graph).filter(call => call === 'POST /$batch')).toHaveLength(1);
+  });
+
+  test('a lookup step that fails with 503 is resent', async () => {
+    graph.injectFault({ status: 503, method: 'GET', path: '/me/mailFolders/drafts' });
+
+    const results = await folderApi.getFolders('default', ['inbox', 'drafts']);
+
+    expect(results.map(result => result.body.displayName)).toEqual(['Inbox', 'Drafts']);
+    expect(calls(graph)).toEqual([
+      'POST /$batch',
+      'GET /me/mailFolders/inbox',
+      'GET /me/mailFolders/drafts',
+      'POST /$batch',
+      'GET /me/mailFolders/drafts'
+    ]);
+  });
+});
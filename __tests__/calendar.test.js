@@ -0,0 +1,144 @@
+const {
+  listEventsHandler,
+  getEventHandler,
+  listCalendarsHandler,
+  createEventHandler,
+  updateEventHandler,
+  respondToEventHandler,
+  deleteEventHandler,
+  cancelEventHandler,
+  findMeetingTimesHandler
+} = require('../calendar');
+const { scrub } = require('../utils/graph-cassette');
+const { recordFromFakeGraph, replayHandler } = require('../test/helpers');
+
+// Attendee as it appears in the scrubbed cassettes
+const JOHN = scrub('john.smith@contoso.com');
+
+describe('calendar handlers', () => {
+  recordFromFakeGraph();
+
+  test('list_events lists the events in the range', async () => {
+    const { result, requests } = await replayHandler(listEventsHandler, {
+      startDateTime: '2026-10-01T00:00:00Z',
+      endDateTime: '2026-12-31T00:00:00Z'
+    });
+
+    expect(requests).toEqual([expect.objectContaining({
+      method: 'GET',
+      path: '/me/calendarView',
+      query: expect.objectContaining({ startDateTime: '2026-10-01T00:00:00Z', endDateTime: '2026-12-31T00:00:00Z' })
+    })]);
+    expect(result.status).toBe('success');
+    expect(result.count).toBe(result.events.length);
+    expect(result.events.map(event => event.subject)).toContain('Project X kickoff');
+    const starts = result.events.map(event => event.start.dateTime);
+    expect([...starts].sort()).toEqual(starts);
+  });
+
+  test('get_event returns the event with its attendees', async () => {
+    const { result, requests } = await replayHandler(getEventHandler, { eventId: 'AAMkEvent00000000001' });
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'GET', path: '/me/events/AAMkEvent00000000001' })]);
+    expect(result.status).toBe('success');
+    expect(result.event).toMatchObject({ id: 'AAMkEvent00000000001', subject: 'Project X kickoff' });
+    expect(result.event.attendees.length).toBeGreaterThan(0);
+  });
+
+  test('list_calendars lists the default calendar first', async () => {
+    const { result, requests } = await replayHandler(listCalendarsHandler);
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'GET', path: '/me/calendars' })]);
+    expect(result.status).toBe('success');
+    expect(result.calendars.map(calendar => calendar.name)).toEqual(['Calendar', 'Family']);
+    expect(result.calendars[0].isDefaultCalendar).toBe(true);
+  });
+
+  test('create_event returns the new event', async () => {
+    const { result, requests } = await replayHandler(createEventHandler, {
+      subject: 'Planning',
+      start: '2030-01-07T10:00:00',
+      end: '2030-01-07T11:00:00',
+      attendees: ['john.smith@contoso.com']
+    });
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'POST', path: '/me/events' })]);
+    expect(requests[0].body).toMatchObject({
+      subject: 'Planning',
+      start: { dateTime: '2030-01-07T10:00:00' },
+      end: { dateTime: '2030-01-07T11:00:00' },
+      attendees: [{ emailAddress: { address: JOHN }, type: 'required' }]
+    });
+    expect(result.status).toBe('success');
+    expect(result.eventId).toMatch(/^AAMk/);
+    expect(result.webLink).toContain(result.eventId);
+  });
+
+  test('update_event changes the event', async () => {
+    const { result, requests } = await replayHandler(updateEventHandler, { eventId: 'AAMkEvent00000000001', subject: 'Project X kickoff (moved)' });
+
+    expect(requests).toEqual([expect.objectContaining({
+      method: 'PATCH',
+      path: '/me/events/AAMkEvent00000000001',
+      body: { subject: 'Project X kickoff (moved)' }
+    })]);
+    expect(result).toMatchObject({ status: 'success', eventId: 'AAMkEvent00000000001' });
+  });
+
+  test('respond_to_event accepts the invitation', async () => {
+    const { result, requests } = await replayHandler(respondToEventHandler, { eventId: 'AAMkEvent00000000002', response: 'accept', message: 'See you there' });
+
+    expect(requests).toEqual([expect.objectContaining({
+      method: 'POST',
+      path: '/me/events/AAMkEvent00000000002/accept',
+      body: { sendResponse: true, comment: 'See you there' }
+    })]);
+    expect(result).toMatchObject({ status: 'success', message: 'Event accepted successfully', eventId: 'AAMkEvent00000000002' });
+  });
+
+  test('cancel_event cancels the meeting', async () => {
+    const { result, requests } = await replayHandler(cancelEventHandler, { eventId: 'AAMkEvent00000000001', comment: 'Postponed' });
+
+    expect(requests).toEqual([expect.objectContaining({
+      method: 'POST',
+      path: '/me/events/AAMkEvent00000000001/cancel',
+      body: { comment: 'Postponed' }
+    })]);
+    expect(result).toMatchObject({ status: 'success', eventId: 'AAMkEvent00000000001' });
+  });
+
+  test('delete_event deletes the event', async () => {
+    const { result, requests } = await replayHandler(deleteEventHandler, { eventId: 'AAMkEvent00000000003' });
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'DELETE', path: '/me/events/AAMkEvent00000000003' })]);
+    expect(result).toMatchObject({ status: 'success', eventId: 'AAMkEvent00000000003' });
+  });
+
+  test('find_meeting_times suggests slots within the window', async () => {
+    const { result, requests } = await replayHandler(findMeetingTimesHandler, {
+      attendees: ['john.smith@contoso.com'],
+      startDateTime: '2030-01-07T09:00:00Z',
+      endDateTime: '2030-01-07T17:00:00Z',
+      duration: 'PT1H'
+    });
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'POST', path: '/me/findMeetingTimes' })]);
+    expect(requests[0].body).toMatchObject({
+      attendees: [{ emailAddress: { address: JOHN } }],
+      meetingDuration: 'PT1H'
+    });
+    expect(result.status).toBe('success');
+    expect(result.meetingTimeSuggestions.length).toBeGreaterThan(0);
+    result.meetingTimeSuggestions.forEach(suggestion => {
+      expect(suggestion.meetingTimeSlot.start.dateTime >= '2030-01-07T09:00').toBe(true);
+      expect(suggestion.meetingTimeSlot.end.dateTime <= '2030-01-07T17:00').toBe(true);
+    });
+  });
+
+  test('get_event reports a missing event as not_found', async () => {
+    const { result } = await replayHandler(getEventHandler, { eventId: 'AAMkMissing' }, { cassette: 'get_event_not_found' });
+
+    expect(result.status).toBe('error');
+    expect(result.error).toMatchObject({ type: 'not_found', suggested_tool: 'list_events' });
+  });
+});
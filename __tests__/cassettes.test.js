@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+const { CASSETTE_DIR, cassetteName } = require('../test/helpers');
+
+// Every handler of these modules needs a recorded cassette and a suite that replays it
+const MODULES = ['email', 'calendar', 'folder', 'rules'];
+
+describe('cassette coverage', () => {
+  const handlers = MODULES.flatMap(name =>
+    Object.keys(require(`../${name}`))
+      .filter(exported => exported.endsWith('Handler'))
+      .map(exported => [name, exported])
+  );
+
+  test('finds the handlers', () => {
+    expect(handlers.length).toBeGreaterThan(0);
+  });
+
+  test.each(handlers)('%s %s has a cassette', (moduleName, handlerName) => {
+    const file = path.join(CASSETTE_DIR, `${cassetteName(handlerName)}.json`);
+
+    expect(fs.existsSync(file)).toBe(true);
+  });
+
+  test.each(handlers)('%s %s is replayed by a suite', (moduleName, handlerName) => {
+    const suite = fs.readFileSync(path.join(__dirname, `${moduleName}.test.js`), 'utf8');
+
+    expect(suite).toMatch(new RegExp(`replayHandler\\(${handlerName}\\b`));
+  });
+});
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { loadConfig, describeSettings, isLoopbackHost, PROFILES } = require('../utils/config-loader');
+const { getConfigHandler } = require('../server/config-status');
+const { withErrorHandling } = require('../index');
+const { parseResponse } = require('../test/helpers');
+
+let dir;
+
+// Write a config file and return its path
+const configFile = (values, name = 'outlook-mcp.config.json') => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, typeof values === 'string' ? values : JSON.stringify(values));
+  return file;
+};
+
+// Load, returning the ConfigError instead of throwing it
+const rejection = env => {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('The configuration was accepted');
+};
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-loader-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('config loader', () => {
+  test('uses the development profile and the setting defaults', () => {
+    const { values, profile, file, sources } = loadConfig({});
+
+    expect(profile).toBe('development');
+    expect(file).toBeNull();
+    expect(values.server).toMatchObject({ transport: 'stdio', logLevel: 'info', http: { port: 3333, allowedHosts: [] } });
+    expect(values.server.tokenStoragePath).toBe(path.join(os.homedir(), '.enhanced-outlook-mcp-tokens.json'));
+    expect(values.microsoft.clientId).toBeUndefined();
+    expect(new Set(Object.values(sources))).toEqual(new Set(['default']));
+  });
+
+  test('parses environment values by type', () => {
+    const { values, sources } = loadConfig({
+      MCP_HTTP_PORT: ' 8080 ',
+      DRY_RUN: 'yes',
+      METRICS_ENABLED: '0',
+      MS_SCOPES: 'User.Read, Mail.Read,,',
+      LOG_FORMAT: ' text ',
+      MS_CLIENT_ID: ''
+    });
+
+    expect(values.server.http.port).toBe(8080);
+    expect(values.server.dryRun).toBe(true);
+    expect(values.metrics.enabled).toBe(false);
+    expect(values.microsoft.scopes).toEqual(['User.Read', 'Mail.Read']);
+    expect(values.logging.format).toBe('text');
+    expect(sources).toMatchObject({ 'server.http.port': 'env', 'microsoft.clientId': 'default' });
+  });
+
+  test('reports every invalid value at once', () => {
+    const error = rejection({
+      MCP_HTTP_PORT: '70000',
+      GRAPH_RETRY_MAX_RETRIES: '2.5',
+      DRY_RUN: 'maybe',
+      LOG_LEVEL: 'loud',
+      MS_AUTHORITY: 'login.microsoftonline.com',
+      MS_SCOPES: ' , ',
+      CONFIG_PROFILE: 'testing'
+    });
+
+    expect(error.name).toBe('ConfigError');
+    expect(error.message).toMatch(/^Invalid configuration \(profile "testing"\):\n {2}- /);
+    expect(error.problems).toEqual([
+      'LOG_LEVEL must be one of error, warn, info, http, verbose, debug, silly, got "loud"',
+      'DRY_RUN must be true or false, got "maybe"',
+      'MCP_HTTP_PORT must be an integer from 1 to 65535, got 70000',
+      'MS_AUTHORITY must be an absolute URL, got "login.microsoftonline.com"',
+      'MS_SCOPES must list at least 1 item(s), got []',
+      'GRAPH_RETRY_MAX_RETRIES must be an integer of at least 0, got "2.5"'
+    ]);
+  });
+
+  test('a secret of the wrong type is named without its value', () => {
+    const file = configFile({ tokenEncryption: { key: 12345 } });
+
+    expect(rejection({ CONFIG_FILE: file }).problems).toEqual(['tokenEncryption.key in outlook-mcp.config.json must be a string']);
+  });
+
+  test('profiles set defaults the environment overrides', () => {
+    const { values, sources } = loadConfig({ CONFIG_PROFILE: 'testing', GRAPH_RETRY_MAX_DELAY_MS: '2000' });
+
+    expect(values.testing.enabled).toBe(true);
+    expect(values.audit.enabled).toBe(false);
+    expect(values.retry).toMatchObject({ baseDelayMs: 100, maxDelayMs: 2000 });
+    expect(sources).toMatchObject({ 'retry.baseDelayMs': 'profile', 'retry.maxDelayMs': 'env', 'retry.maxRetries': 'default' });
+  });
+
+  test('an unknown profile lists the available ones', () => {
+    expect(rejection({ CONFIG_PROFILE: 'staging' }).problems).toEqual([
+      'Unknown profile "staging" (from CONFIG_PROFILE). Available: development, testing, production'
+    ]);
+  });
+
+  test('the production profile needs a client ID and no test mode', () => {
+    expect(rejection({ CONFIG_PROFILE: 'production', TEST_MODE: 'true', GRAPH_CASSETTE_MODE: 'replay' }).problems).toEqual([
+      'MS_CLIENT_ID is required in the production profile',
+      'TEST_MODE must be false in the production profile',
+      'GRAPH_CASSETTE_MODE must be off in the production profile'
+    ]);
+    expect(loadConfig({ CONFIG_PROFILE: 'production', MS_CLIENT_ID: 'client' }).values.logging.format).toBe('json');
+    expect(Object.keys(PROFILES)).toEqual(['development', 'testing', 'production']);
+  });
+
+  test('a leading ~ in paths is the home directory', () => {
+    const { values } = loadConfig({ LOG_DIR: '~', SYNC_STORE_DIR: '~/mail/sync', MAIL_POLICY_PATH: '~policy.json' });
+
+    expect(values.logging.dir).toBe(os.homedir());
+    expect(values.sync.dir).toBe(path.join(os.homedir(), 'mail', 'sync'));
+    expect(values.email.policyPath).toBe('~policy.json');
+  });
+});
+
+describe('config file', () => {
+  test('is layered between the profile and the environment', () => {
+    const file = configFile({
+      profile: 'testing',
+      retry: { maxRetries: 2, baseDelayMs: 50 },
+      profiles: { testing: { retry: { maxRetries: 3 } } }
+    });
+
+    const loaded = loadConfig({ CONFIG_FILE: file, GRAPH_RETRY_BASE_DELAY_MS: '10' });
+
+    expect(loaded).toMatchObject({ profile: 'testing', file });
+    expect(loaded.values.retry).toMatchObject({ maxRetries: 3, baseDelayMs: 10, maxDelayMs: 1000 });
+    expect(loaded.sources).toMatchObject({ 'retry.maxRetries': 'file', 'retry.baseDelayMs': 'env', 'retry.maxDelayMs': 'profile' });
+    expect(loadConfig({ CONFIG_FILE: file, CONFIG_PROFILE: 'development' }).values.retry.maxRetries).toBe(2);
+  });
+
+  test('can define its own profiles', () => {
+    const file = configFile({ profiles: { staging: { server: { logLevel: 'warn' } } } });
+
+    const { values, profile } = loadConfig({ CONFIG_FILE: file, CONFIG_PROFILE: 'staging' });
+
+    expect(profile).toBe('staging');
+    expect(values.server.logLevel).toBe('warn');
+  });
+
+  test('names the file in errors about its values', () => {
+    const file = configFile({
+      retry: { maxDelayMs: 10, baseDelayMs: 100, attempts: 3 },
+      server: { http: 8080 },
+      profiles: { development: { cache: { ttlSeconds: -1 } } }
+    });
+
+    const error = rejection({ CONFIG_FILE: file });
+
+    expect(error.message).toContain(`(profile "development", file ${file})`);
+    expect(error.problems).toEqual([
+      'retry.attempts in outlook-mcp.config.json is not a known setting',
+      'server.http in outlook-mcp.config.json must be an object of settings',
+      'cache.ttlSeconds in outlook-mcp.config.json must be an integer of at least 0, got -1'
+    ]);
+  });
+
+  test('is read from the working directory when CONFIG_FILE is unset', () => {
+    const cwd = process.cwd();
+    configFile({ server: { logLevel: 'warn' } });
+    process.chdir(dir);
+    try {
+      expect(loadConfig({})).toMatchObject({ file: fs.realpathSync(path.join(dir, 'outlook-mcp.config.json')), values: { server: { logLevel: 'warn' } } });
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+
+  test('a missing, invalid or non-object file stops the load', () => {
+    const missing = path.join(dir, 'missing.json');
+
+    expect(rejection({ CONFIG_FILE: missing }).problems[0]).toMatch(new RegExp(`^Config file ${missing} cannot be read: ENOENT`));
+    expect(rejection({ CONFIG_FILE: configFile('{ "retry": ') }).problems[0]).toContain('is not valid JSON');
+    expect(rejection({ CONFIG_FILE: configFile('[]') }).problems).toEqual([`${path.join(dir, 'outlook-mcp.config.json')} must hold a JSON object`]);
+  });
+});
+
+describe('rules across settings', () => {
+  test.each([
+    ['the HTTP transport without a bearer token', { MCP_TRANSPORT: 'http' }, 'MCP_HTTP_AUTH_TOKEN is required when MCP_TRANSPORT is http'],
+    ['a non-local host without allowed hosts', { MCP_TRANSPORT: 'http', MCP_HTTP_AUTH_TOKEN: 'token', MCP_HTTP_HOST: '0.0.0.0' },
+      'MCP_HTTP_ALLOWED_HOSTS is required when MCP_HTTP_HOST is not a localhost address'],
+    ['a maximum retry delay below the base', { GRAPH_RETRY_BASE_DELAY_MS: '500', GRAPH_RETRY_MAX_DELAY_MS: '100' },
+      'GRAPH_RETRY_MAX_DELAY_MS must not be less than GRAPH_RETRY_BASE_DELAY_MS'],
+    ['a relative Prometheus path', { METRICS_PROMETHEUS_PATH: 'metrics' }, 'METRICS_PROMETHEUS_PATH must start with /'],
+    ['app-only mode without a credential', { MS_AUTH_MODE: 'app', MS_AUTHORITY: 'https://login.microsoftonline.com/contoso.onmicrosoft.com', MS_CLIENT_CERT_THUMBPRINT: 'AB12' },
+      'MS_AUTH_MODE=app needs MS_CLIENT_SECRET, or MS_CLIENT_CERT_THUMBPRINT and MS_CLIENT_CERT_PRIVATE_KEY_PATH'],
+    ['app-only mode with the common authority', { MS_AUTH_MODE: 'app', MS_CLIENT_SECRET: 'secret' },
+      'MS_AUTH_MODE=app needs a tenant-specific MS_AUTHORITY, e.g. https://login.microsoftonline.com/<tenant-id>']
+  ])('reject %s', (label, env, problem) => {
+    expect(rejection(env).problems).toEqual([problem]);
+  });
+
+  test('accept the HTTP transport on a non-local host with allowed hosts', () => {
+    const { values } = loadConfig({ MCP_TRANSPORT: 'http', MCP_HTTP_AUTH_TOKEN: 'token', MCP_HTTP_HOST: '0.0.0.0', MCP_HTTP_ALLOWED_HOSTS: 'mcp.contoso.com' });
+
+    expect(values.server.http.allowedHosts).toEqual(['mcp.contoso.com']);
+  });
+
+  test('localhost, 127.0.0.0/8 and ::1 are local hosts', () => {
+    expect(['localhost', 'LOCALHOST', '127.0.0.1', '127.10.0.2', '::1', '[::1]'].every(isLoopbackHost)).toBe(true);
+    expect(['0.0.0.0', '10.0.0.5', 'mcp.contoso.com', '', undefined].some(isLoopbackHost)).toBe(false);
+  });
+
+  test('app-only mode is not checked in test mode', () => {
+    expect(loadConfig({ CONFIG_PROFILE: 'testing', MS_AUTH_MODE: 'app' }).values.microsoft.authMode).toBe('app');
+  });
+
+  test('are only checked once every value has its type', () => {
+    expect(rejection({ GRAPH_RETRY_BASE_DELAY_MS: 'slow', GRAPH_RETRY_MAX_DELAY_MS: '100' }).problems).toEqual([
+      'GRAPH_RETRY_BASE_DELAY_MS must be an integer of at least 0, got "slow"'
+    ]);
+  });
+
+  test('name a setting from the file by its key', () => {
+    const file = configFile({ retry: { baseDelayMs: 500, maxDelayMs: 100 } });
+
+    expect(rejection({ CONFIG_FILE: file }).problems).toEqual([
+      'retry.maxDelayMs in outlook-mcp.config.json must not be less than retry.baseDelayMs in outlook-mcp.config.json'
+    ]);
+  });
+});
+
+describe('get_config', () => {
+  test('describeSettings redacts secrets that are set', () => {
+    const { values, sources } = loadConfig({ MS_CLIENT_SECRET: 'secret', MS_CLIENT_ID: 'client' });
+
+    const settings = describeSettings(values, sources, 'microsoft');
+
+    expect(settings.every(entry => entry.key.startsWith('microsoft.'))).toBe(true);
+    expect(settings).toEqual(expect.arrayContaining([
+      { key: 'microsoft.clientSecret', env: 'MS_CLIENT_SECRET', value: '[REDACTED]', source: 'env' },
+      { key: 'microsoft.clientId', env: 'MS_CLIENT_ID', value: 'client', source: 'env' },
+      { key: 'microsoft.clientCertificate.thumbprint', env: 'MS_CLIENT_CERT_THUMBPRINT', value: null, source: 'default' }
+    ]));
+    expect(describeSettings(values, sources, 'tokenEncryption')).toContainEqual(
+      { key: 'tokenEncryption.previousKeys', env: 'TOKEN_ENCRYPTION_PREVIOUS_KEYS', value: [], source: 'default' }
+    );
+  });
+
+  test('reports the profile and the settings of a section', async () => {
+    const result = parseResponse(await withErrorHandling(getConfigHandler, 'get_config')({ section: 'tokenEncryption' }));
+
+    expect(result).toMatchObject({
+      status: 'success',
+      profile: 'testing',
+      profiles: { testing: PROFILES.testing.description },
+      configFile: config.configFile
+    });
+    expect(result.settings.map(entry => entry.key)).toEqual(['tokenEncryption.key', 'tokenEncryption.keyFile', 'tokenEncryption.previousKeys']);
+    expect(result.settings[0]).toEqual({ key: 'tokenEncryption.key', env: 'TOKEN_ENCRYPTION_KEY', value: '[REDACTED]', source: 'env' });
+    expect(JSON.stringify(result)).not.toContain(process.env.TOKEN_ENCRYPTION_KEY);
+  });
+});
@@ -0,0 +1,137 @@
+const config = require('../config');
+const { requiresConfirmation } = require('../utils/confirmation');
+const { rateLimiter } = require('../utils/rate-limiter');
+const { startFakeGraphServer } = require('../utils/fake-graph-server');
+const { withErrorHandling } = require('../index');
+const { sendEmailHandler } = require('../email');
+const { parseResponse } = require('../test/helpers');
+
+const MESSAGE = {
+  to: 'sarah.lee@contoso.com',
+  subject: 'Quarterly numbers',
+  body: 'Draft figures attached.'
+};
+
+// A rate limit rejection as the limiter raises it
+const rateLimited = () => Object.assign(new Error('Rate limit for send exceeded. Try again in 30 seconds.'), {
+  name: 'RateLimitExceededError',
+  category: 'send',
+  retryAfter: 30
+});
+
+describe('confirmation of destructive tools', () => {
+  const sendEmail = withErrorHandling(sendEmailHandler, 'send_email');
+  const call = async params => parseResponse(await sendEmail(params));
+  const sent = () => graph.requests.filter(request => request.url === '/me/sendMail');
+  let graph;
+  let saved;
+
+  beforeAll(async () => {
+    graph = await startFakeGraphServer();
+    saved = {
+      apiBaseUrl: config.microsoft.apiBaseUrl,
+      requiresConfirmation: config.toolMetadata.send_email.requiresConfirmation,
+      tokenTtlSeconds: config.confirmation.tokenTtlSeconds
+    };
+    config.microsoft.apiBaseUrl = graph.url;
+    config.toolMetadata.send_email.requiresConfirmation = true;
+  });
+
+  afterAll(async () => {
+    config.microsoft.apiBaseUrl = saved.apiBaseUrl;
+    config.toolMetadata.send_email.requiresConfirmation = saved.requiresConfirmation;
+    await graph.stop();
+  });
+
+  beforeEach(() => {
+    graph.reset();
+    config.confirmation.tokenTtlSeconds = saved.tokenTtlSeconds;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('only tools marked for confirmation need it', () => {
+    expect(requiresConfirmation('send_email')).toBe(true);
+    expect(requiresConfirmation('read_email')).toBe(false);
+    expect(requiresConfirmation('no_such_tool')).toBe(false);
+  });
+
+  test('the first call previews and hands out a token; the second acts', async () => {
+    const first = await call(MESSAGE);
+
+    expect(first).toMatchObject({
+      status: 'confirmation_required',
+      confirmationToken: expect.stringMatching(/^[A-Za-z0-9_-]{16}$/),
+      expiresAt: expect.any(String),
+      preview: '1. Send email "Quarterly numbers" to sarah.lee@contoso.com',
+      requests: [expect.objectContaining({ method: 'POST' })]
+    });
+    expect(sent()).toHaveLength(0);
+
+    const second = await call({ ...MESSAGE, confirmationToken: first.confirmationToken });
+
+    expect(second.status).toBe('success');
+    expect(sent()).toHaveLength(1);
+  });
+
+  test('a token is single-use', async () => {
+    const { confirmationToken } = await call(MESSAGE);
+    await call({ ...MESSAGE, confirmationToken });
+
+    const again = await call({ ...MESSAGE, confirmationToken });
+
+    expect(again.error).toMatchObject({ type: 'confirmation_invalid', message: expect.stringContaining('unknown, expired or already used') });
+    expect(sent()).toHaveLength(1);
+  });
+
+  test('a token only confirms the call it was issued for', async () => {
+    const { confirmationToken } = await call(MESSAGE);
+
+    const changed = await call({ ...MESSAGE, to: 'maria.garcia@fabrikam.com', confirmationToken });
+    expect(changed.error.message).toContain('The parameters differ from the call the confirmation token was issued for.');
+
+    config.toolMetadata.create_draft.requiresConfirmation = true;
+    try {
+      const otherTool = parseResponse(await withErrorHandling(sendEmailHandler, 'create_draft')({ ...MESSAGE, confirmationToken }));
+      expect(otherTool.error.message).toContain('The confirmation token was issued for send_email, not create_draft.');
+    } finally {
+      delete config.toolMetadata.create_draft.requiresConfirmation;
+    }
+
+    // Neither mismatch used the token up
+    expect((await call({ ...MESSAGE, confirmationToken })).status).toBe('success');
+  });
+
+  test('an expired token is rejected', async () => {
+    config.confirmation.tokenTtlSeconds = 0;
+    const { confirmationToken } = await call(MESSAGE);
+
+    const result = await call({ ...MESSAGE, confirmationToken });
+
+    expect(result.error.type).toBe('confirmation_invalid');
+    expect(sent()).toHaveLength(0);
+  });
+
+  test('a confirmed call turned away by the rate limit keeps its token', async () => {
+    const { confirmationToken } = await call(MESSAGE);
+    jest.spyOn(rateLimiter, 'check').mockRejectedValueOnce(rateLimited());
+
+    const limited = await call({ ...MESSAGE, confirmationToken });
+
+    expect(limited.error).toMatchObject({ type: 'rate_limit_exceeded', retry_after: 30 });
+    expect(sent()).toHaveLength(0);
+
+    const retried = await call({ ...MESSAGE, confirmationToken });
+    expect(retried.status).toBe('success');
+    expect(sent()).toHaveLength(1);
+  });
+
+  test('a dry run needs no token', async () => {
+    const result = await call({ ...MESSAGE, dryRun: true });
+
+    expect(result.status).toBe('dry_run');
+    expect(result).not.toHaveProperty('confirmationToken');
+  });
+});
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { syncFolder } = require('../sync/delta-sync');
+const { getSyncStore, partitionKey } = require('../sync/sync-store');
+const { syncMailboxHandler, getSyncStatusHandler } = require('../sync');
+const { listEmailsHandler } = require('../email');
+const { startFakeGraphServer } = require('../utils/fake-graph-server');
+const { parseResponse } = require('../test/helpers');
+
+describe('delta sync', () => {
+  let graph;
+  let saved;
+
+  const sync = async params => parseResponse(await syncMailboxHandler({ folders: 'inbox', calendar: false, ...params }));
+  const deltaCalls = () => graph.requests
+    .filter(request => request.url.includes('/delta'))
+    .map(request => ({ status: request.status, query: new URLSearchParams(request.url.split('?')[1] || '') }));
+  // Change the fake mailbox directly, as another client would
+  const change = (method, url, body) => graph.mailbox.respond(method, url, { body, baseUrl: graph.url });
+
+  beforeAll(async () => {
+    graph = await startFakeGraphServer();
+    saved = { apiBaseUrl: config.microsoft.apiBaseUrl, dir: config.sync.dir };
+    config.microsoft.apiBaseUrl = graph.url;
+  });
+
+  afterAll(async () => {
+    config.microsoft.apiBaseUrl = saved.apiBaseUrl;
+    config.sync.dir = saved.dir;
+    await graph.stop();
+  });
+
+  beforeEach(() => {
+    graph.reset();
+    // A new directory gives every test an empty store
+    config.sync.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'delta-sync-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(config.sync.dir, { recursive: true, force: true });
+  });
+
+  test('the first sync copies the whole folder and keeps the delta link', async () => {
+    const result = await sync();
+
+    expect(result).toMatchObject({
+      status: 'success',
+      results: [expect.objectContaining({ scope: 'messages:inbox', resynced: true, added: 3, updated: 0, removed: 0, itemCount: 3 })]
+    });
+    expect(deltaCalls()).toHaveLength(1);
+    expect(deltaCalls()[0].query.get('$select')).toContain('receivedDateTime');
+
+    const status = parseResponse(await getSyncStatusHandler({ userId: result.account }));
+    expect(status.partitions).toEqual([expect.objectContaining({ scope: 'messages:inbox', itemCount: 3, hasDeltaLink: true, fresh: true })]);
+  });
+
+  test('a large folder is synced over several pages', async () => {
+    for (let i = 0; i < 12; i++) {
+      change('POST', '/me/mailFolders/inbox/messages', { subject: `Status report ${i}` });
+    }
+
+    const result = await sync();
+
+    expect(result.results[0]).toMatchObject({ added: 15, itemCount: 15, pages: 2 });
+    expect(deltaCalls()[1].query.has('$skiptoken')).toBe(true);
+  });
+
+  test('later syncs only fetch what changed', async () => {
+    await sync();
+    change('PATCH', '/me/messages/AAMkMessage000000001', { isRead: true });
+    change('DELETE', '/me/messages/AAMkMessage000000002');
+    change('POST', '/me/mailFolders/inbox/messages', { subject: 'Room booking' });
+    graph.requests = [];
+
+    const result = await sync();
+
+    expect(result.results[0]).toMatchObject({ resynced: false, added: 1, updated: 1, removed: 1, itemCount: 3 });
+    expect(deltaCalls()).toEqual([expect.objectContaining({ status: 200 })]);
+    expect(deltaCalls()[0].query.has('$deltatoken')).toBe(true);
+
+    const items = await getSyncStore().readItems(partitionKey(result.account, null, 'messages:inbox'));
+    expect(items.AAMkMessage000000001.isRead).toBe(true);
+    expect(items).not.toHaveProperty('AAMkMessage000000002');
+  });
+
+  test('410 Gone syncs the folder again from scratch', async () => {
+    await sync();
+    change('DELETE', '/me/messages/AAMkMessage000000002');
+    graph.injectFault({ status: 410, path: '/delta', code: 'SyncStateNotFound', message: 'The sync state generation is not found.' });
+    graph.requests = [];
+
+    const result = await sync();
+
+    expect(result.results[0]).toMatchObject({ resynced: true, added: 2, removed: 0, itemCount: 2 });
+    expect(deltaCalls().map(call => call.status)).toEqual([410, 200]);
+    expect(deltaCalls()[0].query.has('$deltatoken')).toBe(true);
+    expect(deltaCalls()[1].query.has('$deltatoken')).toBe(false);
+  });
+
+  test('a delta link Graph has forgotten is treated the same way', async () => {
+    await sync();
+    graph.mailbox.deltaSnapshots.clear();
+
+    const result = await sync();
+
+    expect(result.results[0]).toMatchObject({ resynced: true, itemCount: 3 });
+  });
+
+  test('a failed sync keeps the previous state and reports the error', async () => {
+    const first = await sync();
+    graph.injectFault({ status: 403, path: '/delta' });
+
+    const failed = await sync({ full: true });
+
+    expect(failed.status).toBe('error');
+    expect(failed.results[0]).toMatchObject({ scope: 'inbox', errorDetails: expect.objectContaining({ type: 'access_denied' }) });
+    const status = parseResponse(await getSyncStatusHandler({ userId: first.account }));
+    expect(status.partitions[0]).toMatchObject({
+      itemCount: 3,
+      hasDeltaLink: true,
+      lastError: expect.stringContaining('Access is denied'),
+      lastAttemptAt: expect.any(String)
+    });
+  });
+
+  test('full: true ignores the stored delta link', async () => {
+    await sync();
+    graph.requests = [];
+
+    const result = await sync({ full: true });
+
+    expect(result.results[0]).toMatchObject({ resynced: true, added: 3 });
+    expect(deltaCalls()[0].query.has('$deltatoken')).toBe(false);
+  });
+
+  test('items that no longer decrypt are moved aside and synced again', async () => {
+    await sync();
+    const itemsDir = path.join(config.sync.dir, 'items');
+    const [file] = fs.readdirSync(itemsDir);
+    const envelope = JSON.parse(fs.readFileSync(path.join(itemsDir, file), 'utf-8'));
+    envelope.data = Buffer.from('tampered').toString('base64');
+    fs.writeFileSync(path.join(itemsDir, file), JSON.stringify(envelope));
+
+    const result = await sync();
+
+    expect(result.results[0]).toMatchObject({ resynced: true, itemCount: 3 });
+    expect(fs.readdirSync(itemsDir)).toEqual(expect.arrayContaining([file, expect.stringMatching(`^${file}\\.unreadable-\\d+$`)]));
+  });
+
+  test('concurrent syncs of one folder share a single run', async () => {
+    const account = 'test.user@contoso.com';
+    const options = { account, userId: account, mailbox: null, folderId: 'inbox' };
+
+    const [first, second] = await Promise.all([syncFolder(options), syncFolder(options)]);
+
+    expect(second).toBe(first);
+    expect(deltaCalls()).toHaveLength(1);
+  });
+
+  test('the calendar is synced over a window around today', async () => {
+    const result = await sync({ folders: 'inbox', calendar: true });
+
+    const calendar = result.results.find(entry => entry.scope === 'calendar');
+    expect(calendar).toMatchObject({ resynced: true, window: { startDateTime: expect.any(String), endDateTime: expect.any(String) } });
+    const [call] = deltaCalls().filter(entry => entry.query.has('startDateTime'));
+    expect(call.query.get('startDateTime')).toBe(calendar.window.startDateTime);
+  });
+
+  test('list_emails answers from a fresh sync until the account writes', async () => {
+    const { account } = await sync();
+    graph.requests = [];
+
+    const local = parseResponse(await listEmailsHandler({ folderId: 'inbox' }));
+    expect(local).toMatchObject({ source: 'local', count: 3 });
+    expect(graph.requests.filter(request => request.url.startsWith('/me/mailFolders/inbox/messages?'))).toEqual([]);
+
+    getSyncStore().noteWrite(account);
+    const remote = parseResponse(await listEmailsHandler({ folderId: 'inbox' }));
+    expect(remote).not.toHaveProperty('source');
+  });
+});
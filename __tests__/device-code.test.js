@@ -0,0 +1,139 @@
+const os = require('os');
+const path = require('path');
+const { AuthService } = require('../auth/auth-service');
+const { authenticateHandler, checkAuthStatusHandler, revokeAuthenticationHandler } = require('../auth/tools-api');
+const { parseResponse } = require('../test/helpers');
+
+const CODE = {
+  userCode: 'ABCD-EFGH',
+  verificationUri: 'https://microsoft.com/devicelogin',
+  message: 'To sign in, use a web browser to open the page https://microsoft.com/devicelogin and enter the code ABCD-EFGH.',
+  expiresIn: 900
+};
+
+// Error as MSAL raises it
+const msalError = errorCode => Object.assign(new Error(errorCode), { errorCode });
+
+/**
+ * Delegated service whose MSAL device code grant is driven by the test
+ * @param {Object} [code=CODE] - Device code response MSAL hands to the callback
+ * @returns {Object} - { service, finish(result), fail(error) }
+ */
+function createDeviceCodeService(code = CODE) {
+  const service = new AuthService({
+    clientId: 'public-client-id',
+    clientSecret: '',
+    authMode: 'delegated',
+    cacheFile: path.join(os.tmpdir(), 'enhanced-outlook-mcp-tests', 'device-code-cache.json')
+  });
+  const control = { service };
+  jest.spyOn(service.pca, 'acquireTokenByDeviceCode').mockImplementation(request => new Promise((resolve, reject) => {
+    control.request = request;
+    control.finish = resolve;
+    control.fail = reject;
+    request.deviceCodeCallback(code);
+  }));
+  return control;
+}
+
+// Let MSAL's promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('device code sign-in', () => {
+  test('resolves with the code while MSAL keeps polling', async () => {
+    const { service } = createDeviceCodeService();
+
+    const status = await service.startDeviceCodeFlow();
+
+    expect(status).toMatchObject({ status: 'pending', userCode: 'ABCD-EFGH', verificationUri: CODE.verificationUri, error: null });
+    expect(status.expiresIn).toBeGreaterThan(890);
+    expect(service.pca.acquireTokenByDeviceCode).toHaveBeenCalledWith(expect.objectContaining({ scopes: service.scopes }));
+  });
+
+  test('reuses a pending sign-in', async () => {
+    const { service } = createDeviceCodeService();
+
+    await service.startDeviceCodeFlow();
+    await service.startDeviceCodeFlow();
+
+    expect(service.pca.acquireTokenByDeviceCode).toHaveBeenCalledTimes(1);
+  });
+
+  test('completes when the user signs in', async () => {
+    const control = createDeviceCodeService();
+    await control.service.startDeviceCodeFlow();
+
+    control.finish({ accessToken: 'user-token' });
+    await settle();
+
+    expect(control.service.getDeviceCodeStatus().status).toBe('complete');
+    expect(control.service.client).not.toBeNull();
+  });
+
+  test.each([
+    ['expired_token', 'expired'],
+    ['device_code_polling_cancelled', 'cancelled'],
+    ['invalid_grant', 'error']
+  ])('reports MSAL error %s as %s', async (errorCode, status) => {
+    const control = createDeviceCodeService();
+    await control.service.startDeviceCodeFlow();
+
+    control.fail(msalError(errorCode));
+    await settle();
+
+    expect(control.service.getDeviceCodeStatus()).toMatchObject({ status, error: errorCode });
+  });
+
+  test('expires a code past its lifetime and stops polling', async () => {
+    const control = createDeviceCodeService({ ...CODE, expiresIn: 0 });
+
+    await control.service.startDeviceCodeFlow();
+
+    expect(control.service.getDeviceCodeStatus()).toMatchObject({ status: 'expired', expiresIn: 0 });
+    expect(control.request.cancel).toBe(true);
+  });
+
+  test('rejects when no code could be issued', async () => {
+    const service = new AuthService({ clientId: 'public-client-id', clientSecret: '', authMode: 'delegated' });
+    jest.spyOn(service.pca, 'acquireTokenByDeviceCode').mockRejectedValue(msalError('unauthorized_client'));
+
+    await expect(service.startDeviceCodeFlow()).rejects.toThrow('unauthorized_client');
+    expect(service.getDeviceCodeStatus().status).toBe('error');
+  });
+
+  test('needs a public client', async () => {
+    const service = new AuthService({ clientId: 'confidential-client-id', clientSecret: 'secret', authMode: 'delegated' });
+
+    await expect(service.startDeviceCodeFlow()).rejects.toThrow('requires a public client');
+  });
+
+  test('signing out cancels a pending sign-in', async () => {
+    const control = createDeviceCodeService();
+    await control.service.startDeviceCodeFlow();
+
+    await control.service.signOut();
+
+    expect(control.request.cancel).toBe(true);
+    expect(control.service.getDeviceCodeStatus()).toBeNull();
+  });
+});
+
+describe('authenticate with the device code flow', () => {
+  test('signs in and reports the flow', async () => {
+    await revokeAuthenticationHandler();
+
+    const result = parseResponse(await authenticateHandler({ flow: 'device_code' }));
+
+    expect(result).toMatchObject({ status: 'authenticated', flow: 'device_code', device_code_status: 'complete' });
+    expect(parseResponse(await checkAuthStatusHandler())).toMatchObject({ status: 'authenticated', device_code_status: 'complete' });
+  });
+
+  test('rejects an unknown flow', async () => {
+    await revokeAuthenticationHandler();
+
+    const result = parseResponse(await authenticateHandler({ flow: 'carrier_pigeon' }));
+
+    expect(result.status).toBe('error');
+    expect(result.message).toContain("Invalid authentication flow 'carrier_pigeon'");
+  });
+});
@@ -0,0 +1,398 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const axios = require('axios');
+const config = require('../config');
+const { runDiagnostics, runDiagnosticsHandler, CHECK_IDS } = require('../diagnostics');
+const { writeSecureFileSync } = require('../auth/token-store');
+const { runWithMailbox } = require('../utils/mailbox-routing');
+const { startFakeGraphServer } = require('../utils/fake-graph-server');
+const { parseResponse } = require('../test/helpers');
+
+const CLIENT_ID = '6731de76-14a6-49ae-97bc-6eba6914391e';
+
+// Run one check
+const check = async id => (await runDiagnostics({ checks: [id] })).checks[0];
+
+// Listen on a free port, returning the server and its port
+const occupyPort = () => new Promise(resolve => {
+  const server = net.createServer();
+  server.listen(0, () => resolve({ server, port: server.address().port }));
+});
+
+let saved;
+let dir;
+
+beforeEach(() => {
+  saved = {
+    microsoft: structuredClone(config.microsoft),
+    testing: structuredClone(config.testing),
+    server: structuredClone(config.server)
+  };
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diagnostics-'));
+  Object.assign(config.microsoft, {
+    clientId: CLIENT_ID,
+    clientSecret: '',
+    authMode: 'delegated',
+    authFlow: 'browser',
+    authority: 'https://login.microsoftonline.com/common',
+    redirectUri: 'http://localhost:3000/auth/callback'
+  });
+  Object.assign(config.server, {
+    tokenStoragePath: path.join(dir, 'tokens.json'),
+    msalCachePath: path.join(dir, 'token-cache.json')
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  Object.keys(saved).forEach(section => {
+    Object.keys(config[section]).forEach(key => delete config[section][key]);
+    Object.assign(config[section], saved[section]);
+  });
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('client_config', () => {
+  test('passes with a client ID and a valid authority', async () => {
+    expect(await check('client_config')).toMatchObject({ id: 'client_config', status: 'pass', fixes: [] });
+  });
+
+  test('warns about a missing client ID in TEST_MODE only', async () => {
+    config.microsoft.clientId = '';
+    expect(await check('client_config')).toMatchObject({ status: 'warn', message: expect.stringContaining('TEST_MODE does not need it') });
+
+    config.testing.enabled = false;
+    expect(await check('client_config')).toMatchObject({ status: 'fail', message: 'MS_CLIENT_ID is not set.' });
+  });
+
+  test('warns about a client ID that is not a GUID', async () => {
+    config.microsoft.clientId = 'my-outlook-app';
+
+    expect(await check('client_config')).toMatchObject({ status: 'warn', fixes: [expect.stringContaining('Application (client) ID')] });
+  });
+
+  test('fails an http authority or an unknown mode', async () => {
+    config.microsoft.authority = 'http://login.microsoftonline.com/common';
+    config.microsoft.authMode = 'service';
+
+    const result = await check('client_config');
+
+    expect(result.status).toBe('fail');
+    expect(result.message).toBe('MS_AUTH_MODE "service" is not valid. MS_AUTHORITY does not use https.');
+    expect(result.fixes).toHaveLength(2);
+  });
+
+  test('app-only mode needs a credential and a tenant', async () => {
+    config.microsoft.authMode = 'app';
+    config.microsoft.clientCertificate = { thumbprint: 'AB12', privateKeyPath: path.join(dir, 'missing.pem') };
+
+    const result = await check('client_config');
+
+    expect(result.status).toBe('fail');
+    expect(result.message).toContain(`Certificate file ${path.join(dir, 'missing.pem')} does not exist.`);
+    expect(result.message).toContain('App-only mode needs a tenant-specific authority.');
+    expect(result.message).not.toContain('no client credential');
+  });
+});
+
+describe('redirect_uri and scopes', () => {
+  test.each([
+    ['http://localhost:3000/auth/callback', 'pass', []],
+    ['http://localhost/auth/callback', 'warn', ['Add an unprivileged port, e.g. http://localhost:3000/auth/callback.']],
+    ['http://mcp.contoso.com:3000/auth/callback', 'fail', [
+      'Use http://localhost:<port>/auth/callback, or an https URL.',
+      'Make sure that host forwards the callback to this server, or use localhost.'
+    ]],
+    ['/auth/callback', 'fail', ['Set MS_REDIRECT_URI to http://localhost:3000/auth/callback, or leave it unset.']]
+  ])('redirect URI %s is %s', async (redirectUri, status, fixes) => {
+    config.microsoft.redirectUri = redirectUri;
+
+    expect(await check('redirect_uri')).toMatchObject({ status, fixes });
+  });
+
+  test('scopes the tools need are required', async () => {
+    config.microsoft.scopes = ['offline_access', 'User.Read', 'mail.readwrite', 'Calendars.ReadWrite'];
+    expect(await check('scopes')).toMatchObject({ status: 'warn', message: 'Mail.Send is not requested, which is needed for sending mail.' });
+
+    config.microsoft.scopes = [];
+    expect((await check('scopes')).status).toBe('fail');
+
+    config.microsoft.scopes = ['offline_access', 'User.Read', 'Mail.ReadWrite', 'Mail.Send', 'Calendars.ReadWrite'];
+    expect((await check('scopes')).status).toBe('pass');
+  });
+
+  test('app-only mode skips the sign-in checks', async () => {
+    config.microsoft.authMode = 'app';
+
+    const report = await runDiagnostics({ checks: ['redirect_uri', 'scopes', 'msal_cache', 'callback_port'] });
+
+    expect(report.checks.map(result => result.status)).toEqual(['skip', 'skip', 'skip', 'skip']);
+    expect(report).toMatchObject({ overall: 'pass', summary: { pass: 0, warn: 0, fail: 0, skip: 4 } });
+  });
+});
+
+describe('token_files', () => {
+  const tokens = (content, mode = 0o600) => {
+    writeSecureFileSync(config.server.tokenStoragePath, JSON.stringify(content));
+    fs.chmodSync(config.server.tokenStoragePath, mode);
+  };
+
+  test('no token files yet is fine', async () => {
+    expect(await check('token_files')).toMatchObject({ status: 'pass', message: 'No token files yet; they are created at the first sign-in.' });
+  });
+
+  test('reports the stored users of files that decrypt', async () => {
+    tokens({ 'sarah.lee@contoso.com': { access_token: 'a', refresh_token: 'r', expires_at: Date.now() + 3600000 } });
+
+    expect(await check('token_files')).toMatchObject({
+      status: 'pass',
+      details: { storedUsers: ['sarah.lee@contoso.com'], files: [expect.objectContaining({ encrypted: true, currentKey: true, valid: true }), expect.objectContaining({ exists: false })] }
+    });
+  });
+
+  test('warns about plaintext, readable or unusable tokens', async () => {
+    fs.writeFileSync(config.server.msalCachePath, '{}', { mode: 0o600 });
+    tokens({
+      'sarah.lee@contoso.com': { access_token: 'a', expires_at: Date.now() - 1000 },
+      'john.smith@contoso.com': {}
+    }, 0o644);
+
+    const result = await check('token_files');
+
+    expect(result.status).toBe('warn');
+    expect(result.message).toContain(`${config.server.msalCachePath} is stored in plaintext.`);
+    expect(result.message).toContain(`${config.server.tokenStoragePath} can be read by other users (mode 644).`);
+    expect(result.message).toContain('The stored token for sarah.lee@contoso.com has expired and cannot be refreshed.');
+    expect(result.message).toContain('The stored token for john.smith@contoso.com has no access token.');
+    expect(result.fixes).toContain(`Run: chmod 600 ${config.server.tokenStoragePath}`);
+  });
+
+  test('fails a file that does not verify', async () => {
+    tokens({ 'sarah.lee@contoso.com': { access_token: 'a' } });
+    const envelope = JSON.parse(fs.readFileSync(config.server.tokenStoragePath, 'utf-8'));
+    fs.writeFileSync(config.server.tokenStoragePath, JSON.stringify({ ...envelope, data: Buffer.from('tampered').toString('base64') }));
+
+    const result = await check('token_files');
+
+    expect(result).toMatchObject({ status: 'fail', fixes: [expect.stringContaining(`Restore the key with id ${envelope.keyId}`)] });
+  });
+});
+
+describe('msal_cache', () => {
+  const account = (id, username) => ({ home_account_id: id, username });
+  const token = (id, clientId, target) => ({ home_account_id: id, client_id: clientId, ...(target && { target }) });
+
+  beforeEach(() => {
+    config.testing.enabled = false;
+    config.microsoft.scopes = ['offline_access', 'User.Read', 'Mail.ReadWrite', 'Mail.Send'];
+  });
+
+  test('is skipped in TEST_MODE', async () => {
+    config.testing.enabled = true;
+
+    expect((await check('msal_cache')).status).toBe('skip');
+  });
+
+  test('warns before the first sign-in', async () => {
+    expect(await check('msal_cache')).toMatchObject({ status: 'warn', message: 'No one has signed in yet.' });
+  });
+
+  test('passes a sign-in with refresh tokens and the scopes asked for', async () => {
+    writeSecureFileSync(config.server.msalCachePath, JSON.stringify({
+      Account: { a: account('u1', 'sarah.lee@contoso.com') },
+      AccessToken: { t: token('u1', CLIENT_ID, 'https://graph.microsoft.com/User.Read https://graph.microsoft.com/Mail.ReadWrite https://graph.microsoft.com/Mail.Send') },
+      RefreshToken: { r: token('u1', CLIENT_ID) }
+    }));
+
+    expect(await check('msal_cache')).toMatchObject({ status: 'pass', details: { accounts: ['sarah.lee@contoso.com'], accessTokens: 1, refreshTokens: 1 } });
+  });
+
+  test('finds tokens it cannot use', async () => {
+    writeSecureFileSync(config.server.msalCachePath, JSON.stringify({
+      Account: { a: account('u1', 'sarah.lee@contoso.com') },
+      AccessToken: { t: token('u1', CLIENT_ID, 'User.Read Mail.ReadWrite'), other: token('u1', 'b0a5b2b9-0000-4000-8000-000000000000', 'Mail.Send') },
+      RefreshToken: { orphan: token('u2', CLIENT_ID) }
+    }));
+
+    const { message } = await check('msal_cache');
+
+    expect(message).toContain('another client ID (b0a5b2b9-0000-4000-8000-000000000000)');
+    expect(message).toContain('sarah.lee@contoso.com has no refresh token');
+    expect(message).toContain('1 cached token(s) belong to no account.');
+    expect(message).toContain('The cached sign-in was not granted Mail.Send.');
+  });
+});
+
+describe('clock_skew', () => {
+  const dateHeader = offsetMs => ({ headers: { date: new Date(Date.now() - offsetMs).toUTCString() } });
+
+  beforeEach(() => {
+    config.testing.enabled = false;
+  });
+
+  test.each([
+    [0, 'pass'],
+    [90 * 1000, 'warn'],
+    [-10 * 60 * 1000, 'fail']
+  ])('a clock %ims off is %s', async (offsetMs, status) => {
+    jest.spyOn(axios, 'get').mockResolvedValue(dateHeader(offsetMs));
+
+    const result = await check('clock_skew');
+
+    expect(result.status).toBe(status);
+    expect(Math.abs(result.details.skewSeconds - offsetMs / 1000)).toBeLessThanOrEqual(2);
+    expect(axios.get).toHaveBeenCalledWith('https://login.microsoftonline.com/common/v2.0/.well-known/openid-configuration', expect.any(Object));
+  });
+
+  test('an unreachable sign-in service is a warning', async () => {
+    jest.spyOn(axios, 'get').mockRejectedValue(new Error('getaddrinfo ENOTFOUND login.microsoftonline.com'));
+
+    expect(await check('clock_skew')).toMatchObject({ status: 'warn', fixes: [expect.stringContaining('HTTPS_PROXY')] });
+  });
+});
+
+describe('callback_port', () => {
+  test('passes a free port', async () => {
+    const { server, port } = await occupyPort();
+    await new Promise(resolve => server.close(resolve));
+    config.microsoft.redirectUri = `http://localhost:${port}/auth/callback`;
+
+    expect(await check('callback_port')).toMatchObject({ status: 'pass', details: { port } });
+  });
+
+  test('fails a port another process holds', async () => {
+    const { server, port } = await occupyPort();
+    config.microsoft.redirectUri = `http://localhost:${port}/auth/callback`;
+    try {
+      expect(await check('callback_port')).toMatchObject({ status: 'fail', message: `Port ${port} is in use by another process, so the sign-in callback cannot be received.` });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('fails a port shared with the HTTP transport', async () => {
+    config.server.transport = 'http';
+    config.server.http = { ...config.server.http, port: 3000 };
+
+    expect((await check('callback_port')).message).toBe('The MCP HTTP transport and the sign-in callback both use port 3000.');
+  });
+
+  test('is skipped for device code sign-in', async () => {
+    config.microsoft.authFlow = 'device_code';
+
+    expect((await check('callback_port')).status).toBe('skip');
+  });
+});
+
+describe('graph', () => {
+  let graph;
+  let apiBaseUrl;
+
+  beforeAll(async () => {
+    graph = await startFakeGraphServer();
+    apiBaseUrl = config.microsoft.apiBaseUrl;
+  });
+
+  afterAll(async () => {
+    await graph.stop();
+  });
+
+  beforeEach(() => {
+    graph.reset();
+    config.microsoft.apiBaseUrl = graph.url;
+  });
+
+  afterEach(() => {
+    config.microsoft.apiBaseUrl = apiBaseUrl;
+  });
+
+  test('passes when /me answers', async () => {
+    const result = await check('graph');
+
+    expect(result).toMatchObject({ status: 'pass', message: expect.stringMatching(/^\/me answered as \S+@\S+\.$/), details: { path: '/me' } });
+    expect(graph.requests.map(request => request.url.split('?')[0])).toEqual(['/me']);
+  });
+
+  test('checks the mailbox the call targets', async () => {
+    const result = await runWithMailbox('shared@contoso.com', () => check('graph'));
+
+    expect(result.details.path).toBe('/users/shared@contoso.com');
+    expect(graph.requests.map(request => request.url.split('?')[0])).toEqual(['/users/shared@contoso.com']);
+  });
+
+  test('an expired sign-in points to authenticate', async () => {
+    // The transport refreshes the token and retries once
+    graph.injectFault({ status: 401, path: '/me', times: 2 });
+
+    expect(await check('graph')).toMatchObject({
+      status: 'fail',
+      fixes: ['Call the authenticate tool to sign in.'],
+      details: { error: expect.objectContaining({ type: 'authentication_error' }) }
+    });
+  });
+
+  test('app-only mode needs a mailbox', async () => {
+    config.microsoft.authMode = 'app';
+
+    expect((await check('graph')).status).toBe('skip');
+  });
+});
+
+describe('run_diagnostics', () => {
+  test('runs every check in order, and the worst status wins', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ headers: {} });
+    config.microsoft.redirectUri = 'http://localhost/auth/callback';
+    config.microsoft.apiBaseUrl = 'http://127.0.0.1:9/v1.0';
+    config.microsoft.scopes = ['offline_access', 'User.Read', 'Mail.ReadWrite', 'Mail.Send', 'Calendars.ReadWrite'];
+
+    const report = parseResponse(await runDiagnosticsHandler({ checks: ['redirect_uri', 'scopes'] }));
+
+    expect(report).toMatchObject({ status: 'success', overall: 'warn', summary: { pass: 1, warn: 1, fail: 0, skip: 0 } });
+    expect(CHECK_IDS).toEqual(['client_config', 'redirect_uri', 'scopes', 'token_files', 'msal_cache', 'clock_skew', 'callback_port', 'graph']);
+  });
+
+  test('unknown checks are a parameter error', async () => {
+    await expect(runDiagnostics({ checks: ['scopes', 'dns'] })).rejects.toMatchObject({
+      name: 'ParameterError',
+      message: expect.stringContaining('Unknown check(s): dns. Available: client_config')
+    });
+
+    expect(parseResponse(await runDiagnosticsHandler({ checks: ['dns'] }))).toMatchObject({
+      status: 'error',
+      message: expect.stringContaining('Failed to run diagnostics: Unknown check(s): dns.')
+    });
+  });
+
+  test('npm run diagnose prints the report and exits with 1 on an error', () => {
+    const cli = path.join(__dirname, '..', 'diagnostics', 'cli.js');
+    const run = (args, redirectUri = 'http://localhost:3000/auth/callback') => spawnSync(process.execPath, [cli, ...args], {
+      env: { ...process.env, MS_CLIENT_ID: CLIENT_ID, MS_REDIRECT_URI: redirectUri },
+      encoding: 'utf-8',
+      timeout: 30000
+    });
+
+    const passing = run(['--check', 'client_config,redirect_uri', '--json']);
+    expect(passing.status).toBe(0);
+    expect(JSON.parse(passing.stdout)).toMatchObject({ overall: 'pass', checks: [{ id: 'client_config' }, { id: 'redirect_uri' }] });
+
+    const text = run(['--check=redirect_uri']);
+    expect(text.status).toBe(0);
+    expect(text.stdout).toMatch(/^PASS {2}redirect_uri {2}/);
+
+    const failing = run(['--check', 'redirect_uri'], 'http://mcp.contoso.com:3000/auth/callback');
+    expect(failing.status).toBe(1);
+    expect(failing.stdout).toMatch(/^FAIL {2}redirect_uri {2}/);
+    expect(failing.stdout).toContain('Fix: Use http://localhost:<port>/auth/callback, or an https URL.');
+
+    const invalid = run(['--check', 'redirect_uri'], '/auth/callback');
+    expect(invalid.status).toBe(1);
+    expect(invalid.stderr).toContain('MS_REDIRECT_URI must be an absolute URL');
+
+    const unknown = run(['--check', 'dns']);
+    expect(unknown.status).toBe(1);
+    expect(unknown.stderr).toContain('Unknown check(s): dns');
+  });
+});
@@ -0,0 +1,142 @@
+const config = require('../config');
+const { isDryRunRequested, runWithDryRun, isDryRun, isWriteRequest, describeRequest } = require('../utils/dry-run');
+const { startFakeGraphServer } = require('../utils/fake-graph-server');
+const { withErrorHandling } = require('../index');
+const { readEmailHandler, sendEmailHandler } = require('../email');
+const { moveEmailsHandler } = require('../folder');
+const { parseResponse } = require('../test/helpers');
+
+describe('dry-run requests', () => {
+  test.each([
+    ['GET', '/me/messages', false],
+    ['POST', '/me/sendMail', true],
+    ['PATCH', '/me/messages/1', true],
+    ['DELETE', '/me/events/1', true],
+    ['POST', '/me/calendar/getSchedule', false],
+    ['POST', '/me/findMeetingTimes?$top=5', false]
+  ])('%s %s is a write: %s', (method, path, write) => {
+    expect(isWriteRequest({ method, path })).toBe(write);
+  });
+
+  test('a batch is a write when any step is', () => {
+    const batch = steps => ({ method: 'POST', path: '/$batch', body: { requests: steps } });
+
+    expect(isWriteRequest(batch([{ method: 'GET', url: '/me/mailFolders/inbox' }]))).toBe(false);
+    expect(isWriteRequest(batch([{ method: 'GET', url: '/me' }, { method: 'POST', url: '/me/messages/1/move' }]))).toBe(true);
+  });
+
+  test.each([
+    ['POST', '/me/sendMail', { message: { subject: 'Hi', toRecipients: [{ emailAddress: { address: 'sarah.lee@contoso.com' } }] } },
+      'Send email "Hi" to sarah.lee@contoso.com'],
+    ['POST', '/users/shared%40contoso.com/messages/AAMk1/move', { destinationId: 'archive' },
+      'Move message AAMk1 to folder archive (mailbox shared@contoso.com)'],
+    ['PATCH', 'https://graph.microsoft.com/v1.0/me/events/AAMkE1?$select=id', { subject: 'New', location: {} },
+      'Update event AAMkE1 (subject, location)'],
+    ['POST', '/me/events/AAMkE1/tentativelyAccept', {}, 'Tentatively accept event AAMkE1'],
+    ['DELETE', '/me/mailFolders/inbox/messageRules/R1', undefined, 'Delete inbox rule R1'],
+    ['POST', '/me/todo/lists', {}, 'POST /me/todo/lists']
+  ])('describes %s %s', (method, url, body, description) => {
+    expect(describeRequest(method, url, body)).toBe(description);
+  });
+
+  test('DRY_RUN applies to every call, and dryRun: false does not override it', () => {
+    const { dryRun } = config.server;
+    try {
+      expect(isDryRunRequested({})).toBe(false);
+      expect(isDryRunRequested({ dryRun: true })).toBe(true);
+      config.server.dryRun = true;
+      expect(isDryRunRequested({ dryRun: false })).toBe(true);
+    } finally {
+      config.server.dryRun = dryRun;
+    }
+  });
+
+  test('only the wrapped call is a dry run', async () => {
+    expect(isDryRun()).toBe(false);
+    await runWithDryRun(true, async () => {
+      expect(isDryRun()).toBe(true);
+      return { content: [{ type: 'text', text: '{}' }] };
+    });
+    await runWithDryRun(false, async () => expect(isDryRun()).toBe(false));
+  });
+});
+
+describe('tools in dry-run mode', () => {
+  let graph;
+  let apiBaseUrl;
+
+  beforeAll(async () => {
+    graph = await startFakeGraphServer();
+    apiBaseUrl = config.microsoft.apiBaseUrl;
+    config.microsoft.apiBaseUrl = graph.url;
+  });
+
+  afterAll(async () => {
+    config.microsoft.apiBaseUrl = apiBaseUrl;
+    await graph.stop();
+  });
+
+  beforeEach(() => {
+    graph.reset();
+  });
+
+  test('send_email previews the message without sending it', async () => {
+    const result = parseResponse(await withErrorHandling(sendEmailHandler, 'send_email')({
+      to: 'sarah.lee@contoso.com',
+      subject: 'Quarterly numbers',
+      body: 'Draft figures attached.',
+      dryRun: true
+    }));
+
+    expect(result).toMatchObject({
+      status: 'dry_run',
+      dryRun: true,
+      message: 'Dry run: no changes were made. 1 write operation(s) would have been sent to Microsoft Graph.',
+      preview: '1. Send email "Quarterly numbers" to sarah.lee@contoso.com',
+      requests: [{
+        method: 'POST',
+        url: `${graph.url}/me/sendMail`,
+        body: { message: expect.objectContaining({ subject: 'Quarterly numbers' }) }
+      }]
+    });
+    expect(graph.requests).toEqual([]);
+  });
+
+  test('move_emails previews each step of its batch', async () => {
+    const result = parseResponse(await withErrorHandling(moveEmailsHandler, 'move_emails')({
+      emailIds: ['AAMkMessage000000002', 'AAMkMessage000000003'],
+      destinationFolderId: 'archive',
+      dryRun: true
+    }));
+
+    expect(result.preview).toBe([
+      '1. Move message AAMkMessage000000002 to folder archive',
+      '2. Move message AAMkMessage000000003 to folder archive'
+    ].join('\n'));
+    expect(graph.requests).toEqual([]);
+  });
+
+  test('reads still reach Graph', async () => {
+    const result = parseResponse(await runWithDryRun(true, () => readEmailHandler({ id: 'AAMkMessage000000001' })));
+
+    expect(result).toMatchObject({ dryRun: true, email: { subject: 'Project X kickoff' } });
+    expect(graph.requests.map(request => request.url)).toEqual(['/me/messages/AAMkMessage000000001']);
+  });
+
+  test('a call that would write nothing keeps the handler answer', async () => {
+    const result = parseResponse(await withErrorHandling(sendEmailHandler, 'send_email')({ to: 'sarah.lee@contoso.com', body: 'Hi', dryRun: true }));
+
+    expect(result).toEqual({ status: 'error', message: 'Email subject is required', dryRun: true });
+  });
+
+  test('without dryRun the write is sent', async () => {
+    const result = parseResponse(await withErrorHandling(sendEmailHandler, 'send_email')({
+      to: 'sarah.lee@contoso.com',
+      subject: 'Quarterly numbers',
+      body: 'Draft figures attached.'
+    }));
+
+    expect(result.status).toBe('success');
+    expect(graph.requests.map(request => `${request.method} ${request.url}`)).toEqual(['POST /me/sendMail']);
+  });
+});
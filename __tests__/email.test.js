@@ -0,0 +1,185 @@
+const {
+  listEmailsHandler,
+  searchEmailsHandler,
+  readEmailHandler,
+  markEmailHandler,
+  sendEmailHandler,
+  createDraftHandler,
+  replyEmailHandler,
+  forwardEmailHandler,
+  getAttachmentHandler,
+  listAttachmentsHandler,
+  addAttachmentHandler,
+  deleteAttachmentHandler
+} = require('../email');
+const { scrub } = require('../utils/graph-cassette');
+const { recordFromFakeGraph, replayHandler } = require('../test/helpers');
+
+// Recipients as they appear in the scrubbed cassettes
+const SARAH = scrub('sarah.lee@contoso.com');
+const JOHN = scrub('john.smith@contoso.com');
+
+describe('email handlers', () => {
+  recordFromFakeGraph();
+
+  test('list_emails lists the inbox newest first', async () => {
+    const { result, requests } = await replayHandler(listEmailsHandler, { folderId: 'inbox', limit: 3 });
+
+    expect(requests).toContainEqual(expect.objectContaining({
+      method: 'GET',
+      path: '/me/mailFolders/inbox/messages',
+      query: { $orderby: 'receivedDateTime desc', $top: '3' }
+    }));
+    expect(result.emails.map(email => email.id)).toEqual(['AAMkMessage000000001', 'AAMkMessage000000002', 'AAMkMessage000000003']);
+    const received = result.emails.map(email => email.receivedDateTime);
+    expect([...received].sort().reverse()).toEqual(received);
+    expect(result.emails[0]).toMatchObject({ subject: 'Project X kickoff', hasAttachments: true });
+  });
+
+  test('search_emails finds matching messages', async () => {
+    const { result, requests } = await replayHandler(searchEmailsHandler, { query: 'invoice' });
+
+    expect(requests.map(request => `${request.method} ${request.path}`)).toEqual(['GET /me/messages', 'POST /$batch']);
+    expect(requests[0].query).toMatchObject({ $search: '"invoice"', $select: expect.stringMatching(/parentFolderId/) });
+    expect(result).toMatchObject({ status: 'success', query: 'invoice', totalResults: 1 });
+    expect(result.folderResults).toEqual([{
+      folderId: 'AAMkFolderInbox00001',
+      folderName: 'Inbox',
+      emails: [expect.objectContaining({ id: 'AAMkMessage000000002', subject: 'Invoice #4411 for October' })]
+    }]);
+  });
+
+  test('read_email returns the message body', async () => {
+    const { result, requests } = await replayHandler(readEmailHandler, { id: 'AAMkMessage000000001' });
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'GET', path: '/me/messages/AAMkMessage000000001' })]);
+    expect(result.status).toBe('success');
+    expect(result.email).toMatchObject({ id: 'AAMkMessage000000001', subject: 'Project X kickoff', hasAttachments: true });
+    expect(result.email.body.content).toContain('kickoff');
+  });
+
+  test('mark_email updates the read flag', async () => {
+    const { result, requests } = await replayHandler(markEmailHandler, { id: 'AAMkMessage000000001', isRead: true });
+
+    expect(requests).toEqual([expect.objectContaining({
+      method: 'PATCH',
+      path: '/me/messages/AAMkMessage000000001',
+      body: { isRead: true }
+    })]);
+    expect(result).toMatchObject({ status: 'success', emailId: 'AAMkMessage000000001', isRead: true });
+  });
+
+  test('send_email sends the message', async () => {
+    const { result, requests } = await replayHandler(sendEmailHandler, {
+      to: 'sarah.lee@contoso.com',
+      subject: 'Agenda',
+      body: 'See you at the kickoff.'
+    });
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'POST', path: '/me/sendMail' })]);
+    expect(requests[0].body).toMatchObject({
+      message: {
+        subject: 'Agenda',
+        body: { content: 'See you at the kickoff.' },
+        toRecipients: [{ emailAddress: { address: SARAH } }]
+      },
+      saveToSentItems: true
+    });
+    expect(result).toMatchObject({ status: 'success', subject: 'Agenda', recipientCount: { to: 1, cc: 0, bcc: 0 } });
+  });
+
+  test('create_draft returns the new draft', async () => {
+    const { result, requests } = await replayHandler(createDraftHandler, {
+      to: 'sarah.lee@contoso.com',
+      subject: 'Draft agenda',
+      body: 'Work in progress.'
+    });
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'POST', path: '/me/messages' })]);
+    expect(requests[0].body).toMatchObject({ subject: 'Draft agenda', isDraft: true, toRecipients: [{ emailAddress: { address: SARAH } }] });
+    expect(result.status).toBe('success');
+    expect(result.emailId).toMatch(/^AAMk/);
+  });
+
+  test('reply_email replies to the sender', async () => {
+    const { result, requests } = await replayHandler(replyEmailHandler, { emailId: 'AAMkMessage000000001', body: 'Thanks!' });
+
+    expect(requests.map(request => `${request.method} ${request.path}`)).toEqual([
+      'GET /me/messages/AAMkMessage000000001',
+      'POST /me/messages/AAMkMessage000000001/reply'
+    ]);
+    expect(requests[1].body).toMatchObject({ comment: 'Thanks!' });
+    expect(result).toMatchObject({ status: 'success', messageId: 'AAMkMessage000000001' });
+  });
+
+  test('forward_email forwards to the recipients', async () => {
+    const { result, requests } = await replayHandler(forwardEmailHandler, {
+      emailId: 'AAMkMessage000000002',
+      to: 'john.smith@contoso.com',
+      body: 'FYI'
+    });
+
+    expect(requests[1]).toMatchObject({
+      method: 'POST',
+      path: '/me/messages/AAMkMessage000000002/forward',
+      body: { toRecipients: [{ emailAddress: { address: JOHN } }], comment: 'FYI' }
+    });
+    expect(result).toMatchObject({ status: 'success', recipientCount: 1 });
+  });
+
+  test('list_attachments lists the attachments of a message', async () => {
+    const { result, requests } = await replayHandler(listAttachmentsHandler, { emailId: 'AAMkMessage000000001' });
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'GET', path: '/me/messages/AAMkMessage000000001/attachments' })]);
+    expect(result.status).toBe('success');
+    expect(result.attachments).toEqual([expect.objectContaining({ id: 'AAMkAttachment000001', name: 'agenda.txt', contentType: 'text/plain' })]);
+  });
+
+  test('get_attachment returns the attachment content', async () => {
+    const { result } = await replayHandler(getAttachmentHandler, {
+      emailId: 'AAMkMessage000000001',
+      attachmentId: 'AAMkAttachment000001'
+    });
+
+    expect(result.status).toBe('success');
+    expect(result.attachment).toMatchObject({ id: 'AAMkAttachment000001', name: 'agenda.txt', contentType: 'text/plain' });
+    expect(Buffer.from(result.attachment.contentBytes, 'base64').toString()).toContain('Introductions');
+  });
+
+  test('add_attachment attaches a file to the message', async () => {
+    const { result, requests } = await replayHandler(addAttachmentHandler, {
+      emailId: 'AAMkMessage000000001',
+      name: 'notes.txt',
+      contentBytes: Buffer.from('Notes').toString('base64'),
+      contentType: 'text/plain'
+    });
+
+    expect(requests).toEqual([expect.objectContaining({
+      method: 'POST',
+      path: '/me/messages/AAMkMessage000000001/attachments',
+      body: expect.objectContaining({ '@odata.type': '#microsoft.graph.fileAttachment', name: 'notes.txt', contentBytes: 'Tm90ZXM=' })
+    })]);
+    expect(result.status).toBe('success');
+    expect(result.attachmentId).toMatch(/^AAMk/);
+  });
+
+  test('delete_attachment removes the attachment', async () => {
+    const { result, requests } = await replayHandler(deleteAttachmentHandler, {
+      emailId: 'AAMkMessage000000001',
+      attachmentId: 'AAMkAttachment000001'
+    });
+
+    expect(requests).toEqual([expect.objectContaining({
+      method: 'DELETE',
+      path: '/me/messages/AAMkMessage000000001/attachments/AAMkAttachment000001'
+    })]);
+    expect(result).toMatchObject({ status: 'success', emailId: 'AAMkMessage000000001', attachmentId: 'AAMkAttachment000001' });
+  });
+
+  test('read_email reports a missing message as not_found', async () => {
+    const { result } = await replayHandler(readEmailHandler, { id: 'AAMkMissing' }, { cassette: 'read_email_not_found' });
+
+    expect(result.status).toBe('error');
+    expect(result.error).toMatchObject({ type: 'not_found', suggested_tool: 'list_emails' });
+  });
+});
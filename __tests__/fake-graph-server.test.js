@@ -0,0 +1,140 @@
+const config = require('../config');
+const { startFakeGraphServer } = require('../utils/fake-graph-server');
+const { listEmailsHandler, readEmailHandler, sendEmailHandler } = require('../email');
+const { listEventsHandler, getEventHandler, createEventHandler } = require('../calendar');
+const { listFoldersHandler, createFolderHandler, moveEmailsHandler } = require('../folder');
+const { parseResponse } = require('../test/helpers');
+
+// Run a handler and parse its response
+const run = async (handler, params = {}) => parseResponse(await handler(params));
+
+// Requests the fake server received for paths matching a pattern
+const requestsTo = (graph, pattern) => graph.requests.filter(request => pattern.test(request.url.split('?')[0]));
+
+describe('tools against the fake Graph server', () => {
+  let graph;
+  const saved = {};
+
+  beforeAll(async () => {
+    graph = await startFakeGraphServer();
+    saved.apiBaseUrl = config.microsoft.apiBaseUrl;
+    saved.retry = { ...config.retry };
+    // Any host but graph.microsoft.com sends test mode requests over HTTP
+    config.microsoft.apiBaseUrl = graph.url;
+    config.retry.baseDelayMs = 1;
+    config.retry.maxDelayMs = 5;
+  });
+
+  afterAll(async () => {
+    config.microsoft.apiBaseUrl = saved.apiBaseUrl;
+    Object.assign(config.retry, saved.retry);
+    await graph.stop();
+  });
+
+  beforeEach(() => {
+    graph.reset();
+  });
+
+  describe('email', () => {
+    test('list_emails pages through the inbox with nextLink', async () => {
+      const first = await run(listEmailsHandler, { folderId: 'inbox', limit: 2 });
+      expect(first.emails).toHaveLength(2);
+      expect(first.nextCursor).toEqual(expect.any(String));
+
+      const second = await run(listEmailsHandler, { cursor: first.nextCursor });
+      expect(second.emails).toHaveLength(1);
+      expect(second.nextCursor).toBeNull();
+
+      const ids = [...first.emails, ...second.emails].map(email => email.id);
+      expect(new Set(ids).size).toBe(3);
+      const pages = requestsTo(graph, /\/messages$/).map(request => request.url);
+      expect(pages).toHaveLength(2);
+      expect(pages[0]).not.toMatch(/skip/);
+      expect(pages[1]).toMatch(/%24skip=2/);
+    });
+
+    test('read_email returns the message', async () => {
+      const result = await run(readEmailHandler, { id: 'AAMkMessage000000002' });
+
+      expect(result.status).toBe('success');
+      expect(result.email.subject).toBe('Invoice #4411 for October');
+    });
+
+    test('send_email saves the message to Sent Items', async () => {
+      const sent = await run(sendEmailHandler, { to: 'sarah.lee@contoso.com', subject: 'Fake server check', body: 'Hello' });
+      expect(sent.status).toBe('success');
+
+      const result = await run(listEmailsHandler, { folderId: 'sentitems' });
+      expect(result.emails.map(email => email.subject)).toContain('Fake server check');
+    });
+  });
+
+  describe('calendar', () => {
+    test('create_event adds an event that get_event returns', async () => {
+      const created = await run(createEventHandler, {
+        subject: 'Design review',
+        start: '2030-03-04T13:00:00',
+        end: '2030-03-04T14:00:00',
+        attendees: ['john.smith@contoso.com']
+      });
+      expect(created.status).toBe('success');
+
+      const result = await run(getEventHandler, { eventId: created.eventId });
+      expect(result.event.subject).toBe('Design review');
+      expect(result.event.attendees.map(attendee => attendee.email)).toEqual(['john.smith@contoso.com']);
+    });
+
+    test('list_events reads the calendar view', async () => {
+      const result = await run(listEventsHandler, {});
+
+      expect(result.status).toBe('success');
+      expect(requestsTo(graph, /^\/me\/calendarView$/)).toHaveLength(1);
+    });
+  });
+
+  describe('folders', () => {
+    test('create_folder and move_emails change the mailbox', async () => {
+      const created = await run(createFolderHandler, { displayName: 'Receipts' });
+      expect(created.status).toBe('success');
+
+      const moved = await run(moveEmailsHandler, { emailIds: ['AAMkMessage000000002'], destinationFolderId: created.folder.id });
+      expect(moved.results).toEqual({ success: ['AAMkMessage000000002'], failed: [] });
+
+      const folders = await run(listFoldersHandler, {});
+      expect(folders.folders.find(folder => folder.id === created.folder.id)).toMatchObject({ name: 'Receipts', itemCount: 1 });
+    });
+  });
+
+  describe('faults', () => {
+    test('a throttled request is retried after Retry-After', async () => {
+      graph.injectFault({ status: 429, path: '/me/mailFolders/inbox/messages', retryAfter: 0 });
+
+      const result = await run(listEmailsHandler, { folderId: 'inbox' });
+
+      expect(result.emails).toHaveLength(3);
+      expect(requestsTo(graph, /\/messages$/).map(request => request.status)).toEqual([429, 200]);
+    });
+
+    test('a service outage surfaces as a retryable error once retries run out', async () => {
+      graph.injectFault({ status: 503, path: '/me/events/', times: Infinity });
+
+      const result = await run(getEventHandler, { eventId: 'AAMkEvent00000000001' });
+
+      expect(result.status).toBe('error');
+      expect(result.error).toMatchObject({ type: 'service_unavailable', retryable: true });
+      expect(requestsTo(graph, /^\/me\/events\//)).toHaveLength(config.retry.maxRetries + 1);
+    });
+
+    test('a failed item in a batch move is reported on its own', async () => {
+      graph.injectFault({ status: 404, method: 'POST', path: 'AAMkMessage000000003/move' });
+
+      const result = await run(moveEmailsHandler, {
+        emailIds: ['AAMkMessage000000002', 'AAMkMessage000000003'],
+        destinationFolderId: 'archive'
+      });
+
+      expect(result.results.success).toEqual(['AAMkMessage000000002']);
+      expect(result.results.failed).toEqual([expect.objectContaining({ id: 'AAMkMessage000000003', status: 404 })]);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const {
+  listFoldersHandler,
+  getFolderHandler,
+  createFolderHandler,
+  updateFolderHandler,
+  deleteFolderHandler,
+  moveEmailsHandler,
+  moveFolderHandler,
+  copyEmailsHandler
+} = require('../folder');
+const { recordFromFakeGraph, replayHandler } = require('../test/helpers');
+
+describe('folder handlers', () => {
+  recordFromFakeGraph();
+
+  test('list_folders lists the top-level folders', async () => {
+    const { result, requests } = await replayHandler(listFoldersHandler);
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'GET', path: '/me/mailFolders' })]);
+    expect(result.status).toBe('success');
+    expect(result.folders.map(folder => folder.name)).toEqual(expect.arrayContaining(['Inbox', 'Drafts', 'Sent Items']));
+    expect(result.folders.find(folder => folder.name === 'Inbox')).toMatchObject({ id: 'AAMkFolderInbox00001', childFolderCount: 2 });
+  });
+
+  test('get_folder resolves a well-known name and lists child folders', async () => {
+    const { result, requests } = await replayHandler(getFolderHandler, { folderId: 'inbox' });
+
+    expect(result.status).toBe('success');
+    expect(result.folder.id).toBe('AAMkFolderInbox00001');
+    expect(result.folder.childFolders.map(folder => folder.name)).toEqual(['Projects', 'Invoices']);
+    expect(requests.map(request => request.path)).toEqual([
+      '/me/mailFolders/inbox',
+      '/me/mailFolders/inbox/childFolders',
+      '/me/mailFolders/inbox/messages'
+    ]);
+  });
+
+  test('create_folder returns the new folder', async () => {
+    const { result, requests } = await replayHandler(createFolderHandler, { displayName: 'Receipts', parentFolderId: 'inbox' });
+
+    expect(requests).toEqual([expect.objectContaining({
+      method: 'POST',
+      path: '/me/mailFolders/inbox/childFolders',
+      body: { displayName: 'Receipts' }
+    })]);
+    expect(result.status).toBe('success');
+    expect(result.folder).toMatchObject({ id: expect.stringMatching(/^AAMk/), name: 'Receipts' });
+  });
+
+  test('update_folder renames the folder', async () => {
+    const { result, requests } = await replayHandler(updateFolderHandler, { folderId: 'AAMkFolderProjects01', displayName: 'Projects 2030' });
+
+    expect(requests).toEqual([expect.objectContaining({
+      method: 'PATCH',
+      path: '/me/mailFolders/AAMkFolderProjects01',
+      body: { displayName: 'Projects 2030' }
+    })]);
+    expect(result.status).toBe('success');
+    expect(result.folder).toEqual({ id: 'AAMkFolderProjects01', name: 'Projects 2030' });
+  });
+
+  test('move_emails moves every message', async () => {
+    const { result, requests } = await replayHandler(moveEmailsHandler, { emailIds: ['AAMkMessage000000002'], destinationFolderId: 'archive' });
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'POST', path: '/$batch' })]);
+    expect(requests[0].body.requests).toEqual([expect.objectContaining({
+      method: 'POST',
+      url: '/me/messages/AAMkMessage000000002/move',
+      body: { destinationId: 'archive' }
+    })]);
+    expect(result.status).toBe('success');
+    expect(result.results).toEqual({ success: ['AAMkMessage000000002'], failed: [] });
+  });
+
+  test('copy_emails copies every message', async () => {
+    const { result, requests } = await replayHandler(copyEmailsHandler, {
+      emailIds: ['AAMkMessage000000003', 'AAMkMessage000000004'],
+      destinationFolderId: 'archive'
+    });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].body.requests.map(request => request.url)).toEqual([
+      '/me/messages/AAMkMessage000000003/copy',
+      '/me/messages/AAMkMessage000000004/copy'
+    ]);
+    expect(result.status).toBe('success');
+    expect(result.results).toEqual({ success: ['AAMkMessage000000003', 'AAMkMessage000000004'], failed: [] });
+  });
+
+  test('move_folder moves the folder with its messages', async () => {
+    const { result, requests } = await replayHandler(moveFolderHandler, { folderId: 'AAMkFolderProjects01', destinationFolderId: 'archive' });
+
+    expect(result.status).toBe('success');
+    expect(result.newFolderId).toMatch(/^AAMk/);
+    expect(result.movedMessageCount).toBe(1);
+    expect(requests).toContainEqual(expect.objectContaining({
+      method: 'POST',
+      path: '/me/messages/AAMkMessage000000004/move',
+      body: { destinationId: result.newFolderId }
+    }));
+    expect(requests[requests.length - 1]).toMatchObject({ method: 'DELETE', path: '/me/mailFolders/AAMkFolderProjects01' });
+  });
+
+  test('delete_folder deletes the folder', async () => {
+    const { result, requests } = await replayHandler(deleteFolderHandler, { folderId: 'AAMkFolderInvoices01' });
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'DELETE', path: '/me/mailFolders/AAMkFolderInvoices01' })]);
+    expect(result).toMatchObject({ status: 'success', folderId: 'AAMkFolderInvoices01' });
+  });
+});
@@ -0,0 +1,212 @@
+const config = require('../config');
+const { classifyError, toTypedError, describeError, errorResponse, resourceForTool } = require('../utils/graph-errors');
+const { startFakeGraphServer } = require('../utils/fake-graph-server');
+const { withErrorHandling } = require('../index');
+const { readEmailHandler } = require('../email');
+const { parseResponse } = require('../test/helpers');
+
+// An error shaped like the ones the Graph transport raises
+const graphError = (status, code, extra = {}) => Object.assign(new Error(`Graph said ${code || status}`), {
+  name: 'GraphAPIError',
+  status,
+  code,
+  ...extra
+});
+
+// An error with a name, as handlers and helpers throw them
+const namedError = (name, message = 'Something went wrong') => Object.assign(new Error(message), { name });
+
+describe('error taxonomy', () => {
+  test.each([
+    ['404 ErrorItemNotFound', graphError(404, 'ErrorItemNotFound'), 'not_found'],
+    ['400 ErrorInvalidIdMalformed', graphError(400, 'ErrorInvalidIdMalformed'), 'invalid_id'],
+    ['400 ErrorFolderExists', graphError(400, 'ErrorFolderExists'), 'already_exists'],
+    ['403 ErrorSendAsDenied', graphError(403, 'ErrorSendAsDenied'), 'send_as_denied'],
+    ['404 MailboxNotEnabledForRESTAPI', graphError(404, 'MailboxNotEnabledForRESTAPI'), 'mailbox_unavailable'],
+    ['429 ApplicationThrottled', graphError(429, 'ApplicationThrottled'), 'throttled'],
+    ['an unlisted code with 412', graphError(412, 'PreconditionFailed'), 'conflict'],
+    ['an unlisted code with 413', graphError(413, 'RequestEntityTooLarge'), 'message_too_large'],
+    ['an unlisted code with 400', graphError(400, 'BadRequest'), 'invalid_request'],
+    ['an unlisted code with 504', graphError(504, 'GatewayTimeout'), 'service_unavailable'],
+    ['an unlisted status', graphError(418, 'Teapot'), 'api_error'],
+    ['a GraphAPIError without status', graphError(undefined, undefined), 'api_error'],
+    ['TokenExpiredError', namedError('TokenExpiredError'), 'authentication_error'],
+    ['FolderNotFoundError', namedError('FolderNotFoundError'), 'not_found'],
+    ['a dropped connection', Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 'service_unavailable'],
+    ['a TypeError', new TypeError('Cannot read properties of undefined'), 'internal_error']
+  ])('%s is %s', (label, error, type) => {
+    expect(classifyError(error).type).toBe(type);
+  });
+
+  test('the Graph code wins over the status, and a set errorType over both', () => {
+    expect(classifyError(graphError(400, 'ErrorQuotaExceeded')).type).toBe('quota_exceeded');
+    expect(classifyError(graphError(500, 'ErrorItemNotFound', { errorType: 'conflict' })).type).toBe('conflict');
+    expect(classifyError(graphError(500, 'ErrorItemNotFound', { errorType: 'no_such_type' })).type).toBe('not_found');
+  });
+
+  test('not-found errors name the resource and the tool that lists its IDs', () => {
+    expect(classifyError(graphError(404, 'ErrorItemNotFound'), 'event')).toMatchObject({
+      name: 'EventNotFoundError',
+      retryable: false,
+      message: 'Event not found. Call list_events first to get valid IDs.',
+      suggestedTool: 'list_events',
+      suggestedSequence: 'view_calendar_events'
+    });
+    expect(classifyError(graphError(404, 'ErrorItemNotFound'), 'draft')).toMatchObject({
+      message: 'Draft email not found. Call create_draft first to create a draft email.',
+      suggestedTool: 'create_draft'
+    });
+    expect(classifyError(graphError(404, 'ErrorItemNotFound'))).toMatchObject({
+      name: 'NotFoundError',
+      message: 'The item was not found. It may have been moved or deleted.',
+      suggestedTool: null
+    });
+  });
+
+  test('a named not-found error picks its own resource over the one given', () => {
+    expect(classifyError(namedError('RuleNotFoundError'), 'email')).toMatchObject({ name: 'RuleNotFoundError', suggestedTool: 'list_rules' });
+  });
+
+  test('throttling reports when to retry', () => {
+    const fromHeader = graphError(429, 'ApplicationThrottled', { response: { status: 429, headers: { 'retry-after': '7' } } });
+    const fromError = graphError(503, 'ServiceNotAvailable', { retryAfter: 12 });
+
+    expect(classifyError(fromHeader)).toMatchObject({ type: 'throttled', retryable: true, retryAfter: 7 });
+    expect(classifyError(fromError)).toMatchObject({ type: 'service_unavailable', retryable: true, retryAfter: 12 });
+    expect(classifyError(graphError(404, 'ErrorItemNotFound', { retryAfter: 12 })).retryAfter).toBeNull();
+  });
+
+  test('toTypedError keeps the message and the original error', () => {
+    const original = graphError(403, 'ErrorAccessDenied');
+
+    const typed = toTypedError(original, 'folder');
+
+    expect(typed).toBeInstanceOf(Error);
+    expect(typed).toMatchObject({
+      name: 'AccessDeniedError',
+      type: 'access_denied',
+      message: 'Graph said ErrorAccessDenied',
+      hint: expect.stringContaining('Access denied.'),
+      code: 'ErrorAccessDenied',
+      status: 403,
+      suggestedTool: 'check_auth_status',
+      cause: original
+    });
+  });
+
+  test('describeError leaves out what is not known', () => {
+    expect(describeError(new Error('boom'))).toEqual({
+      type: 'internal_error',
+      message: 'An unexpected error occurred. Please try again or check the server logs.',
+      retryable: false
+    });
+    expect(describeError(graphError(404, 'unknown'), 'email')).toEqual({
+      type: 'not_found',
+      message: 'Email not found. Call list_emails first to get valid IDs.',
+      status: 404,
+      retryable: false,
+      suggested_tool: 'list_emails',
+      suggested_sequence: 'view_emails'
+    });
+  });
+
+  test('errorResponse says what failed', () => {
+    expect(parseResponse(errorResponse(graphError(409, 'ErrorIrresolvableConflict'), 'update event', 'event'))).toEqual({
+      status: 'error',
+      message: 'Failed to update event: Graph said ErrorIrresolvableConflict',
+      error: expect.objectContaining({ type: 'conflict', code: 'ErrorIrresolvableConflict', retryable: true, suggested_tool: 'list_events' })
+    });
+  });
+
+  test('tools are mapped to the resource of their category', () => {
+    expect(resourceForTool(config.toolMetadata.read_email)).toBe('email');
+    expect(resourceForTool(config.toolMetadata.update_event)).toBe('event');
+    expect(resourceForTool(config.toolMetadata.get_server_metrics)).toBeNull();
+    expect(resourceForTool(undefined)).toBeNull();
+  });
+});
+
+describe('errors thrown by tools', () => {
+  const call = async (toolName, error, params = {}) => parseResponse(await withErrorHandling(async () => {
+    throw error;
+  }, toolName)(params));
+
+  test('authentication errors point to authenticate', async () => {
+    expect((await call('list_emails', namedError('AuthenticationError'))).error).toEqual({
+      type: 'authentication_error',
+      message: 'Authentication failed. Please re-authenticate using the authenticate tool.',
+      suggested_tool: 'authenticate',
+      suggested_sequence: 'None - authentication is a prerequisite'
+    });
+    expect((await call('list_emails', namedError('TokenExpiredError'))).error).toMatchObject({ type: 'token_expired', suggested_tool: 'authenticate' });
+  });
+
+  test('parameter errors suggest the prerequisite tools', async () => {
+    const error = Object.assign(namedError('ParameterError', 'id is required'), { toolName: 'read_email' });
+
+    expect((await call('read_email', error)).error).toMatchObject({
+      type: 'parameter_error',
+      message: 'Invalid parameters: id is required',
+      tool_dependencies: config.toolMetadata.read_email.dependencies,
+      suggested_workflow: { sequence: ['check_auth_status', ...config.toolMetadata.read_email.dependencies, 'read_email'] }
+    });
+    expect((await call('read_email', namedError('ParameterError', 'id is required'))).error).toEqual({
+      type: 'parameter_error',
+      message: 'Invalid parameters: id is required'
+    });
+  });
+
+  test('Graph errors are classified for the tool', async () => {
+    const result = await call('update_event', graphError(404, 'ErrorItemNotFound'));
+
+    expect(result).toEqual({
+      status: 'error',
+      error: expect.objectContaining({ type: 'not_found', code: 'ErrorItemNotFound', suggested_tool: 'list_events' })
+    });
+  });
+
+  test('unexpected errors do not leak their message', async () => {
+    const result = await call('list_emails', new TypeError('Cannot read properties of undefined (reading \'secret\')'));
+
+    expect(result).toEqual({
+      error: {
+        type: 'internal_error',
+        message: 'An unexpected error occurred. Please try again or check the server logs.'
+      }
+    });
+  });
+
+  describe('against Graph', () => {
+    let graph;
+    let apiBaseUrl;
+
+    beforeAll(async () => {
+      graph = await startFakeGraphServer();
+      apiBaseUrl = config.microsoft.apiBaseUrl;
+      config.microsoft.apiBaseUrl = graph.url;
+    });
+
+    afterAll(async () => {
+      config.microsoft.apiBaseUrl = apiBaseUrl;
+      await graph.stop();
+    });
+
+    beforeEach(() => {
+      graph.reset();
+    });
+
+    test('read_email of a missing message suggests list_emails', async () => {
+      const result = parseResponse(await withErrorHandling(readEmailHandler, 'read_email')({ id: 'AAMkMissing' }));
+
+      expect(result.error).toMatchObject({ type: 'not_found', status: 404, retryable: false, suggested_tool: 'list_emails' });
+    });
+
+    test('read_email without access reports access_denied', async () => {
+      graph.injectFault({ status: 403, path: '/me/messages/' });
+
+      const result = parseResponse(await withErrorHandling(readEmailHandler, 'read_email')({ id: 'AAMkMessage000000001' }));
+
+      expect(result.error).toMatchObject({ type: 'access_denied', code: 'ErrorAccessDenied', suggested_tool: 'check_auth_status' });
+    });
+  });
+});
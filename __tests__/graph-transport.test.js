@@ -0,0 +1,232 @@
+const http = require('http');
+const config = require('../config');
+const {
+  GraphTransport,
+  createGraphTransport,
+  toGraphError,
+  graphEndpoint,
+  sendHttp,
+  authMiddleware,
+  cacheMiddleware
+} = require('../utils/graph-transport');
+
+jest.mock('../auth/auth-service', () => {
+  const authService = { getTokenSilently: jest.fn() };
+  return { getAuthService: () => authService };
+});
+const { getAuthService } = require('../auth/auth-service');
+
+// Middleware that notes its name on the way in and out
+const tracer = (name, trace) => async (request, next) => {
+  trace.push(`${name}>`);
+  const response = await next(request);
+  trace.push(`<${name}`);
+  return response;
+};
+
+describe('GraphTransport', () => {
+  test('runs middleware outermost first around the terminal handler', async () => {
+    const trace = [];
+    const transport = new GraphTransport(async () => {
+      trace.push('terminal');
+      return { status: 200, body: { ok: true } };
+    })
+      .use('a', tracer('a', trace))
+      .use('c', tracer('c', trace))
+      .insertBefore('c', 'b', tracer('b', trace));
+
+    const response = await transport.send({ path: '/me' });
+
+    expect(response.body).toEqual({ ok: true });
+    expect(trace).toEqual(['a>', 'b>', 'c>', 'terminal', '<c', '<b', '<a']);
+  });
+
+  test('removes middleware by name and rejects unknown names', () => {
+    const transport = new GraphTransport().use('a', jest.fn()).use('b', jest.fn()).remove('a');
+
+    expect(transport.middleware.map(entry => entry.name)).toEqual(['b']);
+    expect(() => transport.insertBefore('missing', 'c', jest.fn())).toThrow("No Graph middleware named 'missing'");
+  });
+
+  test('the default stack is in the documented order', () => {
+    expect(createGraphTransport().middleware.map(entry => entry.name)).toEqual([
+      'mailbox', 'dryRun', 'logging', 'rateLimit', 'cache', 'retry', 'auth', 'metrics', 'cassette', 'testMode'
+    ]);
+  });
+
+  test('the fluent client sends method, path, query and body', async () => {
+    const terminal = jest.fn().mockResolvedValue({ status: 201, body: { id: 'new' } });
+    const client = new GraphTransport(terminal).client('sarah', 'email');
+
+    const body = await client.api('/me/messages').select(['id', 'subject']).top(5).post({ subject: 'Hi' });
+
+    expect(body).toEqual({ id: 'new' });
+    expect(terminal).toHaveBeenCalledWith(expect.objectContaining({
+      method: 'POST',
+      path: '/me/messages',
+      query: { $select: 'id,subject', $top: '5' },
+      body: { subject: 'Hi' },
+      userId: 'sarah',
+      feature: 'email'
+    }));
+  });
+
+  test('strips the API base URL from absolute paths', async () => {
+    const terminal = jest.fn().mockResolvedValue({ status: 200, body: {} });
+
+    await new GraphTransport(terminal).client().api(`${config.microsoft.apiBaseUrl}/me/events`).get();
+
+    expect(terminal.mock.calls[0][0].path).toBe('/me/events');
+  });
+
+  test('turns an error status into a typed error once', async () => {
+    const transport = new GraphTransport(async () => ({
+      status: 404,
+      headers: {},
+      body: { error: { code: 'ErrorItemNotFound', message: 'Not found.' } }
+    }));
+
+    await expect(transport.send({ path: '/me/messages/x' })).rejects.toMatchObject({
+      name: 'GraphAPIError',
+      statusCode: 404,
+      code: 'ErrorItemNotFound',
+      message: 'Not found.'
+    });
+  });
+});
+
+describe('toGraphError', () => {
+  test('names throttling and authentication failures', () => {
+    expect(toGraphError({ status: 429, headers: { 'Retry-After': '7' }, body: {} })).toMatchObject({ name: 'ThrottlingError', retryAfter: 7 });
+    expect(toGraphError({ status: 401, body: {} })).toMatchObject({ name: 'AuthenticationError', statusCode: 401 });
+    expect(toGraphError({ status: 500 })).toMatchObject({ name: 'GraphAPIError', code: 'unknown', message: 'Graph request failed with status 500' });
+  });
+});
+
+describe('graphEndpoint', () => {
+  test.each([
+    ['/me/messages/AAMkMessage000000001/attachments', '/me/messages/{id}/attachments'],
+    ['/me/mailFolders/inbox/messages', '/me/mailFolders/inbox/messages'],
+    ['/users/sarah@contoso.com/messages/delta', '/users/{id}/messages/delta'],
+    ['https://graph.microsoft.com/v1.0/me/events/AAMkEvent1?$top=5', '/me/events/{id}']
+  ])('%s is counted as %s', (requestPath, endpoint) => {
+    expect(graphEndpoint(requestPath)).toBe(endpoint);
+  });
+});
+
+describe('authMiddleware', () => {
+  const authService = getAuthService();
+
+  beforeEach(() => {
+    authService.getTokenSilently.mockReset();
+  });
+
+  test('attaches the bearer token', async () => {
+    authService.getTokenSilently.mockResolvedValue('token-1');
+    const next = jest.fn().mockResolvedValue({ status: 200 });
+
+    await authMiddleware()({ method: 'GET', path: '/me', headers: {} }, next);
+
+    expect(next.mock.calls[0][0].headers.Authorization).toBe('Bearer token-1');
+  });
+
+  test('refreshes the token and retries once on a 401', async () => {
+    authService.getTokenSilently.mockImplementation(async force => (force ? 'token-2' : 'token-1'));
+    const next = jest.fn().mockResolvedValueOnce({ status: 401 }).mockResolvedValue({ status: 200 });
+
+    const response = await authMiddleware()({ method: 'GET', path: '/me', headers: {} }, next);
+
+    expect(response.status).toBe(200);
+    expect(next.mock.calls.map(([request]) => request.headers.Authorization)).toEqual(['Bearer token-1', 'Bearer token-2']);
+  });
+
+  test('fails without a cached token', async () => {
+    authService.getTokenSilently.mockResolvedValue(null);
+
+    await expect(authMiddleware()({ method: 'GET', path: '/me', headers: {} }, jest.fn())).rejects.toMatchObject({ name: 'AuthenticationError' });
+  });
+});
+
+describe('cacheMiddleware', () => {
+  let ttl;
+
+  beforeAll(() => {
+    ttl = config.cache.ttlSeconds;
+    config.cache.ttlSeconds = 60;
+  });
+
+  afterAll(() => {
+    config.cache.ttlSeconds = ttl;
+  });
+
+  test('serves repeated reads per account until that account writes', async () => {
+    const cache = cacheMiddleware();
+    const next = jest.fn().mockResolvedValue({ status: 200, body: { value: [] } });
+    const read = userId => cache({ method: 'GET', path: '/me/messages', query: {}, userId }, next);
+
+    await read('sarah');
+    await read('sarah');
+    await read('john');
+    expect(next).toHaveBeenCalledTimes(2);
+
+    await cache({ method: 'PATCH', path: '/me/messages/1', query: {}, userId: 'sarah' }, next);
+    await read('sarah');
+    await read('john');
+    expect(next).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe('sendHttp', () => {
+  let server;
+  let apiBaseUrl;
+  let received;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received = { method: req.method, url: req.url, body };
+        res.writeHead(200, { 'Content-Type': 'application/json', 'request-id': 'abc' });
+        res.end(JSON.stringify({ ok: true }));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      apiBaseUrl = config.microsoft.apiBaseUrl;
+      config.microsoft.apiBaseUrl = `http://127.0.0.1:${server.address().port}/v1.0`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    config.microsoft.apiBaseUrl = apiBaseUrl;
+    server.close(done);
+  });
+
+  test('encodes the query with %20 and sends JSON', async () => {
+    const response = await sendHttp({
+      method: 'POST',
+      path: '/me/messages',
+      query: { $filter: "subject eq 'a b'" },
+      body: { subject: 'a b' },
+      headers: {}
+    });
+
+    expect(response).toMatchObject({ status: 200, body: { ok: true }, headers: expect.objectContaining({ 'request-id': 'abc' }) });
+    expect(received).toEqual({
+      method: 'POST',
+      url: '/v1.0/me/messages?%24filter=subject%20eq%20\'a%20b\'',
+      body: JSON.stringify({ subject: 'a b' })
+    });
+  });
+
+  test('wraps a refused connection in a NetworkError', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const port = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+
+    await expect(sendHttp({ method: 'GET', path: `http://127.0.0.1:${port}/v1.0/me`, query: {}, headers: {} }))
+      .rejects.toMatchObject({ name: 'NetworkError', code: 'ECONNREFUSED' });
+  });
+});
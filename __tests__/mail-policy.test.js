@@ -0,0 +1,209 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { evaluatePolicy, loadMailPolicy, enforceMailPolicy } = require('../email/policy');
+const { startFakeGraphServer } = require('../utils/fake-graph-server');
+const { sendEmailHandler, createDraftHandler, replyEmailHandler, forwardEmailHandler } = require('../email');
+const { parseResponse } = require('../test/helpers');
+
+// Rules that evaluatePolicy reports
+const rules = violations => violations.map(violation => violation.rule);
+
+describe('evaluatePolicy', () => {
+  test('allows recipients in the allowed domains and their subdomains', () => {
+    const policy = { allowedRecipientDomains: ['contoso.com'] };
+
+    expect(evaluatePolicy(policy, 'send', { recipients: ['sarah.lee@contoso.com', 'ops@eu.contoso.com'] })).toEqual([]);
+    expect(evaluatePolicy(policy, 'send', { recipients: ['sarah.lee@contoso.com', 'x@notcontoso.com', 'billing@fabrikam.com'] }))
+      .toEqual([expect.objectContaining({ rule: 'allowedRecipientDomains', recipients: ['x@notcontoso.com', 'billing@fabrikam.com'] })]);
+  });
+
+  test('blocks recipients in blocked domains', () => {
+    const violations = evaluatePolicy({ blockedRecipientDomains: ['gmail.com'] }, 'send', { recipients: ['someone@GMAIL.com'] });
+
+    expect(violations).toEqual([expect.objectContaining({ rule: 'blockedRecipientDomains', recipients: ['someone@GMAIL.com'] })]);
+  });
+
+  test('limits the number of recipients', () => {
+    const violations = evaluatePolicy({ maxRecipients: 2 }, 'send', { recipients: ['a@contoso.com', 'b@contoso.com', 'c@contoso.com'] });
+
+    expect(violations).toEqual([expect.objectContaining({ rule: 'maxRecipients', recipientCount: 3, limit: 2 })]);
+  });
+
+  test('blocks forwarding outside the internal domains, and only forwarding', () => {
+    const policy = { blockExternalForwarding: true, internalDomains: ['contoso.com'] };
+    const message = { recipients: ['billing@fabrikam.com'] };
+
+    expect(rules(evaluatePolicy(policy, 'forward', message))).toEqual(['blockExternalForwarding']);
+    expect(evaluatePolicy(policy, 'send', message)).toEqual([]);
+  });
+
+  test('requires the subject prefix on new messages only', () => {
+    const policy = { requiredSubjectPrefix: '[Contoso]' };
+
+    expect(rules(evaluatePolicy(policy, 'send', { subject: 'Quarterly numbers' }))).toEqual(['requiredSubjectPrefix']);
+    expect(rules(evaluatePolicy(policy, 'draft', { subject: 'Quarterly numbers' }))).toEqual(['requiredSubjectPrefix']);
+    expect(evaluatePolicy(policy, 'send', { subject: ' [contoso] Quarterly numbers' })).toEqual([]);
+    expect(evaluatePolicy(policy, 'reply', { subject: 'RE: Quarterly numbers' })).toEqual([]);
+  });
+
+  test('finds blocked keywords as whole words, outside HTML markup', () => {
+    const policy = { blockedKeywords: ['password', 'top secret'] };
+
+    expect(evaluatePolicy(policy, 'send', { subject: 'Reset', body: 'Your PASSWORD is below' })[0].keywords).toEqual(['password']);
+    expect(evaluatePolicy(policy, 'send', { body: '<p>This is Top Secret.</p>' })[0].keywords).toEqual(['top secret']);
+    expect(evaluatePolicy(policy, 'send', { body: 'passwords and passwordless sign-in' })).toEqual([]);
+    expect(evaluatePolicy(policy, 'send', { body: '<input type="password">Hello' })).toEqual([]);
+  });
+});
+
+describe('policy file', () => {
+  let dir;
+  let policyPath;
+
+  const writePolicy = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    config.email.policyPath = file;
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-policy-'));
+    policyPath = config.email.policyPath;
+  });
+
+  afterEach(() => {
+    config.email.policyPath = policyPath;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('no path means no policy', () => {
+    config.email.policyPath = '';
+
+    expect(loadMailPolicy()).toBeNull();
+    expect(enforceMailPolicy('send', { recipients: ['someone@gmail.com'] })).toBeNull();
+  });
+
+  test('normalizes domains', () => {
+    writePolicy('policy.json', { allowedRecipientDomains: [' *.Contoso.COM '], maxRecipients: 5 });
+
+    expect(loadMailPolicy()).toEqual({ allowedRecipientDomains: ['contoso.com'], maxRecipients: 5 });
+  });
+
+  test('re-reads the file when it changes', () => {
+    const file = writePolicy('policy.json', { maxRecipients: 5 });
+    expect(loadMailPolicy().maxRecipients).toBe(5);
+
+    fs.writeFileSync(file, JSON.stringify({ maxRecipients: 10 }));
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(file, later, later);
+
+    expect(loadMailPolicy().maxRecipients).toBe(10);
+  });
+
+  test.each([
+    ['{"maxRecipients": ', 'Unexpected end of JSON input'],
+    [[], 'the policy must be a JSON object'],
+    [{ maxRecipeints: 5 }, 'unknown policy field "maxRecipeints"'],
+    [{ maxRecipients: 0 }, '"maxRecipients" must be a positive integer'],
+    [{ blockedKeywords: ['ok', ''] }, '"blockedKeywords" must be an array of non-empty strings'],
+    [{ requiredSubjectPrefix: 5 }, '"requiredSubjectPrefix" must be a string'],
+    [{ blockExternalForwarding: true }, '"blockExternalForwarding" needs "internalDomains"']
+  ])('rejects %j', (content, message) => {
+    const file = writePolicy('invalid.json', content);
+
+    expect(() => loadMailPolicy()).toThrow(`Invalid mail policy ${file}: `);
+    expect(() => loadMailPolicy()).toThrow(message);
+  });
+
+  test('blocks mail while the policy cannot be loaded', () => {
+    config.email.policyPath = path.join(dir, 'missing.json');
+
+    const result = parseResponse(enforceMailPolicy('send', { recipients: ['sarah.lee@contoso.com'] }));
+
+    expect(result.error).toMatchObject({ type: 'policy_violation', violations: [expect.objectContaining({ rule: 'policyFile' })] });
+  });
+});
+
+describe('mail tools under a policy', () => {
+  let graph;
+  let dir;
+  let saved;
+
+  const usePolicy = policy => {
+    const file = path.join(dir, `policy-${Date.now()}-${Math.random()}.json`);
+    fs.writeFileSync(file, JSON.stringify(policy));
+    config.email.policyPath = file;
+  };
+  const calls = () => graph.requests.map(request => `${request.method} ${request.url.split('?')[0]}`);
+  const run = async (handler, params) => parseResponse(await handler(params));
+
+  beforeAll(async () => {
+    graph = await startFakeGraphServer();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-policy-tools-'));
+    saved = { apiBaseUrl: config.microsoft.apiBaseUrl, policyPath: config.email.policyPath };
+    config.microsoft.apiBaseUrl = graph.url;
+  });
+
+  afterAll(async () => {
+    config.microsoft.apiBaseUrl = saved.apiBaseUrl;
+    config.email.policyPath = saved.policyPath;
+    fs.rmSync(dir, { recursive: true, force: true });
+    await graph.stop();
+  });
+
+  beforeEach(() => {
+    graph.reset();
+  });
+
+  test('send_email to a blocked domain never reaches Graph', async () => {
+    usePolicy({ blockedRecipientDomains: ['gmail.com'] });
+
+    const result = await run(sendEmailHandler, { to: 'sarah.lee@contoso.com, someone@gmail.com', subject: 'Hi', body: 'Hello' });
+
+    expect(result.error).toMatchObject({
+      type: 'policy_violation',
+      message: 'Blocked by the outbound mail policy: Recipients in blocked domains: someone@gmail.com'
+    });
+    expect(calls()).toEqual([]);
+  });
+
+  test('create_draft needs the subject prefix', async () => {
+    usePolicy({ requiredSubjectPrefix: '[Contoso]' });
+
+    expect((await run(createDraftHandler, { to: 'sarah.lee@contoso.com', subject: 'Hi', body: 'Hello' })).error.type).toBe('policy_violation');
+    expect((await run(createDraftHandler, { to: 'sarah.lee@contoso.com', subject: '[Contoso] Hi', body: 'Hello' })).status).toBe('success');
+  });
+
+  test('reply_email checks the original sender', async () => {
+    usePolicy({ allowedRecipientDomains: ['contoso.com'] });
+
+    const result = await run(replyEmailHandler, { messageId: 'AAMkMessage000000002', body: 'Paid, thanks.' });
+
+    expect(result.error.violations).toEqual([expect.objectContaining({ rule: 'allowedRecipientDomains', recipients: ['billing@fabrikam.com'] })]);
+    expect(calls()).toEqual(['GET /me/messages/AAMkMessage000000002']);
+  });
+
+  test('reply_email with replyAll checks everyone on the original', async () => {
+    usePolicy({ maxRecipients: 2 });
+
+    const result = await run(replyEmailHandler, { messageId: 'AAMkMessage000000001', body: 'Thanks!', replyAll: true });
+
+    // Sarah Lee, Test User and John Smith
+    expect(result.error.violations).toEqual([expect.objectContaining({ rule: 'maxRecipients', recipientCount: 3 })]);
+  });
+
+  test('forward_email checks the forwarded content and external recipients', async () => {
+    usePolicy({ blockedKeywords: ['invoice'], blockExternalForwarding: true, internalDomains: ['contoso.com'] });
+
+    const result = await run(forwardEmailHandler, { messageId: 'AAMkMessage000000002', to: 'maria.garcia@fabrikam.com' });
+
+    expect(result.error.violations.map(violation => violation.rule)).toEqual(['blockExternalForwarding', 'blockedKeywords']);
+    expect(calls()).toEqual(['GET /me/messages/AAMkMessage000000002']);
+
+    const allowed = await run(forwardEmailHandler, { messageId: 'AAMkMessage000000003', to: 'sarah.lee@contoso.com' });
+    expect(allowed.status).toBe('success');
+  });
+});
@@ -0,0 +1,127 @@
+const config = require('../config');
+const { runWithMailbox, getTargetMailbox, routeToMailbox, mailboxMiddleware } = require('../utils/mailbox-routing');
+const { startFakeGraphServer } = require('../utils/fake-graph-server');
+const { readEmailHandler } = require('../email');
+const { moveEmailsHandler } = require('../folder');
+const { parseResponse } = require('../test/helpers');
+
+describe('routeToMailbox', () => {
+  test.each([
+    ['/me/messages', '/users/shared@contoso.com/messages'],
+    ['/me', '/users/shared@contoso.com'],
+    ['me/mailFolders/inbox', 'users/shared@contoso.com/mailFolders/inbox'],
+    ['/me?$select=mail', '/users/shared@contoso.com?$select=mail'],
+    ['https://graph.microsoft.com/v1.0/me/events?$skip=10', 'https://graph.microsoft.com/v1.0/users/shared@contoso.com/events?$skip=10'],
+    ['/users/other@contoso.com/messages', '/users/other@contoso.com/messages'],
+    ['/messages/me', '/messages/me'],
+    ['/meetings', '/meetings']
+  ])('%s becomes %s', (requestPath, routed) => {
+    expect(routeToMailbox(requestPath, 'shared@contoso.com')).toBe(routed);
+  });
+
+  test('encodes the mailbox but keeps @ readable', () => {
+    expect(routeToMailbox('/me/messages', 'o\'brien/x@contoso.com')).toBe('/users/o\'brien%2Fx@contoso.com/messages');
+  });
+
+  test('leaves the path alone without a mailbox', () => {
+    expect(routeToMailbox('/me/messages', null)).toBe('/me/messages');
+  });
+});
+
+describe('runWithMailbox', () => {
+  test('sets the target for the call and treats me and blanks as the signed-in mailbox', async () => {
+    expect(getTargetMailbox()).toBeNull();
+    await runWithMailbox(' shared@contoso.com ', async () => {
+      expect(getTargetMailbox()).toBe('shared@contoso.com');
+    });
+    await runWithMailbox('me', async () => expect(getTargetMailbox()).toBeNull());
+    await runWithMailbox('', async () => expect(getTargetMailbox()).toBeNull());
+  });
+});
+
+describe('mailboxMiddleware', () => {
+  const middleware = mailboxMiddleware();
+  const next = jest.fn(async request => ({ status: 200, request }));
+  let authMode;
+
+  beforeEach(() => {
+    next.mockClear();
+    authMode = config.microsoft.authMode;
+  });
+
+  afterEach(() => {
+    config.microsoft.authMode = authMode;
+  });
+
+  test('routes /me requests of the current tool call', async () => {
+    await runWithMailbox('shared@contoso.com', () => middleware({ method: 'GET', path: '/me/messages' }, next));
+
+    expect(next.mock.calls[0][0].path).toBe('/users/shared@contoso.com/messages');
+  });
+
+  test('routes every /me step of a batch', async () => {
+    const body = { requests: [{ id: '0', url: '/me/messages/1/move' }, { id: '1', url: '/users/x/messages/2/move' }] };
+
+    await runWithMailbox('shared@contoso.com', () => middleware({ method: 'POST', path: '/$batch', body }, next));
+
+    expect(next.mock.calls[0][0].body.requests.map(item => item.url)).toEqual([
+      '/users/shared@contoso.com/messages/1/move',
+      '/users/x/messages/2/move'
+    ]);
+    // The caller's body is not modified
+    expect(body.requests[0].url).toBe('/me/messages/1/move');
+  });
+
+  test('a mailbox on the request wins over the tool call', async () => {
+    await runWithMailbox('shared@contoso.com', () => middleware({ method: 'GET', path: '/me', mailbox: 'me' }, next));
+
+    expect(next.mock.calls[0][0].path).toBe('/me');
+  });
+
+  test('app-only mode rejects /me requests without a mailbox', async () => {
+    config.microsoft.authMode = 'app';
+
+    await expect(middleware({ method: 'GET', path: '/me/messages' }, next)).rejects.toMatchObject({ name: 'ParameterError' });
+    await expect(middleware({ method: 'POST', path: '/$batch', body: { requests: [{ id: '0', url: '/me/messages/1' }] } }, next))
+      .rejects.toMatchObject({ name: 'ParameterError' });
+    await middleware({ method: 'GET', path: '/users/shared@contoso.com/messages' }, next);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('tools against another mailbox', () => {
+  let graph;
+  let apiBaseUrl;
+
+  beforeAll(async () => {
+    graph = await startFakeGraphServer();
+    apiBaseUrl = config.microsoft.apiBaseUrl;
+    config.microsoft.apiBaseUrl = graph.url;
+  });
+
+  afterAll(async () => {
+    config.microsoft.apiBaseUrl = apiBaseUrl;
+    await graph.stop();
+  });
+
+  beforeEach(() => {
+    graph.reset();
+  });
+
+  test('read_email reads from /users/{mailbox}', async () => {
+    const result = parseResponse(await runWithMailbox('shared@contoso.com', () => readEmailHandler({ id: 'AAMkMessage000000001' })));
+
+    expect(result.email.subject).toBe('Project X kickoff');
+    expect(graph.requests.map(request => request.url)).toEqual(['/users/shared@contoso.com/messages/AAMkMessage000000001']);
+  });
+
+  test('move_emails routes the steps of its batch', async () => {
+    const result = parseResponse(await runWithMailbox('shared@contoso.com', () => moveEmailsHandler({
+      emailIds: ['AAMkMessage000000002'],
+      destinationFolderId: 'archive'
+    })));
+
+    expect(result.results.success).toEqual(['AAMkMessage000000002']);
+    expect(graph.requests.map(request => request.url)).toEqual(['/$batch', '/users/shared@contoso.com/messages/AAMkMessage000000002/move']);
+  });
+});
@@ -0,0 +1,211 @@
+const http = require('http');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { McpHttpServer, startMcpHttpServer } = require('../utils/mcp-http-server');
+const { createServer } = require('../index');
+const { parseResponse } = require('../test/helpers');
+
+const TOKEN = 'test-bearer-token';
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'raw-client', version: '1.0.0' } }
+};
+
+/**
+ * Send a request with full control over the headers, Host included
+ * @param {string} url - Request URL
+ * @param {Object} [options] - { method, headers, body }
+ * @returns {Promise<Object>} - { status, headers, body }
+ */
+function send(url, { method = 'POST', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(url, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        accept: 'application/json, text/event-stream',
+        ...headers
+      }
+    }, response => {
+      let text = '';
+      response.on('data', chunk => { text += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: text }));
+    });
+    request.on('error', reject);
+    request.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+const bearer = (token = TOKEN) => ({ authorization: `Bearer ${token}` });
+
+/**
+ * Connect an MCP client over Streamable HTTP
+ * @param {string} url - Base URL of the host
+ * @returns {Promise<Object>} - { client, transport }
+ */
+async function connectClient(url) {
+  const transport = new StreamableHTTPClientTransport(new URL(`${url}/mcp`), { requestInit: { headers: bearer() } });
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  await client.connect(transport);
+  return { client, transport };
+}
+
+describe('McpHttpServer options', () => {
+  test('needs a bearer token', () => {
+    expect(() => new McpHttpServer(createServer, {})).toThrow('MCP_HTTP_AUTH_TOKEN must be set');
+  });
+
+  test('needs allowed hosts when not bound to localhost', () => {
+    expect(() => new McpHttpServer(createServer, { authToken: TOKEN, host: '0.0.0.0' })).toThrow('MCP_HTTP_ALLOWED_HOSTS must be set');
+    expect(new McpHttpServer(createServer, { authToken: TOKEN, host: 'localhost' }).checkHost).toBe(false);
+  });
+});
+
+describe('MCP over HTTP', () => {
+  let host;
+
+  beforeAll(async () => {
+    host = await startMcpHttpServer(createServer, { authToken: TOKEN, port: 0, metricsPath: '/metrics' });
+  });
+
+  afterAll(async () => {
+    await host.stop();
+  });
+
+  test.each([
+    ['no token', {}],
+    ['a wrong token', bearer('wrong-token')],
+    ['another scheme', { authorization: `Basic ${TOKEN}` }]
+  ])('rejects a request with %s', async (name, headers) => {
+    const response = await send(`${host.url}/mcp`, { headers, body: INITIALIZE });
+
+    expect(response.status).toBe(401);
+    expect(response.headers['www-authenticate']).toBe('Bearer realm="mcp"');
+    expect(JSON.parse(response.body).error.code).toBe(-32001);
+    expect(host.sessions.size).toBe(0);
+  });
+
+  test('the metrics endpoint needs the token too', async () => {
+    expect((await send(`${host.url}/metrics`, { method: 'GET' })).status).toBe(401);
+
+    const response = await send(`${host.url}/metrics`, { method: 'GET', headers: bearer() });
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain/);
+  });
+
+  test('asks for initialize before anything else', async () => {
+    const body = { jsonrpc: '2.0', id: 2, method: 'tools/list' };
+
+    expect((await send(`${host.url}/mcp`, { headers: bearer(), body })).status).toBe(400);
+    expect((await send(`${host.url}/mcp`, { headers: { ...bearer(), 'mcp-session-id': 'unknown' }, body })).status).toBe(404);
+  });
+
+  test('answers malformed JSON with a parse error', async () => {
+    const response = await new Promise((resolve, reject) => {
+      const request = http.request(`${host.url}/mcp`, { method: 'POST', headers: { ...bearer(), 'content-type': 'application/json' } }, resolve);
+      request.on('error', reject);
+      request.end('{"jsonrpc":');
+    });
+    response.resume();
+
+    expect(response.statusCode).toBe(400);
+  });
+
+  test('each session gets a server with every registered tool', async () => {
+    const first = await connectClient(host.url);
+    const second = await connectClient(host.url);
+
+    try {
+      expect(host.sessions.size).toBe(2);
+      const { tools } = await first.client.listTools();
+      expect(tools.map(tool => tool.name)).toEqual(expect.arrayContaining(['read_email', 'list_events', 'get_server_metrics', 'get_sequence']));
+      expect((await second.client.listTools()).tools).toHaveLength(tools.length);
+      expect((await first.client.listPrompts()).prompts.map(prompt => prompt.name)).toContain('calendar_availability');
+      expect((await first.client.listResources()).resources.map(resource => resource.uri)).toContain('outlook://tool-relationships');
+    } finally {
+      await first.transport.terminateSession();
+      await second.transport.terminateSession();
+      await first.client.close();
+      await second.client.close();
+    }
+    expect(host.sessions.size).toBe(0);
+  });
+
+  test('tool calls run through the tool wrapper', async () => {
+    const { client, transport } = await connectClient(host.url);
+
+    try {
+      const result = parseResponse(await client.callTool({ name: 'read_email', arguments: { id: 'AAMkMessage000000001' } }));
+
+      expect(result.email.subject).toBe('Project X kickoff');
+      expect(result.email.id).toBe('AAMkMessage000000001');
+    } finally {
+      await transport.terminateSession();
+      await client.close();
+    }
+  });
+
+  test('closes sessions that went idle', async () => {
+    const { client, transport } = await connectClient(host.url);
+    const sessionId = transport.sessionId;
+    const session = host.sessions.get(sessionId);
+    const close = jest.spyOn(session.server, 'close');
+
+    host._closeIdleSessions();
+    expect(host.sessions.has(sessionId)).toBe(true);
+
+    session.lastActiveAt -= host.sessionIdleMs + 1;
+    host._closeIdleSessions();
+
+    expect(host.sessions.has(sessionId)).toBe(false);
+    expect(close).toHaveBeenCalled();
+    await client.close();
+  });
+});
+
+describe('MCP over HTTP on a public address', () => {
+  let host;
+  let port;
+
+  beforeAll(async () => {
+    host = await startMcpHttpServer(createServer, {
+      authToken: TOKEN,
+      host: '0.0.0.0',
+      port: 0,
+      allowedHosts: ['mcp.example.com'],
+      allowedOrigins: ['https://app.example.com']
+    });
+    port = host.httpServer.address().port;
+  });
+
+  afterAll(async () => {
+    await host.stop();
+  });
+
+  const initialize = headers => send(`http://127.0.0.1:${port}/mcp`, { headers: { ...bearer(), ...headers }, body: INITIALIZE });
+
+  test('rejects other host names', async () => {
+    const response = await initialize({ host: `127.0.0.1:${port}` });
+
+    expect(response.status).toBe(403);
+    expect(JSON.parse(response.body).error.message).toBe('Forbidden: host not allowed');
+  });
+
+  test('rejects other origins', async () => {
+    const response = await initialize({ host: `mcp.example.com:${port}`, origin: 'https://evil.example.net' });
+
+    expect(response.status).toBe(403);
+    expect(JSON.parse(response.body).error.message).toBe('Forbidden: origin not allowed');
+  });
+
+  test('accepts an allowed host and origin', async () => {
+    const response = await initialize({ host: `MCP.example.com:${port}`, origin: 'https://app.example.com' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['mcp-session-id']).toBeDefined();
+    expect(host.sessions.size).toBe(1);
+  });
+});
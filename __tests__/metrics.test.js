@@ -0,0 +1,198 @@
+const config = require('../config');
+const { LATENCY_BUCKETS, MetricsRegistry, metrics, estimateQuantile, recordToolMetrics } = require('../utils/metrics');
+const { getServerMetricsHandler } = require('../server/metrics-status');
+const { startFakeGraphServer } = require('../utils/fake-graph-server');
+const { withErrorHandling } = require('../index');
+const { readEmailHandler } = require('../email');
+const { parseResponse } = require('../test/helpers');
+
+describe('metrics registry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+  });
+
+  test('counts per label set, whatever the label order', () => {
+    registry.increment('graph_retries_total', { reason: 'throttled' });
+    registry.increment('mcp_tool_calls_total', { tool: 'read_email', status: 'success' });
+    registry.increment('mcp_tool_calls_total', { status: 'success', tool: 'read_email' }, 2);
+    registry.increment('mcp_tool_calls_total', { tool: 'read_email', status: 'error' });
+
+    expect(registry.get('mcp_tool_calls_total')).toEqual([
+      { labels: { tool: 'read_email', status: 'success' }, value: 3 },
+      { labels: { tool: 'read_email', status: 'error' }, value: 1 }
+    ]);
+    expect(registry.get('graph_requests_total')).toEqual([]);
+  });
+
+  test('rejects metrics it does not know', () => {
+    expect(() => registry.increment('tool_calls', {})).toThrow('Unknown metric: tool_calls');
+  });
+
+  test('histograms count each observation in every bucket it fits', () => {
+    registry.observe('mcp_tool_duration_seconds', { tool: 'list_emails' }, 0.2);
+    registry.observe('mcp_tool_duration_seconds', { tool: 'list_emails' }, 3);
+    registry.observe('mcp_tool_duration_seconds', { tool: 'list_emails' }, 120);
+
+    const [series] = registry.get('mcp_tool_duration_seconds');
+    expect(series).toMatchObject({ count: 3, sum: expect.closeTo(123.2), max: 120 });
+    expect(Object.fromEntries(LATENCY_BUCKETS.map((bound, index) => [bound, series.buckets[index]]))).toEqual({
+      0.05: 0, 0.1: 0, 0.25: 1, 0.5: 1, 1: 1, 2.5: 1, 5: 2, 10: 2, 30: 2, 60: 2
+    });
+  });
+
+  test('get returns copies', () => {
+    registry.observe('mcp_tool_duration_seconds', { tool: 'list_emails' }, 0.2);
+
+    const [series] = registry.get('mcp_tool_duration_seconds');
+    series.buckets[0] = 99;
+    series.labels.tool = 'changed';
+
+    expect(registry.get('mcp_tool_duration_seconds')[0]).toMatchObject({ labels: { tool: 'list_emails' }, buckets: expect.not.arrayContaining([99]) });
+  });
+
+  test('records nothing when METRICS_ENABLED is false', () => {
+    const { enabled } = config.metrics;
+    config.metrics.enabled = false;
+    try {
+      registry.increment('graph_retries_total', { reason: 'throttled' });
+      registry.observe('mcp_tool_duration_seconds', { tool: 'list_emails' }, 0.2);
+    } finally {
+      config.metrics.enabled = enabled;
+    }
+
+    expect(registry.get('graph_retries_total')).toEqual([]);
+    expect(registry.get('mcp_tool_duration_seconds')).toEqual([]);
+  });
+
+  test('reset forgets everything and restarts the uptime', () => {
+    const startedAt = registry.startedAt;
+    registry.increment('graph_retries_total', { reason: 'network' });
+
+    registry.reset();
+
+    expect(registry.get('graph_retries_total')).toEqual([]);
+    expect(registry.startedAt.getTime()).toBeGreaterThanOrEqual(startedAt.getTime());
+  });
+
+  test('renders the Prometheus text format', () => {
+    registry.increment('rate_limit_rejections_total', { category: 'send' }, 2);
+    registry.increment('graph_requests_total', { method: 'GET', endpoint: '/me/messages/{id}', status: '200' });
+    registry.increment('mcp_tool_errors_total', { tool: 'read_email', type: 'say "hi"\\\n' });
+    registry.observe('graph_request_duration_seconds', { method: 'GET', endpoint: '/me' }, 0.3);
+
+    const lines = registry.renderPrometheus().split('\n');
+
+    expect(lines).toEqual(expect.arrayContaining([
+      '# HELP rate_limit_rejections_total Calls rejected by the rate limiter, by category',
+      '# TYPE rate_limit_rejections_total counter',
+      'rate_limit_rejections_total{category="send"} 2',
+      'graph_requests_total{method="GET",endpoint="/me/messages/{id}",status="200"} 1',
+      'mcp_tool_errors_total{tool="read_email",type="say \\"hi\\"\\\\\\n"} 1',
+      '# TYPE graph_request_duration_seconds histogram',
+      'graph_request_duration_seconds_bucket{method="GET",endpoint="/me",le="0.25"} 0',
+      'graph_request_duration_seconds_bucket{method="GET",endpoint="/me",le="0.5"} 1',
+      'graph_request_duration_seconds_bucket{method="GET",endpoint="/me",le="+Inf"} 1',
+      'graph_request_duration_seconds_sum{method="GET",endpoint="/me"} 0.3',
+      'graph_request_duration_seconds_count{method="GET",endpoint="/me"} 1',
+      '# TYPE process_uptime_seconds gauge'
+    ]));
+    expect(lines[lines.length - 1]).toBe('');
+    expect(lines[lines.length - 2]).toMatch(/^process_uptime_seconds \d+(\.\d+)?$/);
+  });
+
+  test('quantiles are estimated from the buckets', () => {
+    [0.02, 0.03, 0.07, 0.2, 0.4, 0.45, 0.8, 2, 4, 90].forEach(seconds => registry.observe('mcp_tool_duration_seconds', { tool: 'x' }, seconds));
+    const [series] = registry.get('mcp_tool_duration_seconds');
+
+    expect(estimateQuantile(series, 0.5)).toBe(0.5);
+    expect(estimateQuantile(series, 0.9)).toBe(5);
+    // Beyond the last bucket, the largest observation
+    expect(estimateQuantile(series, 1)).toBe(90);
+    expect(estimateQuantile({ count: 0 }, 0.5)).toBeNull();
+  });
+});
+
+describe('tool and Graph metrics', () => {
+  let graph;
+  let apiBaseUrl;
+
+  const report = async params => parseResponse(await getServerMetricsHandler(params));
+  const readEmail = withErrorHandling(readEmailHandler, 'read_email');
+
+  beforeAll(async () => {
+    graph = await startFakeGraphServer();
+    apiBaseUrl = config.microsoft.apiBaseUrl;
+    config.microsoft.apiBaseUrl = graph.url;
+  });
+
+  afterAll(async () => {
+    config.microsoft.apiBaseUrl = apiBaseUrl;
+    await graph.stop();
+  });
+
+  beforeEach(() => {
+    graph.reset();
+    metrics.reset();
+  });
+
+  test('recordToolMetrics counts answers without a status as successes', () => {
+    recordToolMetrics('list_emails', { status: 'unknown' }, 120);
+    recordToolMetrics('list_emails', { status: 'error', errorType: 'throttled' }, 80);
+    recordToolMetrics('list_emails', { status: 'error' }, 10);
+
+    expect(metrics.get('mcp_tool_calls_total').map(series => [series.labels.status, series.value])).toEqual([['success', 1], ['error', 2]]);
+    expect(metrics.get('mcp_tool_errors_total').map(series => [series.labels.type, series.value])).toEqual([['throttled', 1], ['error', 1]]);
+    expect(metrics.get('mcp_tool_duration_seconds')[0]).toMatchObject({ count: 3, sum: expect.closeTo(0.21) });
+  });
+
+  test('wrapped tool calls and their Graph requests are counted', async () => {
+    await readEmail({ id: 'AAMkMessage000000001' });
+    await readEmail({ id: 'AAMkMessage000000002' });
+    await readEmail({ id: 'AAMkMissing' });
+
+    const result = await report({ tool: 'read_email' });
+
+    expect(result.tools).toEqual([{
+      tool: 'read_email',
+      calls: 3,
+      errors: 1,
+      statuses: { success: 2, error: 1 },
+      errorTypes: { not_found: 1 },
+      latency: expect.objectContaining({ count: 3 })
+    }]);
+    expect(result.graph.statuses).toMatchObject({ 200: 2, 404: 1 });
+    expect(result.graph.endpoints).toEqual(expect.arrayContaining([
+      expect.objectContaining({ method: 'GET', endpoint: '/me/messages/{id}', requests: 3, statuses: { 200: 2, 404: 1 } })
+    ]));
+  });
+
+  test('retries and rate-limit rejections are reported', async () => {
+    const saved = { ...config.retry };
+    config.retry.baseDelayMs = 1;
+    graph.injectFault({ status: 503, path: '/me/messages/', retryAfter: 0 });
+    try {
+      await readEmail({ id: 'AAMkMessage000000001' });
+    } finally {
+      Object.assign(config.retry, saved);
+    }
+    metrics.increment('rate_limit_rejections_total', { category: 'send' });
+
+    const result = await report();
+
+    expect(result.graph.retries).toEqual({ transient: 1 });
+    expect(result.graph.statuses).toMatchObject({ 200: 1, 503: 1 });
+    expect(result.rateLimitRejections).toEqual({ send: 1 });
+  });
+
+  test('the report has the uptime and can be asked for in the Prometheus format', async () => {
+    await readEmail({ id: 'AAMkMessage000000001' });
+
+    expect(await report()).toMatchObject({ status: 'success', enabled: true, startedAt: expect.any(String), uptimeSeconds: expect.any(Number) });
+
+    const prometheus = await report({ format: 'prometheus' });
+    expect(prometheus).toMatchObject({ status: 'success', format: 'prometheus' });
+    expect(prometheus.metrics).toContain('mcp_tool_calls_total{tool="read_email",status="success"} 1');
+  });
+});
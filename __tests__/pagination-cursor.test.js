@@ -0,0 +1,162 @@
+const config = require('../config');
+const { encodeCursor, decodeCursor, invalidCursorResponse } = require('../utils/pagination-cursor');
+const { startFakeGraphServer } = require('../utils/fake-graph-server');
+const { listEmailsHandler } = require('../email');
+const { parseResponse } = require('../test/helpers');
+
+const ACCOUNT = 'test.user@contoso.com';
+const PARAMS = { mailbox: undefined, folderId: 'inbox', filter: 'isRead eq false', search: null };
+
+// Decode, returning the InvalidCursorError instead of throwing it
+const rejection = (...args) => {
+  try {
+    decodeCursor(...args);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('The cursor was accepted');
+};
+
+// Replace one character of a string
+const flip = (text, index) => `${text.slice(0, index)}${text[index] === 'A' ? 'B' : 'A'}${text.slice(index + 1)}`;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('pagination cursors', () => {
+  test('round-trip the position and the listing parameters that were given', () => {
+    const cursor = encodeCursor('list_emails', ACCOUNT, PARAMS, { offset: 20, limit: 10 });
+
+    expect(decodeCursor('list_emails', ACCOUNT, cursor, {})).toEqual({
+      params: { folderId: 'inbox', filter: 'isRead eq false' },
+      position: { offset: 20, limit: 10 }
+    });
+  });
+
+  test('parameters repeated with the same value are accepted', () => {
+    const cursor = encodeCursor('list_emails', ACCOUNT, PARAMS, { link: 'https://graph.microsoft.com/v1.0/me/messages?$skip=20' });
+
+    expect(decodeCursor('list_emails', ACCOUNT, cursor, { folderId: 'inbox', orderBy: undefined }).position)
+      .toEqual({ link: 'https://graph.microsoft.com/v1.0/me/messages?$skip=20' });
+  });
+
+  test('an altered payload or signature is rejected', () => {
+    const cursor = encodeCursor('list_emails', ACCOUNT, PARAMS, { offset: 20 });
+    const [payload, signature] = cursor.split('.');
+    const message = 'The cursor is not valid. It may have been changed, or issued before the server restarted.';
+
+    expect(rejection('list_emails', ACCOUNT, `${flip(payload, 5)}.${signature}`, {}).message).toBe(message);
+    expect(rejection('list_emails', ACCOUNT, `${payload}.${flip(signature, 5)}`, {}).message).toBe(message);
+    expect(rejection('list_emails', ACCOUNT, payload, {}).message).toBe(message);
+    expect(rejection('list_emails', ACCOUNT, 'not a cursor', {})).toMatchObject({ name: 'InvalidCursorError', message });
+  });
+
+  test('a different offset under the original signature is rejected', () => {
+    const cursor = encodeCursor('list_emails', ACCOUNT, PARAMS, { offset: 20 });
+    const data = JSON.parse(Buffer.from(cursor.split('.')[0], 'base64url').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...data, position: { offset: 0 } })).toString('base64url');
+
+    expect(rejection('list_emails', ACCOUNT, `${forged}.${cursor.split('.')[1]}`, {}).name).toBe('InvalidCursorError');
+  });
+
+  test('cursors from an earlier process are rejected', () => {
+    let cursor;
+    jest.isolateModules(() => {
+      cursor = require('../utils/pagination-cursor').encodeCursor('list_emails', ACCOUNT, PARAMS, { offset: 20 });
+    });
+
+    expect(rejection('list_emails', ACCOUNT, cursor, {}).message).toContain('issued before the server restarted');
+  });
+
+  test('a cursor only works for its tool and account', () => {
+    const cursor = encodeCursor('list_events', ACCOUNT, {}, { offset: 20 });
+
+    expect(rejection('list_emails', ACCOUNT, cursor, {}).message).toBe('The cursor was issued by list_events, not list_emails.');
+    expect(rejection('list_events', 'john.smith@contoso.com', cursor, {}).message).toBe('The cursor was issued for another account.');
+  });
+
+  test('a cursor expires after PAGINATION_CURSOR_TTL_SECONDS', () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    const cursor = encodeCursor('list_emails', ACCOUNT, PARAMS, { offset: 20 });
+
+    clock.mockReturnValue(now + config.pagination.cursorTtlSeconds * 1000 - 1);
+    expect(decodeCursor('list_emails', ACCOUNT, cursor, {}).position).toEqual({ offset: 20 });
+
+    clock.mockReturnValue(now + config.pagination.cursorTtlSeconds * 1000);
+    expect(rejection('list_emails', ACCOUNT, cursor, {}).message).toBe('The cursor has expired.');
+  });
+
+  test('parameters given with a different value are named', () => {
+    const cursor = encodeCursor('list_emails', ACCOUNT, PARAMS, { offset: 20 });
+
+    expect(rejection('list_emails', ACCOUNT, cursor, { folderId: 'archive' }).message)
+      .toBe('The cursor was issued for a different folderId. Leave it out or start again without a cursor.');
+    expect(rejection('list_emails', ACCOUNT, cursor, { folderId: 'archive', filter: 'isRead eq true' }).message)
+      .toBe('The cursor was issued for a different folderId, filter. Leave them out or start again without a cursor.');
+  });
+
+  test('the error response says how to start over', () => {
+    const error = rejection('list_emails', ACCOUNT, 'not a cursor', {});
+
+    expect(parseResponse(invalidCursorResponse(error, 'list_emails'))).toEqual({
+      status: 'error',
+      error: {
+        type: 'invalid_cursor',
+        message: `${error.message} Call list_emails without a cursor to start from the first page.`
+      }
+    });
+  });
+});
+
+describe('list_emails with a cursor', () => {
+  let graph;
+  let apiBaseUrl;
+
+  const list = async params => parseResponse(await listEmailsHandler(params));
+  const messageRequests = () => graph.requests.map(request => request.url.split('?')[0]).filter(url => url.endsWith('/messages'));
+
+  beforeAll(async () => {
+    graph = await startFakeGraphServer();
+    apiBaseUrl = config.microsoft.apiBaseUrl;
+    config.microsoft.apiBaseUrl = graph.url;
+  });
+
+  afterAll(async () => {
+    config.microsoft.apiBaseUrl = apiBaseUrl;
+    await graph.stop();
+  });
+
+  beforeEach(() => {
+    graph.reset();
+  });
+
+  test('the next page keeps the folder of the first', async () => {
+    const first = await list({ folderId: 'inbox', limit: 2 });
+    graph.requests = [];
+
+    const second = await list({ cursor: first.nextCursor });
+
+    expect(second.emails).toHaveLength(1);
+    expect(messageRequests()).toEqual(['/me/mailFolders/inbox/messages']);
+  });
+
+  test('a cursor for another folder is rejected before Graph is called', async () => {
+    const first = await list({ folderId: 'inbox', limit: 2 });
+    graph.requests = [];
+
+    const result = await list({ cursor: first.nextCursor, folderId: 'sentitems' });
+
+    expect(result.error).toMatchObject({ type: 'invalid_cursor', message: expect.stringContaining('different folderId') });
+    expect(messageRequests()).toEqual([]);
+  });
+
+  test('an altered cursor is rejected', async () => {
+    const first = await list({ folderId: 'inbox', limit: 2 });
+
+    const result = await list({ cursor: flip(first.nextCursor, 10) });
+
+    expect(result.error.type).toBe('invalid_cursor');
+  });
+});
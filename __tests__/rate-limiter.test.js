@@ -0,0 +1,213 @@
+const config = require('../config');
+const { rateLimiter, RateLimiter, TokenBucket, rateLimitCategory } = require('../utils/rate-limiter');
+const { metrics } = require('../utils/metrics');
+const { rateLimitMiddleware } = require('../utils/graph-transport');
+const { getRateLimitStatusHandler } = require('../server/rate-limit-status');
+const { withErrorHandling } = require('../index');
+const { parseResponse } = require('../test/helpers');
+
+// A clock the buckets read through Date.now
+const useClock = (start = Date.UTC(2026, 0, 5, 9, 0, 0)) => {
+  const clock = { now: start, advance: ms => { clock.now += ms; } };
+  jest.spyOn(Date, 'now').mockImplementation(() => clock.now);
+  return clock;
+};
+
+// Rejections counted for a category so far
+const rejections = category => metrics.get('rate_limit_rejections_total')
+  .filter(series => series.labels.category === category)
+  .reduce((total, series) => total + series.value, 0);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TokenBucket', () => {
+  test('allows a burst up to the capacity, then refuses', () => {
+    useClock();
+    const bucket = new TokenBucket(3, 60);
+
+    expect([bucket.take(), bucket.take(), bucket.take(), bucket.take()]).toEqual([true, true, true, false]);
+  });
+
+  test('refills in proportion to the time passed, up to the capacity', () => {
+    const clock = useClock();
+    const bucket = new TokenBucket(3, 60);
+    bucket.take();
+    bucket.take();
+    bucket.take();
+
+    clock.advance(999);
+    expect(bucket.take()).toBe(false);
+    clock.advance(1);
+    expect(bucket.take()).toBe(true);
+
+    clock.advance(10 * 60000);
+    expect(bucket.status().remaining).toBe(3);
+  });
+
+  test('reports how long until tokens are available', () => {
+    const clock = useClock();
+    const bucket = new TokenBucket(2, 30);
+
+    expect(bucket.msUntil(1)).toBe(0);
+    expect(bucket.status()).toEqual({ capacity: 2, remaining: 2, refillPerMinute: 30, nextTokenAt: null, resetAt: null });
+
+    bucket.take();
+    bucket.take();
+
+    expect(bucket.msUntil(1)).toBe(2000);
+    // More than the capacity is never needed
+    expect(bucket.msUntil(5)).toBe(4000);
+    expect(bucket.status()).toEqual({
+      capacity: 2,
+      remaining: 0,
+      refillPerMinute: 30,
+      nextTokenAt: new Date(clock.now + 2000).toISOString(),
+      resetAt: new Date(clock.now + 4000).toISOString()
+    });
+  });
+});
+
+describe('RateLimiter', () => {
+  const limits = { read: { capacity: 2, refillPerMinute: 60 }, send: { capacity: 1, refillPerMinute: 6 } };
+
+  test('keeps separate buckets per account and category', async () => {
+    useClock();
+    const limiter = new RateLimiter(limits);
+
+    await limiter.check('sarah.lee@contoso.com', 'send');
+    await expect(limiter.check('sarah.lee@contoso.com', 'send')).rejects.toThrow('Rate limit for send exceeded');
+
+    await expect(limiter.check('sarah.lee@contoso.com', 'read')).resolves.toBe(true);
+    await expect(limiter.check('john.smith@contoso.com', 'send')).resolves.toBe(true);
+    expect(limiter.accounts()).toEqual(['sarah.lee@contoso.com', 'john.smith@contoso.com']);
+  });
+
+  test('does not limit categories without configured limits', async () => {
+    const limiter = new RateLimiter(limits);
+
+    for (let i = 0; i < 5; i++) {
+      await expect(limiter.check('sarah.lee@contoso.com', 'none')).resolves.toBe(true);
+    }
+    expect(limiter.accounts()).toEqual([]);
+  });
+
+  test('a rejection says when to retry and is counted', async () => {
+    useClock();
+    const limiter = new RateLimiter(limits);
+    const before = rejections('send');
+    await limiter.check('sarah.lee@contoso.com', 'send');
+
+    const error = await limiter.check('sarah.lee@contoso.com', 'send').catch(caught => caught);
+
+    expect(error).toMatchObject({
+      name: 'RateLimitExceededError',
+      message: 'Rate limit for send exceeded. Try again in 10 seconds.',
+      category: 'send',
+      retryAfter: 10
+    });
+    expect(rejections('send')).toBe(before + 1);
+  });
+
+  test('reset refills every bucket of the account', async () => {
+    useClock();
+    const limiter = new RateLimiter(limits);
+    await limiter.check('sarah.lee@contoso.com', 'send');
+    await limiter.check('sarah.lee@contoso.com', 'read');
+
+    limiter.reset('sarah.lee@contoso.com');
+
+    expect(limiter.getStatus('sarah.lee@contoso.com')).toEqual({
+      read: expect.objectContaining({ remaining: 2 }),
+      send: expect.objectContaining({ remaining: 1 })
+    });
+  });
+
+  test('the Graph middleware takes from the graph bucket', async () => {
+    useClock();
+    const limiter = new RateLimiter({ graph: { capacity: 1, refillPerMinute: 60 } });
+    const middleware = rateLimitMiddleware(limiter);
+    const next = jest.fn(async () => ({ status: 200 }));
+
+    await middleware({ userId: 'sarah.lee@contoso.com', method: 'GET', path: '/me' }, next);
+    const error = await middleware({ userId: 'sarah.lee@contoso.com', method: 'GET', path: '/me' }, next).catch(caught => caught);
+
+    expect(error).toMatchObject({ name: 'RateLimitExceededError', category: 'graph' });
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('tool rate limits', () => {
+  test.each([
+    ['send_email', 'send'],
+    ['create_draft', 'write'],
+    ['list_emails', 'read'],
+    ['no_such_tool', 'read'],
+    ['get_rate_limit_status', 'none']
+  ])('%s counts against %s', (toolName, category) => {
+    expect(rateLimitCategory(toolName)).toBe(category);
+  });
+
+  test('calls past the send capacity are turned away before the handler runs', async () => {
+    useClock();
+    const account = `limits-${Date.now()}@contoso.com`;
+    const handler = jest.fn(async () => ({ content: [{ type: 'text', text: JSON.stringify({ status: 'success' }) }] }));
+    const sendEmail = withErrorHandling(handler, 'send_email');
+    const { capacity } = config.rateLimit.buckets.send;
+
+    try {
+      for (let i = 0; i < capacity; i++) {
+        expect(parseResponse(await sendEmail({ userId: account })).status).toBe('success');
+      }
+      const limited = parseResponse(await sendEmail({ userId: account }));
+
+      expect(limited.error).toMatchObject({ type: 'rate_limit_exceeded', category: 'send', retry_after: expect.any(Number) });
+      expect(handler).toHaveBeenCalledTimes(capacity);
+
+      // Other accounts have their own buckets
+      expect(parseResponse(await sendEmail({ userId: `other-${account}` })).status).toBe('success');
+    } finally {
+      rateLimiter.reset(account);
+      rateLimiter.reset(`other-${account}`);
+    }
+  });
+
+  test('dry runs are not counted', async () => {
+    useClock();
+    const account = `dry-run-${Date.now()}@contoso.com`;
+    const handler = jest.fn(async () => ({ content: [{ type: 'text', text: JSON.stringify({ status: 'success' }) }] }));
+    const sendEmail = withErrorHandling(handler, 'send_email');
+
+    try {
+      for (let i = 0; i <= config.rateLimit.buckets.send.capacity; i++) {
+        expect(parseResponse(await sendEmail({ userId: account, dryRun: true })).error).toBeUndefined();
+      }
+      expect(rateLimiter.getStatus(account).send.remaining).toBe(config.rateLimit.buckets.send.capacity);
+    } finally {
+      rateLimiter.reset(account);
+    }
+  });
+
+  test('get_rate_limit_status reports the buckets without using them', async () => {
+    const account = `status-${Date.now()}@contoso.com`;
+
+    try {
+      await rateLimiter.check(account, 'send');
+      const first = parseResponse(await getRateLimitStatusHandler({ userId: account }));
+      const second = parseResponse(await getRateLimitStatusHandler({ userId: account }));
+
+      expect(first).toMatchObject({ status: 'success', account });
+      expect(second.buckets.send).toMatchObject({
+        capacity: config.rateLimit.buckets.send.capacity,
+        remaining: config.rateLimit.buckets.send.capacity - 1
+      });
+      expect(second.buckets.send.tools).toEqual(expect.arrayContaining(['send_email', 'reply_email', 'forward_email']));
+      expect(second.buckets.read.tools).toContain('list_emails');
+      expect(second.buckets.read.tools).not.toContain('get_rate_limit_status');
+      expect(second.buckets.graph).not.toHaveProperty('tools');
+    } finally {
+      rateLimiter.reset(account);
+    }
+  });
+});
@@ -0,0 +1,200 @@
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const config = require('../config');
+const { URI_TEMPLATES, listMailboxResources } = require('../resources');
+const { startFakeGraphServer } = require('../utils/fake-graph-server');
+const { createServer } = require('../index');
+
+// Mailbox items are under outlook://me/; the static JSON resources are not
+const isMailboxUri = uri => uri.startsWith('outlook://me/');
+
+describe('mailbox resources', () => {
+  let graph;
+  let saved;
+  let client;
+
+  const read = async uri => JSON.parse((await client.readResource({ uri })).contents[0].text);
+  const list = cursor => client.listResources(cursor ? { cursor } : {});
+  // Read, returning the MCP error instead of throwing it
+  const rejection = async uri => {
+    try {
+      await client.readResource({ uri });
+    } catch (error) {
+      return error;
+    }
+    throw new Error(`${uri} was read`);
+  };
+  const paths = () => graph.requests.map(request => request.url.split('?')[0]);
+
+  beforeAll(async () => {
+    graph = await startFakeGraphServer();
+    saved = { apiBaseUrl: config.microsoft.apiBaseUrl, pageSize: config.resources.pageSize, authMode: config.microsoft.authMode };
+    config.microsoft.apiBaseUrl = graph.url;
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await createServer().connect(serverTransport);
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(clientTransport);
+  });
+
+  afterAll(async () => {
+    config.microsoft.apiBaseUrl = saved.apiBaseUrl;
+    await client.close();
+    await graph.stop();
+  });
+
+  beforeEach(() => {
+    graph.reset();
+    config.resources.pageSize = saved.pageSize;
+    config.microsoft.authMode = saved.authMode;
+  });
+
+  test('the URI templates are advertised', async () => {
+    const { resourceTemplates } = await client.listResourceTemplates();
+
+    expect(resourceTemplates.map(template => [template.name, template.uriTemplate])).toEqual([
+      ['message', URI_TEMPLATES.message],
+      ['folder', URI_TEMPLATES.folder],
+      ['event', URI_TEMPLATES.event]
+    ]);
+    expect(resourceTemplates.every(template => template.mimeType === 'application/json')).toBe(true);
+  });
+
+  test('a message is read with its body', async () => {
+    const result = await client.readResource({ uri: 'outlook://me/messages/AAMkMessage000000001' });
+
+    expect(result.contents).toEqual([expect.objectContaining({ uri: 'outlook://me/messages/AAMkMessage000000001', mimeType: 'application/json' })]);
+    const message = JSON.parse(result.contents[0].text);
+    expect(message).toMatchObject({ id: 'AAMkMessage000000001', subject: 'Project X kickoff', body: expect.any(Object) });
+    expect(message).not.toHaveProperty('@odata.context');
+    expect(paths()).toContain('/me/messages/AAMkMessage000000001');
+  });
+
+  test('an event is read with its body', async () => {
+    expect(await read('outlook://me/events/AAMkEvent00000000002')).toMatchObject({ id: 'AAMkEvent00000000002', subject: 'Quarterly review' });
+  });
+
+  test('a shared mailbox is read through /users', async () => {
+    await read('outlook://shared%40contoso.com/messages/AAMkMessage000000001');
+
+    expect(paths()).toContain('/users/shared@contoso.com/messages/AAMkMessage000000001');
+  });
+
+  test('a folder lists its child folders and recent messages as resources', async () => {
+    const folder = await read('outlook://me/folders/inbox');
+
+    expect(folder).toMatchObject({ id: 'AAMkFolderInbox00001', displayName: 'Inbox', path: 'inbox', hasMoreMessages: false });
+    expect(folder.childFolders).toEqual([
+      { displayName: 'Projects', uri: 'outlook://me/folders/inbox/Projects' },
+      { displayName: 'Invoices', uri: 'outlook://me/folders/inbox/Invoices' }
+    ]);
+    expect(folder.messages.map(message => message.uri)).toEqual(expect.arrayContaining(['outlook://me/messages/AAMkMessage000000001']));
+    expect(folder.messages[0]).toEqual(expect.objectContaining({ subject: expect.any(String), from: expect.any(String) }));
+  });
+
+  test('a folder path is matched by display name at any depth', async () => {
+    const folder = await read('outlook://me/folders/Inbox/projects');
+
+    expect(folder).toMatchObject({ id: 'AAMkFolderProjects01', path: 'Inbox/projects', childFolders: [] });
+    expect(folder.messages.map(message => message.uri)).toEqual(['outlook://me/messages/AAMkMessage000000004']);
+    expect(await read('outlook://me/folders/Sent%20Items')).toMatchObject({ id: 'AAMkFolderSent000001' });
+  });
+
+  test('an unknown folder names the missing segment', async () => {
+    const error = await rejection('outlook://me/folders/inbox/Receipts');
+
+    expect(error.code).toBe(ErrorCode.InvalidParams);
+    expect(error.message).toContain('No folder named "Receipts" in inbox. Call list_folders to see folder names.');
+  });
+
+  test('a missing message is an invalid parameter that points to list_emails', async () => {
+    const error = await rejection('outlook://me/messages/AAMkMissing');
+
+    expect(error.code).toBe(ErrorCode.InvalidParams);
+    expect(error.message).toContain('Failed to read outlook://me/messages/AAMkMissing: Email not found. Call list_emails first to get valid IDs.');
+  });
+
+  test('a Graph failure is an internal error', async () => {
+    graph.injectFault({ status: 403, path: '/me/events/' });
+
+    expect((await rejection('outlook://me/events/AAMkEvent00000000001')).code).toBe(ErrorCode.InternalError);
+  });
+
+  test('a badly encoded account is rejected before Graph is called', async () => {
+    const error = await rejection('outlook://%E0%A4%A/messages/AAMkMessage000000001');
+
+    expect(error).toMatchObject({ code: ErrorCode.InvalidParams, message: expect.stringContaining('The account in the resource URI is not validly percent-encoded') });
+    expect(graph.requests).toEqual([]);
+  });
+
+  test('resources/list pages through the static resources, folders, messages and events', async () => {
+    const kinds = [];
+    const uris = [];
+    let page = await list();
+    const staticCount = page.resources.findIndex(resource => isMailboxUri(resource.uri));
+    expect(page.resources.slice(0, staticCount).map(resource => resource.uri))
+      .toEqual(expect.arrayContaining(['outlook://tool-relationships', 'outlook://available-sequences']));
+    page = { ...page, resources: page.resources.slice(staticCount) };
+    for (let calls = 0; calls < 10; calls++) {
+      page.resources.forEach(resource => uris.push(resource.uri));
+      kinds.push([...new Set(page.resources.map(resource => resource.uri.split('/')[3]).filter(Boolean))].join());
+      if (!page.nextCursor) break;
+      page = await list(page.nextCursor);
+    }
+
+    expect(kinds).toEqual(['folders', 'messages', 'events']);
+    expect(uris).toEqual(expect.arrayContaining([
+      'outlook://me/folders/Inbox',
+      'outlook://me/messages/AAMkMessage000000002',
+      'outlook://me/events/AAMkEvent00000000003'
+    ]));
+    expect(page.nextCursor).toBeUndefined();
+  });
+
+  test('RESOURCES_PAGE_SIZE pages within a kind', async () => {
+    config.resources.pageSize = 4;
+
+    const first = await list();
+    const second = await list(first.nextCursor);
+
+    const firstFolders = first.resources.filter(resource => isMailboxUri(resource.uri));
+    expect(firstFolders.map(resource => resource.uri)).toEqual([
+      'outlook://me/folders/Inbox',
+      'outlook://me/folders/Drafts',
+      'outlook://me/folders/Sent%20Items',
+      'outlook://me/folders/Deleted%20Items'
+    ]);
+    expect(second.resources.map(resource => resource.uri)).toEqual([
+      'outlook://me/folders/Archive',
+      'outlook://me/folders/Junk%20Email'
+    ]);
+    expect(second.nextCursor).toEqual(expect.any(String));
+  });
+
+  test('an altered cursor is an invalid parameter', async () => {
+    const { nextCursor } = await list();
+
+    await expect(list(`${nextCursor}x`)).rejects.toMatchObject({
+      code: ErrorCode.InvalidParams,
+      message: expect.stringContaining('List resources without a cursor to start from the first page.')
+    });
+  });
+
+  test('only the static resources list when the mailbox cannot be listed', async () => {
+    graph.injectFault({ status: 500, path: '/me/mailFolders' });
+
+    const { resources, nextCursor } = await list();
+
+    expect(resources.length).toBeGreaterThan(0);
+    expect(resources.some(resource => isMailboxUri(resource.uri))).toBe(false);
+    expect(nextCursor).toBeUndefined();
+  });
+
+  test('app-only mode lists no mailbox resources', async () => {
+    config.microsoft.authMode = 'app';
+
+    expect(await listMailboxResources()).toEqual({ resources: [] });
+    expect(graph.requests).toEqual([]);
+  });
+});
@@ -0,0 +1,215 @@
+const config = require('../config');
+const {
+  RetryBudget,
+  withRetry,
+  runWithRetryBudget,
+  addRetryMetadata,
+  isRetryable,
+  getRetryAfterMs,
+  computeDelay
+} = require('../utils/retry-policy');
+const { retryMiddleware } = require('../utils/graph-transport');
+
+// Errors as the transport and axios raise them
+const statusError = (status, headers = {}) => Object.assign(new Error(`status ${status}`), { statusCode: status, headers });
+const networkError = code => Object.assign(new Error(code), { name: 'NetworkError', cause: Object.assign(new Error(code), { code }) });
+
+describe('retry policy', () => {
+  const saved = {};
+
+  beforeAll(() => {
+    saved.retry = { ...config.retry };
+    config.retry.baseDelayMs = 1;
+    config.retry.maxDelayMs = 5;
+  });
+
+  afterAll(() => {
+    Object.assign(config.retry, saved.retry);
+  });
+
+  describe('isRetryable', () => {
+    test.each([
+      ['GET', 503], ['GET', 504], ['PATCH', 503], ['DELETE', 504], ['GET', 429], ['POST', 429]
+    ])('retries %s after %d', (method, status) => {
+      expect(isRetryable(statusError(status), method)).toBe(true);
+    });
+
+    test.each([['POST', 503], ['POST', 504], ['GET', 404], ['GET', 500]])('does not retry %s after %d', (method, status) => {
+      expect(isRetryable(statusError(status), method)).toBe(false);
+    });
+
+    test('retries a dropped connection only for methods other than POST', () => {
+      expect(isRetryable(networkError('ECONNRESET'), 'GET')).toBe(true);
+      expect(isRetryable(networkError('ETIMEDOUT'), 'DELETE')).toBe(true);
+      expect(isRetryable(networkError('ECONNRESET'), 'POST')).toBe(false);
+    });
+
+    test('retries a POST that never reached Graph', () => {
+      expect(isRetryable(networkError('ECONNREFUSED'), 'POST')).toBe(true);
+      expect(isRetryable(networkError('EAI_AGAIN'), 'POST')).toBe(true);
+    });
+
+    test('treats a request without a method as safe to repeat', () => {
+      expect(isRetryable(statusError(503))).toBe(true);
+      expect(isRetryable(new Error('bad input'))).toBe(false);
+      expect(isRetryable(null)).toBe(false);
+    });
+  });
+
+  describe('delays', () => {
+    test('reads Retry-After in seconds or as a date', () => {
+      expect(getRetryAfterMs(statusError(429, { 'Retry-After': '3' }))).toBe(3000);
+      const date = new Date(Date.now() + 10000).toUTCString();
+      expect(getRetryAfterMs(statusError(429, { 'retry-after': date }))).toBeGreaterThan(8000);
+      expect(getRetryAfterMs(statusError(503))).toBeNull();
+    });
+
+    test('prefers Retry-After over backoff', () => {
+      expect(computeDelay(4, 2500)).toBe(2500);
+    });
+
+    test('backs off exponentially with jitter up to the maximum', () => {
+      Object.assign(config.retry, { baseDelayMs: 100, maxDelayMs: 1000 });
+      try {
+        for (const [attempt, full] of [[0, 100], [2, 400], [6, 1000]]) {
+          const delay = computeDelay(attempt, null);
+          expect(delay).toBeGreaterThanOrEqual(full / 2);
+          expect(delay).toBeLessThanOrEqual(full);
+        }
+      } finally {
+        Object.assign(config.retry, { baseDelayMs: 1, maxDelayMs: 5 });
+      }
+    });
+  });
+
+  describe('withRetry', () => {
+    test('retries until the operation succeeds', async () => {
+      const operation = jest.fn()
+        .mockRejectedValueOnce(statusError(503))
+        .mockRejectedValueOnce(statusError(429, { 'retry-after': '0' }))
+        .mockResolvedValue('done');
+
+      await expect(withRetry(operation, 'GET /me/messages', 'GET')).resolves.toBe('done');
+      expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    test('gives up after maxRetries', async () => {
+      const operation = jest.fn().mockRejectedValue(statusError(504));
+
+      await expect(withRetry(operation, 'GET /me/events', 'GET')).rejects.toMatchObject({ statusCode: 504 });
+      expect(operation).toHaveBeenCalledTimes(config.retry.maxRetries + 1);
+    });
+
+    test('does not resend a POST after a 503', async () => {
+      const operation = jest.fn().mockRejectedValue(statusError(503));
+
+      await expect(withRetry(operation, 'POST /me/sendMail', 'POST')).rejects.toMatchObject({ statusCode: 503 });
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('stops when the tool call budget runs out', async () => {
+      const operation = jest.fn().mockRejectedValue(statusError(429, { 'retry-after': '1' }));
+
+      const { error, budget } = await runWithRetryBudget('list_emails', async budget => {
+        // Room for one wait of a second, not two
+        budget.budgetMs = 1500;
+        return { error: await withRetry(operation, 'GET /me/messages', 'GET').catch(caught => caught), budget };
+      });
+
+      expect(operation).toHaveBeenCalledTimes(2);
+      expect(error.retryBudgetExhausted).toBe(true);
+      expect(budget.summary()).toMatchObject({ retries: 1, waitedMs: 1000, throttled: 1, budgetExhausted: true });
+    });
+  });
+
+  describe('addRetryMetadata', () => {
+    const response = { content: [{ type: 'text', text: JSON.stringify({ status: 'success' }) }] };
+
+    test('adds the retry summary when retries happened', () => {
+      const budget = new RetryBudget('send_email', 60000);
+      budget.record(429, 1000);
+
+      const payload = JSON.parse(addRetryMetadata(response, budget).content[0].text);
+
+      expect(payload).toEqual({ status: 'success', retry: expect.objectContaining({ retries: 1, throttled: 1, waitedMs: 1000 }) });
+    });
+
+    test('leaves the response alone without retries', () => {
+      expect(addRetryMetadata(response, new RetryBudget('send_email', 60000))).toBe(response);
+    });
+  });
+});
+
+describe('retry middleware', () => {
+  const saved = {};
+  const middleware = retryMiddleware();
+  const request = (method, path, body) => ({ method, path, query: {}, body, headers: {} });
+  const reply = status => ({ status, headers: { 'retry-after': '0' }, body: status >= 400 ? { error: { code: 'x', message: 'failed' } } : {} });
+
+  beforeAll(() => {
+    saved.retry = { ...config.retry };
+    config.retry.baseDelayMs = 1;
+    config.retry.maxDelayMs = 5;
+  });
+
+  afterAll(() => {
+    Object.assign(config.retry, saved.retry);
+  });
+
+  test('resends a GET after a 503', async () => {
+    const next = jest.fn().mockResolvedValueOnce(reply(503)).mockResolvedValue(reply(200));
+
+    await expect(middleware(request('GET', '/me/messages'), next)).resolves.toMatchObject({ status: 200 });
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  test('resends a PATCH and a DELETE after a network error', async () => {
+    for (const method of ['PATCH', 'DELETE']) {
+      const next = jest.fn().mockRejectedValueOnce(networkError('ECONNRESET')).mockResolvedValue(reply(204));
+
+      await expect(middleware(request(method, '/me/messages/1'), next)).resolves.toMatchObject({ status: 204 });
+      expect(next).toHaveBeenCalledTimes(2);
+    }
+  });
+
+  test('returns the 503 of a POST without resending it', async () => {
+    const next = jest.fn().mockResolvedValue(reply(503));
+
+    await expect(middleware(request('POST', '/me/sendMail', {}), next)).resolves.toMatchObject({ status: 503 });
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not resend a POST whose connection dropped', async () => {
+    const next = jest.fn().mockRejectedValue(networkError('ECONNRESET'));
+
+    await expect(middleware(request('POST', '/me/events', {}), next)).rejects.toThrow('ECONNRESET');
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test('resends a throttled POST', async () => {
+    const next = jest.fn().mockResolvedValueOnce(reply(429)).mockResolvedValue(reply(202));
+
+    await expect(middleware(request('POST', '/me/sendMail', {}), next)).resolves.toMatchObject({ status: 202 });
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  test('resends a POST that could not connect', async () => {
+    const next = jest.fn().mockRejectedValueOnce(networkError('ECONNREFUSED')).mockResolvedValue(reply(202));
+
+    await expect(middleware(request('POST', '/me/messages/1/reply', {}), next)).resolves.toMatchObject({ status: 202 });
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  test('treats a $batch by the methods of its steps', async () => {
+    const reads = { requests: [{ id: '0', method: 'GET', url: '/me/mailFolders/a' }] };
+    const moves = { requests: [{ id: '0', method: 'POST', url: '/me/messages/1/move', body: {} }] };
+
+    const readNext = jest.fn().mockResolvedValueOnce(reply(503)).mockResolvedValue(reply(200));
+    await expect(middleware(request('POST', '/$batch', reads), readNext)).resolves.toMatchObject({ status: 200 });
+    expect(readNext).toHaveBeenCalledTimes(2);
+
+    const moveNext = jest.fn().mockResolvedValue(reply(503));
+    await expect(middleware(request('POST', '/$batch', moves), moveNext)).resolves.toMatchObject({ status: 503 });
+    expect(moveNext).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,66 @@
+const {
+  listRulesHandler,
+  getRuleHandler,
+  createRuleHandler,
+  updateRuleHandler,
+  deleteRuleHandler
+} = require('../rules');
+const { scrub } = require('../utils/graph-cassette');
+const { recordFromFakeGraph, replayHandler } = require('../test/helpers');
+
+describe('rules handlers', () => {
+  recordFromFakeGraph();
+
+  test('list_rules lists the inbox rules', async () => {
+    const { result, requests } = await replayHandler(listRulesHandler);
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'GET', path: '/me/mailFolders/inbox/messageRules' })]);
+    expect(result.status).toBe('success');
+    expect(result.rules).toEqual([expect.objectContaining({ id: 'AQAAAJ5dZqA=', displayName: 'Move invoices' })]);
+  });
+
+  test('get_rule returns the conditions and actions', async () => {
+    const { result, requests } = await replayHandler(getRuleHandler, { ruleId: 'AQAAAJ5dZqA=' });
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'GET', path: '/me/mailFolders/inbox/messageRules/AQAAAJ5dZqA=' })]);
+    expect(result.status).toBe('success');
+    expect(result.rule.conditions).toEqual({ subjectContains: ['Invoice'] });
+    expect(result.rule.actions).toMatchObject({ moveToFolder: 'AAMkFolderInvoices01' });
+  });
+
+  test('create_rule returns the new rule', async () => {
+    const { result, requests } = await replayHandler(createRuleHandler, {
+      displayName: 'Flag Sarah',
+      conditions: { fromAddresses: ['sarah.lee@contoso.com'] },
+      actions: { markImportance: 'high' }
+    });
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'POST', path: '/me/mailFolders/inbox/messageRules' })]);
+    expect(requests[0].body).toMatchObject({
+      displayName: 'Flag Sarah',
+      isEnabled: true,
+      conditions: { fromAddresses: [{ emailAddress: { address: scrub('sarah.lee@contoso.com') } }] },
+      actions: { markImportance: 'high' }
+    });
+    expect(result.status).toBe('success');
+    expect(result).toMatchObject({ ruleId: expect.any(String), displayName: 'Flag Sarah' });
+  });
+
+  test('update_rule disables the rule', async () => {
+    const { result, requests } = await replayHandler(updateRuleHandler, { ruleId: 'AQAAAJ5dZqA=', isEnabled: false });
+
+    expect(requests).toEqual([expect.objectContaining({
+      method: 'PATCH',
+      path: '/me/mailFolders/inbox/messageRules/AQAAAJ5dZqA=',
+      body: { isEnabled: false }
+    })]);
+    expect(result).toMatchObject({ status: 'success', ruleId: 'AQAAAJ5dZqA=' });
+  });
+
+  test('delete_rule deletes the rule', async () => {
+    const { result, requests } = await replayHandler(deleteRuleHandler, { ruleId: 'AQAAAJ5dZqA=' });
+
+    expect(requests).toEqual([expect.objectContaining({ method: 'DELETE', path: '/me/mailFolders/inbox/messageRules/AQAAAJ5dZqA=' })]);
+    expect(result).toMatchObject({ status: 'success', ruleId: 'AQAAAJ5dZqA=' });
+  });
+});
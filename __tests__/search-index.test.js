@@ -0,0 +1,228 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { SearchIndex, parseSearchQuery, tokenize } = require('../sync/search-index');
+const { getSyncStore } = require('../sync/sync-store');
+const { syncMailboxHandler } = require('../sync');
+const { searchEmailsHandler } = require('../email');
+const { startFakeGraphServer } = require('../utils/fake-graph-server');
+const { parseResponse } = require('../test/helpers');
+
+const address = (name, mail) => ({ emailAddress: { name, address: mail } });
+
+// Messages shaped like the synced Graph items
+const MESSAGES = [
+  {
+    id: 'm1',
+    subject: 'Invoice October',
+    from: address('Billing', 'billing@fabrikam.com'),
+    toRecipients: [address('Test User', 'test.user@contoso.com')],
+    body: { contentType: 'html', content: '<p>Your invoice for October is attached.</p>' },
+    receivedDateTime: '2026-10-02T09:00:00Z',
+    hasAttachments: true,
+    isRead: false
+  },
+  {
+    id: 'm2',
+    subject: 'Lunch',
+    from: address('Sarah Lee', 'sarah.lee@contoso.com'),
+    toRecipients: [address('Test User', 'test.user@contoso.com')],
+    body: { contentType: 'text', content: 'Shall we discuss the invoice over lunch? Also the Project X kickoff went well.' },
+    receivedDateTime: '2026-10-05T12:00:00Z',
+    hasAttachments: false,
+    isRead: true
+  },
+  {
+    id: 'm3',
+    subject: 'Project X kickoff',
+    from: address('John Smith', 'john.smith@contoso.com'),
+    toRecipients: [address('Test User', 'test.user@contoso.com')],
+    ccRecipients: [address('Sarah Lee', 'sarah.lee@contoso.com')],
+    body: { contentType: 'text', content: 'Kickoff for project x is on Monday. Café at 10.' },
+    receivedDateTime: '2026-09-28T08:30:00Z',
+    hasAttachments: false,
+    isRead: true
+  },
+  {
+    id: 'm4',
+    subject: 'Draft: project plan',
+    from: address('Test User', 'test.user@contoso.com'),
+    bodyPreview: 'Plan for x and kickoff notes',
+    receivedDateTime: '2026-10-06T16:00:00Z',
+    isDraft: true
+  }
+];
+
+const buildIndex = () => {
+  const index = new SearchIndex();
+  MESSAGES.forEach(message => index.add(message, 'Inbox'));
+  return index;
+};
+const ids = matches => matches.map(match => match.message.id);
+
+describe('search index', () => {
+  const index = buildIndex();
+
+  test('tokenize lower-cases and drops accents and punctuation', () => {
+    expect(tokenize('Café, RÉSUMÉ & billing@fabrikam.com')).toEqual(['cafe', 'resume', 'billing', 'fabrikam', 'com']);
+  });
+
+  test('ranks subject matches above body matches', () => {
+    expect(ids(index.search('invoice'))).toEqual(['m1', 'm2']);
+    expect(index.search('invoice')[0].score).toBeGreaterThan(index.search('invoice')[1].score);
+  });
+
+  test('every word must match', () => {
+    expect(ids(index.search('invoice lunch'))).toEqual(['m2']);
+    expect(index.search('invoice dinner')).toEqual([]);
+  });
+
+  test('a quoted phrase needs the words next to each other', () => {
+    expect(ids(index.search('"project x kickoff"')).sort()).toEqual(['m2', 'm3']);
+    expect(ids(index.search('"kickoff project"'))).toEqual([]);
+  });
+
+  test('a trailing * matches word prefixes', () => {
+    expect(ids(index.search('invoic*')).sort()).toEqual(['m1', 'm2']);
+    expect(ids(index.search('kick*')).sort()).toEqual(['m2', 'm3', 'm4']);
+  });
+
+  test('field prefixes limit where words match', () => {
+    expect(ids(index.search('from:sarah.lee@contoso.com'))).toEqual(['m2']);
+    expect(ids(index.search('to:sarah'))).toEqual(['m3']);
+    expect(ids(index.search('subject:kickoff'))).toEqual(['m3']);
+    expect(ids(index.search('body:"is attached"'))).toEqual(['m1']);
+  });
+
+  test('filters need no words and list newest first', () => {
+    expect(ids(index.search('has:attachment'))).toEqual(['m1']);
+    expect(ids(index.search('is:unread'))).toEqual(['m4', 'm1']);
+    expect(ids(index.search('is:draft'))).toEqual(['m4']);
+    expect(ids(index.search('after:2026-10-01 before:2026-10-06'))).toEqual(['m2', 'm1']);
+    expect(ids(index.search('received:2026-10-02..2026-10-05'))).toEqual(['m2', 'm1']);
+    expect(ids(index.search('received>2026-10-05'))).toEqual(['m4']);
+    expect(ids(index.search('received<=2026-09-28'))).toEqual(['m3']);
+  });
+
+  test('a leading - excludes matches', () => {
+    expect(ids(index.search('kickoff -from:john.smith@contoso.com')).sort()).toEqual(['m2', 'm4']);
+    expect(ids(index.search('invoice -has:attachment'))).toEqual(['m2']);
+    expect(ids(index.search('kickoff -lunch -is:draft'))).toEqual(['m3']);
+  });
+
+  test('searches the preview when the body was not synced', () => {
+    expect(ids(index.search('notes'))).toEqual(['m4']);
+  });
+
+  test('HTML markup is not searched', () => {
+    expect(index.search('p')).toEqual([]);
+  });
+
+  test('unknown prefixes are searched as text', () => {
+    expect(parseSearchQuery('https://contoso.com')).toEqual([expect.objectContaining({ type: 'text', tokens: ['https', 'contoso', 'com'], phrase: true })]);
+  });
+
+  test.each([
+    ['has:calendar', 'Unsupported "has:calendar" (use has:attachment)'],
+    ['is:flagged', 'Unsupported "is:flagged"'],
+    ['after:yesterday', '"yesterday" is not a date'],
+    ['"" ...', 'The query has no words or filters to search for']
+  ])('rejects %s', (query, message) => {
+    expect(() => parseSearchQuery(query)).toThrow(message);
+    expect(() => parseSearchQuery(query)).toThrow(expect.objectContaining({ name: 'InvalidSearchQueryError' }));
+  });
+});
+
+describe('search_emails over the local store', () => {
+  let graph;
+  let saved;
+  let account;
+
+  const search = async params => parseResponse(await searchEmailsHandler(params));
+  const graphSearches = () => graph.requests.filter(request => request.url.includes('search='));
+
+  beforeAll(async () => {
+    graph = await startFakeGraphServer();
+    saved = { apiBaseUrl: config.microsoft.apiBaseUrl, dir: config.sync.dir, maxAgeSeconds: config.sync.maxAgeSeconds };
+    config.microsoft.apiBaseUrl = graph.url;
+  });
+
+  afterAll(async () => {
+    config.microsoft.apiBaseUrl = saved.apiBaseUrl;
+    config.sync.dir = saved.dir;
+    config.sync.maxAgeSeconds = saved.maxAgeSeconds;
+    await graph.stop();
+  });
+
+  beforeEach(async () => {
+    graph.reset();
+    config.sync.maxAgeSeconds = saved.maxAgeSeconds;
+    config.sync.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-index-'));
+    ({ account } = parseResponse(await syncMailboxHandler({ folders: 'inbox,sentitems', calendar: false })));
+    graph.requests = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(config.sync.dir, { recursive: true, force: true });
+  });
+
+  test('mode local searches the synced folders without Graph', async () => {
+    const result = await search({ query: 'from:billing@fabrikam.com', mode: 'local' });
+
+    expect(result).toMatchObject({ status: 'success', source: 'local', fresh: true, totalMatches: 1, foldersSearched: ['inbox', 'sentitems'] });
+    expect(result.folderResults[0].emails[0]).toMatchObject({ id: 'AAMkMessage000000002', score: expect.any(Number) });
+    expect(graph.requests).toEqual([]);
+  });
+
+  test('results are paged with a cursor that stays local', async () => {
+    const page = await search({ query: '-is:draft', mode: 'local', limit: 1 });
+    expect(page).toMatchObject({ totalResults: 1, hasMore: true, nextCursor: expect.any(String) });
+
+    const next = await search({ cursor: page.nextCursor });
+
+    expect(next.source).toBe('local');
+    expect(next.folderResults[0].emails[0].id).not.toBe(page.folderResults[0].emails[0].id);
+    expect(graphSearches()).toEqual([]);
+  });
+
+  test('mode auto goes to Graph when the synced folders are stale', async () => {
+    const fresh = await search({ query: 'kickoff', mode: 'auto' });
+    expect(fresh.source).toBe('local');
+
+    getSyncStore().noteWrite(account);
+    const stale = await search({ query: 'kickoff', mode: 'auto' });
+
+    expect(stale).not.toHaveProperty('source', 'local');
+    expect(graphSearches()).toHaveLength(1);
+  });
+
+  test('mode auto sends queries the local syntax rejects to Graph', async () => {
+    await search({ query: 'has:calendar', mode: 'auto' });
+
+    expect(graphSearches()).toHaveLength(1);
+  });
+
+  test('mode local reports an invalid query', async () => {
+    const result = await search({ query: 'is:flagged', mode: 'local' });
+
+    expect(result).toEqual({ status: 'error', message: 'Invalid search query: Unsupported "is:flagged" (use is:read, is:unread or is:draft)' });
+  });
+
+  test('mode local without synced folders points to sync_mailbox', async () => {
+    config.sync.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-index-empty-'));
+
+    const result = await search({ query: 'kickoff', mode: 'local' });
+
+    expect(result).toMatchObject({ status: 'error', suggested_tool: 'sync_mailbox' });
+  });
+
+  test('the index follows later syncs', async () => {
+    expect((await search({ query: 'subject:standup', mode: 'local' })).totalMatches).toBe(0);
+    graph.mailbox.respond('POST', '/me/mailFolders/inbox/messages', { body: { subject: 'Standup moved' }, baseUrl: graph.url });
+
+    await syncMailboxHandler({ folders: 'inbox', calendar: false });
+
+    expect((await search({ query: 'subject:standup', mode: 'local' })).totalMatches).toBe(1);
+  });
+});
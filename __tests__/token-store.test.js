@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TOKENS = JSON.stringify({ refresh_token: 'M.R3_BAY.secret-refresh-token' });
+
+describe('encrypted token storage', () => {
+  let dir;
+  let env;
+
+  /**
+   * Load the token store afresh with the given encryption settings
+   * @param {Object} settings - TOKEN_ENCRYPTION_* environment variables
+   * @returns {Object} - auth/token-store.js
+   */
+  function loadStore(settings = {}) {
+    Object.assign(process.env, {
+      TOKEN_ENCRYPTION_KEY: '',
+      TOKEN_ENCRYPTION_KEY_FILE: path.join(dir, 'token-key'),
+      TOKEN_ENCRYPTION_PREVIOUS_KEYS: ''
+    }, settings);
+    jest.resetModules();
+    return require('../auth/token-store');
+  }
+
+  const file = name => path.join(dir, name);
+  const envelope = name => JSON.parse(fs.readFileSync(file(name), 'utf-8'));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-'));
+    env = { ...process.env };
+  });
+
+  afterEach(() => {
+    process.env = env;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes an AES-256-GCM envelope readable by the owner only', () => {
+    const store = loadStore({ TOKEN_ENCRYPTION_KEY: 'passphrase one' });
+
+    store.writeSecureFileSync(file('tokens.json'), TOKENS);
+
+    const raw = fs.readFileSync(file('tokens.json'), 'utf-8');
+    expect(raw).not.toContain('secret-refresh-token');
+    expect(JSON.parse(raw)).toEqual({
+      encrypted: 'aes-256-gcm',
+      version: 1,
+      keyId: expect.stringMatching(/^[0-9a-f]{16}$/),
+      iv: expect.any(String),
+      tag: expect.any(String),
+      data: expect.any(String)
+    });
+    expect(fs.statSync(file('tokens.json')).mode & 0o777).toBe(0o600);
+    expect(store.readSecureFileSync(file('tokens.json'))).toBe(TOKENS);
+  });
+
+  test('generates a key file on first use', () => {
+    const store = loadStore();
+
+    store.writeSecureFileSync(file('tokens.json'), TOKENS);
+
+    expect(fs.statSync(file('token-key')).mode & 0o777).toBe(0o600);
+    expect(Buffer.from(fs.readFileSync(file('token-key'), 'utf-8').trim(), 'base64')).toHaveLength(32);
+    expect(loadStore().readSecureFileSync(file('tokens.json'))).toBe(TOKENS);
+  });
+
+  test('migrates a plaintext file when it is read', () => {
+    fs.writeFileSync(file('tokens.json'), TOKENS);
+    const store = loadStore({ TOKEN_ENCRYPTION_KEY: 'passphrase one' });
+
+    expect(store.readSecureFileSync(file('tokens.json'))).toBe(TOKENS);
+    expect(envelope('tokens.json').encrypted).toBe('aes-256-gcm');
+  });
+
+  test('reads a file written with a previous key and re-encrypts it', () => {
+    loadStore({ TOKEN_ENCRYPTION_KEY: 'old passphrase' }).writeSecureFileSync(file('tokens.json'), TOKENS);
+    const oldKeyId = envelope('tokens.json').keyId;
+
+    const store = loadStore({ TOKEN_ENCRYPTION_KEY: 'new passphrase', TOKEN_ENCRYPTION_PREVIOUS_KEYS: 'old passphrase' });
+
+    expect(store.readSecureFileSync(file('tokens.json'))).toBe(TOKENS);
+    expect(envelope('tokens.json').keyId).not.toBe(oldKeyId);
+    expect(loadStore({ TOKEN_ENCRYPTION_KEY: 'new passphrase' }).readSecureFileSync(file('tokens.json'))).toBe(TOKENS);
+  });
+
+  test('refuses a file encrypted with an unknown key', () => {
+    loadStore({ TOKEN_ENCRYPTION_KEY: 'old passphrase' }).writeSecureFileSync(file('tokens.json'), TOKENS);
+    const store = loadStore({ TOKEN_ENCRYPTION_KEY: 'new passphrase' });
+
+    expect(() => store.readSecureFileSync(file('tokens.json'))).toThrow(expect.objectContaining({
+      name: 'TokenStoreError',
+      reason: 'unknown_key'
+    }));
+  });
+
+  test('detects a modified file', () => {
+    const store = loadStore({ TOKEN_ENCRYPTION_KEY: 'passphrase one' });
+    store.writeSecureFileSync(file('tokens.json'), TOKENS);
+    const tampered = envelope('tokens.json');
+    const data = Buffer.from(tampered.data, 'base64');
+    data[0] ^= 1;
+    fs.writeFileSync(file('tokens.json'), JSON.stringify({ ...tampered, data: data.toString('base64') }));
+
+    expect(() => store.readSecureFileSync(file('tokens.json'))).toThrow(expect.objectContaining({ reason: 'integrity' }));
+    expect(store.inspectSecureFile(file('tokens.json'))).toMatchObject({ exists: true, encrypted: true, valid: false });
+  });
+
+  test('moves an unreadable file aside instead of overwriting it', () => {
+    loadStore({ TOKEN_ENCRYPTION_KEY: 'old passphrase' }).writeSecureFileSync(file('tokens.json'), TOKENS);
+    const store = loadStore({ TOKEN_ENCRYPTION_KEY: 'new passphrase' });
+
+    store.writeSecureFileSync(file('tokens.json'), '{}');
+
+    const backups = fs.readdirSync(dir).filter(name => name.startsWith('tokens.json.unreadable-'));
+    expect(backups).toHaveLength(1);
+    expect(loadStore({ TOKEN_ENCRYPTION_KEY: 'old passphrase' }).readSecureFileSync(file(backups[0]))).toBe(TOKENS);
+    expect(store.readSecureFileSync(file('tokens.json'))).toBe('{}');
+  });
+
+  test('rotates the key file and keeps the old key for other files', () => {
+    const store = loadStore();
+    store.writeSecureFileSync(file('tokens.json'), TOKENS);
+    store.writeSecureFileSync(file('other.json'), '{"other":true}');
+    const oldKeyId = envelope('tokens.json').keyId;
+
+    const result = store.rotateKey([file('tokens.json'), file('missing.json')]);
+
+    expect(result).toEqual({ keyId: expect.not.stringMatching(oldKeyId), rotated: [file('tokens.json')] });
+    expect(envelope('tokens.json').keyId).toBe(result.keyId);
+    expect(fs.existsSync(file('token-key.previous'))).toBe(true);
+    const reloaded = loadStore();
+    expect(reloaded.readSecureFileSync(file('tokens.json'))).toBe(TOKENS);
+    expect(reloaded.readSecureFileSync(file('other.json'))).toBe('{"other":true}');
+    expect(reloaded.inspectSecureFile(file('other.json'))).toMatchObject({ valid: true, currentKey: true, keyId: result.keyId });
+  });
+
+  test('does not rotate a key set in the environment', () => {
+    const store = loadStore({ TOKEN_ENCRYPTION_KEY: 'passphrase one' });
+
+    expect(() => store.rotateKey([])).toThrow('TOKEN_ENCRYPTION_KEY is set in the environment');
+  });
+
+  test('reports a missing file', () => {
+    expect(loadStore().inspectSecureFile(file('missing.json'))).toMatchObject({ exists: false, valid: false, error: null });
+    expect(loadStore().readSecureFileSync(file('missing.json'))).toBeNull();
+  });
+});
@@ -0,0 +1,651 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getCorrelationId } = require('../utils/log-context');
+const { lookupDefaultUser } = require('../utils/parameter-helpers');
+
+/**
+ * Append-only audit trail of mutating tool calls
+ *
+ * Each entry is one JSON line holding the tool, the account and mailbox, the
+ * IDs it targeted, a digest of its parameters and the outcome. Entries are
+ * chained: every entry stores the hash of the one before it and its own hash,
+ * an HMAC over its canonical JSON. The HMAC key lives in its own file (or
+ * AUDIT_KEY), so whoever can rewrite the log cannot recompute the chain. The
+ * last entry's seq and hash are kept, with an HMAC, in a ".head" file next to
+ * the log, so dropping entries from the end shows up as well.
+ *
+ * Entries written before the chain was keyed have no "alg" field. They are
+ * checked as a plain SHA-256 chain and counted as legacy entries: their order
+ * is verified, but anyone able to write the file could have rewritten them.
+ */
+
+// Tools that change mailbox, calendar or rule state
+const AUDITED_TOOLS = [
+  'send_email',
+  'create_draft',
+  'reply_email',
+  'forward_email',
+  'mark_email',
+  'add_attachment',
+  'delete_attachment',
+  'move_emails',
+  'copy_emails',
+  'create_folder',
+  'update_folder',
+  'delete_folder',
+  'move_folder',
+  'create_event',
+  'update_event',
+  'respond_to_event',
+  'delete_event',
+  'cancel_event',
+  'create_rule',
+  'update_rule',
+  'delete_rule'
+];
+
+// Parameter and response fields holding the IDs of affected items
+const TARGET_ID_FIELDS = [
+  'id',
+  'emailId',
+  'emailIds',
+  'attachmentId',
+  'folderId',
+  'parentFolderId',
+  'destinationFolderId',
+  'eventId',
+  'calendarId',
+  'ruleId'
+];
+
+// Response objects whose id identifies a created item
+const RESULT_OBJECT_FIELDS = ['folder', 'event', 'rule', 'draft', 'message'];
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Hash algorithm of keyed entries; legacy entries have no alg field
+const ENTRY_ALG = 'hmac-sha256';
+
+// Bytes read from the end of the file to find the last entry
+const TAIL_READ_BYTES = 64 * 1024;
+
+// HMAC key, cached by where it came from
+let loadedKey = null;
+
+/**
+ * Load the audit HMAC key
+ * The key comes from AUDIT_KEY, or from the key file, which is generated on
+ * first use when the log is written.
+ * @param {boolean} [create=false] - Generate the key file when it does not exist
+ * @returns {Buffer|null} - Key, or null when there is none yet
+ */
+function loadAuditKey(create = false) {
+  const { key, keyFile } = config.audit;
+  const source = key ? 'env' : keyFile;
+  if (loadedKey && loadedKey.source === source) {
+    return loadedKey.key;
+  }
+
+  let material = key;
+  if (!material) {
+    try {
+      material = fs.readFileSync(keyFile, 'utf8').trim();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+  if (!material) {
+    if (!create) {
+      return null;
+    }
+    material = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+    fs.writeFileSync(keyFile, `${material}\n`, { encoding: 'utf8', mode: 0o600 });
+    logger.info(`Generated audit log key at ${keyFile}`);
+  }
+
+  loadedKey = { source, key: Buffer.from(material, 'utf8') };
+  return loadedKey.key;
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal values hash equally
+ * @param {any} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJson(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item)).join(',')}]`;
+  }
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+}
+
+/**
+ * SHA-256 hex digest
+ * @param {string} text - Text to hash
+ * @returns {string} - Hex digest
+ */
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * HMAC-SHA256 hex digest
+ * @param {Buffer} key - HMAC key
+ * @param {string} text - Text to authenticate
+ * @returns {string} - Hex digest
+ */
+function hmac(key, text) {
+  return crypto.createHmac('sha256', key).update(text).digest('hex');
+}
+
+/**
+ * Hash of an entry, covering every field except the hash itself
+ * Keyed entries use an HMAC; legacy entries a plain SHA-256.
+ * @param {Object} entry - Audit entry
+ * @param {Buffer} key - HMAC key
+ * @returns {string} - Hex digest
+ */
+function hashEntry(entry, key) {
+  const { hash, ...content } = entry;
+  return entry.alg === ENTRY_ALG ? hmac(key, canonicalJson(content)) : sha256(canonicalJson(content));
+}
+
+/**
+ * Hash standing in for an unreadable line, so the next entry can link to it
+ * @param {string} line - Raw line
+ * @param {Buffer} [key] - HMAC key
+ * @returns {string|null} - Hex digest, or null without a key
+ */
+function lineHash(line, key) {
+  return key ? hmac(key, line) : null;
+}
+
+/**
+ * MAC of a head record, so it cannot be rewritten to match a truncated log
+ * @param {Object} head - { seq, hash }
+ * @param {Buffer} key - HMAC key
+ * @returns {string} - Hex digest
+ */
+function headMac(head, key) {
+  return hmac(key, `head:${head.seq}:${head.hash}`);
+}
+
+/**
+ * Pick target ID fields from an object
+ * @param {Object} source - Parameters or parsed response
+ * @returns {Object} - Non-empty ID fields
+ */
+function pickTargetIds(source) {
+  const ids = {};
+  if (!source || typeof source !== 'object') {
+    return ids;
+  }
+  TARGET_ID_FIELDS.forEach(field => {
+    const value = source[field];
+    if ((typeof value === 'string' && value) || (Array.isArray(value) && value.length > 0)) {
+      ids[field] = value;
+    }
+  });
+  return ids;
+}
+
+/**
+ * Parse the JSON payload of a tool response
+ * @param {Object} response - MCP tool response
+ * @returns {Object|null} - Parsed payload, or null when it is not JSON
+ */
+function parseToolResponse(response) {
+  const text = response && Array.isArray(response.content) && response.content[0] && response.content[0].text;
+  if (typeof text !== 'string') {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Summarize a tool response for the audit trail
+ * @param {Object} response - MCP tool response
+ * @param {Object} [targets={}] - Target IDs from the parameters, not repeated in resultIds
+ * @returns {Object} - { status, dryRun, errorType, message, resultIds }
+ */
+function summarizeOutcome(response, targets = {}) {
+  const payload = parseToolResponse(response);
+  if (!payload) {
+    return { status: 'unknown' };
+  }
+
+  const status = payload.status || (payload.error ? 'error' : 'unknown');
+  const outcome = { status };
+  if (payload.dryRun) {
+    outcome.dryRun = true;
+  }
+  if (status === 'error' || payload.error) {
+    outcome.errorType = (payload.error && payload.error.type) || payload.errorType || 'error';
+    outcome.message = (payload.error && payload.error.message) || payload.message;
+  }
+
+  const resultIds = pickTargetIds(payload);
+  RESULT_OBJECT_FIELDS.forEach(field => {
+    if (payload[field] && typeof payload[field].id === 'string') {
+      resultIds[`${field}Id`] = payload[field].id;
+    }
+  });
+  Object.keys(resultIds).forEach(field => {
+    if (canonicalJson(resultIds[field]) === canonicalJson(targets[field])) {
+      delete resultIds[field];
+    }
+  });
+  if (Object.keys(resultIds).length > 0) {
+    outcome.resultIds = resultIds;
+  }
+  return outcome;
+}
+
+/**
+ * Hash-chained JSONL audit log
+ */
+class AuditLog {
+  /**
+   * @param {string} filePath - Log file path
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    // Seq and hash of the last entry written, kept next to the log
+    this.headPath = `${filePath}.head`;
+    // Last appended entry, loaded from the file on first append
+    this.head = null;
+    // Appends run one at a time so the chain stays linear
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Append an entry, linking it to the previous one
+   * @param {Object} fields - Entry fields (seq, prevHash and hash are added)
+   * @returns {Promise<Object>} - Stored entry
+   */
+  append(fields) {
+    const result = this.queue.then(() => this._append(fields));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  async _append(fields) {
+    const key = loadAuditKey(true);
+    if (!this.head) {
+      this.head = await this._resumeChain(key);
+    }
+    return this._writeEntry(fields, key);
+  }
+
+  /**
+   * Write an entry after the current head and move the head to it
+   * @param {Object} fields - Entry fields
+   * @param {Buffer} key - HMAC key
+   * @returns {Promise<Object>} - Stored entry
+   * @private
+   */
+  async _writeEntry(fields, key) {
+    const entry = {
+      seq: this.head.seq + 1,
+      timestamp: new Date().toISOString(),
+      ...fields,
+      alg: ENTRY_ALG,
+      prevHash: this.head.hash
+    };
+    entry.hash = hashEntry(entry, key);
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, { encoding: 'utf8', mode: 0o600 });
+    this.head = { seq: entry.seq, hash: entry.hash };
+    await this._writeHead(this.head, key);
+    return entry;
+  }
+
+  /**
+   * Find where to continue the chain when this process first appends
+   * The end of the file must match the head file. When it does not, entries
+   * were removed or damaged in between: the file is left as found and a gap
+   * entry recording both ends is appended, so verification keeps failing
+   * instead of the chain silently continuing from the damaged end.
+   * @param {Buffer} key - HMAC key
+   * @returns {Promise<Object>} - { seq, hash } to continue from
+   * @throws {Error} - When neither the file nor the head file gives a sequence number
+   * @private
+   */
+  async _resumeChain(key) {
+    const tail = await this._readTail(key);
+    const head = await this._readHeadFile();
+    const headValid = Boolean(head && head.mac === headMac(head, key));
+
+    let problem = null;
+    if (tail.unreadableLines > 0) {
+      problem = `the log ends with ${tail.unreadableLines} unreadable line(s)`;
+    } else if (!head) {
+      // Logs from before the head file have none; only keyed entries need one
+      problem = tail.keyed ? 'the head file is missing' : null;
+    } else if (!headValid) {
+      problem = 'the head file does not match its MAC';
+    } else if (head.seq > tail.seq) {
+      problem = `the log ends at entry ${tail.seq} but the head file records entry ${head.seq}; entries were removed from the end`;
+    } else if (head.seq !== tail.seq || head.hash !== tail.hash) {
+      problem = 'the last entry does not match the head file';
+    }
+    if (!problem) {
+      return { seq: tail.seq, hash: tail.hash };
+    }
+
+    const seq = Math.max(tail.seq === null ? -1 : tail.seq, headValid ? head.seq : -1);
+    if (seq < 0) {
+      throw new Error(`Audit log ${this.filePath} cannot be continued: ${problem}, and no readable entry or valid head file gives the last sequence number`);
+    }
+    logger.error(`Audit log ${this.filePath} does not match its head file: ${problem}. Recording a gap entry`);
+    this.head = { seq, hash: tail.hash };
+    await this._writeEntry({
+      type: 'gap',
+      gap: {
+        reason: problem,
+        lastEntry: { seq: tail.seq, hash: tail.hash },
+        head: headValid ? { seq: head.seq, hash: head.hash } : null
+      }
+    }, key);
+    return this.head;
+  }
+
+  /**
+   * Record the last entry in the head file, replacing it atomically
+   * @param {Object} head - { seq, hash }
+   * @param {Buffer} key - HMAC key
+   * @private
+   */
+  async _writeHead(head, key) {
+    const record = { ...head, mac: headMac(head, key) };
+    const tempFile = `${this.headPath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFile, `${JSON.stringify(record)}\n`, { encoding: 'utf8', mode: 0o600 });
+    await fs.promises.rename(tempFile, this.headPath);
+  }
+
+  /**
+   * Read the head file
+   * @returns {Promise<Object|null>} - { seq, hash, mac }, or null when there is none
+   * @private
+   */
+  async _readHeadFile() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.headPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Find the sequence number and hash of the last entry in the file
+   * Unreadable lines at the end are counted and skipped; the chain continues
+   * from the hash of the last one, as verification links them. A partly
+   * written last line is ended first, so the next entry starts on a new line.
+   * @param {Buffer} key - HMAC key
+   * @returns {Promise<Object>} - { seq, hash, keyed, unreadableLines }; seq is null
+   *   when no entry in the tail can be read
+   * @private
+   */
+  async _readTail(key) {
+    const empty = { seq: 0, hash: GENESIS_HASH, keyed: false, unreadableLines: 0 };
+    let handle;
+    try {
+      handle = await fs.promises.open(this.filePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return empty;
+      }
+      throw error;
+    }
+
+    let text;
+    try {
+      const { size } = await handle.stat();
+      const length = Math.min(size, TAIL_READ_BYTES);
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, size - length);
+      text = buffer.toString('utf8');
+      // The first line of a partial read may be cut off
+      if (length < size) {
+        text = text.substring(text.indexOf('\n') + 1);
+      }
+    } finally {
+      await handle.close();
+    }
+    if (text && !text.endsWith('\n')) {
+      await fs.promises.appendFile(this.filePath, '\n', 'utf8');
+    }
+
+    const lines = text.split('\n').filter(line => line.trim());
+    if (lines.length === 0) {
+      return empty;
+    }
+    const hash = lineHash(lines[lines.length - 1], key);
+    for (let i = lines.length - 1; i >= 0; i--) {
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (error) {
+        continue;
+      }
+      const unreadableLines = lines.length - 1 - i;
+      return {
+        seq: entry.seq + unreadableLines,
+        hash: unreadableLines > 0 ? hash : entry.hash,
+        keyed: entry.alg === ENTRY_ALG,
+        unreadableLines
+      };
+    }
+    return { seq: null, hash, keyed: true, unreadableLines: lines.length };
+  }
+
+  /**
+   * Query entries, verifying the hash chain over the whole file and the head file
+   * @param {Object} [filters] - Query filters
+   * @param {Date} [filters.since] - Earliest timestamp (inclusive)
+   * @param {Date} [filters.until] - Latest timestamp (inclusive)
+   * @param {string[]} [filters.tools] - Tools to include
+   * @param {number} [filters.limit=50] - Maximum entries returned (the most recent matches)
+   * @returns {Promise<Object>} - { entries, matched, integrity }; integrity.legacyEntries
+   *   counts entries from before the chain was keyed
+   */
+  async query(filters = {}) {
+    const limit = filters.limit || 50;
+    const entries = [];
+    let matched = 0;
+    const integrity = { valid: true, checkedEntries: 0, legacyEntries: 0 };
+    let keyedEntries = 0;
+    let prevHash = GENESIS_HASH;
+    let prevSeq = 0;
+    let lineNumber = 0;
+
+    const markInvalid = (reason) => {
+      if (integrity.valid) {
+        integrity.valid = false;
+        integrity.firstInvalidLine = lineNumber;
+        integrity.reason = reason;
+      }
+    };
+
+    if (!fs.existsSync(this.filePath)) {
+      return { entries, matched, integrity };
+    }
+
+    const key = loadAuditKey();
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) {
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        markInvalid('unreadable entry');
+        prevHash = lineHash(line, key);
+        continue;
+      }
+
+      integrity.checkedEntries++;
+      const keyed = entry.alg === ENTRY_ALG;
+      if (keyed) {
+        keyedEntries++;
+      } else {
+        integrity.legacyEntries++;
+      }
+      // Gap entries were written after entries went missing, so they skip sequence numbers
+      const seqInOrder = entry.type === 'gap' ? entry.seq > prevSeq : entry.seq === prevSeq + 1;
+      if (!keyed && keyedEntries > 0) {
+        markInvalid('entry without an HMAC follows keyed entries');
+      } else if (keyed && !key) {
+        markInvalid('the audit key is missing, so entry hashes cannot be checked');
+      } else if (entry.prevHash !== prevHash) {
+        markInvalid('entry does not link to the previous entry');
+      } else if (hashEntry(entry, key) !== entry.hash) {
+        markInvalid('entry content does not match its hash');
+      } else if (!seqInOrder) {
+        markInvalid('sequence number out of order');
+      } else if (entry.type === 'gap') {
+        markInvalid(`entries were lost before this entry: ${entry.gap && entry.gap.reason}`);
+      }
+      prevHash = entry.hash;
+      prevSeq = entry.seq;
+
+      const time = new Date(entry.timestamp);
+      if ((filters.since && time < filters.since) ||
+          (filters.until && time > filters.until) ||
+          (filters.tools && filters.tools.length > 0 && !filters.tools.includes(entry.tool))) {
+        continue;
+      }
+      matched++;
+      entries.push(entry);
+      if (entries.length > limit) {
+        entries.shift();
+      }
+    }
+
+    // The head file catches entries dropped from the end, which leave the chain
+    // intact; logs holding only legacy entries predate it
+    const head = await this._readHeadFile();
+    if (key && (head || keyedEntries > 0)) {
+      lineNumber++;
+      if (!head) {
+        markInvalid('the head file is missing');
+      } else if (head.mac !== headMac(head, key)) {
+        markInvalid('the head file does not match its MAC');
+      } else if (head.seq > prevSeq) {
+        markInvalid(`the log ends at entry ${prevSeq} but the head file records entry ${head.seq}; entries were removed from the end`);
+      } else if (head.seq !== prevSeq || head.hash !== prevHash) {
+        markInvalid('the last entry does not match the head file');
+      }
+    }
+
+    return { entries, matched, integrity };
+  }
+}
+
+// Shared log for the configured path
+let auditLog = null;
+
+/**
+ * Get the audit log for config.audit.path
+ * @returns {AuditLog} - Audit log
+ */
+function getAuditLog() {
+  if (!auditLog || auditLog.filePath !== config.audit.path) {
+    auditLog = new AuditLog(config.audit.path);
+  }
+  return auditLog;
+}
+
+/**
+ * Record a tool call in the audit trail if the tool changes state
+ * Failures are logged, never thrown: the call has already taken effect.
+ * @param {string} toolName - Tool that was called
+ * @param {Object} params - Tool parameters
+ * @param {Object} response - Tool response
+ * @param {number} durationMs - Time the call took
+ * @returns {Promise<Object|null>} - Stored entry, or null when not audited
+ */
+async function recordToolCall(toolName, params, response, durationMs) {
+  if (!config.audit.enabled || !AUDITED_TOOLS.includes(toolName)) {
+    return null;
+  }
+  const safeParams = params || {};
+  const targets = pickTargetIds(safeParams);
+  const outcome = summarizeOutcome(response, targets);
+  // Dry runs and calls awaiting confirmation change nothing, so there is nothing to record
+  if (outcome.dryRun || outcome.status === 'confirmation_required') {
+    return null;
+  }
+
+  try {
+    let userId = safeParams.userId;
+    if (!userId || userId === 'default') {
+      userId = (await lookupDefaultUser()) || 'default';
+    }
+
+    return await getAuditLog().append({
+      correlationId: getCorrelationId(),
+      tool: toolName,
+      account: {
+        userId,
+        mailbox: safeParams.mailbox || null,
+        authMode: config.microsoft.authMode
+      },
+      targets,
+      paramsDigest: `sha256:${sha256(canonicalJson(safeParams))}`,
+      outcome,
+      durationMs
+    });
+  } catch (error) {
+    logger.error(`Failed to write audit entry for ${toolName}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  AUDITED_TOOLS,
+  AuditLog,
+  getAuditLog,
+  recordToolCall,
+  summarizeOutcome,
+  canonicalJson,
+  hashEntry
+};
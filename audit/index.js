@@ -0,0 +1,6 @@
+const { getAuditLogHandler } = require('./query');
+
+// Export all handlers directly
+module.exports = {
+  getAuditLogHandler
+};
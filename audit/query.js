@@ -0,0 +1,103 @@
+// audit/query.js
+const config = require('../config');
+const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
+const { getAuditLog } = require('./audit-log');
+
+// Most entries returned by one query
+const MAX_LIMIT = 500;
+
+/**
+ * Parse an optional ISO 8601 time parameter
+ * @param {string} value - Parameter value
+ * @param {string} name - Parameter name, for the error message
+ * @returns {Date|null} - Parsed date, or null when not given
+ * @throws {Error} - When the value is not a valid date
+ */
+function parseTime(value, name) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${name} must be an ISO 8601 date-time, got "${value}"`);
+  }
+  return date;
+}
+
+/**
+ * Get audit log entries handler
+ * @param {Object} params - Tool parameters
+ * @param {string} [params.startTime] - Earliest entry time (ISO 8601)
+ * @param {string} [params.endTime] - Latest entry time (ISO 8601)
+ * @param {string} [params.tool] - Tool name, or comma-separated tool names
+ * @param {number} [params.limit=50] - Maximum entries to return (most recent first)
+ * @returns {Promise<Object>} - MCP response
+ */
+async function getAuditLogHandler(params = {}) {
+  // A disabled audit log is not read, even if a file exists from before
+  if (!config.audit.enabled) {
+    return formatMcpResponse({
+      status: 'disabled',
+      auditEnabled: false,
+      message: 'The audit log is disabled (AUDIT_LOG_ENABLED=false), so no entries are recorded or read.',
+      count: 0,
+      entries: []
+    });
+  }
+
+  let since;
+  let until;
+  try {
+    since = parseTime(params.startTime, 'startTime');
+    until = parseTime(params.endTime, 'endTime');
+  } catch (error) {
+    return formatMcpResponse({ status: 'error', message: error.message });
+  }
+
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || 50, 1), MAX_LIMIT);
+  const tools = params.tool ? String(params.tool).split(',').map(name => name.trim()).filter(Boolean) : [];
+
+  try {
+    const { entries, matched, integrity } = await getAuditLog().query({ since, until, tools, limit });
+    if (!integrity.valid) {
+      logger.warn(`Audit log integrity check failed at line ${integrity.firstInvalidLine}: ${integrity.reason}`);
+    }
+
+    return formatMcpResponse({
+      status: 'success',
+      auditEnabled: config.audit.enabled,
+      count: entries.length,
+      matched,
+      integrity,
+      ...(integrity.valid ? {} : {
+        warning: 'The audit log hash chain is broken. Entries may have been edited, removed or reordered.'
+      }),
+      ...(integrity.legacyEntries > 0 ? {
+        note: `${integrity.legacyEntries} entries predate the keyed chain. Their order is verified, but they are not protected against rewriting.`
+      } : {}),
+      entries: entries.reverse()
+    });
+  } catch (error) {
+    logger.error(`Error reading audit log: ${error.message}`);
+    return errorResponse(error, 'read audit log');
+  }
+}
+
+/**
+ * Format response for MCP
+ * @param {Object} data - Response data
+ * @returns {Object} - MCP formatted response
+ */
+function formatMcpResponse(data) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(data)
+      }
+    ]
+  };
+}
+
+module.exports = { getAuditLogHandler };
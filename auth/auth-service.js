@@ -1,13 +1,15 @@
 const fs = require('fs');
-const path = require('path');
-const os = require('os');
 const http = require('http');
 const url = require('url');
 const open = require('open');
 const { PublicClientApplication, ConfidentialClientApplication } = require('@azure/msal-node');
-const { Client } = require('@microsoft/microsoft-graph-client');
 const logger = require('../utils/logger');
 const config = require('../config');
+const { getGraphTransport } = require('../utils/graph-transport');
+const { readSecureFileSync, writeSecureFileSync } = require('./token-store');
+
+// App-only tokens carry the application permissions granted to the app registration
+const APP_ONLY_SCOPES = ['https://graph.microsoft.com/.default'];
 
 /**
  * Authentication service using MSAL for Microsoft Graph API
@@ -22,19 +24,30 @@ class AuthService {
     this.authInProgress = false;
     this.authPromiseResolve = null;
     this.authPromiseReject = null;
+    this.deviceCodeFlow = null;
     
     // Configuration options
     this.clientId = options.clientId || config.microsoft.clientId;
-    this.clientSecret = options.clientSecret || process.env.MS_CLIENT_SECRET;
+    this.clientSecret = options.clientSecret || config.microsoft.clientSecret;
     this.redirectUri = options.redirectUri || config.microsoft.redirectUri;
     this.authority = options.authority || config.microsoft.authority;
     this.scopes = options.scopes || config.microsoft.scopes;
-    this.cacheFile = options.cacheFile || path.join(os.homedir(), '.enhanced-outlook-mcp-token-cache.json');
+    this.authMode = options.authMode || config.microsoft.authMode;
+    this.clientCertificate = options.clientCertificate || config.microsoft.clientCertificate;
+    this.cacheFile = options.cacheFile || config.server.msalCachePath;
     
     if (!this.clientId) {
       throw new Error('Client ID is required. Set MS_CLIENT_ID in your .env file.');
     }
 
+    if (!['delegated', 'app'].includes(this.authMode)) {
+      throw new Error(`Invalid MS_AUTH_MODE '${this.authMode}'. Expected 'delegated' or 'app'.`);
+    }
+
+    if (this.isAppOnly()) {
+      this._validateAppOnlyConfig();
+    }
+
     logger.debug(`Auth service created with client ID: ${this.clientId.substring(0, 8)}...`);
     logger.debug(`Redirect URI: ${this.redirectUri}`);
     logger.debug(`Scopes: ${Array.isArray(this.scopes) ? this.scopes.join(', ') : this.scopes}`);
@@ -43,17 +56,82 @@ class AuthService {
     logger.info('Auth service initialized with client ID: ' + this.clientId.substring(0, 5) + '...');
   }
 
+  /**
+   * Check whether the service acquires app-only tokens with client credentials
+   * @returns {boolean} True in app-only mode
+   */
+  isAppOnly() {
+    return this.authMode === 'app';
+  }
+
+  /**
+   * Check the configuration needed for client credentials
+   * @private
+   */
+  _validateAppOnlyConfig() {
+    const { thumbprint, privateKeyPath } = this.clientCertificate || {};
+    if (!this.clientSecret && !(thumbprint && privateKeyPath)) {
+      throw new Error('App-only authentication requires MS_CLIENT_SECRET, or MS_CLIENT_CERT_THUMBPRINT and MS_CLIENT_CERT_PRIVATE_KEY_PATH.');
+    }
+    // Client credentials are issued by one tenant; multi-tenant authorities cannot be used
+    if (/\/(common|organizations|consumers)\/?$/i.test(this.authority)) {
+      throw new Error('App-only authentication requires a tenant-specific MS_AUTHORITY, e.g. https://login.microsoftonline.com/<tenant-id>.');
+    }
+  }
+
+  /**
+   * Build the MSAL client credential from the configured certificate or secret
+   * A certificate is preferred when both are configured.
+   * @private
+   * @returns {Object} clientCertificate or clientSecret auth options
+   */
+  _getClientCredential() {
+    const { thumbprint, privateKeyPath, certificatePath } = this.clientCertificate || {};
+    if (!(thumbprint && privateKeyPath)) {
+      return { clientSecret: this.clientSecret };
+    }
+
+    const normalizedThumbprint = thumbprint.replace(/[^0-9a-f]/gi, '');
+    const clientCertificate = {
+      privateKey: fs.readFileSync(privateKeyPath, 'utf-8')
+    };
+    // Azure shows a SHA-1 thumbprint (40 hex characters); SHA-256 thumbprints are 64
+    if (normalizedThumbprint.length === 64) {
+      clientCertificate.thumbprintSha256 = normalizedThumbprint;
+    } else {
+      clientCertificate.thumbprint = normalizedThumbprint;
+    }
+    if (certificatePath) {
+      // Sending the public certificate enables subject name/issuer authentication
+      clientCertificate.x5c = fs.readFileSync(certificatePath, 'utf-8');
+    }
+    return { clientCertificate };
+  }
+
   /**
    * Create and configure the MSAL application
    * @private
    * @returns {PublicClientApplication|ConfidentialClientApplication}
    */
   _createPca() {
-    // Setup token cache persistence
+    if (this.isAppOnly()) {
+      // App-only tokens live in MSAL's in-memory cache; nothing is written to disk
+      const credential = this._getClientCredential();
+      logger.debug(`Using ConfidentialClientApplication for app-only authentication (with client ${credential.clientCertificate ? 'certificate' : 'secret'})`);
+      return new ConfidentialClientApplication({
+        auth: {
+          clientId: this.clientId,
+          authority: this.authority,
+          ...credential
+        }
+      });
+    }
+
+    // Setup token cache persistence, encrypted at rest
     const beforeCacheAccess = async (cacheContext) => {
       try {
-        if (fs.existsSync(this.cacheFile)) {
-          const data = fs.readFileSync(this.cacheFile, 'utf-8');
+        const data = readSecureFileSync(this.cacheFile);
+        if (data !== null) {
           cacheContext.tokenCache.deserialize(data);
           logger.info('Token cache loaded from disk');
           logger.debug(`Token cache loaded from: ${this.cacheFile}`);
@@ -70,15 +148,7 @@ class AuthService {
       try {
         if (cacheContext.cacheHasChanged) {
           const data = cacheContext.tokenCache.serialize();
-          // Ensure directory exists
-          const dir = path.dirname(this.cacheFile);
-          if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
-          }
-          fs.writeFileSync(this.cacheFile, data, {
-            encoding: 'utf-8',
-            mode: 0o600 // File permissions: user read/write only
-          });
+          writeSecureFileSync(this.cacheFile, data);
           logger.info('Token cache saved to disk');
           logger.debug(`Token cache saved to: ${this.cacheFile}`);
         }
@@ -135,7 +205,7 @@ class AuthService {
       
       if (authResult) {
         // Initialize Graph client with acquired token
-        this._initializeGraphClient(authResult.accessToken);
+        this._initializeGraphClient();
         logger.info('Auth service initialized successfully with cached token');
         logger.debug("Auth service initialized successfully with cached token");
         return this;
@@ -155,10 +225,20 @@ class AuthService {
 
   /**
    * Attempt to acquire a token silently from the cache
+   * @param {boolean} [forceRefresh=false] - Skip cached access tokens and redeem the refresh token
    * @returns {Promise<Object|null>} The auth result or null if failed
    * @private
    */
-  async _acquireTokenSilently() {
+  async _acquireTokenSilently(forceRefresh = false) {
+    if (this.isAppOnly()) {
+      try {
+        return await this._acquireAppOnlyToken(forceRefresh);
+      } catch (error) {
+        logger.warn(`App-only token acquisition failed: ${error.message}`);
+        return null;
+      }
+    }
+
     try {
       const accounts = await this.tokenCache.getAllAccounts();
       
@@ -170,7 +250,7 @@ class AuthService {
           const silentRequest = {
             scopes: this.scopes,
             account: accounts[0],
-            forceRefresh: false
+            forceRefresh
           };
           
           const silentResult = await this.pca.acquireTokenSilent(silentRequest);
@@ -194,6 +274,25 @@ class AuthService {
     }
   }
 
+  /**
+   * Acquire an app-only token with client credentials
+   * MSAL serves the token from its cache until it is close to expiry.
+   * @param {boolean} [forceRefresh=false] - Skip the cached token
+   * @returns {Promise<Object>} The auth result
+   * @private
+   */
+  async _acquireAppOnlyToken(forceRefresh = false) {
+    const result = await this.pca.acquireTokenByClientCredential({
+      scopes: APP_ONLY_SCOPES,
+      skipCache: forceRefresh
+    });
+    if (!result) {
+      throw new Error('No app-only token was returned for the client credentials');
+    }
+    logger.debug('App-only token acquired');
+    return result;
+  }
+
   /**
    * Initialize a local HTTP server to handle the OAuth callback
    * @returns {Promise<http.Server>} The HTTP server
@@ -390,7 +489,7 @@ class AuthService {
       logger.debug("Successfully acquired tokens!");
       
       // Initialize Graph client with the new token
-      this._initializeGraphClient(tokenResponse.accessToken);
+      this._initializeGraphClient();
       
       return tokenResponse;
     } catch (error) {
@@ -405,13 +504,20 @@ class AuthService {
    * @returns {Promise<Object>} The authentication result
    */
   async authenticate() {
+    if (this.isAppOnly()) {
+      // Client credentials need no browser; surface credential errors to the caller
+      const appResult = await this._acquireAppOnlyToken();
+      this._initializeGraphClient();
+      return appResult;
+    }
+
     try {
       // Try to acquire token silently first
       logger.debug("Trying silent token acquisition first...");
       const silentResult = await this._acquireTokenSilently();
       if (silentResult) {
         logger.debug("Silent authentication successful!");
-        this._initializeGraphClient(silentResult.accessToken);
+        this._initializeGraphClient();
         return silentResult;
       }
       
@@ -488,26 +594,116 @@ class AuthService {
     }
   }
 
+  /**
+   * Start device code sign-in for sessions without a local browser
+   * Resolves once Azure issues the code; MSAL keeps polling in the background
+   * until the user signs in on another device or the code expires. A pending
+   * sign-in is reused rather than replaced.
+   * @returns {Promise<Object>} Device code status (see getDeviceCodeStatus)
+   */
+  async startDeviceCodeFlow() {
+    const current = this.getDeviceCodeStatus();
+    if (current && current.status === 'pending' && current.userCode) {
+      return current;
+    }
+    
+    // Only public clients may use the device code grant
+    if (!(this.pca instanceof PublicClientApplication)) {
+      throw new Error('Device code sign-in requires a public client. Remove MS_CLIENT_SECRET and enable "Allow public client flows" on the app registration.');
+    }
+    
+    const request = { scopes: this.scopes };
+    const flow = { request, status: 'pending', userCode: null, verificationUri: null, message: null, expiresAt: null, error: null };
+    this.deviceCodeFlow = flow;
+    
+    return new Promise((resolve, reject) => {
+      request.deviceCodeCallback = (response) => {
+        flow.userCode = response.userCode;
+        flow.verificationUri = response.verificationUri;
+        flow.message = response.message;
+        flow.expiresAt = Date.now() + response.expiresIn * 1000;
+        logger.info(`Device code issued; waiting for sign-in at ${response.verificationUri}`);
+        resolve(this.getDeviceCodeStatus());
+      };
+      
+      this.pca.acquireTokenByDeviceCode(request)
+        .then(() => {
+          flow.status = 'complete';
+          this._initializeGraphClient();
+          logger.info('Device code sign-in completed');
+        })
+        .catch((error) => {
+          const code = error.errorCode || error.code;
+          if (['device_code_expired', 'expired_token', 'code_expired'].includes(code)) {
+            flow.status = 'expired';
+          } else if (code === 'device_code_polling_cancelled') {
+            flow.status = 'cancelled';
+          } else {
+            flow.status = 'error';
+          }
+          flow.error = error.message;
+          logger.warn(`Device code sign-in ended (${flow.status}): ${error.message}`);
+          // Only reaches the caller if no code was issued
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * Get the state of the most recent device code sign-in
+   * @returns {Object|null} { status: 'pending'|'complete'|'expired'|'cancelled'|'error',
+   *   userCode, verificationUri, message, expiresAt, expiresIn, error }, or null if none was started
+   */
+  getDeviceCodeStatus() {
+    const flow = this.deviceCodeFlow;
+    if (!flow) {
+      return null;
+    }
+    
+    if (flow.status === 'pending' && flow.expiresAt && Date.now() >= flow.expiresAt) {
+      flow.status = 'expired';
+      flow.request.cancel = true;
+    }
+    
+    return {
+      status: flow.status,
+      userCode: flow.userCode,
+      verificationUri: flow.verificationUri,
+      message: flow.message,
+      expiresAt: flow.expiresAt ? new Date(flow.expiresAt).toISOString() : null,
+      expiresIn: flow.expiresAt ? Math.max(0, Math.round((flow.expiresAt - Date.now()) / 1000)) : null,
+      error: flow.error
+    };
+  }
+
+  /**
+   * Stop polling for a pending device code sign-in
+   * @private
+   */
+  _cancelDeviceCodeFlow() {
+    if (this.deviceCodeFlow && this.deviceCodeFlow.status === 'pending') {
+      this.deviceCodeFlow.request.cancel = true;
+    }
+    this.deviceCodeFlow = null;
+  }
+
   /**
    * Initialize the Microsoft Graph API client
-   * @param {string} accessToken - The access token
+   * Requests authenticate per call through the Graph transport's auth middleware.
    * @private
    */
-  _initializeGraphClient(accessToken) {
-    this.client = Client.init({
-      authProvider: (done) => {
-        done(null, accessToken);
-      },
-    });
+  _initializeGraphClient() {
+    this.client = getGraphTransport().client();
     logger.info('Graph client initialized');
     logger.debug("Microsoft Graph client initialized");
   }
 
   /**
    * Get the Microsoft Graph client
-   * @returns {Client} The Graph client
+   * @param {string} [userId] - Account the requests are made for
+   * @returns {GraphClient} The Graph client
    */
-  async getGraphClient() {
+  async getGraphClient(userId) {
     try {
       if (!this.client) {
         // Try to initialize with a token first
@@ -515,13 +711,13 @@ class AuthService {
         const authResult = await this._acquireTokenSilently();
         if (authResult) {
           logger.debug("Got token silently, initializing Graph client");
-          this._initializeGraphClient(authResult.accessToken);
+          this._initializeGraphClient();
         } else {
           logger.debug("No cached token available");
           throw new Error('Graph client not initialized and no cached token available. Call authenticate() first.');
         }
       }
-      return this.client;
+      return userId ? getGraphTransport().client(userId) : this.client;
     } catch (error) {
       logger.error(`Error getting Graph client: ${error.message}`);
       logger.debug(`Error getting Graph client: ${error.message}`);
@@ -529,6 +725,19 @@ class AuthService {
     }
   }
 
+  /**
+   * Get an access token from the cache without starting interactive sign-in
+   * @param {boolean} [forceRefresh=false] - Redeem the refresh token even if a cached token is valid
+   * @returns {Promise<string|null>} The access token, or null if sign-in is required
+   */
+  async getTokenSilently(forceRefresh = false) {
+    if (!this.tokenCache) {
+      this.tokenCache = this.pca.getTokenCache();
+    }
+    const authResult = await this._acquireTokenSilently(forceRefresh);
+    return authResult ? authResult.accessToken : null;
+  }
+
   /**
    * Get a new access token (refreshing if necessary)
    * @returns {Promise<string>} The access token
@@ -559,6 +768,10 @@ class AuthService {
    * @returns {Promise<boolean>} True if authenticated
    */
   async isAuthenticated() {
+    if (this.isAppOnly()) {
+      return (await this._acquireTokenSilently()) !== null;
+    }
+
     try {
       logger.debug("Checking if user is authenticated...");
       const accounts = await this.tokenCache.getAllAccounts();
@@ -577,6 +790,15 @@ class AuthService {
    * @returns {Promise<boolean>} True if sign out was successful
    */
   async signOut() {
+    if (this.isAppOnly()) {
+      // Access lasts as long as the client credentials are configured
+      logger.info('App-only authentication cannot be signed out');
+      this.client = null;
+      return false;
+    }
+
+    this._cancelDeviceCodeFlow();
+    
     try {
       logger.debug("Signing out user...");
       const accounts = await this.tokenCache.getAllAccounts();
@@ -632,6 +854,10 @@ class AuthService {
    * @returns {Promise<string>} The authentication URL
    */
   async getAuthUrl() {
+    if (this.isAppOnly()) {
+      throw new Error('App-only authentication uses client credentials and has no sign-in URL');
+    }
+
     try {
       if (!this.httpServer) {
         logger.info('Initializing auth callback server');
@@ -666,8 +892,14 @@ let authServiceInstance = null;
  */
 function getAuthService(options = {}) {
   if (!authServiceInstance) {
-    logger.debug("Creating new AuthService instance");
-    authServiceInstance = new AuthService(options);
+    if (config.testing.enabled) {
+      // Required lazily so the mock mailbox is only loaded in TEST_MODE
+      const { MockAuthService } = require('./mock-auth-service');
+      authServiceInstance = new MockAuthService();
+    } else {
+      logger.debug("Creating new AuthService instance");
+      authServiceInstance = new AuthService(options);
+    }
   } else {
     logger.debug("Reusing existing AuthService instance");
   }
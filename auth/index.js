@@ -10,6 +10,7 @@ const {
   getAuthService
 } = require('./auth-service');
 
+const { APP_ONLY_USER_ID } = require('./token-manager');
 const logger = require('../utils/logger');
 
 /**
@@ -47,6 +48,9 @@ module.exports = {
       const data = JSON.parse(result.content[0].text);
       if (data.status === 'authenticated' && data.user) {
         results.push(data.user);
+      } else if (data.status === 'authenticated' && data.authMode === 'app') {
+        // App-only deployments act as the application rather than a user
+        results.push({ userId: APP_ONLY_USER_ID, application: data.application });
       }
     }
     
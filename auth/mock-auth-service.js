@@ -0,0 +1,108 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getGraphTransport } = require('../utils/graph-transport');
+
+/**
+ * Stand-in for AuthService used when TEST_MODE is enabled
+ * Always reports an authenticated account and hands out a mock token. The
+ * Graph transport's test mode middleware serves requests from the in-memory
+ * mock mailbox (or the fake Graph server named by MS_API_BASE_URL), so no
+ * Azure app registration or browser is required.
+ */
+class MockAuthService {
+  constructor() {
+    this.signedIn = true;
+    this.deviceCodeStarted = false;
+    this.client = null;
+    logger.info('TEST_MODE enabled: using mock authentication service');
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  async authenticate() {
+    this.signedIn = true;
+    return { accessToken: 'mock-access-token' };
+  }
+
+  async getGraphClient(userId) {
+    if (!this.signedIn) {
+      throw new Error('Graph client not initialized and no cached token available. Call authenticate() first.');
+    }
+    if (!this.client) {
+      this.client = getGraphTransport().client();
+    }
+    return userId ? getGraphTransport().client(userId) : this.client;
+  }
+
+  async getAccessToken() {
+    return 'mock-access-token';
+  }
+
+  async getTokenSilently() {
+    return this.signedIn ? 'mock-access-token' : null;
+  }
+
+  /**
+   * Device code sign-in completes immediately in TEST_MODE
+   * @returns {Promise<Object>} Device code status
+   */
+  async startDeviceCodeFlow() {
+    this.signedIn = true;
+    this.deviceCodeStarted = true;
+    return this.getDeviceCodeStatus();
+  }
+
+  getDeviceCodeStatus() {
+    if (!this.deviceCodeStarted) {
+      return null;
+    }
+    return {
+      status: 'complete',
+      userCode: 'TESTMODE',
+      verificationUri: 'https://microsoft.com/devicelogin',
+      message: 'TEST_MODE: no sign-in is required.',
+      expiresAt: null,
+      expiresIn: null,
+      error: null
+    };
+  }
+
+  /**
+   * Honors MS_AUTH_MODE so app-only behavior can be exercised in TEST_MODE
+   * @returns {boolean} True in app-only mode
+   */
+  isAppOnly() {
+    return config.microsoft.authMode === 'app';
+  }
+
+  async isAuthenticated() {
+    return this.signedIn;
+  }
+
+  async signOut() {
+    const wasSignedIn = this.signedIn;
+    this.signedIn = false;
+    this.deviceCodeStarted = false;
+    this.client = null;
+    return wasSignedIn;
+  }
+
+  async cleanup() {
+    return Promise.resolve();
+  }
+
+  /**
+   * Signing in is immediate in TEST_MODE; the returned URL is informational only
+   * @returns {Promise<string>} The authentication URL
+   */
+  async getAuthUrl() {
+    this.signedIn = true;
+    return 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize?test_mode=true';
+  }
+}
+
+module.exports = {
+  MockAuthService
+};
@@ -1,23 +1,31 @@
-const fs = require('fs').promises;
-const path = require('path');
 const axios = require('axios');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { readSecureFile, writeSecureFile } = require('./token-store');
 
 // Token storage path
 const TOKEN_STORAGE_PATH = config.server.tokenStoragePath;
 
+// Account name used for requests made with app-only (client credentials) tokens
+const APP_ONLY_USER_ID = 'app';
+
 /**
  * Get token data from storage
  * @returns {Promise<Object>} - Token storage data
  */
 async function getTokenStorage() {
   try {
-    const data = await fs.readFile(TOKEN_STORAGE_PATH, 'utf8');
-    return JSON.parse(data);
+    const data = await readSecureFile(TOKEN_STORAGE_PATH);
+    return data === null ? {} : JSON.parse(data);
   } catch (error) {
-    // If file doesn't exist or can't be parsed, return empty object
-    if (error.code === 'ENOENT' || error.name === 'SyntaxError') {
+    // If the file can't be parsed, return empty object
+    if (error.name === 'SyntaxError') {
+      return {};
+    }
+    
+    // The next save moves an undecryptable file aside rather than overwriting it
+    if (error.name === 'TokenStoreError') {
+      logger.error(`Token storage unreadable: ${error.message}`);
       return {};
     }
     
@@ -33,16 +41,8 @@ async function getTokenStorage() {
  */
 async function saveTokenStorage(tokenData) {
   try {
-    // Ensure directory exists
-    const dir = path.dirname(TOKEN_STORAGE_PATH);
-    await fs.mkdir(dir, { recursive: true });
-    
-    // Write token data
-    await fs.writeFile(
-      TOKEN_STORAGE_PATH, 
-      JSON.stringify(tokenData, null, 2),
-      { encoding: 'utf8', mode: 0o600 } // File permissions: user read/write only
-    );
+    // Encrypted, written with user read/write permissions only
+    await writeSecureFile(TOKEN_STORAGE_PATH, JSON.stringify(tokenData, null, 2));
   } catch (error) {
     logger.error(`Error saving token storage: ${error.message}`);
     throw error;
@@ -270,6 +270,16 @@ async function deleteToken(userId) {
  * @returns {Promise<Array>} - Array of user IDs
  */
 async function listUsers() {
+  // TEST_MODE serves a single mock mailbox without any stored tokens
+  if (config.testing.enabled) {
+    return [config.testing.userId];
+  }
+  
+  // App-only tokens come from the client credentials rather than stored user tokens
+  if (config.microsoft.authMode === 'app') {
+    return [APP_ONLY_USER_ID];
+  }
+  
   const tokenStorage = await getTokenStorage();
   return Object.keys(tokenStorage);
 }
@@ -286,25 +296,23 @@ async function validateTokenStorage() {
     const tokenStoragePath = TOKEN_STORAGE_PATH;
     let tokenStorage = {};
     
+    // Storage that fails decryption throws here and is left in place, so it can be recovered with the right key
+    const data = await readSecureFile(tokenStoragePath);
+    if (data === null) {
+      logger.info('Token storage file does not exist. Creating new file.');
+      await saveTokenStorage({});
+      return true;
+    }
+    
     try {
-      const data = await fs.readFile(tokenStoragePath, 'utf8');
-      try {
-        tokenStorage = JSON.parse(data);
-        logger.info(`Token storage parsed successfully. Contains ${Object.keys(tokenStorage).length} users.`);
-      } catch (parseError) {
-        logger.error(`Token storage file exists but contains invalid JSON: ${parseError.message}`);
-        logger.info('Creating new token storage file');
-        tokenStorage = {};
-        await saveTokenStorage(tokenStorage);
-        return false;
-      }
-    } catch (readError) {
-      if (readError.code === 'ENOENT') {
-        logger.info('Token storage file does not exist. Creating new file.');
-        await saveTokenStorage({});
-        return true;
-      }
-      throw readError;
+      tokenStorage = JSON.parse(data);
+      logger.info(`Token storage parsed successfully. Contains ${Object.keys(tokenStorage).length} users.`);
+    } catch (parseError) {
+      logger.error(`Token storage file exists but contains invalid JSON: ${parseError.message}`);
+      logger.info('Creating new token storage file');
+      tokenStorage = {};
+      await saveTokenStorage(tokenStorage);
+      return false;
     }
     
     // Validate the token structure
@@ -346,6 +354,8 @@ async function validateTokenStorage() {
 }
 
 module.exports = {
+  TOKEN_STORAGE_PATH,
+  APP_ONLY_USER_ID,
   getToken,
   saveToken,
   refreshToken,
@@ -0,0 +1,373 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Encrypted-at-rest storage for token files
+ *
+ * The token storage file (token-manager.js) and the MSAL token cache
+ * (auth-service.js) both hold refresh tokens. They are written as AES-256-GCM
+ * envelopes keyed from TOKEN_ENCRYPTION_KEY or a key file. Reading a plaintext
+ * file, or one encrypted with a previous key, re-encrypts it with the current
+ * key, so existing installs migrate and key rotations complete transparently.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 1;
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+// Salt for deriving keys from passphrases; the key id, not the salt, identifies a key
+const PASSPHRASE_SALT = 'enhanced-outlook-mcp-token-store';
+
+/**
+ * Error raised when an encrypted token file cannot be decrypted
+ */
+class TokenStoreError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} filePath - File that could not be read
+   * @param {string} reason - 'unknown_key' or 'integrity'
+   */
+  constructor(message, filePath, reason) {
+    super(message);
+    this.name = 'TokenStoreError';
+    this.filePath = filePath;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Turn configured key material into a 32-byte key
+ * Accepts 64 hex characters or base64 of 32 bytes; anything else is a passphrase.
+ * @param {string} material - Key material
+ * @returns {Buffer} - Key
+ */
+function parseKey(material) {
+  const value = String(material).trim();
+  if (/^[0-9a-f]{64}$/i.test(value)) {
+    return Buffer.from(value, 'hex');
+  }
+  const decoded = Buffer.from(value, 'base64');
+  if (decoded.length === KEY_BYTES && decoded.toString('base64').replace(/=+$/, '') === value.replace(/=+$/, '')) {
+    return decoded;
+  }
+  return crypto.scryptSync(value, PASSPHRASE_SALT, KEY_BYTES);
+}
+
+/**
+ * Identify a key without revealing it
+ * @param {Buffer} key - Key
+ * @returns {string} - 16 hex characters
+ */
+function keyIdOf(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+}
+
+/**
+ * Generate a new random key
+ * @returns {string} - Base64 key material
+ */
+function generateKey() {
+  return crypto.randomBytes(KEY_BYTES).toString('base64');
+}
+
+/**
+ * Read key material from a key file
+ * @param {string} keyFile - Path
+ * @returns {string|null} - Key material, or null if the file does not exist
+ */
+function readKeyFile(keyFile) {
+  try {
+    return fs.readFileSync(keyFile, 'utf-8').trim();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write key material to a key file, readable by the owner only
+ * @param {string} keyFile - Path
+ * @param {string} material - Key material
+ */
+function writeKeyFile(keyFile, material) {
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+  fs.writeFileSync(keyFile, `${material}\n`, { encoding: 'utf-8', mode: 0o600 });
+}
+
+// Keys loaded from configuration, cached until the next rotation
+let loadedKeys = null;
+
+/**
+ * Load the current and previous keys
+ * The current key comes from TOKEN_ENCRYPTION_KEY, or from the key file, which
+ * is generated on first use. Previous keys (TOKEN_ENCRYPTION_PREVIOUS_KEYS and
+ * the key file's ".previous" copy) are only used to decrypt.
+ * @returns {Object} - { current: { id, key }, previous: [{ id, key }] }
+ */
+function loadKeys() {
+  if (loadedKeys) {
+    return loadedKeys;
+  }
+
+  const { key, keyFile, previousKeys } = config.tokenEncryption;
+  let material = key;
+  if (!material) {
+    material = readKeyFile(keyFile);
+    if (!material) {
+      material = generateKey();
+      writeKeyFile(keyFile, material);
+      logger.info(`Generated token encryption key at ${keyFile}`);
+    }
+  }
+
+  const currentKey = parseKey(material);
+  const previous = [...previousKeys, readKeyFile(`${keyFile}.previous`)]
+    .filter(Boolean)
+    .map(parseKey)
+    .map(previousKey => ({ id: keyIdOf(previousKey), key: previousKey }));
+
+  loadedKeys = { current: { id: keyIdOf(currentKey), key: currentKey }, previous };
+  return loadedKeys;
+}
+
+/**
+ * Check whether file content is an encrypted envelope
+ * @param {string} content - File content
+ * @returns {Object|null} - Parsed envelope, or null for plaintext
+ */
+function parseEnvelope(content) {
+  try {
+    const parsed = JSON.parse(content);
+    return parsed && parsed.encrypted === ALGORITHM && parsed.data !== undefined ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Encrypt plaintext with the current key
+ * @param {string} plaintext - Plaintext
+ * @returns {string} - Envelope JSON
+ */
+function encrypt(plaintext) {
+  const { current } = loadKeys();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+
+  return JSON.stringify({
+    encrypted: ALGORITHM,
+    version: ENVELOPE_VERSION,
+    keyId: current.id,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  });
+}
+
+/**
+ * Decrypt file content
+ * @param {string} content - File content (envelope or legacy plaintext)
+ * @param {string} filePath - Path, for error messages
+ * @returns {Object} - { plaintext, encrypted, keyId, stale } where stale means it
+ *   should be rewritten with the current key
+ * @throws {TokenStoreError} - If the key is unknown or the content was modified
+ */
+function decrypt(content, filePath) {
+  const envelope = parseEnvelope(content);
+  if (!envelope) {
+    return { plaintext: content, encrypted: false, keyId: null, stale: true };
+  }
+
+  const { current, previous } = loadKeys();
+  const match = [current, ...previous].find(candidate => candidate.id === envelope.keyId);
+  if (!match) {
+    throw new TokenStoreError(
+      `${filePath} is encrypted with an unknown key (${envelope.keyId}). Set TOKEN_ENCRYPTION_KEY or add the old key to TOKEN_ENCRYPTION_PREVIOUS_KEYS.`,
+      filePath,
+      'unknown_key'
+    );
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, match.key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf-8');
+    return { plaintext, encrypted: true, keyId: envelope.keyId, stale: match !== current };
+  } catch (error) {
+    throw new TokenStoreError(`${filePath} failed its integrity check and may have been modified`, filePath, 'integrity');
+  }
+}
+
+/**
+ * Write content atomically, readable by the owner only
+ * @param {string} filePath - Path
+ * @param {string} content - Content
+ */
+function writeFileAtomicSync(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempFile = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, content, { encoding: 'utf-8', mode: 0o600 });
+  fs.renameSync(tempFile, filePath);
+}
+
+/**
+ * Move an undecryptable file aside before it is replaced, so it can still be recovered
+ * @param {string} filePath - Path
+ */
+function preserveUnreadableSync(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    return;
+  }
+  try {
+    decrypt(content, filePath);
+  } catch (error) {
+    const backup = `${filePath}.unreadable-${Date.now()}`;
+    fs.renameSync(filePath, backup);
+    logger.warn(`${error.message}; moved it to ${backup} before writing new tokens`);
+  }
+}
+
+/**
+ * Read and decrypt a token file
+ * Plaintext files and files encrypted with a previous key are re-encrypted in place.
+ * @param {string} filePath - Path
+ * @returns {string|null} - Plaintext, or null if the file does not exist
+ * @throws {TokenStoreError} - If the file cannot be decrypted
+ */
+function readSecureFileSync(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  const result = decrypt(content, filePath);
+  if (result.stale) {
+    writeFileAtomicSync(filePath, encrypt(result.plaintext));
+    logger.info(result.encrypted
+      ? `Re-encrypted ${filePath} with the current token encryption key`
+      : `Migrated plaintext token file ${filePath} to encrypted storage`);
+  }
+  return result.plaintext;
+}
+
+/**
+ * Encrypt and write a token file
+ * @param {string} filePath - Path
+ * @param {string} plaintext - Plaintext
+ */
+function writeSecureFileSync(filePath, plaintext) {
+  preserveUnreadableSync(filePath);
+  writeFileAtomicSync(filePath, encrypt(plaintext));
+}
+
+/**
+ * Read and decrypt a token file (async)
+ * @param {string} filePath - Path
+ * @returns {Promise<string|null>} - Plaintext, or null if the file does not exist
+ */
+async function readSecureFile(filePath) {
+  return readSecureFileSync(filePath);
+}
+
+/**
+ * Encrypt and write a token file (async)
+ * @param {string} filePath - Path
+ * @param {string} plaintext - Plaintext
+ * @returns {Promise<void>}
+ */
+async function writeSecureFile(filePath, plaintext) {
+  writeSecureFileSync(filePath, plaintext);
+}
+
+/**
+ * Check a token file without modifying it
+ * @param {string} filePath - Path
+ * @returns {Object} - { path, exists, encrypted, keyId, currentKey, valid, error }
+ */
+function inspectSecureFile(filePath) {
+  const report = { path: filePath, exists: false, encrypted: false, keyId: null, currentKey: false, valid: false, error: null };
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      report.error = error.message;
+    }
+    return report;
+  }
+
+  report.exists = true;
+  try {
+    const result = decrypt(content, filePath);
+    JSON.parse(result.plaintext);
+    report.encrypted = result.encrypted;
+    report.keyId = result.keyId;
+    report.currentKey = result.encrypted && !result.stale;
+    report.valid = true;
+  } catch (error) {
+    const envelope = parseEnvelope(content);
+    report.encrypted = !!envelope;
+    report.keyId = envelope ? envelope.keyId : null;
+    report.error = error.message;
+  }
+  return report;
+}
+
+/**
+ * Rotate the key file's key and re-encrypt token files with the new key
+ * The old key is kept as "<key file>.previous" so files not listed here stay readable.
+ * @param {Array<string>} filePaths - Token files to re-encrypt
+ * @returns {Object} - { keyId, rotated: [paths] }
+ */
+function rotateKey(filePaths) {
+  const { key, keyFile } = config.tokenEncryption;
+  if (key) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is set in the environment. Set a new TOKEN_ENCRYPTION_KEY and list the old one in TOKEN_ENCRYPTION_PREVIOUS_KEYS instead.');
+  }
+
+  // Decrypt everything first so a failure leaves files and keys untouched
+  const contents = filePaths
+    .map(filePath => ({ filePath, plaintext: readSecureFileSync(filePath) }))
+    .filter(item => item.plaintext !== null);
+
+  const oldMaterial = readKeyFile(keyFile);
+  if (oldMaterial) {
+    writeKeyFile(`${keyFile}.previous`, oldMaterial);
+  }
+  writeKeyFile(keyFile, generateKey());
+  loadedKeys = null;
+
+  for (const { filePath, plaintext } of contents) {
+    writeFileAtomicSync(filePath, encrypt(plaintext));
+  }
+
+  const { current } = loadKeys();
+  logger.info(`Rotated token encryption key to ${current.id}; re-encrypted ${contents.length} file(s)`);
+  return { keyId: current.id, rotated: contents.map(item => item.filePath) };
+}
+
+module.exports = {
+  TokenStoreError,
+  readSecureFile,
+  writeSecureFile,
+  readSecureFileSync,
+  writeSecureFileSync,
+  inspectSecureFile,
+  rotateKey,
+  generateKey
+};
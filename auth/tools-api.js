@@ -1,5 +1,110 @@
 const { getAuthService } = require('./auth-service');
+const config = require('../config');
 const logger = require('../utils/logger');
+const { describeError } = require('../utils/graph-errors');
+
+const AUTH_FLOWS = ['auto', 'browser', 'device_code'];
+
+/**
+ * Choose the delegated sign-in flow
+ * 'auto' picks device code sign-in over SSH and on Linux without a display,
+ * where neither the redirect server nor a browser can be reached.
+ * @param {string} [flow] - Requested flow (defaults to config.microsoft.authFlow)
+ * @returns {string} - 'browser' or 'device_code'
+ */
+function resolveAuthFlow(flow) {
+  const requested = flow || config.microsoft.authFlow;
+  if (!AUTH_FLOWS.includes(requested)) {
+    throw new Error(`Invalid authentication flow '${requested}'. Expected one of: ${AUTH_FLOWS.join(', ')}`);
+  }
+  if (requested !== 'auto') {
+    return requested;
+  }
+  
+  const isSsh = Boolean(process.env.SSH_CONNECTION || process.env.SSH_TTY);
+  const hasDisplay = process.platform !== 'linux' || Boolean(process.env.DISPLAY || process.env.WAYLAND_DISPLAY);
+  return isSsh || !hasDisplay ? 'device_code' : 'browser';
+}
+
+/**
+ * Describe a device code sign-in for tool responses
+ * @param {Object} deviceCode - Status from AuthService.getDeviceCodeStatus()
+ * @returns {Object} - Response fields
+ */
+function deviceCodeResponse(deviceCode) {
+  switch (deviceCode.status) {
+    case 'pending':
+      return {
+        status: 'pending',
+        flow: 'device_code',
+        device_code_status: 'pending',
+        verification_uri: deviceCode.verificationUri,
+        user_code: deviceCode.userCode,
+        expires_in: deviceCode.expiresIn,
+        message: `To sign in, open ${deviceCode.verificationUri} and enter the code ${deviceCode.userCode}.`,
+        instruction: 'Show the user the verification URL and code. After they sign in, run check_auth_status to confirm.'
+      };
+    case 'expired':
+      return {
+        status: 'expired',
+        flow: 'device_code',
+        device_code_status: 'expired',
+        message: 'The device code expired before sign-in completed.',
+        instruction: 'Run authenticate again to get a new code.'
+      };
+    default:
+      return {
+        status: 'error',
+        flow: 'device_code',
+        device_code_status: deviceCode.status,
+        message: `Device code sign-in failed: ${deviceCode.error || deviceCode.status}`,
+        instruction: 'Run authenticate again to get a new code.'
+      };
+  }
+}
+
+/**
+ * Describe app-only (client credentials) authentication
+ * App-only tokens have no signed-in user, so /me cannot be used to identify the account.
+ * @param {Object} authService - Auth service in app-only mode
+ * @returns {Promise<Object>} - Authentication status
+ */
+async function appOnlyStatus(authService) {
+  try {
+    await authService.authenticate();
+    
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          status: 'authenticated',
+          authMode: 'app',
+          message: 'Authenticated as the application using client credentials.',
+          application: {
+            clientId: authService.clientId,
+            authority: authService.authority
+          },
+          instruction: 'Pass the mailbox parameter (a user principal name or user ID) to every email, folder, calendar and rules tool.'
+        })
+      }]
+    };
+  } catch (error) {
+    logger.error(`App-only authentication failed: ${error.message}`);
+    
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          status: 'error',
+          authMode: 'app',
+          message: `App-only authentication failed: ${error.message}`,
+          isAuthenticated: false,
+          instruction: 'Check MS_CLIENT_ID, MS_AUTHORITY and the client secret or certificate settings, and that the app registration has been granted application permissions.'
+        })
+      }]
+    };
+  }
+}
 
 /**
  * Tool handler for authenticating with Microsoft Graph API
@@ -14,6 +119,10 @@ async function authenticateHandler(params = {}) {
     const authService = getAuthService();
     await authService.initialize();
     
+    if (authService.isAppOnly()) {
+      return appOnlyStatus(authService);
+    }
+    
     // Check if already authenticated
     const isAuthenticated = await authService.isAuthenticated();
     
@@ -47,6 +156,22 @@ async function authenticateHandler(params = {}) {
     
     // Start interactive authentication
     try {
+      if (resolveAuthFlow(params.flow) === 'device_code') {
+        logger.info('Starting device code authentication flow');
+        const deviceCode = await authService.startDeviceCodeFlow();
+        
+        if (deviceCode.status === 'complete') {
+          return checkAuthStatusHandler(params);
+        }
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(deviceCodeResponse(deviceCode))
+          }]
+        };
+      }
+      
       logger.info('Starting interactive authentication flow');
       const authCodeUrl = await authService.getAuthUrl();
       
@@ -110,6 +235,10 @@ async function checkAuthStatusHandler(params = {}) {
     const authService = getAuthService();
     await authService.initialize();
     
+    if (authService.isAppOnly()) {
+      return appOnlyStatus(authService);
+    }
+    
     const isAuthenticated = await authService.isAuthenticated();
     
     if (isAuthenticated) {
@@ -117,6 +246,7 @@ async function checkAuthStatusHandler(params = {}) {
       try {
         const client = await authService.getGraphClient();
         const user = await client.api('/me').select('displayName,mail,userPrincipalName').get();
+        const deviceCode = authService.getDeviceCodeStatus();
         
         return {
           content: [{
@@ -128,6 +258,7 @@ async function checkAuthStatusHandler(params = {}) {
                 displayName: user.displayName,
                 email: user.mail || user.userPrincipalName
               },
+              ...(deviceCode && deviceCode.status === 'complete' && { flow: 'device_code', device_code_status: 'complete' }),
               instruction: 'You can use all tools that require authentication.'
             })
           }]
@@ -141,12 +272,24 @@ async function checkAuthStatusHandler(params = {}) {
               status: 'partial',
               message: 'You are authenticated, but retrieving user details failed.',
               error: graphError.message,
+              errorDetails: describeError(graphError),
               instruction: 'You can use tools that require authentication, but you may need to reauthenticate if problems persist.'
             })
           }]
         };
       }
     } else {
+      // Report a device code sign-in started by authenticate
+      const deviceCode = authService.getDeviceCodeStatus();
+      if (deviceCode && deviceCode.status !== 'complete') {
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(deviceCodeResponse(deviceCode))
+          }]
+        };
+      }
+      
       return {
         content: [{
           type: "text",
@@ -184,6 +327,20 @@ async function revokeAuthenticationHandler(params = {}) {
     const authService = getAuthService();
     await authService.initialize();
     
+    if (authService.isAppOnly()) {
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            status: 'warning',
+            authMode: 'app',
+            message: 'App-only authentication uses the configured client credentials and cannot be revoked from a tool.',
+            instruction: 'Remove the client secret or certificate from the server configuration, or revoke them in Azure, to stop access.'
+          })
+        }]
+      };
+    }
+    
     // Check if authenticated before attempting to sign out
     const isAuthenticated = await authService.isAuthenticated();
     
@@ -250,9 +407,9 @@ module.exports = {
   revokeAuthenticationHandler,
   
   // Helper function to get the Graph client for use in other modules
-  getGraphClientForMCP: async () => {
+  getGraphClientForMCP: async (userId) => {
     const authService = getAuthService();
     await authService.initialize();
-    return authService.getGraphClient();
+    return authService.getGraphClient(userId);
   },
 }; 
\ No newline at end of file
@@ -1,5 +1,6 @@
 const config = require('../config');
 const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
 const { calendar: calendarApi } = require('../utils/graph-api-adapter');
 const { listUsers } = require('../auth/token-manager');
 const { normalizeParameters } = require('../utils/parameter-helpers');
@@ -53,8 +54,6 @@ async function createEventHandler(params = {}) {
   try {
     logger.info(`Creating calendar event "${subject}" for user ${userId}`);
     
-    const graphClient = await auth.getGraphClient(userId);
-    
     // Prepare event data
     const eventData = {
       subject: subject,
@@ -89,14 +88,7 @@ async function createEventHandler(params = {}) {
     }
     
     // Create the event in the specified calendar
-    let endpoint;
-    if (calendarId === 'primary') {
-      endpoint = '/me/events';
-    } else {
-      endpoint = `/users/${userId}/calendars/${calendarId}/events`;
-    }
-    
-    const event = await graphClient.post(endpoint, eventData);
+    const event = await calendarApi.createEvent(userId, eventData, calendarId);
     
     return formatMcpResponse({
       status: 'success',
@@ -107,10 +99,7 @@ async function createEventHandler(params = {}) {
   } catch (error) {
     logger.error(`Error creating calendar event: ${error.message}`);
     
-    return formatMcpResponse({
-      status: 'error',
-      message: `Failed to create calendar event: ${error.message}`
-    });
+    return errorResponse(error, 'create calendar event', 'calendar');
   }
 }
 
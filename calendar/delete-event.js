@@ -1,5 +1,6 @@
 const config = require('../config');
 const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
 const { calendar: calendarApi } = require('../utils/graph-api-adapter');
 const { listUsers } = require('../auth/token-manager');
 const { normalizeParameters } = require('../utils/parameter-helpers');
@@ -40,10 +41,8 @@ async function deleteEventHandler(params = {}) {
   try {
     logger.info(`Deleting calendar event ${eventId} for user ${userId}`);
     
-    const graphClient = await auth.getGraphClient(userId);
-    
     // Delete the event
-    await graphClient.delete(`/me/events/${eventId}`);
+    await calendarApi.deleteEvent(userId, eventId);
     
     return formatMcpResponse({
       status: 'success',
@@ -53,10 +52,7 @@ async function deleteEventHandler(params = {}) {
   } catch (error) {
     logger.error(`Error deleting calendar event: ${error.message}`);
     
-    return formatMcpResponse({
-      status: 'error',
-      message: `Failed to delete calendar event: ${error.message}`
-    });
+    return errorResponse(error, 'delete calendar event', 'event');
   }
 }
 
@@ -95,15 +91,13 @@ async function cancelEventHandler(params = {}) {
   try {
     logger.info(`Cancelling calendar event ${eventId} for user ${userId}`);
     
-    const graphClient = await auth.getGraphClient(userId);
-    
     // Create cancellation data
     const cancellationData = {
       comment: params.comment || 'Event cancelled'
     };
     
     // Cancel the event (sends cancellation notifications to attendees)
-    await graphClient.post(`/me/events/${eventId}/cancel`, cancellationData);
+    await calendarApi.cancelEvent(userId, eventId, cancellationData);
     
     return formatMcpResponse({
       status: 'success',
@@ -113,10 +107,7 @@ async function cancelEventHandler(params = {}) {
   } catch (error) {
     logger.error(`Error cancelling calendar event: ${error.message}`);
     
-    return formatMcpResponse({
-      status: 'error',
-      message: `Failed to cancel calendar event: ${error.message}`
-    });
+    return errorResponse(error, 'cancel calendar event', 'event');
   }
 }
 
@@ -135,8 +126,6 @@ async function findMeetingTimesHandler(params = {}) {
   try {
     logger.info(`Finding available meeting times for user ${userId}`);
     
-    const graphClient = await auth.getGraphClient(userId);
-    
     // Build meeting time suggestions request
     const findTimesRequest = {
       attendees: formatAttendees(params.attendees),
@@ -172,7 +161,7 @@ async function findMeetingTimesHandler(params = {}) {
     }
     
     // Find meeting times
-    const response = await graphClient.post('/me/findMeetingTimes', findTimesRequest);
+    const response = await calendarApi.findMeetingTimes(userId, findTimesRequest);
     
     return formatMcpResponse({
       status: 'success',
@@ -182,10 +171,7 @@ async function findMeetingTimesHandler(params = {}) {
   } catch (error) {
     logger.error(`Error finding meeting times: ${error.message}`);
     
-    return formatMcpResponse({
-      status: 'error',
-      message: `Failed to find meeting times: ${error.message}`
-    });
+    return errorResponse(error, 'find meeting times');
   }
 }
 
@@ -1,10 +1,14 @@
 const config = require('../config');
 const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
 const { createGraphClient, calendar: calendarApi } = require('../utils/graph-api-adapter');
 const { listUsers } = require('../auth/token-manager');
 const { buildQueryParams } = require('../utils/odata-helpers');
 const { normalizeParameters } = require('../utils/parameter-helpers');
 const auth = require('../auth/index');
+const { getNextPage } = require('../utils/graph-api-adapter');
+const { resolveAccount } = require('../utils/rate-limiter');
+const { encodeCursor, decodeCursor, invalidCursorResponse } = require('../utils/pagination-cursor');
 
 /**
  * Look up calendar ID by name
@@ -35,12 +39,18 @@ async function resolveCalendarId(graphClient, calendarNameOrId) {
     );
     
     if (!calendar) {
-      throw new Error(`Calendar not found with name: ${calendarNameOrId}`);
+      const notFound = new Error(`Calendar not found with name: ${calendarNameOrId}`);
+      notFound.name = 'CalendarNotFoundError';
+      throw notFound;
     }
     
     logger.info(`Resolved calendar name "${calendarNameOrId}" to ID: ${calendar.id}`);
     return calendar.id;
   } catch (error) {
+    // Keep Graph and not-found errors intact so they can be classified
+    if (error.name !== 'Error') {
+      throw error;
+    }
     throw new Error(`Failed to resolve calendar name: ${error.message}`);
   }
 }
@@ -127,7 +137,24 @@ async function listEventsHandler(params = {}) {
   logger.info(`Request params extracted: ${JSON.stringify(requestParams)}`);
   
   // Normalize parameters
-  const normalizedParams = normalizeParameters(requestParams);
+  let normalizedParams = normalizeParameters(requestParams);
+  
+  // A nextCursor from an earlier page brings its calendar and date range along
+  const account = await resolveAccount(normalizedParams.userId);
+  let position = null;
+  if (normalizedParams.cursor) {
+    try {
+      const resumed = decodeCursor('list_events', account, normalizedParams.cursor, eventListingParams(normalizedParams));
+      normalizedParams = { ...normalizedParams, ...resumed.params };
+      position = resumed.position;
+    } catch (error) {
+      if (error.name !== 'InvalidCursorError') {
+        throw error;
+      }
+      return invalidCursorResponse(error, 'list_events');
+    }
+  }
+  
   let userId = normalizedParams.userId;
   
   if (!userId) {
@@ -211,46 +238,38 @@ async function listEventsHandler(params = {}) {
   try {
     logger.info(`Listing calendar events for user ${userId} from ${startDateTime} to ${endDateTime}`);
     
-    // Get the Graph client
-    const graphClient = await auth.getGraphClient(userId);
-    
-    // Resolve calendar ID if it's a name
-    // This functionality allows users to specify a calendar by name instead of ID
-    let resolvedCalendarId;
-    try {
-      resolvedCalendarId = await resolveCalendarId(graphClient, providedCalendarId);
-      logger.info(`Using resolved calendar ID: ${resolvedCalendarId}`);
-    } catch (error) {
-      logger.warn(`Failed to resolve calendar ID by name: ${error.message}`);
-      resolvedCalendarId = providedCalendarId;
-    }
-    
-    // CRITICAL CHANGE: Use calendarApi instead of directly creating a graph client
-    // First get all events using the API (this correctly uses auth.getGraphClient)
-    const apiOptions = {
-      calendarId: resolvedCalendarId === 'primary' ? undefined : resolvedCalendarId,
-      top: limit,
-      filter: normalizedParams.filter,
-      orderBy: 'start/dateTime asc'
-    };
-    
-    // First get the calendar events - this will correctly use the authentication token
-    const eventsResponse = await calendarApi.listEvents(userId, apiOptions);
-    
-    // Filter events by date range since the calendarView endpoint is not used in the API
-    const filteredEvents = eventsResponse.value.filter(event => {
-      const eventStart = new Date(event.start.dateTime + 'Z');
-      const eventEnd = new Date(event.end.dateTime + 'Z');
-      const rangeStart = new Date(startDateTime);
-      const rangeEnd = new Date(endDateTime);
+    let eventsResponse;
+    if (position && position.link) {
+      // The link already names the calendar and date range
+      eventsResponse = await getNextPage(userId, 'calendar', position.link);
+    } else {
+      // Get the Graph client
+      const graphClient = await auth.getGraphClient(userId);
       
-      return (eventStart >= rangeStart && eventStart <= rangeEnd) || 
-             (eventEnd >= rangeStart && eventEnd <= rangeEnd) ||
-             (eventStart <= rangeStart && eventEnd >= rangeEnd);
-    });
+      // Resolve calendar ID if it's a name
+      // This functionality allows users to specify a calendar by name instead of ID
+      let resolvedCalendarId;
+      try {
+        resolvedCalendarId = await resolveCalendarId(graphClient, providedCalendarId);
+        logger.info(`Using resolved calendar ID: ${resolvedCalendarId}`);
+      } catch (error) {
+        logger.warn(`Failed to resolve calendar ID by name: ${error.message}`);
+        resolvedCalendarId = providedCalendarId;
+      }
+      
+      // calendarView returns the events and occurrences overlapping the range, in pages
+      eventsResponse = await calendarApi.listCalendarView(userId, {
+        calendarId: resolvedCalendarId === 'primary' ? undefined : resolvedCalendarId,
+        startDateTime,
+        endDateTime,
+        top: limit,
+        filter: normalizedParams.filter,
+        orderBy: 'start/dateTime asc'
+      });
+    }
     
-    // Apply limit after filtering
-    const limitedEvents = filteredEvents.slice(0, limit);
+    const events = eventsResponse.value || [];
+    const nextLink = eventsResponse['@odata.nextLink'];
     
     return {
       content: [{
@@ -260,23 +279,18 @@ async function listEventsHandler(params = {}) {
           startDateTime,
           endDateTime,
           calendarId: providedCalendarId,
-          count: limitedEvents.length,
-          events: limitedEvents.map(formatEventResponse)
+          count: events.length,
+          events: events.map(formatEventResponse),
+          nextCursor: nextLink
+            ? encodeCursor('list_events', account, eventListingParams({ ...normalizedParams, startDateTime, endDateTime, calendarId: providedCalendarId }), { link: nextLink })
+            : null
         })
       }]
     };
   } catch (error) {
     logger.error(`Error listing calendar events: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to list calendar events: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'list calendar events', 'calendar');
   }
 }
 
@@ -423,15 +437,7 @@ async function getEventHandler(params = {}) {
   } catch (error) {
     logger.error(`Error getting calendar event: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to get calendar event: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'get calendar event', 'event');
   }
 }
 
@@ -567,18 +573,25 @@ async function listCalendarsHandler(params = {}) {
   } catch (error) {
     logger.error(`Error listing calendars: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to list calendars: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'list calendars', 'calendar');
   }
 }
 
+/**
+ * Parameters that select what a list_events listing contains, kept in its cursors
+ * @param {Object} params - Normalized tool parameters
+ * @returns {Object} - Listing parameters
+ */
+function eventListingParams(params) {
+  return {
+    mailbox: params.mailbox,
+    calendarId: params.calendarId,
+    startDateTime: params.startDateTime,
+    endDateTime: params.endDateTime,
+    filter: params.filter
+  };
+}
+
 /**
  * Format event response
  * @param {Object} event - Raw event from Graph API
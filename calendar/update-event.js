@@ -1,5 +1,6 @@
 const config = require('../config');
 const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
 const { calendar: calendarApi } = require('../utils/graph-api-adapter');
 const { listUsers } = require('../auth/token-manager');
 const { normalizeParameters } = require('../utils/parameter-helpers');
@@ -112,10 +113,7 @@ async function updateEventHandler(params = {}) {
   } catch (error) {
     logger.error(`Error updating calendar event: ${error.message}`);
     
-    return formatMcpResponse({
-      status: 'error',
-      message: `Failed to update calendar event: ${error.message}`
-    });
+    return errorResponse(error, 'update calendar event', 'event');
   }
 }
 
@@ -290,10 +288,7 @@ async function respondToEventHandler(params = {}) {
   } catch (error) {
     logger.error(`Error responding to calendar event: ${error.message}`);
     
-    return formatMcpResponse({
-      status: 'error',
-      message: `Failed to respond to calendar event: ${error.message}`
-    });
+    return errorResponse(error, 'respond to calendar event', 'event');
   }
 }
 
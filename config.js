@@ -1,84 +1,35 @@
 require('dotenv').config();
-const os = require('os');
-const path = require('path');
+const { loadConfig } = require('./utils/config-loader');
+
+// Settings are declared and validated in utils/config-loader.js
+let loaded;
+try {
+  loaded = loadConfig();
+} catch (error) {
+  if (error.name !== 'ConfigError') {
+    throw error;
+  }
+  // Logging is configured from these settings, so report on stderr and stop before anything starts
+  console.error(error.message);
+  process.exit(1);
+}
 
 const config = {
-  // Server configuration
+  ...loaded.values,
   server: {
     name: 'Enhanced Outlook MCP Server',
     version: '1.0.0',
-    logLevel: process.env.LOG_LEVEL || 'info',
-    tokenStoragePath: process.env.TOKEN_STORAGE_PATH || path.join(os.homedir(), '.enhanced-outlook-mcp-tokens.json')
-  },
-  
-  // Microsoft Graph API configuration
-  microsoft: {
-    clientId: process.env.MS_CLIENT_ID,
-    authority: process.env.MS_AUTHORITY || 'https://login.microsoftonline.com/common',
-    redirectUri: process.env.MS_REDIRECT_URI || 'http://localhost:3000/auth/callback',
-    scopes: process.env.MS_SCOPES ? process.env.MS_SCOPES.split(',') : [
-      'openid',
-      'profile',
-      'offline_access',
-      'User.Read',
-      'Mail.Read',
-      'Mail.ReadWrite',
-      'Mail.Send',
-      'MailboxSettings.Read',
-      'Calendars.ReadWrite',
-      'Contacts.Read'
-    ],
-    apiBaseUrl: process.env.MS_API_BASE_URL || 'https://graph.microsoft.com/v1.0',
-    graphApiResponseLimit: parseInt(process.env.MS_GRAPH_API_RESPONSE_LIMIT || '50')
-  },
-  
-  // Email configuration
-  email: {
-    defaultFields: process.env.EMAIL_DEFAULT_FIELDS ? process.env.EMAIL_DEFAULT_FIELDS.split(',') : [
-      'id',
-      'subject',
-      'bodyPreview',
-      'receivedDateTime',
-      'from',
-      'toRecipients',
-      'ccRecipients',
-      'importance',
-      'hasAttachments',
-      'isDraft'
-    ],
-    maxEmailsPerRequest: parseInt(process.env.MAX_EMAILS_PER_REQUEST || '20')
-  },
-  
-  // Calendar configuration
-  calendar: {
-    defaultFields: process.env.CALENDAR_DEFAULT_FIELDS ? process.env.CALENDAR_DEFAULT_FIELDS.split(',') : [
-      'id', 
-      'subject', 
-      'bodyPreview', 
-      'start', 
-      'end', 
-      'location', 
-      'attendees', 
-      'organizer',
-      'isAllDay',
-      'isCancelled'
-    ],
-    maxEventsPerRequest: parseInt(process.env.MAX_EVENTS_PER_REQUEST || '20')
-  },
-  
-  // Testing configuration
-  testing: {
-    enabled: process.env.TEST_MODE === 'true',
-    mockDataDir: process.env.MOCK_DATA_DIR || './utils/mock-data'
-  },
-  
-  // Rate limiting
-  rateLimit: {
-    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000'),
-    maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '30')
+    ...loaded.values.server
   },
+  // Selected profile and config file (null when there is none)
+  profile: loaded.profile,
+  configFile: loaded.file,
+  // Where each setting's value came from: default, profile, file or env
+  sources: loaded.sources,
   
   // Tool relationships and metadata
+  // destructive tools require confirmation when their category is listed in confirmation.categories;
+  // set requiresConfirmation on an entry to decide for that tool alone.
   toolMetadata: {
     // Auth tools
     'authenticate': {
@@ -107,7 +58,7 @@ const config = {
     'search_emails': {
       dependencies: ['authenticate'],
       category: 'email',
-      related: ['read_email', 'list_emails']
+      related: ['read_email', 'list_emails', 'sync_mailbox']
     },
     'read_email': {
       dependencies: ['authenticate', 'list_emails'],
@@ -117,26 +68,32 @@ const config = {
     'mark_email': {
       dependencies: ['authenticate', 'list_emails'],
       category: 'email',
+      rateLimit: 'write',
       related: ['read_email']
     },
     'send_email': {
       dependencies: ['authenticate'],
       category: 'email',
-      related: ['create_draft', 'add_attachment']
+      rateLimit: 'send',
+      related: ['create_draft', 'add_attachment'],
+      destructive: true
     },
     'create_draft': {
       dependencies: ['authenticate'],
       category: 'email',
+      rateLimit: 'write',
       related: ['send_email', 'add_attachment']
     },
     'reply_email': {
       dependencies: ['authenticate', 'read_email'],
       category: 'email',
+      rateLimit: 'send',
       related: ['list_emails', 'search_emails']
     },
     'forward_email': {
       dependencies: ['authenticate', 'read_email'],
       category: 'email',
+      rateLimit: 'send',
       related: ['list_emails', 'search_emails']
     },
     
@@ -154,11 +111,13 @@ const config = {
     'add_attachment': {
       dependencies: ['authenticate', 'create_draft'],
       category: 'attachment',
+      rateLimit: 'write',
       related: ['send_email', 'delete_attachment']
     },
     'delete_attachment': {
       dependencies: ['authenticate', 'list_attachments'],
       category: 'attachment',
+      rateLimit: 'write',
       related: ['add_attachment']
     },
     
@@ -176,31 +135,42 @@ const config = {
     'create_folder': {
       dependencies: ['authenticate', 'list_folders'],
       category: 'folder',
+      rateLimit: 'write',
       related: ['update_folder', 'move_folder']
     },
     'update_folder': {
       dependencies: ['authenticate', 'list_folders', 'get_folder'],
       category: 'folder',
+      rateLimit: 'write',
       related: ['delete_folder', 'move_folder']
     },
     'delete_folder': {
       dependencies: ['authenticate', 'list_folders'],
       category: 'folder',
-      related: ['update_folder']
+      rateLimit: 'write',
+      related: ['update_folder'],
+      destructive: true
     },
     'move_folder': {
       dependencies: ['authenticate', 'list_folders'],
       category: 'folder',
+      rateLimit: 'write',
       related: ['update_folder']
     },
     'move_emails': {
       dependencies: ['authenticate', 'list_emails', 'list_folders'],
       category: 'email',
+      rateLimit: 'write',
+      // Bulk operations get a larger retry budget
+      retryBudgetMs: 180000,
       related: ['copy_emails']
     },
     'copy_emails': {
       dependencies: ['authenticate', 'list_emails', 'list_folders'],
       category: 'email',
+      rateLimit: 'write',
+      // Bulk operations get a larger retry budget
+      retryBudgetMs: 180000,
       related: ['move_emails']
     },
     
@@ -223,27 +193,34 @@ const config = {
     'create_event': {
       dependencies: ['authenticate', 'list_calendars'],
       category: 'calendar',
+      rateLimit: 'write',
       related: ['find_meeting_times', 'update_event']
     },
     'update_event': {
       dependencies: ['authenticate', 'get_event'],
       category: 'calendar',
+      rateLimit: 'write',
       related: ['cancel_event', 'delete_event']
     },
     'respond_to_event': {
       dependencies: ['authenticate', 'get_event'],
       category: 'calendar',
+      rateLimit: 'write',
       related: ['list_events']
     },
     'delete_event': {
       dependencies: ['authenticate', 'get_event'],
       category: 'calendar',
-      related: ['cancel_event']
+      rateLimit: 'write',
+      related: ['cancel_event'],
+      destructive: true
     },
     'cancel_event': {
       dependencies: ['authenticate', 'get_event'],
       category: 'calendar',
-      related: ['delete_event']
+      rateLimit: 'write',
+      related: ['delete_event'],
+      destructive: true
     },
     'find_meeting_times': {
       dependencies: ['authenticate'],
@@ -265,19 +242,81 @@ const config = {
     'create_rule': {
       dependencies: ['authenticate'],
       category: 'rule',
+      rateLimit: 'write',
       related: ['list_rules', 'update_rule']
     },
     'update_rule': {
       dependencies: ['authenticate', 'get_rule'],
       category: 'rule',
+      rateLimit: 'write',
       related: ['delete_rule']
     },
     'delete_rule': {
       dependencies: ['authenticate', 'get_rule'],
       category: 'rule',
-      related: ['list_rules']
+      rateLimit: 'write',
+      related: ['list_rules'],
+      destructive: true
+    },
+    
+    // Audit tools
+    'get_audit_log': {
+      dependencies: [],
+      category: 'audit'
+    },
+
+    // Sync tools
+    'sync_mailbox': {
+      dependencies: ['authenticate'],
+      category: 'sync',
+      related: ['get_sync_status', 'list_emails', 'search_emails']
+    },
+    'get_sync_status': {
+      dependencies: [],
+      category: 'sync',
+      related: ['sync_mailbox']
+    },
+
+    // Server tools
+    'get_rate_limit_status': {
+      dependencies: [],
+      category: 'server',
+      related: ['get_server_metrics'],
+      // Not counted against any bucket
+      rateLimit: 'none'
+    },
+    'get_server_metrics': {
+      dependencies: [],
+      category: 'server',
+      related: ['get_rate_limit_status', 'run_diagnostics'],
+      rateLimit: 'none'
+    },
+    'run_diagnostics': {
+      dependencies: [],
+      category: 'server',
+      related: ['check_auth_status', 'authenticate', 'get_server_metrics', 'get_config'],
+      rateLimit: 'none'
+    },
+    'get_config': {
+      dependencies: [],
+      category: 'server',
+      related: ['run_diagnostics', 'get_rate_limit_status'],
+      rateLimit: 'none'
     }
   }
 };
 
+// Replaying a cassette needs no tenant, so it implies test mode authentication
+if (config.testing.cassette.mode === 'replay') {
+  config.testing.enabled = true;
+}
+
+// Resolve which destructive tools require confirmation
+Object.values(config.toolMetadata).forEach(metadata => {
+  if (metadata.destructive && metadata.requiresConfirmation === undefined) {
+    metadata.requiresConfirmation = config.confirmation.categories.includes('all') ||
+      config.confirmation.categories.includes(metadata.category);
+  }
+});
+
 module.exports = config;
\ No newline at end of file
@@ -0,0 +1,544 @@
+const fs = require('fs');
+const net = require('net');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { inspectSecureFile, readSecureFileSync } = require('../auth/token-store');
+const { getGraphClient } = require('../utils/graph-api-adapter');
+const { describeError } = require('../utils/graph-errors');
+const { getTargetMailbox } = require('../utils/mailbox-routing');
+
+/**
+ * Setup diagnostics
+ *
+ * Each check looks at one thing sign-in or Graph access depends on and
+ * reports pass, warn, fail or skip, with a fix for every problem found.
+ * Checks only read: token files are inspected, never rewritten, and the
+ * callback port is released as soon as it has been bound.
+ */
+
+// Scopes the tools rely on, with what is lost without them
+const REQUIRED_SCOPES = {
+  'offline_access': 'refresh tokens, so sign-in lasts longer than an hour',
+  'User.Read': 'the signed-in profile',
+  'Mail.ReadWrite': 'reading, moving and updating mail',
+  'Mail.Send': 'sending mail',
+  'Calendars.ReadWrite': 'the calendar tools'
+};
+
+// OpenID Connect scopes, which never appear in a granted access token
+const OIDC_SCOPES = ['openid', 'profile', 'offline_access', 'email'];
+
+// Entra ID rejects tokens whose timestamps are off by more than five minutes
+const CLOCK_SKEW_FAIL_SECONDS = 300;
+const CLOCK_SKEW_WARN_SECONDS = 60;
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Worst status first
+const STATUS_ORDER = ['fail', 'warn', 'pass', 'skip'];
+
+/**
+ * Build a check result from the problems found
+ * @param {string} id - Check ID
+ * @param {Array<Object>} issues - { status: 'warn'|'fail', message, fix }
+ * @param {string} passMessage - Message when nothing was found
+ * @param {Object} [details] - Extra facts for the report
+ * @returns {Object} - { id, status, message, fixes, details }
+ */
+function checkResult(id, issues, passMessage, details) {
+  const status = issues.some(issue => issue.status === 'fail') ? 'fail' : issues.length > 0 ? 'warn' : 'pass';
+  return {
+    id,
+    status,
+    message: issues.length > 0 ? issues.map(issue => issue.message).join(' ') : passMessage,
+    fixes: issues.map(issue => issue.fix).filter(Boolean),
+    ...(details && { details })
+  };
+}
+
+/**
+ * Build a skipped check result
+ * @param {string} id - Check ID
+ * @param {string} message - Why the check does not apply
+ * @returns {Object} - Check result
+ */
+function skipped(id, message) {
+  return { id, status: 'skip', message, fixes: [] };
+}
+
+/**
+ * Case-insensitive set of scope names
+ * @param {Array<string>|string} scopes - Scope list, or a space-separated string
+ * @returns {Set<string>} - Lower-cased scopes
+ */
+function scopeSet(scopes) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(' ');
+  return new Set(list.map(scope => scope.trim().toLowerCase()).filter(Boolean));
+}
+
+/**
+ * Check MS_CLIENT_ID, MS_AUTH_MODE, MS_AUTHORITY and the app-only credentials
+ * @returns {Promise<Object>} - Check result
+ */
+async function checkClientConfig() {
+  const { clientId, clientSecret, authority, authMode, clientCertificate } = config.microsoft;
+  const issues = [];
+
+  if (!clientId) {
+    issues.push(config.testing.enabled
+      ? { status: 'warn', message: 'MS_CLIENT_ID is not set; TEST_MODE does not need it, but signing in to Microsoft will.', fix: 'Set MS_CLIENT_ID to the Application (client) ID of your app registration before leaving TEST_MODE.' }
+      : { status: 'fail', message: 'MS_CLIENT_ID is not set.', fix: 'Set MS_CLIENT_ID in .env to the Application (client) ID of your Azure app registration.' });
+  } else if (!GUID_PATTERN.test(clientId)) {
+    issues.push({ status: 'warn', message: `MS_CLIENT_ID "${clientId}" is not a GUID.`, fix: 'Copy the Application (client) ID from the app registration\'s Overview page, not its name or object ID.' });
+  }
+
+  if (!['delegated', 'app'].includes(authMode)) {
+    issues.push({ status: 'fail', message: `MS_AUTH_MODE "${authMode}" is not valid.`, fix: 'Set MS_AUTH_MODE to "delegated" or "app".' });
+  }
+
+  let authorityUrl = null;
+  try {
+    authorityUrl = new URL(authority);
+  } catch (error) {
+    issues.push({ status: 'fail', message: `MS_AUTHORITY "${authority}" is not a URL.`, fix: 'Set MS_AUTHORITY to https://login.microsoftonline.com/<tenant-id>, or leave it unset for /common.' });
+  }
+  if (authorityUrl && authorityUrl.protocol !== 'https:') {
+    issues.push({ status: 'fail', message: 'MS_AUTHORITY does not use https.', fix: 'Use an https:// authority such as https://login.microsoftonline.com/common.' });
+  }
+
+  if (authMode === 'app') {
+    const { thumbprint, privateKeyPath, certificatePath } = clientCertificate || {};
+    if (!clientSecret && !(thumbprint && privateKeyPath)) {
+      issues.push({ status: 'fail', message: 'App-only mode has no client credential.', fix: 'Set MS_CLIENT_SECRET, or MS_CLIENT_CERT_THUMBPRINT and MS_CLIENT_CERT_PRIVATE_KEY_PATH.' });
+    }
+    [privateKeyPath, certificatePath].filter(Boolean).forEach(filePath => {
+      if (!fs.existsSync(filePath)) {
+        issues.push({ status: 'fail', message: `Certificate file ${filePath} does not exist.`, fix: 'Point MS_CLIENT_CERT_PRIVATE_KEY_PATH and MS_CLIENT_CERT_PATH at readable PEM files.' });
+      }
+    });
+    if (/\/(common|organizations|consumers)\/?$/i.test(authority)) {
+      issues.push({ status: 'fail', message: 'App-only mode needs a tenant-specific authority.', fix: 'Set MS_AUTHORITY to https://login.microsoftonline.com/<tenant-id>.' });
+    }
+  }
+
+  return checkResult('client_config', issues, `Client ID, authority and ${authMode} mode are configured.`, {
+    authMode,
+    authority,
+    testMode: config.testing.enabled
+  });
+}
+
+/**
+ * Check MS_REDIRECT_URI for delegated browser sign-in
+ * @returns {Promise<Object>} - Check result
+ */
+async function checkRedirectUri() {
+  if (config.microsoft.authMode === 'app') {
+    return skipped('redirect_uri', 'App-only mode does not sign in through a redirect.');
+  }
+
+  const { redirectUri } = config.microsoft;
+  let url;
+  try {
+    url = new URL(redirectUri);
+  } catch (error) {
+    return checkResult('redirect_uri', [{
+      status: 'fail',
+      message: `MS_REDIRECT_URI "${redirectUri}" is not a URL.`,
+      fix: 'Set MS_REDIRECT_URI to http://localhost:3000/auth/callback, or leave it unset.'
+    }]);
+  }
+
+  const issues = [];
+  const loopback = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  if (url.protocol === 'http:' && !loopback) {
+    issues.push({ status: 'fail', message: `Microsoft only accepts http redirect URIs on localhost, not ${url.hostname}.`, fix: 'Use http://localhost:<port>/auth/callback, or an https URL.' });
+  }
+  if (!loopback) {
+    issues.push({ status: 'warn', message: `The sign-in callback is served by this process, but MS_REDIRECT_URI points at ${url.hostname}.`, fix: 'Make sure that host forwards the callback to this server, or use localhost.' });
+  }
+  if (!url.port) {
+    issues.push({ status: 'warn', message: `MS_REDIRECT_URI has no port, so the callback server needs port ${url.protocol === 'https:' ? 443 : 80}.`, fix: 'Add an unprivileged port, e.g. http://localhost:3000/auth/callback.' });
+  }
+
+  return checkResult('redirect_uri', issues, `${redirectUri} is a valid redirect URI.`, { redirectUri });
+}
+
+/**
+ * Check MS_SCOPES against the scopes the tools need
+ * @returns {Promise<Object>} - Check result
+ */
+async function checkScopes() {
+  if (config.microsoft.authMode === 'app') {
+    return skipped('scopes', 'App-only tokens carry the application permissions granted to the app registration.');
+  }
+
+  const configured = scopeSet(config.microsoft.scopes);
+  if (configured.size === 0) {
+    return checkResult('scopes', [{ status: 'fail', message: 'MS_SCOPES is empty.', fix: 'Leave MS_SCOPES unset to request the default scopes.' }]);
+  }
+
+  const missing = Object.keys(REQUIRED_SCOPES).filter(scope => !configured.has(scope.toLowerCase()));
+  const issues = missing.map(scope => ({
+    status: 'warn',
+    message: `${scope} is not requested, which is needed for ${REQUIRED_SCOPES[scope]}.`,
+    fix: `Add ${scope} to MS_SCOPES and sign in again.`
+  }));
+
+  return checkResult('scopes', issues, 'Every scope the tools need is requested.', { scopes: config.microsoft.scopes });
+}
+
+/**
+ * Problems with a file's permissions
+ * @param {string} filePath - File path
+ * @returns {Object|null} - Issue, or null when only the owner can read it
+ */
+function permissionIssue(filePath) {
+  if (process.platform === 'win32') {
+    return null;
+  }
+  const mode = fs.statSync(filePath).mode & 0o777;
+  if ((mode & 0o077) === 0) {
+    return null;
+  }
+  return {
+    status: 'warn',
+    message: `${filePath} can be read by other users (mode ${mode.toString(8)}).`,
+    fix: `Run: chmod 600 ${filePath}`
+  };
+}
+
+/**
+ * Problems with the entries of the user token storage
+ * @param {Object} storage - Parsed token storage
+ * @returns {Array<Object>} - Issues
+ */
+function tokenEntryIssues(storage) {
+  const issues = [];
+  Object.entries(storage).forEach(([userId, token]) => {
+    if (!token || typeof token !== 'object' || !token.access_token) {
+      issues.push({ status: 'warn', message: `The stored token for ${userId} has no access token.`, fix: `Sign in again as ${userId} with authenticate.` });
+      return;
+    }
+    if (token.expires_at && token.expires_at < Date.now() && !token.refresh_token) {
+      issues.push({ status: 'warn', message: `The stored token for ${userId} has expired and cannot be refreshed.`, fix: `Sign in again as ${userId} with authenticate.` });
+    }
+  });
+  return issues;
+}
+
+/**
+ * Check that the token files decrypt, pass their integrity check and are private
+ * @returns {Promise<Object>} - Check result
+ */
+async function checkTokenFiles() {
+  const files = [config.server.tokenStoragePath, config.server.msalCachePath];
+  const issues = [];
+  const reports = files.map(inspectSecureFile);
+
+  reports.forEach(report => {
+    if (!report.exists) {
+      if (report.error) {
+        issues.push({ status: 'fail', message: `${report.path} cannot be read: ${report.error}`, fix: 'Check the file\'s owner and permissions.' });
+      }
+      return;
+    }
+    if (!report.valid) {
+      issues.push({
+        status: 'fail',
+        message: `${report.path} failed to decrypt or verify: ${report.error}`,
+        fix: report.encrypted
+          ? `Restore the key with id ${report.keyId} (TOKEN_ENCRYPTION_KEY, TOKEN_ENCRYPTION_PREVIOUS_KEYS or the key file), or delete the file and sign in again.`
+          : 'Delete the file and sign in again.'
+      });
+      return;
+    }
+    if (!report.encrypted) {
+      issues.push({ status: 'warn', message: `${report.path} is stored in plaintext.`, fix: 'It is encrypted the next time the server reads it; start the server once.' });
+    } else if (!report.currentKey) {
+      issues.push({ status: 'warn', message: `${report.path} is encrypted with the previous key ${report.keyId}.`, fix: 'It is re-encrypted with the current key the next time the server reads it.' });
+    }
+    const permission = permissionIssue(report.path);
+    if (permission) {
+      issues.push(permission);
+    }
+  });
+
+  const keyFile = config.tokenEncryption.keyFile;
+  if (!config.tokenEncryption.key && fs.existsSync(keyFile)) {
+    const permission = permissionIssue(keyFile);
+    if (permission) {
+      issues.push(permission);
+    }
+  }
+
+  const storageReport = reports[0];
+  let users = [];
+  if (storageReport.valid) {
+    const storage = JSON.parse(readSecureFileSync(storageReport.path));
+    users = Object.keys(storage);
+    issues.push(...tokenEntryIssues(storage));
+  }
+
+  const present = reports.filter(report => report.exists);
+  return checkResult('token_files', issues,
+    present.length > 0 ? `${present.length} token file(s) decrypted and verified.` : 'No token files yet; they are created at the first sign-in.',
+    {
+      files: reports.map(({ path, exists, encrypted, keyId, currentKey, valid }) => ({ path, exists, encrypted, keyId, currentKey, valid })),
+      storedUsers: users
+    });
+}
+
+/**
+ * Check that the MSAL token cache holds a usable sign-in for this app
+ * @returns {Promise<Object>} - Check result
+ */
+async function checkMsalCache() {
+  if (config.testing.enabled) {
+    return skipped('msal_cache', 'TEST_MODE signs in with the mock account instead of the MSAL cache.');
+  }
+  if (config.microsoft.authMode === 'app') {
+    return skipped('msal_cache', 'App-only tokens are requested with client credentials and are not kept across restarts.');
+  }
+
+  let cache;
+  try {
+    const content = readSecureFileSync(config.server.msalCachePath);
+    if (content === null) {
+      return checkResult('msal_cache', [{ status: 'warn', message: 'No one has signed in yet.', fix: 'Call the authenticate tool to sign in.' }]);
+    }
+    cache = JSON.parse(content);
+  } catch (error) {
+    // Decryption failures are reported by token_files
+    return checkResult('msal_cache', [{ status: 'fail', message: `The MSAL cache cannot be read: ${error.message}`, fix: 'Fix the token_files problem, or delete the cache and sign in again.' }]);
+  }
+
+  const accounts = Object.values(cache.Account || {});
+  const accessTokens = Object.values(cache.AccessToken || {});
+  const refreshTokens = Object.values(cache.RefreshToken || {});
+  const accountIds = new Set(accounts.map(account => account.home_account_id));
+  const clientId = config.microsoft.clientId;
+  const issues = [];
+
+  if (accounts.length === 0) {
+    issues.push({ status: 'warn', message: 'The MSAL cache has no signed-in account.', fix: 'Call the authenticate tool to sign in.' });
+  }
+
+  const otherClients = [...new Set([...accessTokens, ...refreshTokens]
+    .map(token => token.client_id)
+    .filter(id => id && clientId && id.toLowerCase() !== clientId.toLowerCase()))];
+  if (otherClients.length > 0) {
+    issues.push({ status: 'warn', message: `The cache holds tokens issued to another client ID (${otherClients.join(', ')}), which this app cannot use.`, fix: 'Sign out with revoke_authentication and sign in again with the current MS_CLIENT_ID.' });
+  }
+
+  const ownTokens = tokens => tokens.filter(token => !clientId || !token.client_id || token.client_id.toLowerCase() === clientId.toLowerCase());
+  const refreshable = new Set(ownTokens(refreshTokens).map(token => token.home_account_id));
+  accounts.filter(account => !refreshable.has(account.home_account_id)).forEach(account => {
+    issues.push({ status: 'warn', message: `${account.username || account.home_account_id} has no refresh token and must sign in again when the access token expires.`, fix: 'Request offline_access in MS_SCOPES and sign in again.' });
+  });
+
+  const orphans = [...accessTokens, ...refreshTokens].filter(token => !accountIds.has(token.home_account_id));
+  if (orphans.length > 0) {
+    issues.push({ status: 'warn', message: `${orphans.length} cached token(s) belong to no account.`, fix: 'Sign out with revoke_authentication and sign in again to rebuild the cache.' });
+  }
+
+  const granted = new Set();
+  ownTokens(accessTokens).forEach(token => scopeSet(token.target).forEach(scope => granted.add(scope.replace(/^https:\/\/graph\.microsoft\.com\//, ''))));
+  const ungranted = granted.size === 0 ? [] : config.microsoft.scopes
+    .filter(scope => !OIDC_SCOPES.includes(scope.toLowerCase()) && !granted.has(scope.toLowerCase()));
+  if (ungranted.length > 0) {
+    issues.push({ status: 'warn', message: `The cached sign-in was not granted ${ungranted.join(', ')}.`, fix: 'Sign in again with authenticate to consent to the scopes added since.' });
+  }
+
+  return checkResult('msal_cache', issues, `${accounts.length} account(s) cached with refresh tokens.`, {
+    accounts: accounts.map(account => account.username || account.home_account_id),
+    accessTokens: accessTokens.length,
+    refreshTokens: refreshTokens.length
+  });
+}
+
+/**
+ * Compare the local clock with the sign-in service's Date header
+ * @returns {Promise<Object>} - Check result
+ */
+async function checkClockSkew() {
+  if (config.testing.enabled) {
+    return skipped('clock_skew', 'TEST_MODE makes no requests to Microsoft.');
+  }
+
+  const url = `${config.microsoft.authority.replace(/\/$/, '')}/v2.0/.well-known/openid-configuration`;
+  let response;
+  const sentAt = Date.now();
+  try {
+    response = await axios.get(url, { timeout: config.diagnostics.timeoutMs, validateStatus: () => true });
+  } catch (error) {
+    return checkResult('clock_skew', [{ status: 'warn', message: `Could not reach ${new URL(url).host} to compare clocks: ${error.message}`, fix: 'Check the network connection and any HTTPS_PROXY setting.' }]);
+  }
+
+  const serverTime = Date.parse(response.headers.date);
+  if (Number.isNaN(serverTime)) {
+    return skipped('clock_skew', `${new URL(url).host} sent no Date header to compare with.`);
+  }
+  // The Date header has one-second resolution; compare it with the middle of the round trip
+  const skewSeconds = Math.round(((sentAt + Date.now()) / 2 - serverTime) / 1000);
+  const direction = skewSeconds > 0 ? 'ahead' : 'behind';
+  const issues = [];
+  if (Math.abs(skewSeconds) > CLOCK_SKEW_FAIL_SECONDS) {
+    issues.push({ status: 'fail', message: `The local clock is ${Math.abs(skewSeconds)}s ${direction}; tokens will be rejected as not yet valid or expired.`, fix: 'Synchronize the system clock (e.g. enable NTP).' });
+  } else if (Math.abs(skewSeconds) > CLOCK_SKEW_WARN_SECONDS) {
+    issues.push({ status: 'warn', message: `The local clock is ${Math.abs(skewSeconds)}s ${direction}.`, fix: 'Synchronize the system clock (e.g. enable NTP) before it drifts past five minutes.' });
+  }
+
+  return checkResult('clock_skew', issues, `The local clock is within ${Math.max(Math.abs(skewSeconds), 1)}s of Microsoft's.`, { skewSeconds });
+}
+
+/**
+ * Try to listen on a port
+ * @param {number} port - Port number
+ * @returns {Promise<string|null>} - Error code, or null when the port is free
+ */
+function probePort(port) {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.once('error', error => resolve(error.code || error.message));
+    server.listen(port, () => server.close(() => resolve(null)));
+  });
+}
+
+/**
+ * Check that the sign-in callback server can listen on the redirect URI's port
+ * @returns {Promise<Object>} - Check result
+ */
+async function checkCallbackPort() {
+  if (config.microsoft.authMode === 'app') {
+    return skipped('callback_port', 'App-only mode does not sign in through a redirect.');
+  }
+  if (config.microsoft.authFlow === 'device_code') {
+    return skipped('callback_port', 'Device code sign-in does not use the callback server.');
+  }
+
+  let url;
+  try {
+    url = new URL(config.microsoft.redirectUri);
+  } catch (error) {
+    return skipped('callback_port', 'MS_REDIRECT_URI is not a URL (see redirect_uri).');
+  }
+  const port = Number(url.port) || (url.protocol === 'https:' ? 443 : 80);
+
+  const { getAuthService } = require('../auth/auth-service');
+  let callbackServer = null;
+  try {
+    callbackServer = getAuthService().httpServer;
+  } catch (error) {
+    // Without a client ID there is no auth service; client_config reports it
+  }
+  if (callbackServer && callbackServer.listening) {
+    return checkResult('callback_port', [], `Port ${port} is held by this server's sign-in callback.`, { port });
+  }
+
+  const issues = [];
+  if (config.server.transport === 'http' && config.server.http.port === port) {
+    issues.push({ status: 'fail', message: `The MCP HTTP transport and the sign-in callback both use port ${port}.`, fix: 'Change MCP_HTTP_PORT or the port in MS_REDIRECT_URI (and the app registration).' });
+  } else {
+    const code = await probePort(port);
+    if (code === 'EADDRINUSE') {
+      issues.push({ status: 'fail', message: `Port ${port} is in use by another process, so the sign-in callback cannot be received.`, fix: `Stop the process using port ${port}, or move MS_REDIRECT_URI to a free port and add it to the app registration's redirect URIs.` });
+    } else if (code === 'EACCES') {
+      issues.push({ status: 'fail', message: `This process may not listen on port ${port}.`, fix: 'Use a port above 1024 in MS_REDIRECT_URI and in the app registration.' });
+    } else if (code) {
+      issues.push({ status: 'fail', message: `Cannot listen on port ${port}: ${code}`, fix: 'Choose another port in MS_REDIRECT_URI.' });
+    }
+  }
+
+  return checkResult('callback_port', issues, `Port ${port} is free for the sign-in callback.`, { port });
+}
+
+/**
+ * Check Graph reachability with a minimal profile request
+ * The request goes to /me, which the mailbox middleware sends to the
+ * mailbox the call targets, if any.
+ * @param {Object} options - Diagnostic options
+ * @param {string} [options.userId] - Account to check
+ * @returns {Promise<Object>} - Check result
+ */
+async function checkGraph(options) {
+  if (!config.microsoft.clientId && !config.testing.enabled) {
+    return skipped('graph', 'Sign-in is not configured without MS_CLIENT_ID (see client_config).');
+  }
+  const mailbox = getTargetMailbox();
+  if (config.microsoft.authMode === 'app' && !mailbox) {
+    return skipped('graph', 'App-only tokens have no /me; pass a mailbox to check Graph access.');
+  }
+
+  const path = mailbox ? `/users/${mailbox}` : '/me';
+  const startedAt = Date.now();
+  try {
+    const client = await getGraphClient(options.userId || 'default', 'diagnostics');
+    const profile = await client.api('/me').select('id,displayName,mail,userPrincipalName').get();
+    return checkResult('graph', [], `${path} answered as ${profile.mail || profile.userPrincipalName || profile.displayName}.`, {
+      path,
+      latencyMs: Date.now() - startedAt
+    });
+  } catch (error) {
+    const details = describeError(error);
+    const fix = details.type === 'authentication_error'
+      ? 'Call the authenticate tool to sign in.'
+      : details.message;
+    return checkResult('graph', [{ status: 'fail', message: `${path} failed: ${error.message}`, fix }], null, {
+      path,
+      error: details
+    });
+  }
+}
+
+// Checks in the order they run
+const CHECKS = {
+  client_config: checkClientConfig,
+  redirect_uri: checkRedirectUri,
+  scopes: checkScopes,
+  token_files: checkTokenFiles,
+  msal_cache: checkMsalCache,
+  clock_skew: checkClockSkew,
+  callback_port: checkCallbackPort,
+  graph: checkGraph
+};
+
+/**
+ * Run setup diagnostics
+ * @param {Object} [options] - Diagnostic options
+ * @param {Array<string>} [options.checks] - Check IDs to run; all when empty
+ * @param {string} [options.userId] - Account for the Graph check
+ * @returns {Promise<Object>} - { overall, summary, checks }
+ */
+async function runDiagnostics(options = {}) {
+  const ids = options.checks && options.checks.length > 0 ? options.checks : Object.keys(CHECKS);
+  const unknown = ids.filter(id => !CHECKS[id]);
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown check(s): ${unknown.join(', ')}. Available: ${Object.keys(CHECKS).join(', ')}`);
+    error.name = 'ParameterError';
+    throw error;
+  }
+
+  const checks = [];
+  for (const id of ids) {
+    try {
+      checks.push(await CHECKS[id](options));
+    } catch (error) {
+      logger.error(`Diagnostic ${id} failed: ${error.message}`);
+      checks.push(checkResult(id, [{ status: 'fail', message: `The check itself failed: ${error.message}` }]));
+    }
+  }
+
+  const summary = { pass: 0, warn: 0, fail: 0, skip: 0 };
+  checks.forEach(check => summary[check.status]++);
+  const overall = STATUS_ORDER.find(status => status !== 'skip' && summary[status] > 0) || 'pass';
+  logger.info(`Diagnostics finished: ${overall} (${JSON.stringify(summary)})`);
+
+  return { overall, summary, checks };
+}
+
+module.exports = {
+  CHECK_IDS: Object.keys(CHECKS),
+  runDiagnostics
+};
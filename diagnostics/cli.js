@@ -0,0 +1,112 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { rotateKey } = require('../auth/token-store');
+const { runWithMailbox } = require('../utils/mailbox-routing');
+const { runDiagnostics, CHECK_IDS } = require('./checks');
+
+/**
+ * Setup diagnostics from the command line
+ *
+ *   npm run diagnose -- [options]
+ *
+ * Runs the same checks as the run_diagnostics tool and prints one line per
+ * check with its fixes. Exits with status 1 when a check fails.
+ */
+
+const USAGE = `Usage: npm run diagnose -- [options]
+
+Options:
+  --check <ids>      Comma-separated checks to run (${CHECK_IDS.join(', ')})
+  --user <id>        Account for the Graph check (default: the signed-in account)
+  --mailbox <upn>    Mailbox for the Graph check; needed in app-only mode
+  --sign-in          Sign in first when no account is signed in (opens a browser or prints a device code)
+  --rotate-key       Replace the key file's encryption key and re-encrypt the token files first
+  --json             Print the report as JSON
+  --help             Show this help`;
+
+const LABELS = { pass: 'PASS', warn: 'WARN', fail: 'FAIL', skip: 'SKIP' };
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - Options
+ */
+function parseArgs(args) {
+  const options = { checks: [] };
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inline] = args[i].split(/=(.*)/s);
+    const value = () => (inline !== undefined ? inline : args[++i]);
+    switch (flag) {
+      case '--check': options.checks.push(...String(value()).split(',').map(id => id.trim()).filter(Boolean)); break;
+      case '--user': options.userId = value(); break;
+      case '--mailbox': options.mailbox = value(); break;
+      case '--sign-in': options.signIn = true; break;
+      case '--rotate-key': options.rotateKey = true; break;
+      case '--json': options.json = true; break;
+      case '--help': options.help = true; break;
+      default: throw new Error(`Unknown option ${args[i]}\n\n${USAGE}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Sign in interactively unless an account is already signed in
+ */
+async function signIn() {
+  const { getAuthService } = require('../auth/auth-service');
+  const authService = getAuthService();
+  await authService.initialize();
+  if (await authService.isAuthenticated()) {
+    console.log('Already signed in.\n');
+    return;
+  }
+  console.log('Signing in; complete the sign-in in your browser or with the device code shown...');
+  await authService.authenticate();
+  console.log('Signed in.\n');
+}
+
+/**
+ * Print a report for people
+ * @param {Object} report - { overall, summary, checks }
+ */
+function printReport(report) {
+  const width = Math.max(...report.checks.map(check => check.id.length));
+  report.checks.forEach(check => {
+    console.log(`${LABELS[check.status]}  ${check.id.padEnd(width)}  ${check.message}`);
+    check.fixes.forEach(fix => console.log(`${' '.repeat(width + 8)}Fix: ${fix}`));
+  });
+  const { pass, warn, fail, skip } = report.summary;
+  console.log(`\n${LABELS[report.overall]}: ${pass} passed, ${warn} warning(s), ${fail} failed, ${skip} skipped`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (options.rotateKey) {
+    const { keyId, rotated } = rotateKey([config.server.tokenStoragePath, config.server.msalCachePath]);
+    console.log(`Token encryption key rotated to ${keyId}. Re-encrypted: ${rotated.join(', ') || 'no files'}\n`);
+  }
+  if (options.signIn) {
+    await signIn();
+  }
+
+  const report = await runWithMailbox(options.mailbox, () => runDiagnostics(options));
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  return report.overall === 'fail' ? 1 : 0;
+}
+
+// Exit explicitly: the auth service and caches may hold timers and servers open
+main().then(code => process.exit(code), error => {
+  logger.error(`Diagnostics failed: ${error.message}`);
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,9 @@
+const { runDiagnosticsHandler } = require('./tools');
+const { CHECK_IDS, runDiagnostics } = require('./checks');
+
+// Export all handlers directly, with the checks for the CLI
+module.exports = {
+  runDiagnosticsHandler,
+  runDiagnostics,
+  CHECK_IDS
+};
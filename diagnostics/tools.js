@@ -0,0 +1,45 @@
+const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
+const { runDiagnostics } = require('./checks');
+
+/**
+ * Run diagnostics handler
+ * Checks the configuration, token files, MSAL cache, clock, sign-in callback
+ * port and Graph access, and reports pass/warn/fail with fixes for each.
+ * @param {Object} params - Tool parameters
+ * @param {Array<string>} [params.checks] - Check IDs to run; all when empty
+ * @param {string} [params.userId] - Account for the Graph check
+ * @returns {Promise<Object>} - MCP response
+ */
+async function runDiagnosticsHandler(params = {}) {
+  try {
+    const report = await runDiagnostics({ checks: params.checks, userId: params.userId });
+    return formatMcpResponse({
+      status: 'success',
+      ...report
+    });
+  } catch (error) {
+    logger.error(`Error running diagnostics: ${error.message}`);
+    return errorResponse(error, 'run diagnostics');
+  }
+}
+
+/**
+ * Format response for MCP
+ * @param {Object} data - Response data
+ * @returns {Object} - MCP formatted response
+ */
+function formatMcpResponse(data) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(data)
+      }
+    ]
+  };
+}
+
+module.exports = {
+  runDiagnosticsHandler
+};
@@ -1,5 +1,6 @@
 const config = require('../config');
 const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
 const { email: emailApi } = require('../utils/graph-api-adapter');
 const { listUsers } = require('../auth/token-manager');
 const auth = require('../auth/index');
@@ -122,15 +123,7 @@ async function getAttachmentHandler(params = {}) {
   } catch (error) {
     logger.error(`Error getting attachment: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to get attachment: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'get attachment', 'attachment');
   }
 }
 
@@ -225,15 +218,7 @@ async function listAttachmentsHandler(params = {}) {
   } catch (error) {
     logger.error(`Error listing attachments: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to list attachments: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'list attachments', 'email');
   }
 }
 
@@ -346,15 +331,7 @@ async function addAttachmentHandler(params = {}) {
   } catch (error) {
     logger.error(`Error adding attachment: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to add attachment: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'add attachment', 'draft');
   }
 }
 
@@ -439,15 +416,7 @@ async function deleteAttachmentHandler(params = {}) {
   } catch (error) {
     logger.error(`Error deleting attachment: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to delete attachment: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'delete attachment', 'attachment');
   }
 }
 
@@ -543,15 +512,7 @@ async function getAttachmentsHandler(params = {}) {
   } catch (error) {
     logger.error(`Error getting attachments: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to get attachments: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'get attachments', 'email');
   }
 }
 
@@ -1,9 +1,13 @@
 const config = require('../config');
 const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
 const graphAdapter = require('../utils/graph-api-adapter');
 const { listUsers } = require('../auth/token-manager');
 const { buildQueryParams } = require('../utils/odata-helpers');
 const auth = require('../auth/index');
+const { resolveAccount } = require('../utils/rate-limiter');
+const { getSyncStore, folderScope } = require('../sync/sync-store');
+const { encodeCursor, decodeCursor, invalidCursorResponse } = require('../utils/pagination-cursor');
 
 /**
  * List emails from a mailbox
@@ -46,7 +50,7 @@ async function listEmailsHandler(params = {}) {
     // 4. params.contextData (Claude Desktop might use this)
     // 5. Global last message
     
-    if (Object.keys(params).length > 1 || (params.folderId || params.userId)) {
+    if (Object.keys(params).length > 1 || (params.folderId || params.userId || params.cursor)) {
       // Use direct params
       requestParams = params;
       logger.info(`Using direct params`);
@@ -123,6 +127,22 @@ async function listEmailsHandler(params = {}) {
     
     logger.info(`Request params extracted: ${JSON.stringify(requestParams)}`);
     
+    // A nextCursor from an earlier page brings its folder and query along
+    const account = await resolveAccount(requestParams.userId);
+    let position = null;
+    if (requestParams.cursor) {
+      try {
+        const resumed = decodeCursor('list_emails', account, requestParams.cursor, listingParams(requestParams, requestParams.folderId));
+        requestParams = { ...requestParams, ...resumed.params };
+        position = resumed.position;
+      } catch (error) {
+        if (error.name !== 'InvalidCursorError') {
+          throw error;
+        }
+        return invalidCursorResponse(error, 'list_emails');
+      }
+    }
+    
     // Extract userId
     let userId = requestParams.userId;
     logger.info(`Extracted userId: ${userId}`);
@@ -193,12 +213,43 @@ async function listEmailsHandler(params = {}) {
     }
     
     const limit = Math.min(
-      requestParams.limit || config.email.maxEmailsPerRequest, 
+      requestParams.limit || (position && position.limit) || config.email.maxEmailsPerRequest, 
       config.email.maxEmailsPerRequest
     );
     
     logger.info(`Listing emails for user ${userId} in folder ${folderId}`);
     
+    // Where this page starts: an offset, or a Graph link when continuing a Graph listing
+    const skip = position && position.offset !== undefined ? position.offset : (requestParams.skip || 0);
+    const nextLink = position && position.link;
+    
+    // Answer from the local store when the folder was synced recently (see sync_mailbox)
+    const orderBy = requestParams.orderBy || 'receivedDateTime desc';
+    if (!nextLink && !requestParams.filter && !requestParams.search && orderBy === 'receivedDateTime desc') {
+      const local = await getSyncStore().getFreshItems(account, requestParams.mailbox || null, folderScope(folderId));
+      if (local) {
+        const sorted = local.items
+          .sort((a, b) => String(b.receivedDateTime).localeCompare(String(a.receivedDateTime)));
+        const emails = sorted.slice(skip, skip + limit).map(formatEmailResponse);
+        logger.info(`Listed ${emails.length} emails from the local store (synced ${local.partition.lastSyncedAt})`);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              emails,
+              count: emails.length,
+              folder: folderId,
+              source: 'local',
+              syncedAt: local.partition.lastSyncedAt,
+              nextCursor: skip + limit < sorted.length
+                ? encodeCursor('list_emails', account, listingParams(requestParams, folderId), { offset: skip + limit, limit })
+                : null
+            })
+          }]
+        };
+      }
+    }
+    
     // Use the Graph API adapter instead of directly creating a client
     try {
       // Determine folder name for the query
@@ -211,7 +262,7 @@ async function listEmailsHandler(params = {}) {
         top: limit,
         filter: requestParams.filter,
         orderBy: requestParams.orderBy || 'receivedDateTime desc',
-        skip: requestParams.skip || 0
+        skip
       };
       
       // If search is specified, use it and omit orderBy (they're incompatible)
@@ -220,8 +271,10 @@ async function listEmailsHandler(params = {}) {
         delete options.orderBy;
       }
       
-      // Use the email API from the graph adapter
-      const response = await graphAdapter.email.listMessages(userId, options);
+      // Use the email API from the graph adapter, following the cursor's link when there is one
+      const response = nextLink
+        ? await graphAdapter.getNextPage(userId, 'email', nextLink)
+        : await graphAdapter.email.listMessages(userId, options);
       
       // Process and format the response
       const emails = response.value.map(formatEmailResponse);
@@ -232,37 +285,40 @@ async function listEmailsHandler(params = {}) {
           text: JSON.stringify({
             emails,
             count: emails.length,
-            folder: folderId
+            folder: folderId,
+            nextCursor: response['@odata.nextLink']
+              ? encodeCursor('list_emails', account, listingParams(requestParams, folderId), { link: response['@odata.nextLink'] })
+              : null
           })
         }]
       };
     } catch (error) {
       logger.error(`Error listing emails: ${error.message}`);
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            status: 'error',
-            message: `Failed to list emails: ${error.message}`
-          })
-        }]
-      };
+      return errorResponse(error, 'list emails', 'folder');
     }
   } catch (error) {
     logger.error(`Error listing emails: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to list emails: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'list emails', 'folder');
   }
 }
 
+/**
+ * Parameters that select what a list_emails listing contains, kept in its cursors
+ * @param {Object} requestParams - Tool parameters
+ * @param {string} [folderId] - Folder listed
+ * @returns {Object} - Listing parameters
+ */
+function listingParams(requestParams, folderId) {
+  return {
+    mailbox: requestParams.mailbox,
+    folderId,
+    filter: requestParams.filter,
+    search: requestParams.search,
+    orderBy: requestParams.orderBy
+  };
+}
+
 /**
  * Format email response to clean up and improve readability
  * @param {Object} email - Raw email from Graph API
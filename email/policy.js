@@ -0,0 +1,289 @@
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Outbound mail policy
+ *
+ * send_email, create_draft, reply_email and forward_email are checked against
+ * the JSON policy file at MAIL_POLICY_PATH before anything reaches Graph. The
+ * file is re-read when it changes. When a policy is configured but cannot be
+ * read, outbound mail is blocked rather than sent unchecked.
+ *
+ * Example policy:
+ * {
+ *   "allowedRecipientDomains": ["contoso.com", "fabrikam.com"],
+ *   "blockedRecipientDomains": ["gmail.com"],
+ *   "maxRecipients": 25,
+ *   "internalDomains": ["contoso.com"],
+ *   "blockExternalForwarding": true,
+ *   "requiredSubjectPrefix": "[Contoso]",
+ *   "blockedKeywords": ["confidential", "password"]
+ * }
+ */
+
+// Expected type of each policy field
+const POLICY_FIELDS = {
+  allowedRecipientDomains: 'domains',
+  blockedRecipientDomains: 'domains',
+  internalDomains: 'domains',
+  maxRecipients: 'number',
+  blockExternalForwarding: 'boolean',
+  requiredSubjectPrefix: 'string',
+  blockedKeywords: 'strings'
+};
+
+// Policy parsed from the file, keyed by path and modification time
+let cache = { path: null, mtimeMs: null, policy: null };
+
+/**
+ * Validate and normalize a parsed policy
+ * @param {Object} raw - Parsed policy file
+ * @returns {Object} - Normalized policy (domains lower-cased)
+ * @throws {Error} - When a field has the wrong type
+ */
+function normalizePolicy(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('the policy must be a JSON object');
+  }
+
+  const policy = {};
+  Object.keys(raw).forEach(field => {
+    const type = POLICY_FIELDS[field];
+    const value = raw[field];
+    if (!type) {
+      throw new Error(`unknown policy field "${field}"`);
+    }
+    if (type === 'domains' || type === 'strings') {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+        throw new Error(`"${field}" must be an array of non-empty strings`);
+      }
+      policy[field] = type === 'domains'
+        ? value.map(domain => domain.trim().toLowerCase().replace(/^\*?\./, ''))
+        : value.map(item => item.trim());
+    } else if (type === 'number') {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`"${field}" must be a positive integer`);
+      }
+      policy[field] = value;
+    } else if (typeof value !== type) {
+      throw new Error(`"${field}" must be a ${type}`);
+    } else {
+      policy[field] = value;
+    }
+  });
+
+  if (policy.blockExternalForwarding && !(policy.internalDomains && policy.internalDomains.length > 0)) {
+    throw new Error('"blockExternalForwarding" needs "internalDomains" to tell internal from external recipients');
+  }
+  return policy;
+}
+
+/**
+ * Load the configured policy, re-reading the file when it has changed
+ * @returns {Object|null} - Policy, or null when no policy is configured
+ * @throws {Error} - When the policy file cannot be read or is invalid
+ */
+function loadMailPolicy() {
+  const policyPath = config.email.policyPath;
+  if (!policyPath) {
+    return null;
+  }
+
+  const { mtimeMs } = fs.statSync(policyPath);
+  if (cache.path === policyPath && cache.mtimeMs === mtimeMs) {
+    return cache.policy;
+  }
+
+  let policy;
+  try {
+    policy = normalizePolicy(JSON.parse(fs.readFileSync(policyPath, 'utf8')));
+  } catch (error) {
+    throw new Error(`Invalid mail policy ${policyPath}: ${error.message}`);
+  }
+  cache = { path: policyPath, mtimeMs, policy };
+  logger.info(`Loaded outbound mail policy from ${policyPath}`);
+  return policy;
+}
+
+/**
+ * Domain part of an email address
+ * @param {string} address - Email address
+ * @returns {string} - Lower-case domain, or '' when the address has none
+ */
+function domainOf(address) {
+  const at = String(address || '').lastIndexOf('@');
+  return at >= 0 ? address.slice(at + 1).trim().toLowerCase() : '';
+}
+
+/**
+ * Check whether a domain is one of a list or a subdomain of one
+ * @param {string} domain - Domain to check
+ * @param {string[]} domains - Normalized domains
+ * @returns {boolean} - True on a match
+ */
+function inDomains(domain, domains) {
+  return Boolean(domain) && domains.some(listed => domain === listed || domain.endsWith(`.${listed}`));
+}
+
+/**
+ * Addresses of Graph recipients
+ * @param {Array} [recipients] - Graph recipients ({ emailAddress: { address } })
+ * @returns {string[]} - Addresses
+ */
+function recipientAddresses(recipients) {
+  return (recipients || [])
+    .map(recipient => recipient && recipient.emailAddress && recipient.emailAddress.address)
+    .filter(Boolean);
+}
+
+/**
+ * Find blocked keywords in text, as whole words and ignoring case
+ * @param {string} text - Subject and body text
+ * @param {string[]} keywords - Blocked keywords
+ * @returns {string[]} - Keywords found
+ */
+function findKeywords(text, keywords) {
+  // Ignore HTML markup so tags and attributes do not match
+  const plain = String(text || '').replace(/<[^>]*>/g, ' ');
+  return keywords.filter(keyword => {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}_])${escaped}(?=$|[^\\p{L}\\p{N}_])`, 'iu').test(plain);
+  });
+}
+
+/**
+ * Check an outbound message against a policy
+ * @param {Object} policy - Normalized policy
+ * @param {string} action - 'send', 'draft', 'reply' or 'forward'
+ * @param {Object} message - Message to check
+ * @param {string[]} [message.recipients] - Addresses the message goes to, including those a reply takes from the original
+ * @param {string} [message.subject] - Subject, when the call sets one
+ * @param {string} [message.body] - Body or comment text
+ * @returns {Array} - Violations: { rule, message, ... }
+ */
+function evaluatePolicy(policy, action, message) {
+  const violations = [];
+  const recipients = message.recipients || [];
+
+  if (policy.allowedRecipientDomains) {
+    const outside = recipients.filter(address => !inDomains(domainOf(address), policy.allowedRecipientDomains));
+    if (outside.length > 0) {
+      violations.push({
+        rule: 'allowedRecipientDomains',
+        message: `Recipients outside the allowed domains (${policy.allowedRecipientDomains.join(', ')}): ${outside.join(', ')}`,
+        recipients: outside
+      });
+    }
+  }
+
+  if (policy.blockedRecipientDomains) {
+    const blocked = recipients.filter(address => inDomains(domainOf(address), policy.blockedRecipientDomains));
+    if (blocked.length > 0) {
+      violations.push({
+        rule: 'blockedRecipientDomains',
+        message: `Recipients in blocked domains: ${blocked.join(', ')}`,
+        recipients: blocked
+      });
+    }
+  }
+
+  if (policy.maxRecipients && recipients.length > policy.maxRecipients) {
+    violations.push({
+      rule: 'maxRecipients',
+      message: `${recipients.length} recipients exceed the limit of ${policy.maxRecipients}`,
+      recipientCount: recipients.length,
+      limit: policy.maxRecipients
+    });
+  }
+
+  if (action === 'forward' && policy.blockExternalForwarding) {
+    const external = recipients.filter(address => !inDomains(domainOf(address), policy.internalDomains));
+    if (external.length > 0) {
+      violations.push({
+        rule: 'blockExternalForwarding',
+        message: `Forwarding to external recipients is not allowed: ${external.join(', ')}`,
+        recipients: external
+      });
+    }
+  }
+
+  const subject = message.subject;
+  if (policy.requiredSubjectPrefix && (action === 'send' || action === 'draft') && subject &&
+      !subject.trim().toLowerCase().startsWith(policy.requiredSubjectPrefix.toLowerCase())) {
+    violations.push({
+      rule: 'requiredSubjectPrefix',
+      message: `The subject must start with "${policy.requiredSubjectPrefix}"`
+    });
+  }
+
+  if (policy.blockedKeywords) {
+    const found = findKeywords(`${subject || ''}\n${message.body || ''}`, policy.blockedKeywords);
+    if (found.length > 0) {
+      violations.push({
+        rule: 'blockedKeywords',
+        message: `The message contains blocked keywords: ${found.join(', ')}`,
+        keywords: found
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Format a policy_violation error
+ * @param {Array} violations - Violations found
+ * @returns {Object} - MCP formatted response
+ */
+function policyViolationResponse(violations) {
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({
+        status: 'error',
+        error: {
+          type: 'policy_violation',
+          message: `Blocked by the outbound mail policy: ${violations.map(violation => violation.message).join('; ')}`,
+          violations
+        }
+      })
+    }]
+  };
+}
+
+/**
+ * Enforce the outbound mail policy for a handler
+ * @param {string} action - 'send', 'draft', 'reply' or 'forward'
+ * @param {Object} message - Message to check (see evaluatePolicy)
+ * @returns {Object|null} - policy_violation response to return, or null when allowed
+ */
+function enforceMailPolicy(action, message) {
+  let policy;
+  try {
+    policy = loadMailPolicy();
+  } catch (error) {
+    logger.error(`Outbound mail policy unavailable, blocking ${action}: ${error.message}`);
+    return policyViolationResponse([{
+      rule: 'policyFile',
+      message: `The outbound mail policy could not be loaded, so mail is blocked until it is fixed (${error.message})`
+    }]);
+  }
+  if (!policy) {
+    return null;
+  }
+
+  const violations = evaluatePolicy(policy, action, message);
+  if (violations.length === 0) {
+    return null;
+  }
+  logger.warn(`Outbound mail policy blocked ${action}: ${violations.map(violation => violation.rule).join(', ')}`);
+  return policyViolationResponse(violations);
+}
+
+module.exports = {
+  enforceMailPolicy,
+  evaluatePolicy,
+  loadMailPolicy,
+  recipientAddresses
+};
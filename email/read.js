@@ -1,5 +1,6 @@
 const config = require('../config');
 const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
 const { email: emailApi } = require('../utils/graph-api-adapter');
 const { listUsers } = require('../auth/token-manager');
 const auth = require('../auth/index');
@@ -243,15 +244,7 @@ async function readEmailHandler(params = {}) {
   } catch (error) {
     logger.error(`Error reading email: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to read email: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'read email', 'email');
   }
 }
 
@@ -557,15 +550,7 @@ async function markEmailHandler(params = {}) {
   } catch (error) {
     logger.error(`Error marking email: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to mark email: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'mark email', 'email');
   }
 }
 
@@ -1,9 +1,17 @@
 const config = require('../config');
 const logger = require('../utils/logger');
-const { email: emailApi, folder: folderApi } = require('../utils/graph-api-adapter');
+const { errorResponse } = require('../utils/graph-errors');
+const { email: emailApi, folder: folderApi, getNextPage } = require('../utils/graph-api-adapter');
 const { listUsers } = require('../auth/token-manager');
 const auth = require('../auth/index');
 const { buildQueryParams } = require('../utils/odata-helpers');
+const { resolveAccount } = require('../utils/rate-limiter');
+const { getSyncStore } = require('../sync/sync-store');
+const { getSearchIndex } = require('../sync/search-index');
+const { encodeCursor, decodeCursor, invalidCursorResponse } = require('../utils/pagination-cursor');
+
+// Where search_emails looks: Graph $search, the local store, or the store when fresh
+const SEARCH_MODES = ['graph', 'local', 'auto'];
 
 /**
  * Search emails across mailbox
@@ -16,7 +24,23 @@ async function searchEmailsHandler(params = {}) {
     logger.info(`Search emails handler started`);
     
     // Process parameters
-    const requestParams = params.arguments ? params.arguments : params;
+    let requestParams = params.arguments ? params.arguments : params;
+    
+    // A nextCursor from an earlier page brings its query along
+    const account = await resolveAccount(requestParams.userId);
+    let position = null;
+    if (requestParams.cursor) {
+      try {
+        const resumed = decodeCursor('search_emails', account, requestParams.cursor, searchParams(requestParams, requestParams.mode));
+        requestParams = { ...requestParams, ...resumed.params };
+        position = resumed.position;
+      } catch (error) {
+        if (error.name !== 'InvalidCursorError') {
+          throw error;
+        }
+        return invalidCursorResponse(error, 'search_emails');
+      }
+    }
     
     // Extract userId
     let userId = requestParams.userId;
@@ -57,7 +81,7 @@ async function searchEmailsHandler(params = {}) {
           type: "text",
           text: JSON.stringify({
             status: 'error',
-            message: 'Query parameter is required'
+            message: 'Query parameter is required (or the nextCursor of an earlier search)'
           })
         }]
       };
@@ -65,22 +89,48 @@ async function searchEmailsHandler(params = {}) {
     
     // Calculate limit
     const limit = Math.min(
-      requestParams.limit || config.email.maxEmailsPerRequest,
+      requestParams.limit || (position && position.limit) || config.email.maxEmailsPerRequest,
       config.email.maxEmailsPerRequest
     );
     
+    const mode = requestParams.mode || 'graph';
+    if (!SEARCH_MODES.includes(mode)) {
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            status: 'error',
+            message: `Invalid mode "${mode}". Use one of: ${SEARCH_MODES.join(', ')}`
+          })
+        }]
+      };
+    }
+    
+    // Later pages stay with the source of the first page
+    const offset = position && position.offset !== undefined ? position.offset : null;
+    if (!(position && position.link) && (mode !== 'graph' || offset !== null)) {
+      const localResponse = await searchLocal(requestParams, query, limit, offset === null ? mode : 'local', account, offset || 0);
+      if (localResponse) {
+        return localResponse;
+      }
+    }
+    
     logger.info(`Searching emails for user ${userId} with query: ${query}`);
     
-    // Build query parameters
+    // Build query parameters; results are grouped by folder, so parentFolderId is always selected
+    const fields = [].concat(requestParams.fields || config.email.defaultFields);
     const queryParams = buildQueryParams({
-      select: requestParams.fields || config.email.defaultFields,
+      select: fields.includes('parentFolderId') ? fields : [...fields, 'parentFolderId'],
       top: limit,
       search: query
     });
     
-    // Use emailApi to search messages
-    const emailsResponse = await emailApi.listMessages(userId, queryParams);
+    // Use emailApi to search messages, following the cursor's link when there is one
+    const emailsResponse = position && position.link
+      ? await getNextPage(userId, 'email', position.link)
+      : await emailApi.listMessages(userId, queryParams);
     const emails = emailsResponse.value || [];
+    const nextLink = emailsResponse['@odata.nextLink'];
     
     // Sort results if needed
     if (requestParams.orderBy) {
@@ -140,23 +190,127 @@ async function searchEmailsHandler(params = {}) {
           query,
           totalResults: emails.length,
           folderResults: Object.values(folderGroups),
-          hasMore: emails.length >= limit
+          hasMore: Boolean(nextLink),
+          nextCursor: nextLink ? encodeCursor('search_emails', account, searchParams(requestParams, mode), { link: nextLink }) : null
         })
       }]
     };
   } catch (error) {
     logger.error(`Error searching emails: ${error.message}`);
     
+    return errorResponse(error, 'search emails', 'folder');
+  }
+}
+
+/**
+ * Search the synced folders of the local store (see sync_mailbox)
+ * In 'auto' mode the store is only used when every synced folder is fresh
+ * and the query uses the local syntax; otherwise null is returned and the
+ * search goes to Graph.
+ * @param {Object} requestParams - Tool parameters
+ * @param {string} query - Search query
+ * @param {number} limit - Maximum number of results
+ * @param {string} mode - 'local' or 'auto'
+ * @param {string} account - Account searched
+ * @param {number} offset - Matches to skip (from a cursor)
+ * @returns {Promise<Object|null>} - MCP response, or null to search Graph instead
+ */
+async function searchLocal(requestParams, query, limit, mode, account, offset) {
+  const mailbox = requestParams.mailbox || null;
+  const { index, partitions } = await getSearchIndex(account, mailbox);
+  const store = getSyncStore();
+  const fresh = partitions.length > 0 && partitions.every(partition => store.isFresh(partition));
+
+  if (mode === 'auto' && !fresh) {
+    logger.info(`Synced folders of ${account} are missing or stale; searching Graph`);
+    return null;
+  }
+  if (partitions.length === 0) {
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          status: 'error',
+          message: 'No synced folders to search. Call sync_mailbox first, or use mode "graph".',
+          suggested_tool: 'sync_mailbox'
+        })
+      }]
+    };
+  }
+
+  let matches;
+  try {
+    matches = index.search(query);
+  } catch (error) {
+    if (error.name !== 'InvalidSearchQueryError') {
+      throw error;
+    }
+    if (mode === 'auto') {
+      logger.info(`Query is not valid for local search (${error.message}); searching Graph`);
+      return null;
+    }
     return {
       content: [{
         type: "text",
         text: JSON.stringify({
           status: 'error',
-          message: `Failed to search emails: ${error.message}`
+          message: `Invalid search query: ${error.message}`
         })
       }]
     };
   }
+
+  // Groups keep the order of their best match
+  const folderGroups = {};
+  matches.slice(offset, offset + limit).forEach(({ message, folder, score }) => {
+    const parentFolderId = message.parentFolderId || 'unknown';
+    if (!folderGroups[parentFolderId]) {
+      folderGroups[parentFolderId] = {
+        folderId: parentFolderId,
+        folderName: folder || 'Unknown',
+        emails: []
+      };
+    }
+    folderGroups[parentFolderId].emails.push({ ...formatEmailResult(message), score });
+  });
+
+  const returned = Math.max(0, Math.min(matches.length - offset, limit));
+  const more = offset + limit < matches.length;
+  logger.info(`Local search for ${account} matched ${matches.length} of ${index.docs.length} synced messages`);
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({
+        status: 'success',
+        query,
+        source: 'local',
+        fresh,
+        syncedAt: partitions[0].lastSyncedAt,
+        foldersSearched: partitions.map(partition => partition.folderId),
+        totalResults: returned,
+        totalMatches: matches.length,
+        folderResults: Object.values(folderGroups),
+        hasMore: more,
+        nextCursor: more
+          ? encodeCursor('search_emails', account, searchParams(requestParams, requestParams.mode || 'graph'), { offset: offset + limit, limit })
+          : null
+      })
+    }]
+  };
+}
+
+/**
+ * Parameters that select what a search returns, kept in its cursors
+ * @param {Object} requestParams - Tool parameters
+ * @param {string} [mode] - Search mode
+ * @returns {Object} - Search parameters
+ */
+function searchParams(requestParams, mode) {
+  return {
+    mailbox: requestParams.mailbox,
+    query: requestParams.query,
+    mode
+  };
 }
 
 /**
@@ -202,17 +356,16 @@ async function fetchFolderNames(userId, folderGroups) {
   }
   
   try {
-    // Get folder information using folderApi
-    for (const folderId of folderIds) {
-      try {
-        const folderInfo = await folderApi.getFolder(userId, folderId);
-        if (folderInfo && folderInfo.displayName) {
-          folderGroups[folderId].folderName = folderInfo.displayName;
-        }
-      } catch (folderError) {
-        logger.warn(`Could not get info for folder ${folderId}: ${folderError.message}`);
+    // Look up all folders in Graph $batch calls
+    const folderResults = await folderApi.getFolders(userId, folderIds);
+    folderResults.forEach((result, index) => {
+      const folderId = folderIds[index];
+      if (result.error) {
+        logger.warn(`Could not get info for folder ${folderId}: ${result.error.message}`);
+      } else if (result.body && result.body.displayName) {
+        folderGroups[folderId].folderName = result.body.displayName;
       }
-    }
+    });
   } catch (error) {
     logger.warn(`Error fetching folder names: ${error.message}`);
   }
@@ -1,9 +1,11 @@
 const config = require('../config');
 const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
 const { email: emailApi } = require('../utils/graph-api-adapter');
 const { listUsers } = require('../auth/token-manager');
 const { normalizeParameters } = require('../utils/parameter-helpers');
 const auth = require('../auth/index');
+const { enforceMailPolicy, recipientAddresses } = require('./policy');
 
 /**
  * Send a new email
@@ -87,6 +89,16 @@ async function sendEmailHandler(params = {}) {
     const ccRecipients = formatRecipients(cc);
     const bccRecipients = formatRecipients(bcc);
     
+    // Check the outbound mail policy before anything reaches Graph
+    const policyViolation = enforceMailPolicy('send', {
+      recipients: recipientAddresses([...toRecipients, ...ccRecipients, ...bccRecipients]),
+      subject,
+      body
+    });
+    if (policyViolation) {
+      return policyViolation;
+    }
+    
     // Prepare email message
     const message = {
       subject: subject,
@@ -128,15 +140,7 @@ async function sendEmailHandler(params = {}) {
   } catch (error) {
     logger.error(`Error sending email: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to send email: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'send email', 'email');
   }
 }
 
@@ -172,6 +176,16 @@ async function createDraftHandler(params = {}) {
     const ccRecipients = formatRecipients(params.cc);
     const bccRecipients = formatRecipients(params.bcc);
     
+    // Check the outbound mail policy before anything reaches Graph
+    const policyViolation = enforceMailPolicy('draft', {
+      recipients: recipientAddresses([...toRecipients, ...ccRecipients, ...bccRecipients]),
+      subject: params.subject,
+      body: params.body
+    });
+    if (policyViolation) {
+      return policyViolation;
+    }
+    
     // Prepare draft message
     const message = {
       subject: params.subject || '',
@@ -203,10 +217,7 @@ async function createDraftHandler(params = {}) {
   } catch (error) {
     logger.error(`Error creating draft email: ${error.message}`);
     
-    return formatMcpResponse({
-      status: 'error',
-      message: `Failed to create draft email: ${error.message}`
-    });
+    return errorResponse(error, 'create draft email', 'email');
   }
 }
 
@@ -267,6 +278,28 @@ async function replyEmailHandler(params = {}) {
     // Determine if it's a reply or reply all
     const replyAll = params.replyAll === true;
     
+    // Check the outbound mail policy before anything reaches Graph. A reply
+    // goes to the original sender, and a reply all to its to and cc as well,
+    // on top of any recipients added in a full reply message.
+    const original = await emailApi.getMessage(userId, messageId, {
+      select: 'from,toRecipients,ccRecipients'
+    });
+    const added = replyMessage || {};
+    const policyViolation = enforceMailPolicy('reply', {
+      recipients: uniqueAddresses([
+        original.from,
+        ...(replyAll ? [...(original.toRecipients || []), ...(original.ccRecipients || [])] : []),
+        ...(added.toRecipients || []),
+        ...(added.ccRecipients || []),
+        ...(added.bccRecipients || [])
+      ]),
+      subject: added.subject,
+      body: comment || (added.body && added.body.content) || (typeof added.body === 'string' ? added.body : '')
+    });
+    if (policyViolation) {
+      return policyViolation;
+    }
+    
     // Send the reply
     // Use emailApi.replyToMessage which will handle auth properly
     await emailApi.replyToMessage(userId, messageId, replyMessage, {
@@ -282,10 +315,7 @@ async function replyEmailHandler(params = {}) {
   } catch (error) {
     logger.error(`Error replying to email: ${error.message}`);
     
-    return formatMcpResponse({
-      status: 'error',
-      message: `Failed to reply to email: ${error.message}`
-    });
+    return errorResponse(error, 'reply to email', 'email');
   }
 }
 
@@ -335,6 +365,20 @@ async function forwardEmailHandler(params = {}) {
     // Format recipients
     const toRecipients = formatRecipients(to);
     
+    // Check the outbound mail policy before anything reaches Graph. The
+    // forwarded subject and body are checked along with the comment.
+    const original = await emailApi.getMessage(userId, messageId, {
+      select: 'subject,body'
+    });
+    const policyViolation = enforceMailPolicy('forward', {
+      recipients: recipientAddresses(toRecipients),
+      subject: original.subject,
+      body: [params.comment || params.body, original.body && original.body.content].filter(Boolean).join('\n')
+    });
+    if (policyViolation) {
+      return policyViolation;
+    }
+    
     // Forward the email
     // Use emailApi.forwardMessage which will handle auth properly
     await emailApi.forwardMessage(userId, messageId, toRecipients, {
@@ -350,13 +394,27 @@ async function forwardEmailHandler(params = {}) {
   } catch (error) {
     logger.error(`Error forwarding email: ${error.message}`);
     
-    return formatMcpResponse({
-      status: 'error',
-      message: `Failed to forward email: ${error.message}`
-    });
+    return errorResponse(error, 'forward email', 'email');
   }
 }
 
+/**
+ * Addresses of Graph recipients, without duplicates
+ * @param {Array} recipients - Graph recipients ({ emailAddress: { address } })
+ * @returns {string[]} - Addresses, each listed once ignoring case
+ */
+function uniqueAddresses(recipients) {
+  const seen = new Set();
+  return recipientAddresses(recipients).filter(address => {
+    const key = address.toLowerCase();
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
 /**
  * Format recipients for API request
  * @param {string|Array} recipients - Recipients as string or array
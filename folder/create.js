@@ -1,12 +1,13 @@
 // folder/create.js
 const config = require('../config');
 const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
 const { folder: folderApi } = require('../utils/graph-api-adapter');
 const { listUsers } = require('../auth/token-manager');
 const auth = require('../auth/index');
 
 async function createFolderHandler(params = {}) {
-  const name = params.name;
+  const name = params.displayName || params.name;
   const userId = params.userId || 'default';
 
   if (!name) return formatMcpResponse({ status: 'error', message: 'Folder name required' });
@@ -31,7 +32,56 @@ async function createFolderHandler(params = {}) {
     });
   } catch (error) {
     logger.error(`Error creating folder: ${error.message}`);
-    return formatMcpResponse({ status: 'error', message: `Failed: ${error.message}` });
+    return errorResponse(error, 'create folder', 'folder');
+  }
+}
+
+async function updateFolderHandler(params = {}) {
+  const folderId = params.folderId;
+  const name = params.displayName || params.name;
+  const userId = params.userId || 'default';
+
+  if (!folderId) return formatMcpResponse({ status: 'error', message: 'Folder ID required' });
+  if (!name) return formatMcpResponse({ status: 'error', message: 'Folder name required' });
+
+  try {
+    logger.info(`Renaming mail folder ${folderId} to '${name}' for user ${userId}`);
+    
+    const folder = await folderApi.updateFolder(userId, folderId, { displayName: name });
+    
+    return formatMcpResponse({
+      status: 'success',
+      message: 'Folder updated',
+      folder: {
+        id: folder.id,
+        name: folder.displayName
+      }
+    });
+  } catch (error) {
+    logger.error(`Error updating folder: ${error.message}`);
+    return errorResponse(error, 'update folder', 'folder');
+  }
+}
+
+async function deleteFolderHandler(params = {}) {
+  const folderId = params.folderId;
+  const userId = params.userId || 'default';
+
+  if (!folderId) return formatMcpResponse({ status: 'error', message: 'Folder ID required' });
+
+  try {
+    logger.info(`Deleting mail folder ${folderId} for user ${userId}`);
+    
+    await folderApi.deleteFolder(userId, folderId);
+    
+    return formatMcpResponse({
+      status: 'success',
+      message: 'Folder deleted',
+      folderId
+    });
+  } catch (error) {
+    logger.error(`Error deleting folder: ${error.message}`);
+    return errorResponse(error, 'delete folder', 'folder');
   }
 }
 
@@ -46,4 +96,4 @@ function formatMcpResponse(data) {
   };
 }
 
-module.exports = { createFolderHandler };
+module.exports = { createFolderHandler, updateFolderHandler, deleteFolderHandler };
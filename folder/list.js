@@ -1,5 +1,6 @@
 const config = require('../config');
 const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
 const { folder: folderApi, email: emailApi } = require('../utils/graph-api-adapter');
 const { buildQueryParams } = require('../utils/odata-helpers');
 const { listUsers } = require('../auth/token-manager');
@@ -85,15 +86,7 @@ async function listFoldersHandler(params = {}) {
   } catch (error) {
     logger.error(`Error listing folders: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to list folders: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'list folders', 'folder');
   }
 }
 
@@ -227,15 +220,7 @@ async function getFolderHandler(params = {}) {
   } catch (error) {
     logger.error(`Error getting folder: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to get folder: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'get folder', 'folder');
   }
 }
 
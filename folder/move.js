@@ -1,9 +1,42 @@
 const config = require('../config');
 const logger = require('../utils/logger');
-const { folder: folderApi } = require('../utils/graph-api-adapter');
+const { errorResponse } = require('../utils/graph-errors');
+const { email: emailApi, folder: folderApi } = require('../utils/graph-api-adapter');
 const { listUsers } = require('../auth/token-manager');
 const auth = require('../auth/index');
 
+/**
+ * Split per-message batch results into successes and failures
+ * @param {Array<string>} emailIds - Email IDs, in request order
+ * @param {Array<Object>} batchResults - Results from executeBatch
+ * @param {string} action - Verb for log messages
+ * @returns {Object} - { success: [ids], failed: [{ id, status, code, error }] }
+ */
+function summarizeBatchResults(emailIds, batchResults, action) {
+  const results = {
+    success: [],
+    failed: []
+  };
+  
+  batchResults.forEach((result, index) => {
+    const emailId = emailIds[index];
+    if (!result.error) {
+      results.success.push(emailId);
+      return;
+    }
+    
+    logger.error(`Error ${action} email ${emailId}: ${result.error.message}`);
+    results.failed.push({
+      id: emailId,
+      status: result.status,
+      code: result.error.code || null,
+      error: result.error.message
+    });
+  });
+  
+  return results;
+}
+
 /**
  * Move emails to a folder
  * @param {Object} params - Tool parameters
@@ -67,31 +100,9 @@ async function moveEmailsHandler(params = {}) {
   try {
     logger.info(`Moving ${emailIds.length} emails to folder ${destinationFolderId} for user ${userId}`);
     
-    // Import the email API to use moveMessage
-    const { email: emailApi } = require('../utils/graph-api-adapter');
-    
-    // Track successful and failed moves
-    const results = {
-      success: [],
-      failed: []
-    };
-    
-    // Move each email (could be batched for better performance)
-    for (const emailId of emailIds) {
-      try {
-        // Use emailApi.moveMessage to properly handle authentication
-        await emailApi.moveMessage(userId, emailId, destinationFolderId);
-        
-        results.success.push(emailId);
-      } catch (error) {
-        logger.error(`Error moving email ${emailId}: ${error.message}`);
-        
-        results.failed.push({
-          id: emailId,
-          error: error.message
-        });
-      }
-    }
+    // Moves are sent in Graph $batch calls of up to 20 messages
+    const batchResults = await emailApi.moveMessages(userId, emailIds, destinationFolderId);
+    const results = summarizeBatchResults(emailIds, batchResults, 'moving');
     
     return {
       content: [{
@@ -107,15 +118,7 @@ async function moveEmailsHandler(params = {}) {
   } catch (error) {
     logger.error(`Error moving emails: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to move emails: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'move emails', 'email');
   }
 }
 
@@ -198,9 +201,9 @@ async function moveFolderHandler(params = {}) {
     const graphClient = await auth.getGraphClient(userId);
     
     // Get the folder to preserve its name
-    const folder = await graphClient.get(`/me/mailFolders/${folderId}`, {
-      $select: 'displayName'
-    });
+    const folder = await graphClient.api(`/me/mailFolders/${folderId}`)
+      .select('displayName')
+      .get();
     
     if (!folder) {
       return {
@@ -215,9 +218,9 @@ async function moveFolderHandler(params = {}) {
     }
     
     // Verify destination folder exists
-    const destinationFolder = await graphClient.get(`/me/mailFolders/${destinationFolderId}`, {
-      $select: 'id'
-    });
+    const destinationFolder = await graphClient.api(`/me/mailFolders/${destinationFolderId}`)
+      .select('id')
+      .get();
     
     if (!destinationFolder) {
       return {
@@ -232,20 +235,20 @@ async function moveFolderHandler(params = {}) {
     }
     
     // Create a new folder with the same name under the destination
-    const newFolder = await graphClient.post(`/me/mailFolders/${destinationFolderId}/childFolders`, {
+    const newFolder = await graphClient.api(`/me/mailFolders/${destinationFolderId}/childFolders`).post({
       displayName: folder.displayName
     });
     
     // Move all messages from the old folder to the new one
-    const messages = await graphClient.get(`/me/mailFolders/${folderId}/messages`, {
-      $select: 'id',
-      $top: 1000 // Note: might need pagination for large folders
-    });
+    const messages = await graphClient.api(`/me/mailFolders/${folderId}/messages`)
+      .select('id')
+      .top(1000) // Note: might need pagination for large folders
+      .get();
     
     let movedMessageCount = 0;
     if (messages && messages.value && messages.value.length > 0) {
       for (const message of messages.value) {
-        await graphClient.post(`/me/messages/${message.id}/move`, {
+        await graphClient.api(`/me/messages/${message.id}/move`).post({
           destinationId: newFolder.id
         });
         movedMessageCount++;
@@ -255,26 +258,26 @@ async function moveFolderHandler(params = {}) {
     // Move all child folders recursively
     // This would be implemented as a recursive function for a complete solution
     // For brevity, we'll just handle the first level of child folders
-    const childFolders = await graphClient.get(`/me/mailFolders/${folderId}/childFolders`, {
-      $select: 'id,displayName'
-    });
+    const childFolders = await graphClient.api(`/me/mailFolders/${folderId}/childFolders`)
+      .select('id,displayName')
+      .get();
     
     let movedChildFolderCount = 0;
     if (childFolders && childFolders.value && childFolders.value.length > 0) {
       for (const childFolder of childFolders.value) {
-        const newChildFolder = await graphClient.post(`/me/mailFolders/${newFolder.id}/childFolders`, {
+        const newChildFolder = await graphClient.api(`/me/mailFolders/${newFolder.id}/childFolders`).post({
           displayName: childFolder.displayName
         });
         
         // Move messages from the child folder
-        const childMessages = await graphClient.get(`/me/mailFolders/${childFolder.id}/messages`, {
-          $select: 'id',
-          $top: 1000
-        });
+        const childMessages = await graphClient.api(`/me/mailFolders/${childFolder.id}/messages`)
+          .select('id')
+          .top(1000)
+          .get();
         
         if (childMessages && childMessages.value && childMessages.value.length > 0) {
           for (const message of childMessages.value) {
-            await graphClient.post(`/me/messages/${message.id}/move`, {
+            await graphClient.api(`/me/messages/${message.id}/move`).post({
               destinationId: newChildFolder.id
             });
           }
@@ -285,7 +288,7 @@ async function moveFolderHandler(params = {}) {
     }
     
     // Delete the original folder after moving everything
-    await graphClient.delete(`/me/mailFolders/${folderId}`);
+    await graphClient.api(`/me/mailFolders/${folderId}`).delete();
     
     return {
       content: [{
@@ -302,15 +305,7 @@ async function moveFolderHandler(params = {}) {
   } catch (error) {
     logger.error(`Error moving folder: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to move folder: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'move folder', 'folder');
   }
 }
 
@@ -377,31 +372,9 @@ async function copyEmailsHandler(params = {}) {
   try {
     logger.info(`Copying ${emailIds.length} emails to folder ${destinationFolderId} for user ${userId}`);
     
-    const graphClient = await auth.getGraphClient(userId);
-    
-    // Track successful and failed copies
-    const results = {
-      success: [],
-      failed: []
-    };
-    
-    // Copy each email
-    for (const emailId of emailIds) {
-      try {
-        await graphClient.post(`/me/messages/${emailId}/copy`, {
-          destinationId: destinationFolderId
-        });
-        
-        results.success.push(emailId);
-      } catch (error) {
-        logger.error(`Error copying email ${emailId}: ${error.message}`);
-        
-        results.failed.push({
-          id: emailId,
-          error: error.message
-        });
-      }
-    }
+    // Copies are sent in Graph $batch calls of up to 20 messages
+    const batchResults = await emailApi.copyMessages(userId, emailIds, destinationFolderId);
+    const results = summarizeBatchResults(emailIds, batchResults, 'copying');
     
     return {
       content: [{
@@ -417,15 +390,7 @@ async function copyEmailsHandler(params = {}) {
   } catch (error) {
     logger.error(`Error copying emails: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to copy emails: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'copy emails', 'email');
   }
 }
 
@@ -1,9 +1,20 @@
-const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { McpServer, ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { ListResourcesRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
 const config = require('./config');
 const logger = require('./utils/logger');
 const fs = require('fs');
 const { z } = require('zod');
+const { runWithRetryBudget, addRetryMetadata } = require('./utils/retry-policy');
+const { describeError, resourceForTool } = require('./utils/graph-errors');
+const { runWithMailbox } = require('./utils/mailbox-routing');
+const { runWithLogContext } = require('./utils/log-context');
+const { recordToolCall, summarizeOutcome } = require('./audit/audit-log');
+const { recordToolMetrics } = require('./utils/metrics');
+const { isDryRunRequested, runWithDryRun, isDryRun } = require('./utils/dry-run');
+const { runWithConfirmation } = require('./utils/confirmation');
+const { startMcpHttpServer } = require('./utils/mcp-http-server');
+const { rateLimiter, rateLimitCategory, resolveAccount } = require('./utils/rate-limiter');
 
 // Import handlers from email module
 const { 
@@ -65,47 +76,58 @@ const {
   deleteRuleHandler
 } = require('./rules');
 
-// Create MCP server instance
-const server = new McpServer({
+// Import handlers from audit module
+const {
+  getAuditLogHandler
+} = require('./audit');
+
+// Import handlers from sync module
+const {
+  syncMailboxHandler,
+  getSyncStatusHandler
+} = require('./sync');
+const { getSyncStore } = require('./sync/sync-store');
+
+// Import handlers from server module
+const {
+  getRateLimitStatusHandler,
+  getServerMetricsHandler,
+  getConfigHandler
+} = require('./server');
+const { SECTIONS } = require('./utils/config-loader');
+
+// Import handlers from diagnostics module
+const { runDiagnosticsHandler, CHECK_IDS } = require('./diagnostics');
+
+// Import mailbox resources
+const {
+  URI_TEMPLATES,
+  readMessageResource,
+  readFolderResource,
+  readEventResource,
+  listMailboxResources
+} = require('./resources');
+
+// Options for each MCP server instance
+const serverOptions = {
   name: config.server.name,
   version: config.server.version,
-  port: config.server.port,
   toolMetadata: config.toolMetadata,
-  
+
   // Add prompts capability declaration
   capabilities: {
     prompts: {
       listChanged: true
     }
   },
-  
+
   onRequest: async (req) => {
     logger.info(`Received request for tool: ${req.tool}`);
-    
-    // Rate limiting check
-    try {
-      const { rateLimiter } = require('./utils/rate-limiter');
-      await rateLimiter.check();
-    } catch (error) {
-      logger.warn(`Rate limit exceeded: ${error.message}`);
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            error: {
-              type: 'rate_limit_exceeded',
-              message: 'Too many requests. Please try again later.',
-              retry_after: error.retryAfter
-            }
-          })
-        }]
-      };
-    }
   },
-  
+
   onError: (error, req) => {
     logger.error(`Error in MCP request for tool ${req?.tool}:`, error);
-    
+
     // Provide more informative error response based on error type
     if (error.name === 'AuthenticationError') {
       return {
@@ -120,7 +142,7 @@ const server = new McpServer({
         }]
       };
     }
-    
+
     if (error.name === 'GraphAPIError') {
       return {
         content: [{
@@ -135,7 +157,7 @@ const server = new McpServer({
         }]
       };
     }
-    
+
     // Generic error fallback
     return {
       content: [{
@@ -149,7 +171,16 @@ const server = new McpServer({
       }]
     };
   }
-});
+};
+
+// Prompts, tools and resources are registered once at load time and replayed
+// by createServer() onto each new McpServer
+const registrations = [];
+const server = {
+  prompt: (...args) => registrations.push({ method: 'prompt', args }),
+  tool: (...args) => registrations.push({ method: 'tool', args }),
+  resource: (...args) => registrations.push({ method: 'resource', args })
+};
 
 
 // Register direct prompt for calendar_availability
@@ -162,7 +193,7 @@ server.prompt(
   },
   async (params) => {
     logger.info(`Received direct calendar_availability prompt request`);
-    
+
     return {
       description: "Calendar availability check prompt",
       messages: [
@@ -178,28 +209,33 @@ server.prompt(
   }
 );
 
-// Helper function for error handling in tool handlers
-const withErrorHandling = (handler) => async (params) => {
+// Run a tool handler, converting thrown errors into tool responses;
+// onAdmitted is called once the call has passed the rate limit
+const invokeToolHandler = async (handler, params, toolName, onAdmitted) => {
   try {
-    // Rate limiting check
-    const { rateLimiter } = require('./utils/rate-limiter');
-    await rateLimiter.check();
-    
+    // Rate limiting per account and category; dry runs send nothing, so they are not counted
+    if (!isDryRun()) {
+      await rateLimiter.check(await resolveAccount(params && params.userId), rateLimitCategory(toolName));
+    }
+    if (onAdmitted) {
+      onAdmitted();
+    }
+
     // Normalize parameters for consistent handling
     const { normalizeParameters } = require('./utils/parameter-helpers');
-    
+
     // For Claude Desktop compatibility
     if (global.__last_message?.params?.arguments) {
       params = { ...params, ...global.__last_message.params.arguments };
     }
-    
+
     // Get normalized parameters
     const normalizedParams = normalizeParameters(params);
-    
+
     return await handler(normalizedParams);
   } catch (error) {
     logger.error(`Error executing tool:`, error);
-    
+
     // Handle authentication errors
     if (error.name === 'AuthenticationError') {
       return {
@@ -216,7 +252,7 @@ const withErrorHandling = (handler) => async (params) => {
         }]
       };
     }
-    
+
     if (error.name === 'TokenExpiredError') {
       return {
         content: [{
@@ -232,137 +268,14 @@ const withErrorHandling = (handler) => async (params) => {
         }]
       };
     }
-    
-    // Handle specific resource errors with suggested workflows
-    if (error.name === 'CalendarNotFoundError') {
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            error: {
-              type: 'prerequisite_needed',
-              message: 'Calendar not found. Please call list_calendars first to get valid calendar IDs.',
-              suggested_tool: 'list_calendars',
-              suggested_sequence: 'view_calendar_events'
-            }
-          })
-        }]
-      };
-    }
-    
-    if (error.name === 'EmailNotFoundError') {
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            error: {
-              type: 'prerequisite_needed',
-              message: 'Email not found. Please call list_emails or search_emails first to get valid email IDs.',
-              suggested_tool: 'list_emails',
-              suggested_sequence: 'view_emails'
-            }
-          })
-        }]
-      };
-    }
-    
-    if (error.name === 'FolderNotFoundError') {
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            error: {
-              type: 'prerequisite_needed',
-              message: 'Folder not found. Please call list_folders first to get valid folder IDs.',
-              suggested_tool: 'list_folders',
-              suggested_sequence: 'organize_emails'
-            }
-          })
-        }]
-      };
-    }
-    
-    if (error.name === 'AttachmentNotFoundError') {
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            error: {
-              type: 'prerequisite_needed',
-              message: 'Attachment not found. Please call list_attachments first to get valid attachment IDs.',
-              suggested_tool: 'list_attachments',
-              suggested_workflow: {
-                sequence: ['check_auth_status', 'authenticate', 'list_emails', 'list_attachments', 'get_attachment'],
-                conditional_steps: {
-                  'authenticate': 'Only if auth_needed is true'
-                }
-              }
-            }
-          })
-        }]
-      };
-    }
-    
-    if (error.name === 'EventNotFoundError') {
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            error: {
-              type: 'prerequisite_needed',
-              message: 'Event not found. Please call list_events first to get valid event IDs.',
-              suggested_tool: 'list_events',
-              suggested_sequence: 'view_calendar_events'
-            }
-          })
-        }]
-      };
-    }
-    
-    if (error.name === 'RuleNotFoundError') {
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            error: {
-              type: 'prerequisite_needed',
-              message: 'Rule not found. Please call list_rules first to get valid rule IDs.',
-              suggested_tool: 'list_rules',
-              suggested_workflow: {
-                sequence: ['check_auth_status', 'authenticate', 'list_rules', 'get_rule'],
-                conditional_steps: {
-                  'authenticate': 'Only if auth_needed is true'
-                }
-              }
-            }
-          })
-        }]
-      };
-    }
-    
-    if (error.name === 'DraftNotFoundError') {
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            error: {
-              type: 'prerequisite_needed',
-              message: 'Draft email not found. Please call create_draft first to create a draft email.',
-              suggested_tool: 'create_draft',
-              suggested_sequence: 'send_email_with_attachment'
-            }
-          })
-        }]
-      };
-    }
-    
+
     if (error.name === 'ParameterError') {
       // Get the current tool name from the error context or params
       const currentTool = error.toolName || 'current_tool';
-      
+
       // Check if this tool has dependencies in the metadata
       const dependencies = config.toolMetadata[currentTool]?.dependencies || [];
-      
+
       if (dependencies.length > 0) {
         return {
           content: [{
@@ -384,7 +297,7 @@ const withErrorHandling = (handler) => async (params) => {
           }]
         };
       }
-      
+
       return {
         content: [{
           type: "text",
@@ -397,46 +310,38 @@ const withErrorHandling = (handler) => async (params) => {
         }]
       };
     }
-    
-    if (error.name === 'GraphAPIError') {
-      let errorMessage = `Microsoft Graph API error: ${error.message}`;
-      let suggestedTool = null;
-      let suggestedSequence = null;
-      
-      // Add specific guidance for common API errors
-      if (error.code === 'InvalidAuthenticationToken') {
-        errorMessage = 'Your authentication token is invalid or expired. Please re-authenticate.';
-        suggestedTool = 'authenticate';
-      } else if (error.code === 'AccessDenied') {
-        errorMessage = 'You do not have permission to perform this operation. Please check your Microsoft 365 permissions.';
-        suggestedTool = 'authenticate';
-      } else if (error.code === 'MailboxNotEnabledForRESTAPI') {
-        errorMessage = 'This mailbox is not enabled for Microsoft Graph API access. Please contact your administrator.';
-      }
-      
-      // Check if the error relates to a specific resource
-      if (error.message.includes('calendar')) {
-        suggestedSequence = 'view_calendar_events';
-      } else if (error.message.includes('mail') || error.message.includes('message')) {
-        suggestedSequence = 'view_emails';
-      }
-      
+
+    if (error.name === 'RateLimitExceededError') {
       return {
         content: [{
           type: "text",
           text: JSON.stringify({
             error: {
-              type: 'api_error',
-              message: errorMessage,
-              code: error.code,
-              suggested_tool: suggestedTool,
-              suggested_sequence: suggestedSequence
+              type: 'rate_limit_exceeded',
+              message: `${error.message} Call get_rate_limit_status to see remaining capacity.`,
+              category: error.category,
+              retry_after: error.retryAfter
             }
           })
         }]
       };
     }
-    
+
+    // Graph, not-found and transient errors (including throttling the retry
+    // policy gave up on) are classified by the shared error taxonomy
+    const details = describeError(error, resourceForTool(config.toolMetadata[toolName]));
+    if (details.type !== 'internal_error') {
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            status: 'error',
+            error: details
+          })
+        }]
+      };
+    }
+
     // Generic error fallback
     return {
       content: [{
@@ -452,6 +357,28 @@ const withErrorHandling = (handler) => async (params) => {
   }
 };
 
+// Wrap a tool handler, outermost first: log context (correlation ID), retry
+// budget, confirmation, dry run, mailbox, then the rate-limited handler.
+// Afterwards, record the sync write, metrics and audit entry, and add retry metadata.
+const withErrorHandling = (handler, toolName) => async (params) => {
+  return runWithLogContext({ tool: toolName }, () => runWithRetryBudget(toolName, async (retryBudget) => {
+    const started = Date.now();
+    const response = await runWithConfirmation(toolName, params, isDryRunRequested(params), (dryRun, onAdmitted) =>
+      runWithDryRun(dryRun, () => runWithMailbox(params && params.mailbox, () => invokeToolHandler(handler, params, toolName, onAdmitted))));
+    const durationMs = Date.now() - started;
+    logger.info(`Tool ${toolName} finished in ${durationMs}ms`);
+    const outcome = summarizeOutcome(response);
+    // Only calls that reached Graph change the synced data; errors, previews and confirmation requests do not
+    const wrote = ['success', 'unknown'].includes(outcome.status) && !outcome.dryRun && !isDryRunRequested(params);
+    if (wrote && ['write', 'send'].includes(rateLimitCategory(toolName))) {
+      getSyncStore().noteWrite(await resolveAccount(params && params.userId));
+    }
+    recordToolMetrics(toolName, outcome, durationMs);
+    await recordToolCall(toolName, params, response, durationMs);
+    return addRetryMetadata(response, retryBudget);
+  }));
+};
+
 // Register tools directly with inline parameters
 // Email tools
 server.tool(
@@ -459,13 +386,14 @@ server.tool(
   'Read a specific email by ID. Use to get the full content of an email when you have its ID. Call check_auth_status first to determine if authentication is needed, then list_emails or search_emails to get email IDs before using this tool.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
     id: z.string().optional().describe('The ID of the email message to read - obtained from list_emails or search_emails'),
     messageId: z.string().optional().describe('Alternative parameter name for email ID - obtained from list_emails or search_emails'),
     message_id: z.string().optional().describe('Snake case alternative parameter name for email ID - obtained from list_emails or search_emails'),
     emailId: z.string().optional().describe('Alternative parameter name for email ID - obtained from list_emails or search_emails'),
     markAsRead: z.boolean().optional().describe('Whether to mark the email as read when retrieving it')
   },
-  withErrorHandling(readEmailHandler)
+  withErrorHandling(readEmailHandler, "read_email")
 );
 
 server.tool(
@@ -473,16 +401,18 @@ server.tool(
   'List emails from a mailbox folder. Use to list emails from a specific folder. Call check_auth_status first to determine if authentication is needed, then optionally list_folders if you need to work with a custom folder rather than default ones like "inbox" or "sentitems".',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
     folderId: z.string().optional().describe('Folder ID or well-known folder name (inbox, drafts, sentitems, deleteditems) - obtain specific folder IDs from list_folders'),
     limit: z.number().optional().describe('Maximum number of emails to return (use for pagination)'),
-    skip: z.number().optional().describe('Number of emails to skip (use with limit for pagination)'),
+    skip: z.number().optional().describe('Number of emails to skip (prefer cursor for pagination)'),
+    cursor: z.string().optional().describe('nextCursor returned by the previous page, to get the next page. The folder and query are taken from the cursor.'),
     orderBy: z.union([z.string(), z.array(z.string()), z.object({})]).optional()
       .describe('OData orderby specification (defaults to receivedDateTime desc)'),
     fields: z.union([z.string(), z.array(z.string())]).optional()
       .describe('Fields to include in the response - comma-separated list or array of field names'),
     search: z.string().optional().describe('Search query to filter results (uses server-side search)')
   },
-  withErrorHandling(listEmailsHandler)
+  withErrorHandling(listEmailsHandler, "list_emails")
 );
 
 server.tool(
@@ -490,12 +420,16 @@ server.tool(
   'Search for emails across all folders. Use to search for emails matching specific criteria across the entire mailbox. Call check_auth_status first to determine if authentication is needed. For folder-specific searches, use list_emails with the search parameter instead.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
-    query: z.string().describe('Search query to find specific emails across folders'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    query: z.string().optional().describe('Search query to find specific emails across folders (required unless cursor is given). In local mode: words, "quoted phrases", prefix*, from:, to:, cc:, subject:, body:, has:attachment, is:read, is:unread, is:draft, after:YYYY-MM-DD, before:YYYY-MM-DD, received:START..END, and -term to exclude'),
+    mode: z.enum(['graph', 'local', 'auto']).optional()
+      .describe('Where to search: "graph" uses Microsoft Graph (default), "local" searches folders synced by sync_mailbox (instant, works offline, ranked by relevance), "auto" uses the synced folders when they are fresh and Graph otherwise'),
     limit: z.number().optional().describe('Maximum number of emails to return (use for pagination)'),
+    cursor: z.string().optional().describe('nextCursor returned by the previous page, to get the next page. The query and mode are taken from the cursor.'),
     fields: z.union([z.string(), z.array(z.string())]).optional()
       .describe('Fields to include in the response - comma-separated list or array of field names')
   },
-  withErrorHandling(searchEmailsHandler)
+  withErrorHandling(searchEmailsHandler, "search_emails")
 );
 
 // Authentication tools
@@ -504,9 +438,10 @@ server.tool(
   'Authenticate with Microsoft Graph API. Use this tool only when check_auth_status indicates authentication is needed. Authentication tokens are cached, so this doesn\'t need to be called every time.',
   {
     userId: z.string().optional().describe('User identifier for multi-user scenarios (defaults to "default")'),
-    forceNewAuth: z.boolean().optional().describe('Force new authentication flow even if valid tokens exist')
+    forceNewAuth: z.boolean().optional().describe('Force new authentication flow even if valid tokens exist'),
+    flow: z.enum(['auto', 'browser', 'device_code']).optional().describe('Sign-in flow: "browser" opens a local browser, "device_code" returns a URL and code to enter on any device (use for SSH or headless sessions), "auto" picks one (default)')
   },
-  withErrorHandling(authenticateHandler)
+  withErrorHandling(authenticateHandler, "authenticate")
 );
 
 // Add more auth tools
@@ -519,39 +454,46 @@ server.tool(
   async (params) => {
     try {
       const result = await checkAuthStatusHandler(params);
-      
+
       // Enhance the response with more information
       const responseData = JSON.parse(result.content[0].text);
-      
+
       // Add additional fields to help Claude understand auth status better
       if (responseData.status === 'authenticated') {
         // User is authenticated
         responseData.authenticated = true;
         responseData.auth_needed = false;
-        
+
         if (!responseData.message || responseData.message.includes("Authentication required")) {
           responseData.message = `You are authenticated as ${responseData.user?.displayName || responseData.user?.email || 'an authenticated user'}.`;
         }
-        
+
         // Calculate if token will expire soon (within 5 minutes)
         if (responseData.tokenExpiresAt) {
           const expiryDate = new Date(responseData.tokenExpiresAt);
           const now = new Date();
           const timeUntilExpiry = expiryDate - now;
           const fiveMinutes = 5 * 60 * 1000;
-          
+
           if (timeUntilExpiry < fiveMinutes && timeUntilExpiry > 0) {
             responseData.auth_needed = true;
             responseData.message = "Authentication token will expire soon. Consider re-authenticating.";
           }
         }
+      } else if (responseData.status === 'pending') {
+        // Device code sign-in is waiting for the user; calling authenticate again returns the same code
+        responseData.authenticated = false;
+        responseData.auth_needed = false;
+      } else if (responseData.status === 'expired') {
+        responseData.authenticated = false;
+        responseData.auth_needed = true;
       } else {
         // User is not authenticated
         responseData.authenticated = false;
         responseData.auth_needed = true;
         responseData.message = "Authentication required. Please call authenticate tool.";
       }
-      
+
       return {
         content: [{
           type: "text",
@@ -589,14 +531,14 @@ server.tool(
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")')
   },
-  withErrorHandling(revokeAuthenticationHandler)
+  withErrorHandling(revokeAuthenticationHandler, "revoke_authentication")
 );
 
 server.tool(
   "list_authenticated_users",
   'List all authenticated users. Use to see which users are authenticated in the system. This tool does not require authentication.',
   {},
-  withErrorHandling(listAuthenticatedUsersHandler)
+  withErrorHandling(listAuthenticatedUsersHandler, "list_authenticated_users")
 );
 
 // Add more email tools
@@ -605,12 +547,14 @@ server.tool(
   'Update email properties like read/unread status or importance. Use to change the status of an email message. Call authenticate first, then list_emails or search_emails to get the email ID before using this tool. At least one of isRead, isFlagged, or importance must be provided.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
     id: z.string().describe('Email ID to mark - obtained from list_emails or search_emails'),
     isRead: z.boolean().optional().describe('Whether to mark the email as read (true) or unread (false)'),
     isFlagged: z.boolean().optional().describe('Whether to flag (true) or unflag (false) the email'),
     importance: z.enum(['low', 'normal', 'high']).optional().describe('Set the importance level of the email')
   },
-  withErrorHandling(markEmailHandler)
+  withErrorHandling(markEmailHandler, "mark_email")
 );
 
 server.tool(
@@ -618,6 +562,9 @@ server.tool(
   'Send a new email. Use to send an email to one or more recipients. Call check_auth_status first to determine if authentication is needed. For emails with attachments, create a draft with create_draft first, then add attachments with add_attachment before sending.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
+    confirmationToken: z.string().optional().describe('Token from an earlier call that returned confirmation_required; pass it with the same parameters to carry out the action (optional)'),
     subject: z.string().describe('Email subject'),
     body: z.string().describe('Email body content - can be plain text or HTML depending on bodyType'),
     bodyType: z.enum(['Text', 'HTML']).optional().describe('Body content type (Text or HTML)'),
@@ -625,7 +572,7 @@ server.tool(
     cc: z.union([z.string(), z.array(z.string())]).optional().describe('CC recipient email address(es) - string or array of strings'),
     bcc: z.union([z.string(), z.array(z.string())]).optional().describe('BCC recipient email address(es) - string or array of strings')
   },
-  withErrorHandling(sendEmailHandler)
+  withErrorHandling(sendEmailHandler, "send_email")
 );
 
 // Add some calendar tools
@@ -634,12 +581,14 @@ server.tool(
   'List calendar events within a date range. Use to view upcoming calendar events. Call authenticate first. For non-default calendars, you can specify either a calendar ID or calendar name in the calendarId parameter. Results can be used with get_event to view event details.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
     startDateTime: z.string().optional().describe('Start date and time in ISO format (e.g., "2023-11-01T00:00:00Z")'),
     endDateTime: z.string().optional().describe('End date and time in ISO format (e.g., "2023-11-30T23:59:59Z")'),
     limit: z.number().optional().describe('Maximum number of events to return'),
-    calendarId: z.string().optional().describe('Calendar ID or calendar name (e.g., "Family"). Use "primary" for default calendar.')
+    calendarId: z.string().optional().describe('Calendar ID or calendar name (e.g., "Family"). Use "primary" for default calendar.'),
+    cursor: z.string().optional().describe('nextCursor returned by the previous page, to get the next page. The calendar and date range are taken from the cursor.')
   },
-  withErrorHandling(listEventsHandler)
+  withErrorHandling(listEventsHandler, "list_events")
 );
 
 server.tool(
@@ -647,6 +596,8 @@ server.tool(
   'Create a new calendar event. Use to schedule a new meeting or appointment. Call authenticate first. For non-default calendars, you can specify either a calendar ID or calendar name in the calendarId parameter. For events with attendees, consider using find_meeting_times first to identify suitable time slots. Never add attendee emails unless the user has explicitly provided them. Do NOT infer or hallucinate attendees.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
     subject: z.string().describe('Event subject/title'),
     body: z.string().optional().describe('Event body/description content'),
     bodyType: z.enum(['Text', 'HTML']).optional().describe('Body content type (Text or HTML)'),
@@ -661,7 +612,7 @@ server.tool(
     isOnlineMeeting: z.boolean().optional().describe('Whether this is an online meeting'),
     calendarId: z.string().optional().describe('Calendar ID or calendar name (e.g., "Family Room"). Use "primary" for default calendar.')
   },
-  withErrorHandling(createEventHandler)
+  withErrorHandling(createEventHandler, "create_event")
 );
 
 // Add some folder tools
@@ -670,9 +621,10 @@ server.tool(
   'List mail folders. Use to get available mail folders and their IDs. Call check_auth_status first to determine if authentication is needed. This tool provides folder IDs needed for other operations such as list_emails, move_emails, create_folder, etc.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
     parentFolderId: z.string().optional().describe('ID of the parent folder to list subfolders from. If not provided, lists top-level folders.')
   },
-  withErrorHandling(listFoldersHandler)
+  withErrorHandling(listFoldersHandler, "list_folders")
 );
 
 server.tool(
@@ -680,10 +632,12 @@ server.tool(
   'Move emails to a different folder. Use to organize emails by moving them between folders. Call check_auth_status first to determine if authentication is needed, then list_emails or search_emails to get email IDs, and list_folders to get the destination folder ID before using this tool.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
     emailIds: z.array(z.string()).describe('Array of email IDs to move - obtained from list_emails or search_emails'),
     destinationFolderId: z.string().describe('Destination folder ID - obtained from list_folders or using well-known folder names like "inbox" or "archive"')
   },
-  withErrorHandling(moveEmailsHandler)
+  withErrorHandling(moveEmailsHandler, "move_emails")
 );
 
 // Add critical tools based on user needs and add more as required
@@ -694,6 +648,8 @@ server.tool(
   'Create a draft email. Use to save an email as a draft without sending it. Call check_auth_status first to determine if authentication is needed. This is particularly useful when you need to add attachments before sending.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
     subject: z.string().describe('Email subject'),
     body: z.string().describe('Email body content'),
     bodyType: z.enum(['Text', 'HTML']).optional().describe('Body content type'),
@@ -701,7 +657,7 @@ server.tool(
     cc: z.union([z.string(), z.array(z.string())]).optional().describe('CC recipient(s)'),
     bcc: z.union([z.string(), z.array(z.string())]).optional().describe('BCC recipient(s)')
   },
-  withErrorHandling(createDraftHandler)
+  withErrorHandling(createDraftHandler, "create_draft")
 );
 
 server.tool(
@@ -709,13 +665,15 @@ server.tool(
   'Reply to an email. Use to respond to an existing email. Call authenticate first, then list_emails or search_emails to find the email, then read_email to view its content before replying.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
     emailId: z.string().describe('ID of the email to reply to - obtained from list_emails or search_emails'),
     body: z.string().describe('Reply content to add'),
     bodyType: z.enum(['Text', 'HTML']).optional().describe('Body content type (Text or HTML)'),
     replyAll: z.boolean().optional().describe('Whether to reply to all recipients (true) or just the sender (false)'),
     sendNow: z.boolean().optional().describe('Whether to send immediately (true) or create a draft (false)')
   },
-  withErrorHandling(replyEmailHandler)
+  withErrorHandling(replyEmailHandler, "reply_email")
 );
 
 server.tool(
@@ -723,6 +681,8 @@ server.tool(
   'Forward an email. Use to forward an existing email to new recipients. Call check_auth_status first to determine if authentication is needed, then list_emails or search_emails to find the email to forward.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
     emailId: z.string().describe('ID of the email to forward'),
     to: z.union([z.string(), z.array(z.string())]).describe('Recipient(s)'),
     cc: z.union([z.string(), z.array(z.string())]).optional().describe('CC recipient(s)'),
@@ -730,7 +690,7 @@ server.tool(
     body: z.string().optional().describe('Additional message to include'),
     bodyType: z.enum(['Text', 'HTML']).optional().describe('Body content type')
   },
-  withErrorHandling(forwardEmailHandler)
+  withErrorHandling(forwardEmailHandler, "forward_email")
 );
 
 server.tool(
@@ -738,10 +698,11 @@ server.tool(
   'Get email attachment. Use to retrieve a specific attachment from an email. Call check_auth_status first to determine if authentication is needed, then list_emails or search_emails to find the email, then list_attachments to get attachment IDs before using this tool.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
     emailId: z.string().describe('ID of the email - obtained from list_emails or search_emails'),
     attachmentId: z.string().describe('ID of the attachment - obtained from list_attachments')
   },
-  withErrorHandling(getAttachmentHandler)
+  withErrorHandling(getAttachmentHandler, "get_attachment")
 );
 
 server.tool(
@@ -749,9 +710,10 @@ server.tool(
   'List attachments for an email. Use to see all attachments on a specific email. Call check_auth_status first to determine if authentication is needed, then list_emails or search_emails to find the email before using this tool.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
     emailId: z.string().describe('ID of the email')
   },
-  withErrorHandling(listAttachmentsHandler)
+  withErrorHandling(listAttachmentsHandler, "list_attachments")
 );
 
 server.tool(
@@ -759,6 +721,8 @@ server.tool(
   'Add an attachment to a draft email. Use to attach files to a draft email before sending it. Call check_auth_status first to determine if authentication is needed, then create_draft to create a draft email, then add_attachment to add files to it. You must provide either contentBytes (base64 encoded file content) or contentUrl (for reference attachments).',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
     emailId: z.string().describe('ID of the draft email to add attachment to - obtained from create_draft'),
     name: z.string().describe('Name of the attachment file'),
     contentBytes: z.string().optional().describe('Base64 encoded content of the attachment'),
@@ -766,7 +730,7 @@ server.tool(
     contentType: z.string().optional().describe('MIME type of the attachment (defaults to application/octet-stream)'),
     isInline: z.boolean().optional().describe('Whether the attachment should be displayed inline in the email body')
   },
-  withErrorHandling(addAttachmentHandler)
+  withErrorHandling(addAttachmentHandler, "add_attachment")
 );
 
 server.tool(
@@ -774,10 +738,12 @@ server.tool(
   'Delete an attachment from a draft email. Use to remove an attachment from a draft email. Call check_auth_status first to determine if authentication is needed, then list_attachments to get the attachment ID, then delete_attachment to remove it. This operation can only be performed on draft emails.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
     emailId: z.string().describe('ID of the draft email - obtained from list_emails or create_draft'),
     attachmentId: z.string().describe('ID of the attachment to delete - obtained from list_attachments')
   },
-  withErrorHandling(deleteAttachmentHandler)
+  withErrorHandling(deleteAttachmentHandler, "delete_attachment")
 );
 
 // Add missing calendar tools
@@ -786,19 +752,21 @@ server.tool(
   'Get details of a specific calendar event. Use to retrieve detailed information about a calendar event. Call authenticate first, then list_events to get event IDs. You can optionally specify a calendar ID or name in the calendarId parameter.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
     eventId: z.string().describe('ID of the calendar event'),
     calendarId: z.string().optional().describe('Calendar ID or calendar name. If not provided, searches across all calendars.')
   },
-  withErrorHandling(getEventHandler)
+  withErrorHandling(getEventHandler, "get_event")
 );
 
 server.tool(
   "list_calendars",
   'List available calendars. Use to retrieve all calendars the user has access to. Call check_auth_status first to determine if authentication is needed. This tool provides calendar IDs needed for create_event, list_events, etc. when working with non-default calendars.',
   {
-    userId: z.string().optional().describe('User identifier (optional, defaults to "default")')
+    userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)')
   },
-  withErrorHandling(listCalendarsHandler)
+  withErrorHandling(listCalendarsHandler, "list_calendars")
 );
 
 server.tool(
@@ -806,6 +774,8 @@ server.tool(
   'Update an existing calendar event. Use to modify the details of an existing meeting or appointment. Call check_auth_status first to determine if authentication is needed, then list_events and get_event to find the event to update. Example: 1) Call check_auth_status first 2) Call authenticate if auth_needed is true 3) Call list_events to find the event 4) Call get_event to view its current details 5) Then update_event with parameters: { "eventId": "AAMkAEV1...", "subject": "Updated Meeting Title", "start": "2023-11-10T16:00:00Z", "end": "2023-11-10T17:00:00Z" } Only include the fields you want to change. Omitted fields will keep their current values.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
     eventId: z.string().describe('ID of the calendar event to update'),
     subject: z.string().optional().describe('New event subject'),
     body: z.string().optional().describe('New event body content'),
@@ -813,7 +783,7 @@ server.tool(
     end: z.string().optional().describe('New end time in ISO format'),
     attendees: z.union([z.string(), z.array(z.string())]).optional().describe('New event attendees')
   },
-  withErrorHandling(updateEventHandler)
+  withErrorHandling(updateEventHandler, "update_event")
 );
 
 server.tool(
@@ -821,11 +791,13 @@ server.tool(
   'Respond to a calendar event invitation. Use to accept, tentatively accept, or decline a meeting invitation. Call check_auth_status first to determine if authentication is needed, then list_events to find invitations. Example: 1) Call check_auth_status first 2) Call authenticate if auth_needed is true 3) Call list_events to find invitation events 4) Then respond_to_event with parameters: { "eventId": "AAMkAEV1...", "response": "accept", "comment": "Looking forward to the meeting." }',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
     eventId: z.string().describe('ID of the calendar event'),
     response: z.enum(['accept', 'tentativelyAccept', 'decline']).describe('Response to the event invitation'),
     comment: z.string().optional().describe('Optional comment with the response')
   },
-  withErrorHandling(respondToEventHandler)
+  withErrorHandling(respondToEventHandler, "respond_to_event")
 );
 
 server.tool(
@@ -833,9 +805,12 @@ server.tool(
   'Delete a calendar event. Use to remove an event from the calendar without notifying attendees. Call check_auth_status first to determine if authentication is needed, then list_events to find the event to delete.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
+    confirmationToken: z.string().optional().describe('Token from an earlier call that returned confirmation_required; pass it with the same parameters to carry out the action (optional)'),
     eventId: z.string().describe('ID of the calendar event to delete')
   },
-  withErrorHandling(deleteEventHandler)
+  withErrorHandling(deleteEventHandler, "delete_event")
 );
 
 server.tool(
@@ -843,10 +818,13 @@ server.tool(
   'Cancel a calendar event and notify attendees. Use to cancel a meeting you organized and notify participants. Call check_auth_status first to determine if authentication is needed, then list_events to find the event to cancel. Example: 1) Call check_auth_status first 2) Call authenticate if auth_needed is true 3) Call list_events to find the event 4) Then cancel_event with parameters: { "eventId": "AAMkAEV1...", "comment": "This meeting has been cancelled due to a scheduling conflict. We will reschedule soon." }',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
+    confirmationToken: z.string().optional().describe('Token from an earlier call that returned confirmation_required; pass it with the same parameters to carry out the action (optional)'),
     eventId: z.string().describe('ID of the calendar event to cancel'),
     comment: z.string().optional().describe('Optional cancellation message')
   },
-  withErrorHandling(cancelEventHandler)
+  withErrorHandling(cancelEventHandler, "cancel_event")
 );
 
 // Add missing folder tools
@@ -855,9 +833,10 @@ server.tool(
   'Get details of a specific folder. Use to retrieve information about a mail folder. Call check_auth_status first to determine if authentication is needed, then list_folders to find the folder IDs. Example: 1) Call check_auth_status first 2) Call authenticate if auth_needed is true 3) Call list_folders to get folder IDs 4) Then get_folder with parameters: { "folderId": "AAMkFOL1..." }',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
     folderId: z.string().describe('ID of the folder - obtained from list_folders')
   },
-  withErrorHandling(getFolderHandler)
+  withErrorHandling(getFolderHandler, "get_folder")
 );
 
 server.tool(
@@ -865,10 +844,12 @@ server.tool(
   'Create a new mail folder. Use to organize emails by creating new folders. Call check_auth_status first to determine if authentication is needed, then optionally list_folders to get the parentFolderId if you want to create a subfolder. Example: 1) Call check_auth_status first 2) Call authenticate if auth_needed is true 3) Then create_folder with parameters: { "displayName": "Project X" } For creating a subfolder: 1) Call check_auth_status 2) Call authenticate if needed 3) Call list_folders to get parent folder ID 4) Then create_folder with parameters: { "displayName": "Meeting Notes", "parentFolderId": "AAMkFOL1..." }',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
     displayName: z.string().describe('Name of the new folder to create'),
     parentFolderId: z.string().optional().describe('ID of the parent folder where the new folder should be created - obtained from list_folders')
   },
-  withErrorHandling(createFolderHandler)
+  withErrorHandling(createFolderHandler, "create_folder")
 );
 
 server.tool(
@@ -876,10 +857,12 @@ server.tool(
   'Update a mail folder. Use to rename an existing folder. Call check_auth_status first to determine if authentication is needed, then list_folders to get the folder ID. Example: 1) Call check_auth_status first 2) Call authenticate if auth_needed is true 3) Call list_folders to find the folder to rename 4) Then update_folder with parameters: { "folderId": "AAMkFOL1...", "displayName": "New Folder Name" }',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
     folderId: z.string().describe('ID of the folder to update'),
     displayName: z.string().describe('New name for the folder')
   },
-  withErrorHandling(updateFolderHandler)
+  withErrorHandling(updateFolderHandler, "update_folder")
 );
 
 server.tool(
@@ -887,9 +870,12 @@ server.tool(
   'Delete a mail folder. Use to remove an existing folder. Call check_auth_status first to determine if authentication is needed, then list_folders to identify the folder to delete. Be careful as this permanently removes the folder and all its contents. Example: 1) Call check_auth_status first 2) Call authenticate if auth_needed is true 3) Call list_folders to find the folder to delete 4) Then delete_folder with parameters: { "folderId": "AAMkFOL1..." }',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
+    confirmationToken: z.string().optional().describe('Token from an earlier call that returned confirmation_required; pass it with the same parameters to carry out the action (optional)'),
     folderId: z.string().describe('ID of the folder to delete - obtained from list_folders')
   },
-  withErrorHandling(deleteFolderHandler)
+  withErrorHandling(deleteFolderHandler, "delete_folder")
 );
 
 server.tool(
@@ -897,10 +883,12 @@ server.tool(
   'Move a folder to a new parent folder. Use to reorganize the folder structure. Call check_auth_status first to determine if authentication is needed, then list_folders to get the IDs of both the folder to move and the destination folder. Example: 1) Call check_auth_status first 2) Call authenticate if auth_needed is true 3) Call list_folders to get folder IDs 4) Then move_folder with parameters: { "folderId": "AAMkFOL1...", "destinationFolderId": "AAMkFOL2..." }',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
     folderId: z.string().describe('ID of the folder to move - obtained from list_folders'),
     destinationFolderId: z.string().describe('ID of the destination parent folder - obtained from list_folders')
   },
-  withErrorHandling(moveFolderHandler)
+  withErrorHandling(moveFolderHandler, "move_folder")
 );
 
 server.tool(
@@ -908,10 +896,12 @@ server.tool(
   'Copy emails to a folder. Use to keep emails in the original location while also placing them in another folder. Call check_auth_status first to determine if authentication is needed, then list_emails to get email IDs and list_folders to get the destination folder ID. Example: 1) Call check_auth_status first 2) Call authenticate if auth_needed is true 3) Call list_emails to find emails to copy 4) Call list_folders to find or create the destination folder 5) Then copy_emails with parameters: { "emailIds": ["AAMkADE1...", "AAMkADE2..."], "destinationFolderId": "AAMkFOL1..." }',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
     emailIds: z.array(z.string()).describe('Array of email IDs to copy'),
     destinationFolderId: z.string().describe('Destination folder ID')
   },
-  withErrorHandling(copyEmailsHandler)
+  withErrorHandling(copyEmailsHandler, "copy_emails")
 );
 
 // Add rules tools
@@ -919,9 +909,10 @@ server.tool(
   "list_rules",
   'List inbox rules. Use to see all inbox rules configured by the user. Call check_auth_status first to determine if authentication is needed.',
   {
-    userId: z.string().optional().describe('User identifier (optional, defaults to "default")')
+    userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)')
   },
-  withErrorHandling(listRulesHandler)
+  withErrorHandling(listRulesHandler, "list_rules")
 );
 
 server.tool(
@@ -929,9 +920,10 @@ server.tool(
   'Get details of a specific inbox rule. Use to retrieve detailed information about an inbox rule. Call check_auth_status first to determine if authentication is needed, then list_rules to get rule IDs. Example: 1) Call check_auth_status first 2) Call authenticate if auth_needed is true 3) Call list_rules to get rule IDs 4) Then get_rule with parameters: { "ruleId": "RULE123..." }',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
     ruleId: z.string().describe('ID of the rule')
   },
-  withErrorHandling(getRuleHandler)
+  withErrorHandling(getRuleHandler, "get_rule")
 );
 
 server.tool(
@@ -939,12 +931,14 @@ server.tool(
   'Create a new inbox rule. Use to automate email organization by creating rules. Call check_auth_status first to determine if authentication is needed. Example: 1) Call check_auth_status first 2) Call authenticate if auth_needed is true 3) Then create_rule with parameters: { "displayName": "Move Project X Emails", "conditions": { "subjectContains": ["Project X"] }, "actions": { "moveToFolder": "AAMkFOL1..." }, "isEnabled": true } Note: The format of conditions and actions depends on the type of rule you want to create.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
     displayName: z.string().describe('Name for the rule'),
     conditions: z.object({}).describe('Conditions that trigger the rule'),
     actions: z.object({}).describe('Actions to take when conditions are met'),
     isEnabled: z.boolean().optional().describe('Whether the rule is enabled')
   },
-  withErrorHandling(createRuleHandler)
+  withErrorHandling(createRuleHandler, "create_rule")
 );
 
 server.tool(
@@ -952,13 +946,15 @@ server.tool(
   'Update an existing inbox rule. Use to modify the conditions or actions of an existing rule. Call check_auth_status first to determine if authentication is needed, then list_rules and get_rule to find the rule to update. Example: 1) Call check_auth_status first 2) Call authenticate if auth_needed is true 3) Call list_rules to find the rule 4) Call get_rule to see its current configuration 5) Then update_rule with parameters: { "ruleId": "RULE123...", "displayName": "Updated Rule Name", "isEnabled": false } Only include the fields you want to change. Omitted fields will keep their current values.',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
     ruleId: z.string().describe('ID of the rule to update'),
     displayName: z.string().optional().describe('New name for the rule'),
     conditions: z.object({}).optional().describe('New conditions that trigger the rule'),
     actions: z.object({}).optional().describe('New actions to take when conditions are met'),
     isEnabled: z.boolean().optional().describe('Whether the rule is enabled')
   },
-  withErrorHandling(updateRuleHandler)
+  withErrorHandling(updateRuleHandler, "update_rule")
 );
 
 server.tool(
@@ -966,99 +962,196 @@ server.tool(
   'Delete an inbox rule. Use to remove an existing inbox rule. Call check_auth_status first to determine if authentication is needed, then list_rules to find the rule to delete. Example: 1) Call check_auth_status first 2) Call authenticate if auth_needed is true 3) Call list_rules to find the rule to delete 4) Then delete_rule with parameters: { "ruleId": "RULE123..." }',
   {
     userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to use, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    dryRun: z.boolean().optional().describe('Return the Microsoft Graph requests this call would send, with a preview, without changing anything (optional, default false)'),
+    confirmationToken: z.string().optional().describe('Token from an earlier call that returned confirmation_required; pass it with the same parameters to carry out the action (optional)'),
     ruleId: z.string().describe('ID of the rule to delete')
   },
-  withErrorHandling(deleteRuleHandler)
+  withErrorHandling(deleteRuleHandler, "delete_rule")
+);
+
+// Audit tools
+server.tool(
+  "get_audit_log",
+  'Get entries from the audit trail of mutating tool calls (sending, moving, deleting, creating and updating items). Use to review what was changed in a mailbox, when, and with what outcome. Each entry lists the tool, account, target IDs, a parameter digest and the outcome, most recent first. The response also reports whether the tamper-evident hash chain is intact. This tool does not require authentication.',
+  {
+    startTime: z.string().optional().describe('Earliest entry time as an ISO 8601 date-time (optional)'),
+    endTime: z.string().optional().describe('Latest entry time as an ISO 8601 date-time (optional)'),
+    tool: z.string().optional().describe('Only include calls to this tool; separate several tool names with commas (optional)'),
+    limit: z.number().optional().describe('Maximum number of entries to return (default: 50, max: 500)')
+  },
+  withErrorHandling(getAuditLogHandler, "get_audit_log")
+);
+
+// Sync tools
+server.tool(
+  "sync_mailbox",
+  'Sync mail folders and the calendar into the local store using Microsoft Graph delta queries. Use before working through many emails, so list_emails can answer from the local store while it is fresh. The first sync of a folder fetches every message; later syncs only fetch what changed. Call check_auth_status first to determine if authentication is needed.',
+  {
+    userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Shared or delegated mailbox to sync, as a user principal name or user ID (optional, defaults to the signed-in mailbox)'),
+    folders: z.union([z.string(), z.array(z.string())]).optional()
+      .describe('Folder IDs or well-known names to sync - comma-separated list or array (optional, defaults to inbox, sentitems and drafts)'),
+    calendar: z.boolean().optional().describe('Also sync calendar events around today (default: true)'),
+    full: z.boolean().optional().describe('Discard the stored sync state and fetch everything again (default: false)')
+  },
+  withErrorHandling(syncMailboxHandler, "sync_mailbox")
+);
+
+server.tool(
+  "get_sync_status",
+  'Get the state of the local mailbox store kept by sync_mailbox. Use to see which folders and calendar windows are synced, how many items they hold, when they were last synced and whether they are fresh enough to answer tools. This tool does not call Microsoft Graph.',
+  {
+    userId: z.string().optional().describe('User identifier (optional, defaults to "default")'),
+    mailbox: z.string().optional().describe('Only report on this shared or delegated mailbox (optional)')
+  },
+  withErrorHandling(getSyncStatusHandler, "get_sync_status")
+);
+
+// Server tools
+server.tool(
+  "get_rate_limit_status",
+  'Get the remaining rate limit capacity for an account. Use when a tool returned rate_limit_exceeded, or before a large batch of calls. Tool calls are counted per account in read, write and send buckets, and Graph requests in a graph bucket; each bucket reports its capacity, remaining calls, refill rate, when the next call is available and when it is full again. This tool is not rate limited and does not require authentication.',
+  {
+    userId: z.string().optional().describe('User identifier (optional, defaults to the signed-in account)')
+  },
+  withErrorHandling(getRateLimitStatusHandler, "get_rate_limit_status")
+);
+
+server.tool(
+  "get_server_metrics",
+  'Get metrics recorded by this server since it started. Use to find tools that are slow, failing or throttled. Reports per tool the number of calls, response statuses, errors by type and latency (average, p50, p95, max); Graph requests by endpoint and HTTP status with latency; Graph retries by reason; and rate-limit rejections by category. Set format to "prometheus" for the Prometheus text format. This tool is not rate limited and does not require authentication.',
+  {
+    tool: z.string().optional().describe('Only report the calls of this tool (optional)'),
+    format: z.enum(['json', 'prometheus']).optional().describe('Response format (default json)')
+  },
+  withErrorHandling(getServerMetricsHandler, "get_server_metrics")
+);
+
+server.tool(
+  "get_config",
+  'Get the effective configuration of this server. Use to check which profile is active and what a setting is set to before changing it, e.g. when a limit or timeout behaves unexpectedly. Lists every setting with its value, its environment variable and where the value came from: default, profile, file (the JSON config file) or env. Secrets such as client secrets, encryption keys and the HTTP bearer token are shown as [REDACTED] when set. This tool is not rate limited and does not require authentication.',
+  {
+    section: z.enum(SECTIONS).optional().describe(`Only list the settings of this section (optional): ${SECTIONS.join(', ')}`)
+  },
+  withErrorHandling(getConfigHandler, "get_config")
+);
+
+server.tool(
+  "run_diagnostics",
+  'Check why sign-in or Graph access is failing. Use when authenticate or check_auth_status fails, or tools keep returning authentication errors. Checks the configuration (MS_CLIENT_ID, redirect URI, scopes), token file encryption and permissions, the MSAL token cache, the local clock against Microsoft\'s, whether the sign-in callback port is free, and a minimal Graph /me request. Each check reports pass, warn, fail or skip with fixes; overall is the worst result. Token files are only read. This tool is not rate limited.',
+  {
+    checks: z.array(z.enum(CHECK_IDS)).optional().describe(`Checks to run (optional, defaults to all): ${CHECK_IDS.join(', ')}`),
+    userId: z.string().optional().describe('User identifier for the Graph check (optional, defaults to the signed-in account)'),
+    mailbox: z.string().optional().describe('Mailbox to read for the Graph check; required for it in app-only mode (optional)')
+  },
+  withErrorHandling(runDiagnosticsHandler, "run_diagnostics")
 );
 
+// Static JSON resources by name, also read by the workflow tools below
+const jsonResources = {};
+
+// Register a static JSON resource at outlook://{name}
+function registerJsonResource(name, content) {
+  const uri = `outlook://${name}`;
+  jsonResources[name] = { uri, content };
+  server.resource(name, uri, { mimeType: 'application/json' }, async () => ({
+    contents: [{ uri, mimeType: 'application/json', text: content }]
+  }));
+}
+
 // Register resources about tool relationships
-server.resource('tool-relationships', {
-  type: 'json',
-  content: JSON.stringify({
-    categories: {
-      'auth': 'Authentication tools for managing access to Microsoft Graph API',
-      'email': 'Email management tools for reading, sending, and organizing messages',
-      'folder': 'Folder management tools for organizing mailbox structure',
-      'attachment': 'Attachment handling tools for working with email attachments',
-      'calendar': 'Calendar management tools for events and appointments',
-      'rule': 'Email rule management tools for automatic email processing'
+registerJsonResource('tool-relationships', JSON.stringify({
+  categories: {
+    'auth': 'Authentication tools for managing access to Microsoft Graph API',
+    'email': 'Email management tools for reading, sending, and organizing messages',
+    'folder': 'Folder management tools for organizing mailbox structure',
+    'attachment': 'Attachment handling tools for working with email attachments',
+    'calendar': 'Calendar management tools for events and appointments',
+    'rule': 'Email rule management tools for automatic email processing',
+    'audit': 'Audit tools for reviewing changes made through this server',
+    'sync': 'Sync tools for keeping a local copy of mail folders and the calendar',
+    'server': 'Server tools for checking the state of this server'
+  },
+  dependencies: config.toolMetadata,
+  commonWorkflows: {
+    "email_management": {
+      "description": "Basic email workflow",
+      "steps": ["check_auth_status", "list_folders", "list_emails", "read_email"],
+      "conditional_steps": {
+        "authenticate": "Only if check_auth_status indicates auth_needed is true"
+      }
     },
-    dependencies: config.toolMetadata,
-    commonWorkflows: {
-      "email_management": {
-        "description": "Basic email workflow",
-        "steps": ["check_auth_status", "list_folders", "list_emails", "read_email"],
-        "conditional_steps": {
-          "authenticate": "Only if check_auth_status indicates auth_needed is true"
-        }
-      },
-      "send_with_attachments": {
-        "description": "Send email with attachments",
-        "steps": ["check_auth_status", "create_draft", "add_attachment", "send_email"],
-        "conditional_steps": {
-          "authenticate": "Only if check_auth_status indicates auth_needed is true"
-        }
-      },
-      "calendar_management": {
-        "description": "Working with calendars",
-        "steps": ["check_auth_status", "list_calendars", "list_events", "get_event"],
-        "conditional_steps": {
-          "authenticate": "Only if check_auth_status indicates auth_needed is true"
-        }
-      },
-      "schedule_meeting": {
-        "description": "Schedule a meeting with attendees",
-        "steps": ["check_auth_status", "list_calendars", "find_meeting_times", "create_event"],
-        "conditional_steps": {
-          "authenticate": "Only if check_auth_status indicates auth_needed is true"
-        }
-      },
-      "organize_emails": {
-        "description": "Organize emails into folders",
-        "steps": ["check_auth_status", "list_folders", "create_folder", "list_emails", "move_emails"],
-        "conditional_steps": {
-          "authenticate": "Only if check_auth_status indicates auth_needed is true"
-        }
+    "send_with_attachments": {
+      "description": "Send email with attachments",
+      "steps": ["check_auth_status", "create_draft", "add_attachment", "send_email"],
+      "conditional_steps": {
+        "authenticate": "Only if check_auth_status indicates auth_needed is true"
       }
     },
-    bestPractices: [
-      {
-        "title": "Check Authentication Status First",
-        "description": "Call check_auth_status before operations to determine if authentication is needed"
-      },
-      {
-        "title": "Authenticate Only When Needed",
-        "description": "Only call authenticate when check_auth_status indicates auth_needed is true"
-      },
-      {
-        "title": "Work with Lists Before Items",
-        "description": "Call list_* tools first to get IDs before working with specific items"
-      },
-      {
-        "title": "Check Dependencies",
-        "description": "Review the dependencies field for each tool to ensure prerequisites are met"
-      },
-      {
-        "title": "Use Well-Known Folders",
-        "description": "For common folders, use well-known names like 'inbox', 'drafts', 'sentitems' instead of IDs"
-      },
-      {
-        "title": "Find Meeting Times Before Creating Events",
-        "description": "Use find_meeting_times to check availability before scheduling events with attendees"
+    "calendar_management": {
+      "description": "Working with calendars",
+      "steps": ["check_auth_status", "list_calendars", "list_events", "get_event"],
+      "conditional_steps": {
+        "authenticate": "Only if check_auth_status indicates auth_needed is true"
+      }
+    },
+    "schedule_meeting": {
+      "description": "Schedule a meeting with attendees",
+      "steps": ["check_auth_status", "list_calendars", "find_meeting_times", "create_event"],
+      "conditional_steps": {
+        "authenticate": "Only if check_auth_status indicates auth_needed is true"
+      }
+    },
+    "organize_emails": {
+      "description": "Organize emails into folders",
+      "steps": ["check_auth_status", "list_folders", "create_folder", "list_emails", "move_emails"],
+      "conditional_steps": {
+        "authenticate": "Only if check_auth_status indicates auth_needed is true"
       }
-    ],
-    authenticationNotes: {
-      "tokenCaching": "Authentication tokens are cached locally and remain valid until they expire",
-      "checkBeforeAuth": "Always call check_auth_status first to determine if authentication is needed",
-      "whenToAuthenticate": [
-        "When starting a new session",
-        "When check_auth_status indicates auth_needed is true",
-        "When a tool returns an authentication error",
-        "When tokens are about to expire"
-      ]
     }
-  })
-});
+  },
+  bestPractices: [
+    {
+      "title": "Check Authentication Status First",
+      "description": "Call check_auth_status before operations to determine if authentication is needed"
+    },
+    {
+      "title": "Authenticate Only When Needed",
+      "description": "Only call authenticate when check_auth_status indicates auth_needed is true"
+    },
+    {
+      "title": "Work with Lists Before Items",
+      "description": "Call list_* tools first to get IDs before working with specific items"
+    },
+    {
+      "title": "Check Dependencies",
+      "description": "Review the dependencies field for each tool to ensure prerequisites are met"
+    },
+    {
+      "title": "Use Well-Known Folders",
+      "description": "For common folders, use well-known names like 'inbox', 'drafts', 'sentitems' instead of IDs"
+    },
+    {
+      "title": "Diagnose Repeated Authentication Failures",
+      "description": "When authenticate fails or tools keep returning authentication errors, call run_diagnostics and apply the fixes it reports"
+    },
+    {
+      "title": "Find Meeting Times Before Creating Events",
+      "description": "Use find_meeting_times to check availability before scheduling events with attendees"
+    }
+  ],
+  authenticationNotes: {
+    "tokenCaching": "Authentication tokens are cached locally and remain valid until they expire",
+    "checkBeforeAuth": "Always call check_auth_status first to determine if authentication is needed",
+    "whenToAuthenticate": [
+      "When starting a new session",
+      "When check_auth_status indicates auth_needed is true",
+      "When a tool returns an authentication error",
+      "When tokens are about to expire"
+    ]
+  }
+}));
 
 // Add a tool helper for finding related tools
 server.tool(
@@ -1070,7 +1163,7 @@ server.tool(
   },
   async (params) => {
     const { toolName, includeRelated = true } = params;
-    
+
     if (!config.toolMetadata[toolName]) {
       return {
         content: [{
@@ -1085,18 +1178,18 @@ server.tool(
         }]
       };
     }
-    
+
     const toolInfo = config.toolMetadata[toolName];
     const result = {
       tool: toolName,
       category: toolInfo.category,
       dependencies: toolInfo.dependencies || []
     };
-    
+
     // Add conditional authentication information for tools that depend on authenticate
     if (toolInfo.dependencies.includes('authenticate') && toolName !== 'authenticate') {
       result.authentication_note = "Authentication is required but may already be cached. Call check_auth_status first to determine if authenticate needs to be called.";
-      
+
       // Replace authenticate with check_auth_status in the dependencies list for display
       const dependencies = [...result.dependencies];
       const authIndex = dependencies.indexOf('authenticate');
@@ -1105,7 +1198,7 @@ server.tool(
         result.dependency_workflow = ['check_auth_status', 'authenticate (if needed)', ...dependencies.filter(d => d !== 'check_auth_status')];
       }
     }
-    
+
     if (includeRelated && toolInfo.related) {
       result.related_tools = toolInfo.related.map(relatedTool => {
         const relatedInfo = config.toolMetadata[relatedTool];
@@ -1117,11 +1210,11 @@ server.tool(
             (relatedInfo?.dependencies.includes(toolName) ? 'after' : 'any')
         };
       });
-      
+
       // Find common workflows that include this tool
       const relevantWorkflows = [];
-      const commonWorkflows = JSON.parse(server.resources['tool-relationships'].content).commonWorkflows;
-      
+      const commonWorkflows = JSON.parse(jsonResources['tool-relationships'].content).commonWorkflows;
+
       for (const [name, workflow] of Object.entries(commonWorkflows)) {
         if (workflow.steps.includes(toolName)) {
           relevantWorkflows.push({
@@ -1134,12 +1227,12 @@ server.tool(
           });
         }
       }
-      
+
       if (relevantWorkflows.length > 0) {
         result.workflows = relevantWorkflows;
       }
     }
-    
+
     return {
       content: [{
         type: "text",
@@ -1151,14 +1244,11 @@ server.tool(
 
 // Helper function for registering tool sequences
 function registerToolSequence(name, toolSequence, metadata) {
-  server.resource(`sequences/${name}`, {
-    type: 'json',
-    content: JSON.stringify({
-      sequence: toolSequence,
-      ...metadata
-    })
-  });
-  
+  registerJsonResource(`sequences/${name}`, JSON.stringify({
+    sequence: toolSequence,
+    ...metadata
+  }));
+
   logger.info(`Registered tool sequence: ${name}`);
 }
 
@@ -1349,14 +1439,32 @@ registerToolSequence(
 );
 
 // Register a sequences resource that lists all available sequences
-server.resource('available-sequences', {
-  type: 'json',
-  content: JSON.stringify({
-    email: ["view_emails", "send_simple_email", "send_email_with_attachment", "reply_to_email"],
-    calendar: ["view_calendar_events", "schedule_meeting", "manage_event_response"],
-    organization: ["organize_emails", "setup_email_rule"]
-  })
-});
+registerJsonResource('available-sequences', JSON.stringify({
+  email: ["view_emails", "send_simple_email", "send_email_with_attachment", "reply_to_email"],
+  calendar: ["view_calendar_events", "schedule_meeting", "manage_event_response"],
+  organization: ["organize_emails", "setup_email_rule"]
+}));
+
+// Mailbox items as resources, e.g. outlook://me/messages/{id}
+server.resource('message', new ResourceTemplate(URI_TEMPLATES.message, { list: undefined }),
+  { description: 'An email with its body', mimeType: 'application/json' }, readMessageResource);
+server.resource('folder', new ResourceTemplate(URI_TEMPLATES.folder, { list: undefined }),
+  { description: 'A mail folder by path of display names (e.g. inbox/Projects) with its child folders and recent emails', mimeType: 'application/json' }, readFolderResource);
+server.resource('event', new ResourceTemplate(URI_TEMPLATES.event, { list: undefined }),
+  { description: 'A calendar event with its body', mimeType: 'application/json' }, readEventResource);
+
+// List the static resources first, then page through the mailbox; the
+// SDK's own handler cannot pass cursors to template list callbacks
+const listResources = async (request) => {
+  const cursor = request.params && request.params.cursor;
+  const page = await listMailboxResources(cursor);
+  const staticResources = cursor ? [] : Object.entries(jsonResources).map(([name, resource]) => ({
+    uri: resource.uri,
+    name,
+    mimeType: 'application/json'
+  }));
+  return { ...page, resources: [...staticResources, ...page.resources] };
+};
 
 // Add a tool for getting sequence information
 server.tool(
@@ -1368,12 +1476,12 @@ server.tool(
   },
   async (params) => {
     const { sequenceName, category } = params;
-    
+
     // If a specific sequence is requested, return its details
     if (sequenceName) {
       try {
         const resourceName = `sequences/${sequenceName}`;
-        if (!server.resources[resourceName]) {
+        if (!jsonResources[resourceName]) {
           return {
             content: [{
               type: "text",
@@ -1381,7 +1489,7 @@ server.tool(
                 error: {
                   type: 'sequence_not_found',
                   message: `Sequence "${sequenceName}" not found`,
-                  available_sequences: Object.keys(server.resources)
+                  available_sequences: Object.keys(jsonResources)
                     .filter(key => key.startsWith('sequences/'))
                     .map(key => key.replace('sequences/', ''))
                 }
@@ -1389,8 +1497,8 @@ server.tool(
             }]
           };
         }
-        
-        const sequenceData = JSON.parse(server.resources[resourceName].content);
+
+        const sequenceData = JSON.parse(jsonResources[resourceName].content);
         return {
           content: [{
             type: "text",
@@ -1415,12 +1523,12 @@ server.tool(
         };
       }
     }
-    
+
     // If a category is provided, list sequences in that category
     if (category) {
       try {
-        const availableSequences = JSON.parse(server.resources['available-sequences'].content);
-        
+        const availableSequences = JSON.parse(jsonResources['available-sequences'].content);
+
         if (!availableSequences[category]) {
           return {
             content: [{
@@ -1435,18 +1543,18 @@ server.tool(
             }]
           };
         }
-        
+
         const sequences = availableSequences[category];
         const sequenceDetails = sequences.map(name => {
           const resourceName = `sequences/${name}`;
-          const data = JSON.parse(server.resources[resourceName].content);
+          const data = JSON.parse(jsonResources[resourceName].content);
           return {
             name,
             description: data.description,
             example: data.example
           };
         });
-        
+
         return {
           content: [{
             type: "text",
@@ -1471,11 +1579,11 @@ server.tool(
         };
       }
     }
-    
+
     // If neither sequence name nor category provided, list all available categories
     try {
-      const availableSequences = JSON.parse(server.resources['available-sequences'].content);
-      
+      const availableSequences = JSON.parse(jsonResources['available-sequences'].content);
+
       return {
         content: [{
           type: "text",
@@ -1512,7 +1620,7 @@ server.tool(
   },
   async (params) => {
     const { task } = params;
-    
+
     if (!task) {
       return {
         content: [{
@@ -1526,16 +1634,16 @@ server.tool(
         }]
       };
     }
-    
+
     try {
       // Get all available sequences
-      const availableSequences = JSON.parse(server.resources['available-sequences'].content);
+      const availableSequences = JSON.parse(jsonResources['available-sequences'].content);
       const allSequences = Object.values(availableSequences).flat();
-      
+
       // Create an array of sequence details for matching
       const sequenceDetails = allSequences.map(name => {
         const resourceName = `sequences/${name}`;
-        const data = JSON.parse(server.resources[resourceName].content);
+        const data = JSON.parse(jsonResources[resourceName].content);
         return {
           name,
           description: data.description,
@@ -1545,7 +1653,7 @@ server.tool(
           parameters: data.parameters || {}
         };
       });
-      
+
       // Simple keyword matching to find relevant sequences
       const taskLower = task.toLowerCase();
       const matchedSequences = sequenceDetails
@@ -1556,11 +1664,11 @@ server.tool(
         .filter(seq => seq.score > 0)
         .sort((a, b) => b.score - a.score)
         .slice(0, 3); // Return top 3 matches
-      
+
       if (matchedSequences.length === 0) {
         // If no direct matches, suggest based on task type
         let suggestedSequence = null;
-        
+
         if (taskLower.includes('email') && taskLower.includes('read')) {
           suggestedSequence = sequenceDetails.find(s => s.name === 'view_emails');
         } else if (taskLower.includes('email') && taskLower.includes('send')) {
@@ -1574,7 +1682,7 @@ server.tool(
         } else if (taskLower.includes('folder') || taskLower.includes('organize')) {
           suggestedSequence = sequenceDetails.find(s => s.name === 'organize_emails');
         }
-        
+
         if (suggestedSequence) {
           return {
             content: [{
@@ -1590,7 +1698,7 @@ server.tool(
             }]
           };
         }
-        
+
         // No matches found
         return {
           content: [{
@@ -1602,13 +1710,13 @@ server.tool(
           }]
         };
       }
-      
+
       // Return the best match with full details
       const bestMatch = matchedSequences[0];
-      
+
       // Get the complete sequence details
-      const sequenceData = JSON.parse(server.resources[`sequences/${bestMatch.name}`].content);
-      
+      const sequenceData = JSON.parse(jsonResources[`sequences/${bestMatch.name}`].content);
+
       return {
         content: [{
           type: "text",
@@ -1646,10 +1754,10 @@ server.tool(
 // Helper function to calculate relevance score for workflow suggestions
 function calculateRelevanceScore(task, keywords) {
   let score = 0;
-  
+
   // Split task into words for matching
   const taskWords = task.split(/\s+/);
-  
+
   // Check for exact phrase matches
   const keyPhrases = [
     { phrase: "send email", score: 5 },
@@ -1663,13 +1771,13 @@ function calculateRelevanceScore(task, keywords) {
     { phrase: "respond to invitation", score: 6 },
     { phrase: "check events", score: 4 }
   ];
-  
+
   keyPhrases.forEach(({ phrase, score: phraseScore }) => {
     if (task.includes(phrase)) {
       score += phraseScore;
     }
   });
-  
+
   // Check for individual keyword matches
   const keywordScores = {
     "email": 2,
@@ -1694,36 +1802,95 @@ function calculateRelevanceScore(task, keywords) {
     "reply": 2,
     "forward": 2
   };
-  
+
   taskWords.forEach(word => {
     if (keywordScores[word]) {
       score += keywordScores[word];
     }
   });
-  
+
   // Check if keywords contain task words for partial matches
   taskWords.forEach(word => {
     if (word.length > 3 && keywords.includes(word)) {
       score += 1;
     }
   });
-  
+
   return score;
 }
 
-const transport = new StdioServerTransport();
+/**
+ * Create an MCP server with all prompts, tools and resources registered
+ * The stdio transport uses one server; each HTTP session gets its own.
+ * @returns {McpServer} - Configured server, not yet connected
+ */
+function createServer() {
+  const mcpServer = new McpServer(serverOptions);
+  registrations.forEach(({ method, args }) => mcpServer[method](...args));
+  // Set after the resources, so it replaces the handler the SDK registers with them
+  mcpServer.server.setRequestHandler(ListResourcesRequestSchema, listResources);
+  return mcpServer;
+}
 
-// Start the server
-server.connect(transport).then(() => {
-  logger.info(`${config.server.name} v${config.server.version} started on port ${config.server.port}`);
-  
-  if (config.testing.enabled) {
-    logger.info('Server running in TEST MODE with mock data');
-  }
+/**
+ * Serve a single local client over stdio
+ * @returns {Promise<void>}
+ */
+async function startStdioServer() {
+  const server = createServer();
+  await server.connect(new StdioServerTransport());
+  logger.info(`${config.server.name} v${config.server.version} started on stdio`);
+}
+
+/**
+ * Serve several clients over Streamable HTTP and legacy SSE
+ * @returns {Promise<void>}
+ */
+async function startHttpServer() {
+  const httpServer = await startMcpHttpServer(createServer, {
+    ...config.server.http,
+    metricsPath: config.metrics.prometheusPath
+  });
+  logger.info(`${config.server.name} v${config.server.version} started on ${httpServer.url}`);
+
+  const shutdown = (signal) => {
+    logger.info(`Received ${signal}, stopping MCP HTTP transport`);
+    httpServer.stop()
+      .catch(error => logger.error(`Error stopping MCP HTTP transport: ${error.message}`))
+      .finally(() => process.exit(0));
+  };
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+const transports = {
+  stdio: startStdioServer,
+  http: startHttpServer
+};
+
+// Start the server when run directly; tests require this module
+if (require.main === module) {
+  Promise.resolve().then(() => {
+    const start = transports[config.server.transport];
+    if (!start) {
+      throw new Error(`Unknown MCP_TRANSPORT "${config.server.transport}". Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+    return start();
+  }).then(() => {
+    if (config.testing.enabled) {
+      logger.info('Server running in TEST MODE with mock data');
+    }
   
-  logger.info(`Authentication server should be running on port ${config.server.authPort}`);
-}).catch(error => {
-  logger.error('Failed to start MCP server:', error);
-  process.exit(1);
-});
+    logger.info(`Configuration profile: ${config.profile}${config.configFile ? ` (${config.configFile})` : ''}`);
+  }).catch(error => {
+    logger.error(`Failed to start MCP server: ${error.message}`);
+    // stderr as well: the process exits before the file logs are flushed
+    console.error(`Failed to start MCP server: ${error.message}`);
+    process.exit(1);
+  });
+}
 
+module.exports = {
+  createServer,
+  withErrorHandling
+};
@@ -0,0 +1,16 @@
+const {
+  URI_TEMPLATES,
+  readMessageResource,
+  readFolderResource,
+  readEventResource,
+  listMailboxResources
+} = require('./mailbox');
+
+// Export all resource callbacks directly
+module.exports = {
+  URI_TEMPLATES,
+  readMessageResource,
+  readFolderResource,
+  readEventResource,
+  listMailboxResources
+};
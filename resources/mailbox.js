@@ -0,0 +1,358 @@
+const { McpError, ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getGraphClient } = require('../utils/graph-api-adapter');
+const { describeError } = require('../utils/graph-errors');
+const { runWithMailbox } = require('../utils/mailbox-routing');
+const { runWithLogContext } = require('../utils/log-context');
+const { runWithRetryBudget } = require('../utils/retry-policy');
+const { rateLimiter, resolveAccount } = require('../utils/rate-limiter');
+const { encodeCursor, decodeCursor } = require('../utils/pagination-cursor');
+
+/**
+ * Mailbox items as MCP resources
+ *
+ * Messages, mail folders and events are addressed by URI, so clients can
+ * attach one to the context with resources/read instead of a tool call:
+ *
+ *   outlook://{account}/messages/{id}
+ *   outlook://{account}/folders/{+path}   e.g. outlook://me/folders/inbox/Projects
+ *   outlook://{account}/events/{id}
+ *
+ * {account} is `me` for the signed-in mailbox, or a shared or delegated
+ * mailbox (see utils/mailbox-routing.js). Folder paths are display names
+ * from the top of the mailbox; the first segment may also be a well-known
+ * name such as inbox or sentitems. resources/list pages through the
+ * signed-in mailbox's folders, then its messages, then its events.
+ */
+
+// URI templates of the mailbox resources
+const URI_TEMPLATES = {
+  message: 'outlook://{account}/messages/{id}',
+  folder: 'outlook://{account}/folders/{+path}',
+  event: 'outlook://{account}/events/{id}'
+};
+
+const MIME_TYPE = 'application/json';
+
+// Folders Graph can address by name instead of ID
+const WELL_KNOWN_FOLDERS = ['inbox', 'drafts', 'sentitems', 'deleteditems', 'archive', 'junkemail', 'outbox'];
+
+const MESSAGE_FIELDS = 'id,subject,from,toRecipients,ccRecipients,receivedDateTime,sentDateTime,isRead,importance,hasAttachments,conversationId,parentFolderId,webLink,body';
+const MESSAGE_SUMMARY_FIELDS = 'id,subject,from,receivedDateTime,isRead';
+const FOLDER_FIELDS = 'id,displayName,parentFolderId,childFolderCount,totalItemCount,unreadItemCount';
+const EVENT_FIELDS = 'id,subject,start,end,isAllDay,isCancelled,location,organizer,attendees,showAs,webLink,onlineMeeting,body';
+const EVENT_SUMMARY_FIELDS = 'id,subject,start,end,organizer';
+
+/**
+ * URI of a message or event
+ * @param {string} kind - 'messages' or 'events'
+ * @param {string} account - 'me' or a mailbox
+ * @param {string} id - Graph ID
+ * @returns {string} - Resource URI
+ */
+function itemUri(kind, account, id) {
+  return `outlook://${encodeURIComponent(account)}/${kind}/${id}`;
+}
+
+/**
+ * URI of a mail folder
+ * @param {string} account - 'me' or a mailbox
+ * @param {Array<string>} path - Folder names from the top of the mailbox
+ * @returns {string} - Resource URI
+ */
+function folderUri(account, path) {
+  return `outlook://${encodeURIComponent(account)}/folders/${path.map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Display name of a Graph recipient
+ * @param {Object} [recipient] - { emailAddress: { name, address } }
+ * @returns {string|null} - Name, or address
+ */
+function recipientName(recipient) {
+  const emailAddress = recipient && recipient.emailAddress;
+  return emailAddress ? emailAddress.name || emailAddress.address || null : null;
+}
+
+/**
+ * Decode a URI template variable
+ * @param {string} value - Raw value matched in the URI
+ * @param {string} name - Variable name
+ * @returns {string} - Decoded value
+ */
+function decodeVariable(value, name) {
+  try {
+    return decodeURIComponent(String(value));
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, `The ${name} in the resource URI is not validly percent-encoded`);
+  }
+}
+
+/**
+ * Convert an error to an MCP error for the client
+ * @param {Error} error - Error from Graph or the rate limiter
+ * @param {string} action - What failed, e.g. 'read outlook://me/messages/AAMk...'
+ * @param {string} [resource] - Resource being read (email, folder, event)
+ * @returns {McpError} - InvalidParams for missing items, InternalError otherwise
+ */
+function toMcpError(error, action, resource) {
+  if (error instanceof McpError) {
+    return error;
+  }
+  logger.error(`Failed to ${action}: ${error.message}`);
+  const details = describeError(error, resource);
+  // Errors that did not come from Graph (rate limits, folder paths) explain themselves
+  const message = details.status ? details.message : error.message;
+  const code = ['not_found', 'invalid_request'].includes(details.type) ? ErrorCode.InvalidParams : ErrorCode.InternalError;
+  return new McpError(code, `Failed to ${action}: ${message}`, details);
+}
+
+/**
+ * Run a Graph request for a resource call against a mailbox
+ * Like a tool call, it gets a correlation ID, a retry budget and counts
+ * against the account's read rate limit.
+ * @param {string} operation - 'resources/read' or 'resources/list'
+ * @param {string} [mailbox] - Mailbox to target; 'me' targets the signed-in mailbox
+ * @param {Function} fn - Async function called with a Graph client and the account
+ * @returns {Promise<any>} - Result of fn
+ */
+function runResourceRequest(operation, mailbox, fn) {
+  return runWithLogContext({ tool: operation }, () => runWithRetryBudget(operation, () =>
+    runWithMailbox(mailbox, async () => {
+      const account = await resolveAccount();
+      await rateLimiter.check(account, 'read');
+      const client = await getGraphClient('default', 'resources');
+      return fn(client, account);
+    })));
+}
+
+/**
+ * Read a resource as JSON
+ * @param {URL} uri - Resource URI
+ * @param {Object} variables - URI template variables
+ * @param {string} resource - Resource being read (email, folder, event)
+ * @param {Function} read - Async function called with a Graph client and the decoded variables
+ * @returns {Promise<Object>} - resources/read result
+ */
+async function readJsonResource(uri, variables, resource, read) {
+  const account = decodeVariable(variables.account, 'account');
+  try {
+    const data = await runResourceRequest('resources/read', account, client => read(client, { ...variables, account }));
+    return { contents: [{ uri: uri.href, mimeType: MIME_TYPE, text: JSON.stringify(data) }] };
+  } catch (error) {
+    throw toMcpError(error, `read ${uri.href}`, resource);
+  }
+}
+
+/**
+ * Read a message resource
+ * @param {URL} uri - outlook://{account}/messages/{id}
+ * @param {Object} variables - { account, id }
+ * @returns {Promise<Object>} - The message with its body
+ */
+async function readMessageResource(uri, variables) {
+  return readJsonResource(uri, variables, 'email', async (client, { id }) => {
+    const { '@odata.context': context, '@odata.etag': etag, ...message } = await client
+      .api(`/me/messages/${decodeVariable(id, 'id')}`)
+      .select(MESSAGE_FIELDS)
+      .get();
+    return message;
+  });
+}
+
+/**
+ * Read an event resource
+ * @param {URL} uri - outlook://{account}/events/{id}
+ * @param {Object} variables - { account, id }
+ * @returns {Promise<Object>} - The event with its body
+ */
+async function readEventResource(uri, variables) {
+  return readJsonResource(uri, variables, 'event', async (client, { id }) => {
+    const { '@odata.context': context, '@odata.etag': etag, ...event } = await client
+      .api(`/me/events/${decodeVariable(id, 'id')}`)
+      .select(EVENT_FIELDS)
+      .get();
+    return event;
+  });
+}
+
+/**
+ * Get every page of a folder listing
+ * @param {Object} client - Graph client
+ * @param {string} path - '/me/mailFolders' or a folder's childFolders
+ * @returns {Promise<Array<Object>>} - Folders
+ */
+async function listAllFolders(client, path) {
+  const folders = [];
+  let page = await client.api(path).select(FOLDER_FIELDS).top(100).get();
+  folders.push(...((page && page.value) || []));
+  while (page && page['@odata.nextLink']) {
+    page = await client.api(page['@odata.nextLink']).get();
+    folders.push(...((page && page.value) || []));
+  }
+  return folders;
+}
+
+/**
+ * Find a folder by its path of display names
+ * @param {Object} client - Graph client
+ * @param {Array<string>} path - Decoded folder names; the first may be a well-known name
+ * @returns {Promise<Object>} - Folder
+ * @throws {Error} - FolderNotFoundError when a folder on the path does not exist
+ */
+async function resolveFolderPath(client, path) {
+  let folder = null;
+  for (let index = 0; index < path.length; index++) {
+    const name = path[index].toLowerCase();
+    if (index === 0 && WELL_KNOWN_FOLDERS.includes(name)) {
+      folder = await client.api(`/me/mailFolders/${name}`).select(FOLDER_FIELDS).get();
+      continue;
+    }
+    const children = await listAllFolders(client, folder ? `/me/mailFolders/${folder.id}/childFolders` : '/me/mailFolders');
+    folder = children.find(child => String(child.displayName).toLowerCase() === name);
+    if (!folder) {
+      const error = new Error(`No folder named "${path[index]}" in ${index === 0 ? 'the mailbox' : path.slice(0, index).join('/')}. Call list_folders to see folder names.`);
+      error.name = 'FolderNotFoundError';
+      throw error;
+    }
+  }
+  return folder;
+}
+
+/**
+ * Read a folder resource
+ * Returns the folder's counts, its child folders and its most recent
+ * messages, each with its resource URI.
+ * @param {URL} uri - outlook://{account}/folders/{+path}
+ * @param {Object} variables - { account, path }
+ * @returns {Promise<Object>} - Folder summary
+ */
+async function readFolderResource(uri, variables) {
+  return readJsonResource(uri, variables, 'folder', async (client, { account, path }) => {
+    // Split before decoding, so names containing an encoded slash stay one segment
+    const names = String(path).split('/').filter(Boolean).map(name => decodeVariable(name, 'path'));
+    if (names.length === 0) {
+      throw new McpError(ErrorCode.InvalidParams, 'The folder path in the resource URI is empty');
+    }
+    const folder = await resolveFolderPath(client, names);
+    const children = folder.childFolderCount === 0 ? [] : await listAllFolders(client, `/me/mailFolders/${folder.id}/childFolders`);
+    const messages = await client.api(`/me/mailFolders/${folder.id}/messages`)
+      .select(MESSAGE_SUMMARY_FIELDS)
+      .orderby('receivedDateTime desc')
+      .top(config.resources.pageSize)
+      .get();
+
+    return {
+      id: folder.id,
+      displayName: folder.displayName,
+      path: names.join('/'),
+      totalItemCount: folder.totalItemCount,
+      unreadItemCount: folder.unreadItemCount,
+      childFolders: children.map(child => ({
+        displayName: child.displayName,
+        uri: folderUri(account, [...names, child.displayName])
+      })),
+      messages: ((messages && messages.value) || []).map(message => ({
+        subject: message.subject,
+        from: recipientName(message.from),
+        receivedDateTime: message.receivedDateTime,
+        isRead: message.isRead,
+        uri: itemUri('messages', account, message.id)
+      })),
+      hasMoreMessages: Boolean(messages && messages['@odata.nextLink'])
+    };
+  });
+}
+
+// What resources/list pages through, in order: the first page of each and how its items are listed
+const LISTINGS = {
+  folders: {
+    firstPage: client => client.api('/me/mailFolders').select(FOLDER_FIELDS),
+    toResource: folder => ({
+      uri: folderUri('me', [folder.displayName]),
+      name: folder.displayName,
+      description: `Mail folder: ${folder.unreadItemCount || 0} unread of ${folder.totalItemCount || 0}`
+    })
+  },
+  messages: {
+    firstPage: client => client.api('/me/messages').select(MESSAGE_SUMMARY_FIELDS).orderby('receivedDateTime desc'),
+    toResource: message => ({
+      uri: itemUri('messages', 'me', message.id),
+      name: message.subject || '(no subject)',
+      description: `Email from ${recipientName(message.from) || 'unknown sender'}, received ${message.receivedDateTime}`
+    })
+  },
+  events: {
+    firstPage: client => client.api('/me/events').select(EVENT_SUMMARY_FIELDS),
+    toResource: event => ({
+      uri: itemUri('events', 'me', event.id),
+      name: event.subject || '(no subject)',
+      description: `Event starting ${event.start ? event.start.dateTime : 'at an unknown time'}, organized by ${recipientName(event.organizer) || 'unknown'}`
+    })
+  }
+};
+
+const LISTING_ORDER = Object.keys(LISTINGS);
+
+/**
+ * List mailbox resources of the signed-in mailbox, one Graph page per call
+ * Without a cursor, listing starts with the first page of folders. In app-only
+ * mode there is no signed-in mailbox to list, and when the first page cannot
+ * be read (no account signed in, Graph down) it is empty instead of an error,
+ * so the static resources still list.
+ * @param {string} [cursor] - nextCursor of the previous page
+ * @returns {Promise<Object>} - { resources, nextCursor }
+ */
+async function listMailboxResources(cursor) {
+  if (config.microsoft.authMode === 'app') {
+    return { resources: [] };
+  }
+
+  try {
+    return await runResourceRequest('resources/list', null, async (client, account) => {
+      let position = { kind: LISTING_ORDER[0] };
+      if (cursor) {
+        try {
+          position = decodeCursor('resources/list', account, cursor, {}).position;
+        } catch (error) {
+          throw new McpError(ErrorCode.InvalidParams, `${error.message} List resources without a cursor to start from the first page.`);
+        }
+      }
+
+      const listing = LISTINGS[position.kind];
+      const request = position.link
+        ? client.api(position.link)
+        : listing.firstPage(client).top(config.resources.pageSize);
+      const page = await request.get();
+
+      const resources = ((page && page.value) || []).map(item => ({ ...listing.toResource(item), mimeType: MIME_TYPE }));
+      const nextKind = LISTING_ORDER[LISTING_ORDER.indexOf(position.kind) + 1];
+      let next = null;
+      if (page && page['@odata.nextLink']) {
+        next = { kind: position.kind, link: page['@odata.nextLink'] };
+      } else if (nextKind) {
+        next = { kind: nextKind };
+      }
+
+      return {
+        resources,
+        ...(next && { nextCursor: encodeCursor('resources/list', account, {}, next) })
+      };
+    });
+  } catch (error) {
+    if (!cursor && !(error instanceof McpError)) {
+      logger.warn(`Listing only the static resources; the mailbox could not be listed: ${error.message}`);
+      return { resources: [] };
+    }
+    throw toMcpError(error, 'list mailbox resources');
+  }
+}
+
+module.exports = {
+  URI_TEMPLATES,
+  readMessageResource,
+  readFolderResource,
+  readEventResource,
+  listMailboxResources
+};
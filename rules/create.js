@@ -1,5 +1,6 @@
 const config = require('../config');
 const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
 const { rules: rulesApi } = require('../utils/graph-api-adapter');
 const { listUsers } = require('../auth/token-manager');
 const auth = require('../auth/index');
@@ -111,15 +112,7 @@ async function createRuleHandler(params = {}) {
   } catch (error) {
     logger.error(`Error creating mail rule: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to create mail rule: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'create mail rule', 'rule');
   }
 }
 
@@ -212,15 +205,7 @@ async function updateRuleHandler(params = {}) {
   } catch (error) {
     logger.error(`Error updating mail rule: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to update mail rule: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'update mail rule', 'rule');
   }
 }
 
@@ -1,6 +1,7 @@
 // rules/delete.js
 const { rules: rulesApi } = require('../utils/graph-api-adapter');
 const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
 const auth = require('../auth/index');
 
 async function deleteRuleHandler(params = {}) {
@@ -25,7 +26,7 @@ async function deleteRuleHandler(params = {}) {
     return formatMcpResponse({ status: 'success', message: 'Rule deleted', ruleId });
   } catch (error) {
     logger.error(`Error deleting mail rule: ${error.message}`);
-    return formatMcpResponse({ status: 'error', message: `Failed: ${error.message}` });
+    return errorResponse(error, 'delete mail rule', 'rule');
   }
 }
 
@@ -1,5 +1,6 @@
 const { listRulesHandler, getRuleHandler } = require('./list');
-const { createRuleHandler, updateRuleHandler, deleteRuleHandler } = require('./create');
+const { createRuleHandler, updateRuleHandler } = require('./create');
+const { deleteRuleHandler } = require('./delete');
 
 // Export all handlers directly
 module.exports = {
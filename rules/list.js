@@ -1,5 +1,6 @@
 const config = require('../config');
 const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
 const { rules: rulesApi } = require('../utils/graph-api-adapter');
 const { listUsers } = require('../auth/token-manager');
 const auth = require('../auth/index');
@@ -72,15 +73,7 @@ async function listRulesHandler(params = {}) {
   } catch (error) {
     logger.error(`Error listing mail rules: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to list mail rules: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'list mail rules', 'rule');
   }
 }
 
@@ -164,15 +157,7 @@ async function getRuleHandler(params = {}) {
   } catch (error) {
     logger.error(`Error getting mail rule: ${error.message}`);
     
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          status: 'error',
-          message: `Failed to get mail rule: ${error.message}`
-        })
-      }]
-    };
+    return errorResponse(error, 'get mail rule', 'rule');
   }
 }
 
@@ -0,0 +1,48 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
+const { PROFILES, describeSettings } = require('../utils/config-loader');
+
+/**
+ * Get config handler
+ * Reports the effective value of every setting, where it came from
+ * (default, profile, file or env) and its environment variable. Secrets
+ * are shown as [REDACTED] when set.
+ * @param {Object} params - Tool parameters
+ * @param {string} [params.section] - Only report this section, e.g. 'retry'
+ * @returns {Promise<Object>} - MCP response
+ */
+async function getConfigHandler(params = {}) {
+  try {
+    return formatMcpResponse({
+      status: 'success',
+      profile: config.profile,
+      profiles: Object.fromEntries(Object.entries(PROFILES).map(([name, profile]) => [name, profile.description])),
+      configFile: config.configFile,
+      settings: describeSettings(config, config.sources, params.section)
+    });
+  } catch (error) {
+    logger.error(`Error getting config: ${error.message}`);
+    return errorResponse(error, 'get config');
+  }
+}
+
+/**
+ * Format response for MCP
+ * @param {Object} data - Response data
+ * @returns {Object} - MCP formatted response
+ */
+function formatMcpResponse(data) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(data)
+      }
+    ]
+  };
+}
+
+module.exports = {
+  getConfigHandler
+};
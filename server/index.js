@@ -0,0 +1,10 @@
+const { getRateLimitStatusHandler } = require('./rate-limit-status');
+const { getServerMetricsHandler } = require('./metrics-status');
+const { getConfigHandler } = require('./config-status');
+
+// Export all handlers directly
+module.exports = {
+  getRateLimitStatusHandler,
+  getServerMetricsHandler,
+  getConfigHandler
+};
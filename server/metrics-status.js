@@ -0,0 +1,150 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
+const { metrics, estimateQuantile } = require('../utils/metrics');
+
+/**
+ * Summarize a latency histogram in milliseconds
+ * @param {Object} [series] - Histogram series
+ * @returns {Object|null} - { count, avgMs, p50Ms, p95Ms, maxMs }, or null without observations
+ */
+function latencySummary(series) {
+  if (!series || series.count === 0) {
+    return null;
+  }
+  const ms = seconds => Math.round(seconds * 1000);
+  return {
+    count: series.count,
+    avgMs: ms(series.sum / series.count),
+    p50Ms: ms(estimateQuantile(series, 0.5)),
+    p95Ms: ms(estimateQuantile(series, 0.95)),
+    maxMs: ms(series.max)
+  };
+}
+
+/**
+ * Sum counter series by one label
+ * @param {Array<Object>} series - Counter series
+ * @param {string} label - Label to group by
+ * @returns {Object} - Totals by label value
+ */
+function totalsBy(series, label) {
+  const totals = {};
+  series.forEach(entry => {
+    const key = entry.labels[label];
+    totals[key] = (totals[key] || 0) + entry.value;
+  });
+  return totals;
+}
+
+/**
+ * Per-tool call counts, errors and latency
+ * @param {string} [toolName] - Only report this tool
+ * @returns {Array<Object>} - Tools, busiest first
+ */
+function toolReport(toolName) {
+  const tools = {};
+  const entry = name => (tools[name] = tools[name] || { tool: name, calls: 0, errors: 0, statuses: {}, errorTypes: {}, latency: null });
+
+  metrics.get('mcp_tool_calls_total').forEach(series => {
+    const tool = entry(series.labels.tool);
+    tool.calls += series.value;
+    tool.statuses[series.labels.status] = series.value;
+  });
+  metrics.get('mcp_tool_errors_total').forEach(series => {
+    const tool = entry(series.labels.tool);
+    tool.errors += series.value;
+    tool.errorTypes[series.labels.type] = series.value;
+  });
+  metrics.get('mcp_tool_duration_seconds').forEach(series => {
+    entry(series.labels.tool).latency = latencySummary(series);
+  });
+
+  return Object.values(tools)
+    .filter(tool => !toolName || tool.tool === toolName)
+    .sort((a, b) => b.calls - a.calls);
+}
+
+/**
+ * Graph request counts by endpoint and status, with retries
+ * @returns {Object} - { requests, statuses, endpoints, retries, retryBudgetExhausted }
+ */
+function graphReport() {
+  const endpoints = {};
+  const entry = labels => {
+    const key = `${labels.method} ${labels.endpoint}`;
+    return (endpoints[key] = endpoints[key] || { method: labels.method, endpoint: labels.endpoint, requests: 0, statuses: {}, latency: null });
+  };
+
+  const requests = metrics.get('graph_requests_total');
+  requests.forEach(series => {
+    const endpoint = entry(series.labels);
+    endpoint.requests += series.value;
+    endpoint.statuses[series.labels.status] = series.value;
+  });
+  metrics.get('graph_request_duration_seconds').forEach(series => {
+    entry(series.labels).latency = latencySummary(series);
+  });
+
+  return {
+    requests: requests.reduce((total, series) => total + series.value, 0),
+    statuses: totalsBy(requests, 'status'),
+    endpoints: Object.values(endpoints).sort((a, b) => b.requests - a.requests),
+    retries: totalsBy(metrics.get('graph_retries_total'), 'reason'),
+    retryBudgetExhausted: totalsBy(metrics.get('graph_retry_budget_exhausted_total'), 'tool')
+  };
+}
+
+/**
+ * Get server metrics handler
+ * Reports what the server has recorded since startup: tool calls, Graph
+ * requests, retries and rate-limit rejections.
+ * @param {Object} params - Tool parameters
+ * @param {string} [params.tool] - Only report this tool's calls
+ * @param {string} [params.format='json'] - 'json', or 'prometheus' for the Prometheus text format
+ * @returns {Promise<Object>} - MCP response
+ */
+async function getServerMetricsHandler(params = {}) {
+  try {
+    if (params.format === 'prometheus') {
+      return formatMcpResponse({
+        status: 'success',
+        format: 'prometheus',
+        metrics: metrics.renderPrometheus()
+      });
+    }
+
+    return formatMcpResponse({
+      status: 'success',
+      enabled: config.metrics.enabled,
+      startedAt: metrics.startedAt.toISOString(),
+      uptimeSeconds: Math.round((Date.now() - metrics.startedAt.getTime()) / 1000),
+      tools: toolReport(params.tool),
+      graph: graphReport(),
+      rateLimitRejections: totalsBy(metrics.get('rate_limit_rejections_total'), 'category')
+    });
+  } catch (error) {
+    logger.error(`Error getting server metrics: ${error.message}`);
+    return errorResponse(error, 'get server metrics');
+  }
+}
+
+/**
+ * Format response for MCP
+ * @param {Object} data - Response data
+ * @returns {Object} - MCP formatted response
+ */
+function formatMcpResponse(data) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(data)
+      }
+    ]
+  };
+}
+
+module.exports = {
+  getServerMetricsHandler
+};
@@ -0,0 +1,59 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { errorResponse } = require('../utils/graph-errors');
+const { rateLimiter, rateLimitCategory, resolveAccount } = require('../utils/rate-limiter');
+
+/**
+ * Get rate limit status handler
+ * Reports the remaining capacity of each bucket for an account without using any.
+ * @param {Object} params - Tool parameters
+ * @param {string} [params.userId] - Account to report on (defaults to the signed-in account)
+ * @returns {Promise<Object>} - MCP response
+ */
+async function getRateLimitStatusHandler(params = {}) {
+  try {
+    const account = await resolveAccount(params.userId);
+    const buckets = rateLimiter.getStatus(account);
+
+    // Tools counted against each tool bucket; the graph bucket counts Graph requests
+    const tools = {};
+    Object.keys(config.toolMetadata).forEach(toolName => {
+      const category = rateLimitCategory(toolName);
+      if (buckets[category] && category !== 'graph') {
+        (tools[category] = tools[category] || []).push(toolName);
+      }
+    });
+    Object.keys(tools).forEach(category => {
+      buckets[category].tools = tools[category];
+    });
+
+    return formatMcpResponse({
+      status: 'success',
+      account,
+      buckets
+    });
+  } catch (error) {
+    logger.error(`Error getting rate limit status: ${error.message}`);
+    return errorResponse(error, 'get rate limit status');
+  }
+}
+
+/**
+ * Format response for MCP
+ * @param {Object} data - Response data
+ * @returns {Object} - MCP formatted response
+ */
+function formatMcpResponse(data) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(data)
+      }
+    ]
+  };
+}
+
+module.exports = {
+  getRateLimitStatusHandler
+};
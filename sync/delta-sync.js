@@ -0,0 +1,247 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getGraphClient } = require('../utils/graph-api-adapter');
+const { getSyncStore, partitionKey, folderScope } = require('./sync-store');
+
+/**
+ * Delta-query sync of mail folders and the calendar into the local store
+ *
+ * The first sync of a scope pages through every item and ends with an
+ * @odata.deltaLink, which is stored. Later syncs start from that link and
+ * only receive items added, changed or removed since. When Graph no longer
+ * knows the sync state (410 Gone), the scope is synced again from scratch.
+ */
+
+// Message properties kept in the store; the body is indexed for local search
+const MESSAGE_FIELDS = [
+  'id',
+  'subject',
+  'bodyPreview',
+  'body',
+  'from',
+  'toRecipients',
+  'ccRecipients',
+  'receivedDateTime',
+  'sentDateTime',
+  'lastModifiedDateTime',
+  'hasAttachments',
+  'importance',
+  'isRead',
+  'isDraft',
+  'categories',
+  'conversationId',
+  'parentFolderId',
+  'webLink'
+];
+
+// Scope of the calendar partition
+const CALENDAR_SCOPE = 'calendar';
+
+// Syncs in progress by partition key, so concurrent calls share one run
+const inFlight = new Map();
+
+/**
+ * Check whether an error means Graph has discarded the delta state
+ * @param {Error} error - Graph error
+ * @returns {boolean} - True when the scope must be synced from scratch
+ */
+function isSyncStateLost(error) {
+  return error.status === 410 || /^(syncStateNotFound|resyncRequired|syncStateInvalid)$/i.test(error.code || '');
+}
+
+/**
+ * Calendar window synced today: whole days around the current UTC date
+ * @returns {Object} - { startDateTime, endDateTime }
+ */
+function calendarWindow() {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  const day = 24 * 60 * 60 * 1000;
+  return {
+    startDateTime: new Date(today.getTime() - config.sync.calendarPastDays * day).toISOString(),
+    endDateTime: new Date(today.getTime() + (config.sync.calendarFutureDays + 1) * day).toISOString()
+  };
+}
+
+/**
+ * Page through one delta round, applying changes to the items
+ * @param {Object} client - Graph client
+ * @param {Object} request - { path, query } of the first page
+ * @param {Object} items - Items by ID, updated in place
+ * @returns {Promise<Object>} - { deltaLink, pages, added, updated, removed }
+ */
+async function runDeltaRound(client, request, items) {
+  const counts = { pages: 0, added: 0, updated: 0, removed: 0 };
+  let next = request;
+
+  while (next) {
+    let pageRequest = client.api(next.path).header('Prefer', `odata.maxpagesize=${config.sync.pageSize}`);
+    if (next.query) {
+      pageRequest = pageRequest.query(next.query);
+    }
+    const page = await pageRequest.get();
+    counts.pages++;
+
+    for (const item of (page && page.value) || []) {
+      if (item['@removed']) {
+        if (items[item.id]) {
+          delete items[item.id];
+          counts.removed++;
+        }
+        continue;
+      }
+      const { '@odata.etag': etag, '@odata.type': type, ...fields } = item;
+      counts[items[item.id] ? 'updated' : 'added']++;
+      items[item.id] = fields;
+    }
+
+    if (page && page['@odata.nextLink']) {
+      next = { path: page['@odata.nextLink'] };
+    } else if (page && page['@odata.deltaLink']) {
+      return { deltaLink: page['@odata.deltaLink'], ...counts };
+    } else {
+      throw new Error('Graph returned a delta page without a next or delta link');
+    }
+  }
+  return null;
+}
+
+/**
+ * Sync one partition, starting over when asked to or when Graph lost the delta state
+ * @param {Object} target - { account, userId, mailbox, scope, folderId, window, initialRequest }
+ * @param {boolean} full - Start over instead of continuing from the stored delta link
+ * @returns {Promise<Object>} - Sync summary
+ */
+async function syncPartition(target, full) {
+  const store = getSyncStore();
+  const key = partitionKey(target.account, target.mailbox, target.scope);
+  const started = Date.now();
+  const previous = await store.getPartition(key);
+  // A calendar partition for another window cannot continue from its delta link
+  const windowChanged = target.window && previous && previous.window &&
+    previous.window.startDateTime !== target.window.startDateTime;
+  const resync = Boolean(full || !previous || !previous.deltaLink || windowChanged);
+
+  const partition = {
+    account: target.account,
+    mailbox: target.mailbox || null,
+    scope: target.scope,
+    ...(target.folderId && { folderId: target.folderId }),
+    ...(target.window && { window: target.window }),
+    deltaLink: previous ? previous.deltaLink : null,
+    lastSyncedAt: previous ? previous.lastSyncedAt : null,
+    itemCount: previous ? previous.itemCount : 0
+  };
+
+  const client = await getGraphClient(target.userId, 'sync');
+  let resynced = resync;
+  let result;
+  let items;
+  try {
+    items = resync ? {} : await store.readItems(key);
+    if (!items) {
+      // The synced items could not be decrypted and were moved aside
+      resynced = true;
+      items = {};
+    }
+    try {
+      result = await runDeltaRound(client, resynced ? target.initialRequest : { path: previous.deltaLink }, items);
+    } catch (error) {
+      if (resynced || !isSyncStateLost(error)) {
+        throw error;
+      }
+      logger.warn(`Delta state for ${target.scope} of ${target.account} expired; syncing it again from scratch`);
+      resynced = true;
+      items = {};
+      result = await runDeltaRound(client, target.initialRequest, items);
+    }
+  } catch (error) {
+    partition.lastError = error.message;
+    partition.lastAttemptAt = new Date().toISOString();
+    await store.savePartition(key, partition);
+    throw error;
+  }
+
+  partition.deltaLink = result.deltaLink;
+  partition.lastSyncedAt = new Date().toISOString();
+  partition.lastAttemptAt = partition.lastSyncedAt;
+  partition.itemCount = Object.keys(items).length;
+  await store.savePartition(key, partition, items);
+
+  const durationMs = Date.now() - started;
+  logger.info(`Synced ${target.scope} for ${target.account}: +${result.added} ~${result.updated} -${result.removed} in ${result.pages} page(s), ${durationMs}ms`);
+  return {
+    scope: target.scope,
+    ...(target.folderId && { folderId: target.folderId }),
+    ...(target.window && { window: target.window }),
+    resynced,
+    added: result.added,
+    updated: result.updated,
+    removed: result.removed,
+    itemCount: partition.itemCount,
+    pages: result.pages,
+    durationMs
+  };
+}
+
+/**
+ * Run a partition sync unless one is already running for it
+ * @param {Object} target - See syncPartition
+ * @param {boolean} full - Start over
+ * @returns {Promise<Object>} - Sync summary
+ */
+function syncOnce(target, full) {
+  const key = partitionKey(target.account, target.mailbox, target.scope);
+  if (!inFlight.has(key)) {
+    inFlight.set(key, syncPartition(target, full).finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+}
+
+/**
+ * Sync the messages of a mail folder
+ * @param {Object} options - Sync options
+ * @param {string} options.account - Account the store is kept for
+ * @param {string} options.userId - User ID for Graph requests
+ * @param {string|null} options.mailbox - Shared or delegated mailbox
+ * @param {string} options.folderId - Folder ID or well-known name
+ * @param {boolean} [options.full=false] - Start over
+ * @returns {Promise<Object>} - Sync summary
+ */
+function syncFolder({ account, userId, mailbox, folderId, full = false }) {
+  return syncOnce({
+    account,
+    userId,
+    mailbox,
+    scope: folderScope(folderId),
+    folderId,
+    initialRequest: {
+      path: `/me/mailFolders/${encodeURIComponent(folderId)}/messages/delta`,
+      query: { $select: MESSAGE_FIELDS.join(',') }
+    }
+  }, full);
+}
+
+/**
+ * Sync the events of the calendar window around today
+ * @param {Object} options - Same as syncFolder, without folderId
+ * @returns {Promise<Object>} - Sync summary
+ */
+function syncCalendar({ account, userId, mailbox, full = false }) {
+  const window = calendarWindow();
+  return syncOnce({
+    account,
+    userId,
+    mailbox,
+    scope: CALENDAR_SCOPE,
+    window,
+    initialRequest: { path: '/me/calendarView/delta', query: window }
+  }, full);
+}
+
+module.exports = {
+  CALENDAR_SCOPE,
+  MESSAGE_FIELDS,
+  syncFolder,
+  syncCalendar
+};
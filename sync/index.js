@@ -0,0 +1,7 @@
+const { syncMailboxHandler, getSyncStatusHandler } = require('./tools');
+
+// Export all handlers directly
+module.exports = {
+  syncMailboxHandler,
+  getSyncStatusHandler
+};
@@ -0,0 +1,500 @@
+const logger = require('../utils/logger');
+const { getSyncStore, partitionKey } = require('./sync-store');
+
+/**
+ * Full-text search over synced messages
+ *
+ * An inverted index maps each word to the messages and fields it occurs in.
+ * It is built in memory from the synced folders of a mailbox and rebuilt
+ * when any of them syncs again. Results are ranked with BM25, weighting
+ * matches in the subject and sender above matches in the body.
+ *
+ * Query syntax (all parts must match):
+ *   invoice october          words, in any field
+ *   "project x kickoff"      phrase, words next to each other
+ *   invoic*                  words starting with a prefix
+ *   from:billing@fabrikam.com, to:, cc:, subject:, body:
+ *   has:attachment, is:read, is:unread, is:draft
+ *   after:2026-10-01, before:2026-11-01, received:2026-10-01..2026-10-31,
+ *   received>=2026-10-01 (also >, <, <=)
+ *   -word, -from:..., -has:attachment   exclude matches
+ */
+
+// Relevance weight of a match in each field
+const FIELD_WEIGHTS = {
+  subject: 3,
+  from: 2,
+  to: 1.5,
+  cc: 1,
+  body: 1
+};
+
+// Fields searched by each field prefix
+const FIELD_PREFIXES = {
+  from: ['from'],
+  to: ['to', 'cc'],
+  cc: ['cc'],
+  subject: ['subject'],
+  body: ['body']
+};
+
+// BM25 term frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Score multiplier for words matched as part of a phrase
+const PHRASE_BOOST = 2;
+
+// Words a prefix term may expand to
+const MAX_PREFIX_EXPANSIONS = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Indexes by account and mailbox, with the partition sync times they were built from
+const indexCache = new Map();
+
+/**
+ * Create an invalid query error
+ * @param {string} message - Error message
+ * @returns {Error} - InvalidSearchQueryError
+ */
+function invalidQuery(message) {
+  const error = new Error(message);
+  error.name = 'InvalidSearchQueryError';
+  return error;
+}
+
+/**
+ * Split text into lower-case words, ignoring accents
+ * @param {string} text - Text
+ * @returns {string[]} - Words
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Plain text of a message body
+ * @param {Object} message - Graph message
+ * @returns {string} - Body text, or the preview when the body was not synced
+ */
+function bodyText(message) {
+  if (!message.body || !message.body.content) {
+    return message.bodyPreview || '';
+  }
+  if (String(message.body.contentType).toLowerCase() !== 'html') {
+    return message.body.content;
+  }
+  return message.body.content
+    .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&(amp|lt|gt|quot|#39);/g, (entity, name) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" })[name]);
+}
+
+/**
+ * Text of Graph recipients: names and addresses
+ * @param {Array} [recipients] - Graph recipients
+ * @returns {string} - Text
+ */
+function recipientText(recipients) {
+  return (Array.isArray(recipients) ? recipients : [recipients])
+    .filter(recipient => recipient && recipient.emailAddress)
+    .map(recipient => `${recipient.emailAddress.name || ''} ${recipient.emailAddress.address || ''}`)
+    .join(' ');
+}
+
+/**
+ * Parse a date or date-time query value
+ * @param {string} value - Value, e.g. 2026-10-01 or 2026-10-01T09:00:00Z
+ * @returns {Object} - { start, end } in ms; a date covers the whole UTC day
+ * @throws {Error} - InvalidSearchQueryError when the value is not a date
+ */
+function parseDate(value) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const start = Date.parse(dateOnly ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(start)) {
+    throw invalidQuery(`"${value}" is not a date (use YYYY-MM-DD or an ISO 8601 date-time)`);
+  }
+  return { start, end: dateOnly ? start + DAY_MS : start + 1 };
+}
+
+/**
+ * Parse a date clause into a received time range
+ * @param {string} prefix - 'after', 'before', 'received' or 'date'
+ * @param {string} operator - ':', '>', '>=', '<', '<=' or '='
+ * @param {string} value - Date, or a range "start..end" for ':'
+ * @returns {Object} - { from, to } in ms, to exclusive; either may be missing
+ */
+function parseDateRange(prefix, operator, value) {
+  if (prefix === 'after') {
+    return { from: parseDate(value).start };
+  }
+  if (prefix === 'before') {
+    return { to: parseDate(value).start };
+  }
+  if (operator === ':' && value.includes('..')) {
+    const [first, last] = value.split('..');
+    return {
+      ...(first && { from: parseDate(first).start }),
+      ...(last && { to: parseDate(last).end })
+    };
+  }
+  const date = parseDate(value);
+  switch (operator) {
+    case '>': return { from: date.end };
+    case '>=': return { from: date.start };
+    case '<': return { to: date.start };
+    case '<=': return { to: date.end };
+    default: return { from: date.start, to: date.end };
+  }
+}
+
+/**
+ * Parse a search query into clauses
+ * @param {string} query - Query (see the syntax above)
+ * @returns {Array<Object>} - Clauses: { type: 'text'|'attachment'|'read'|'draft'|'received', negate, ... }
+ * @throws {Error} - InvalidSearchQueryError when the query cannot be used
+ */
+function parseSearchQuery(query) {
+  const clauses = [];
+  const part = /(-?)(?:([a-z]+)(>=|<=|:|>|<|=))?(?:"([^"]*)"?|(\S+))/gi;
+  let match;
+
+  while ((match = part.exec(String(query || ''))) !== null) {
+    const [raw, minus, rawPrefix, operator, quoted, bare] = match;
+    const negate = minus === '-';
+    const prefix = rawPrefix && rawPrefix.toLowerCase();
+    const value = quoted !== undefined ? quoted : bare;
+
+    if (prefix && FIELD_PREFIXES[prefix] && operator === ':') {
+      clauses.push(textClause(value, FIELD_PREFIXES[prefix], quoted !== undefined, negate));
+    } else if (prefix === 'has' && operator === ':') {
+      if (!/^attachments?$/i.test(value)) {
+        throw invalidQuery(`Unsupported "has:${value}" (use has:attachment)`);
+      }
+      clauses.push({ type: 'attachment', value: true, negate });
+    } else if (prefix === 'is' && operator === ':') {
+      const state = value.toLowerCase();
+      if (state === 'read' || state === 'unread') {
+        clauses.push({ type: 'read', value: state === 'read', negate });
+      } else if (state === 'draft') {
+        clauses.push({ type: 'draft', value: true, negate });
+      } else {
+        throw invalidQuery(`Unsupported "is:${value}" (use is:read, is:unread or is:draft)`);
+      }
+    } else if ((['after', 'before'].includes(prefix) && operator === ':') ||
+               ['received', 'date'].includes(prefix)) {
+      clauses.push({ type: 'received', ...parseDateRange(prefix, operator, value), negate });
+    } else if (prefix) {
+      // Not a known prefix, e.g. a URL: search the text as written
+      clauses.push(textClause(raw.slice(minus.length), null, false, negate));
+    } else {
+      clauses.push(textClause(value, null, quoted !== undefined, negate));
+    }
+  }
+
+  const usable = clauses.filter(clause => clause.type !== 'text' || clause.tokens.length > 0);
+  if (usable.length === 0) {
+    throw invalidQuery('The query has no words or filters to search for');
+  }
+  return usable;
+}
+
+/**
+ * Build a text clause
+ * @param {string} value - Text to match
+ * @param {string[]|null} fields - Fields to search, or null for all
+ * @param {boolean} quoted - Whether the text was quoted
+ * @param {boolean} negate - Whether matches are excluded
+ * @returns {Object} - Text clause
+ */
+function textClause(value, fields, quoted, negate) {
+  const tokens = tokenize(value);
+  return {
+    type: 'text',
+    fields: fields || Object.keys(FIELD_WEIGHTS),
+    tokens,
+    // Several words, such as an address, must appear together
+    phrase: tokens.length > 1,
+    prefix: !quoted && tokens.length === 1 && /\*$/.test(value),
+    negate
+  };
+}
+
+class SearchIndex {
+  constructor() {
+    // Indexed messages: { message, folder, fields: { field: words }, length, receivedAt }
+    this.docs = [];
+    // Postings by word: Map of document number to { field: occurrences }
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Add a message to the index
+   * @param {Object} message - Synced Graph message
+   * @param {string} folder - Folder the message was synced from
+   */
+  add(message, folder) {
+    const fields = {
+      subject: tokenize(message.subject),
+      from: tokenize(recipientText(message.from)),
+      to: tokenize(recipientText(message.toRecipients)),
+      cc: tokenize(recipientText(message.ccRecipients)),
+      body: tokenize(bodyText(message))
+    };
+    const docNumber = this.docs.length;
+    let length = 0;
+
+    Object.keys(fields).forEach(field => {
+      length += fields[field].length;
+      fields[field].forEach(word => {
+        let posting = this.postings.get(word);
+        if (!posting) {
+          posting = new Map();
+          this.postings.set(word, posting);
+        }
+        let counts = posting.get(docNumber);
+        if (!counts) {
+          counts = {};
+          posting.set(docNumber, counts);
+        }
+        counts[field] = (counts[field] || 0) + 1;
+      });
+    });
+
+    this.docs.push({
+      message,
+      folder,
+      fields,
+      length,
+      receivedAt: Date.parse(message.receivedDateTime) || 0
+    });
+    this.totalLength += length;
+  }
+
+  /**
+   * Words a clause word stands for: itself, or the indexed words with its prefix
+   * @param {Object} clause - Text clause
+   * @returns {string[]} - Words
+   * @private
+   */
+  _expand(clause) {
+    if (!clause.prefix) {
+      return clause.tokens;
+    }
+    const words = [];
+    for (const word of this.postings.keys()) {
+      if (word.startsWith(clause.tokens[0])) {
+        words.push(word);
+        if (words.length >= MAX_PREFIX_EXPANSIONS) {
+          break;
+        }
+      }
+    }
+    return words;
+  }
+
+  /**
+   * Documents containing a word in any of the fields
+   * @param {string} word - Word
+   * @param {string[]} fields - Fields
+   * @returns {Set<number>} - Document numbers
+   * @private
+   */
+  _docsWithWord(word, fields) {
+    const docs = new Set();
+    const posting = this.postings.get(word);
+    if (posting) {
+      posting.forEach((counts, docNumber) => {
+        if (fields.some(field => counts[field])) {
+          docs.add(docNumber);
+        }
+      });
+    }
+    return docs;
+  }
+
+  /**
+   * Check whether a document has the clause's words next to each other in one field
+   * @param {number} docNumber - Document number
+   * @param {Object} clause - Phrase clause
+   * @returns {boolean} - True when the phrase occurs
+   * @private
+   */
+  _hasPhrase(docNumber, clause) {
+    const { fields } = this.docs[docNumber];
+    return clause.fields.some(field => {
+      const words = fields[field];
+      for (let start = 0; start + clause.tokens.length <= words.length; start++) {
+        if (clause.tokens.every((token, offset) => words[start + offset] === token)) {
+          return true;
+        }
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Documents matching a text clause
+   * @param {Object} clause - Text clause
+   * @returns {Set<number>} - Document numbers
+   * @private
+   */
+  _matchText(clause) {
+    if (clause.prefix) {
+      const docs = new Set();
+      this._expand(clause).forEach(word => this._docsWithWord(word, clause.fields).forEach(doc => docs.add(doc)));
+      return docs;
+    }
+
+    let docs = null;
+    for (const token of clause.tokens) {
+      const withWord = this._docsWithWord(token, clause.fields);
+      docs = docs ? new Set([...docs].filter(doc => withWord.has(doc))) : withWord;
+      if (docs.size === 0) {
+        return docs;
+      }
+    }
+    return clause.phrase ? new Set([...docs].filter(doc => this._hasPhrase(doc, clause))) : docs;
+  }
+
+  /**
+   * Check a document against a filter clause
+   * @param {Object} doc - Indexed document
+   * @param {Object} clause - Non-text clause
+   * @returns {boolean} - True when the document matches
+   * @private
+   */
+  _matchFilter(doc, clause) {
+    const { message } = doc;
+    switch (clause.type) {
+      case 'attachment': return Boolean(message.hasAttachments) === clause.value;
+      case 'read': return Boolean(message.isRead) === clause.value;
+      case 'draft': return Boolean(message.isDraft) === clause.value;
+      case 'received':
+        return (clause.from === undefined || doc.receivedAt >= clause.from) &&
+          (clause.to === undefined || doc.receivedAt < clause.to);
+      default: return false;
+    }
+  }
+
+  /**
+   * BM25 score of a document for the words of the positive text clauses
+   * @param {number} docNumber - Document number
+   * @param {Array<Object>} clauses - Positive text clauses
+   * @returns {number} - Score
+   * @private
+   */
+  _score(docNumber, clauses) {
+    const doc = this.docs[docNumber];
+    const averageLength = this.totalLength / this.docs.length || 1;
+    const lengthNorm = 1 - BM25_B + BM25_B * (doc.length / averageLength);
+    let score = 0;
+
+    clauses.forEach(clause => {
+      this._expand(clause).forEach(word => {
+        const posting = this.postings.get(word);
+        const counts = posting && posting.get(docNumber);
+        if (!counts) {
+          return;
+        }
+        const frequency = clause.fields.reduce((sum, field) => sum + (counts[field] || 0) * FIELD_WEIGHTS[field], 0);
+        const idf = Math.log(1 + (this.docs.length - posting.size + 0.5) / (posting.size + 0.5));
+        score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm) *
+          (clause.phrase ? PHRASE_BOOST : 1);
+      });
+    });
+    return score;
+  }
+
+  /**
+   * Search the index
+   * Results with words to rank are ordered by relevance, others by date,
+   * newest first; ties are broken by date too.
+   * @param {string|Array<Object>} query - Query, or clauses from parseSearchQuery
+   * @returns {Array<Object>} - Matches: { message, folder, score }
+   * @throws {Error} - InvalidSearchQueryError when the query cannot be used
+   */
+  search(query) {
+    const clauses = typeof query === 'string' ? parseSearchQuery(query) : query;
+    const ranked = clauses.filter(clause => clause.type === 'text' && !clause.negate);
+    let candidates = null;
+
+    ranked.forEach(clause => {
+      const docs = this._matchText(clause);
+      candidates = candidates ? new Set([...candidates].filter(doc => docs.has(doc))) : docs;
+    });
+    let results = candidates ? [...candidates] : this.docs.map((doc, docNumber) => docNumber);
+
+    clauses.filter(clause => !ranked.includes(clause)).forEach(clause => {
+      if (clause.type === 'text') {
+        const excluded = this._matchText(clause);
+        results = results.filter(doc => !excluded.has(doc));
+      } else {
+        results = results.filter(doc => this._matchFilter(this.docs[doc], clause) !== clause.negate);
+      }
+    });
+
+    return results
+      .map(docNumber => ({ docNumber, score: ranked.length > 0 ? this._score(docNumber, ranked) : 0 }))
+      .sort((a, b) => (b.score - a.score) || (this.docs[b.docNumber].receivedAt - this.docs[a.docNumber].receivedAt))
+      .map(({ docNumber, score }) => ({
+        message: this.docs[docNumber].message,
+        folder: this.docs[docNumber].folder,
+        score: Math.round(score * 1000) / 1000
+      }));
+  }
+}
+
+/**
+ * Get the search index of a mailbox's synced folders, rebuilding it when a folder synced again
+ * @param {string} account - Account identifier
+ * @param {string|null} mailbox - Shared or delegated mailbox, or null for the account's own
+ * @returns {Promise<Object>} - { index, partitions }; partitions is empty when nothing was synced
+ */
+async function getSearchIndex(account, mailbox) {
+  const store = getSyncStore();
+  const partitions = (await store.listPartitions(account, mailbox || null))
+    .filter(partition => partition.scope.startsWith('messages:') && partition.lastSyncedAt)
+    .sort((a, b) => a.lastSyncedAt.localeCompare(b.lastSyncedAt));
+  const signatureOf = list => list.map(partition => `${partition.scope}@${partition.lastSyncedAt}`).join(',');
+  const cacheKey = partitionKey(account, mailbox, '');
+
+  const cached = indexCache.get(cacheKey);
+  if (cached && cached.signature === signatureOf(partitions) && cached.store === store) {
+    return { index: cached.index, partitions };
+  }
+
+  const started = Date.now();
+  // A message moved between folders synced at different times keeps its latest copy
+  const messages = new Map();
+  const indexed = [];
+  for (const partition of partitions) {
+    const items = await store.readItems(partitionKey(account, mailbox, partition.scope));
+    // Items that could not be decrypted were moved aside; the folder syncs again from scratch
+    if (!items) {
+      continue;
+    }
+    indexed.push(partition);
+    Object.values(items).forEach(message => messages.set(message.id, { message, folder: partition.folderId }));
+  }
+
+  const index = new SearchIndex();
+  messages.forEach(({ message, folder }) => index.add(message, folder));
+  indexCache.set(cacheKey, { signature: signatureOf(indexed), store, index });
+  logger.info(`Built search index for ${account}: ${index.docs.length} messages, ${index.postings.size} words in ${Date.now() - started}ms`);
+  return { index, partitions: indexed };
+}
+
+module.exports = {
+  SearchIndex,
+  getSearchIndex,
+  parseSearchQuery,
+  tokenize
+};
@@ -0,0 +1,243 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { readSecureFile, writeSecureFile } = require('../auth/token-store');
+
+/**
+ * On-disk store for synced mailbox data
+ *
+ * A partition holds one synced scope of one mailbox: the messages of a folder
+ * or the events of a calendar window. The state file lists every partition
+ * with its delta link and sync times; each partition's items live in their
+ * own file. Both are encrypted with the token encryption key, since they hold
+ * message metadata and previews. Files that can no longer be decrypted, for
+ * example after the key was rotated twice, are moved aside and synced again
+ * from scratch.
+ */
+
+// Item file name length (hex digits of the partition key digest)
+const ITEM_FILE_DIGITS = 32;
+
+/**
+ * Key identifying a partition
+ * @param {string} account - Account identifier
+ * @param {string|null} mailbox - Shared or delegated mailbox, or null for the account's own
+ * @param {string} scope - Scope, e.g. 'messages:inbox' or 'calendar'
+ * @returns {string} - Partition key
+ */
+function partitionKey(account, mailbox, scope) {
+  return `${account}|${mailbox || ''}|${scope}`;
+}
+
+/**
+ * Scope of a mail folder; well-known names are matched case-insensitively
+ * @param {string} folderId - Folder ID or well-known name
+ * @returns {string} - Scope
+ */
+function folderScope(folderId) {
+  const id = String(folderId || 'inbox');
+  return `messages:${/^[a-z]+$/i.test(id) ? id.toLowerCase() : id}`;
+}
+
+class SyncStore {
+  /**
+   * @param {string} dir - Store directory
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.statePath = path.join(dir, 'state.json');
+    this.state = null;
+    // Time of the last write made through this server, by account
+    this.lastWriteAt = new Map();
+  }
+
+  /**
+   * Load the state file on first use
+   * @returns {Promise<Object>} - State: { partitions: { [key]: partition } }
+   * @private
+   */
+  async _loadState() {
+    if (!this.state) {
+      let content = null;
+      try {
+        content = await readSecureFile(this.statePath);
+      } catch (error) {
+        if (error.name !== 'TokenStoreError') {
+          throw error;
+        }
+        await this._moveAside(this.statePath, error);
+      }
+      this.state = content ? JSON.parse(content) : { partitions: {} };
+    }
+    return this.state;
+  }
+
+  /**
+   * Move a file that cannot be decrypted aside, so it can still be recovered
+   * @param {string} filePath - Path
+   * @param {Error} error - TokenStoreError from reading it
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _moveAside(filePath, error) {
+    const backup = `${filePath}.unreadable-${Date.now()}`;
+    await fs.promises.rename(filePath, backup);
+    logger.warn(`${error.message}; moved it to ${backup} and will sync again from scratch`);
+  }
+
+  /**
+   * Path of a partition's item file
+   * @param {string} key - Partition key
+   * @returns {string} - File path
+   * @private
+   */
+  _itemsPath(key) {
+    const digest = crypto.createHash('sha256').update(key).digest('hex').substring(0, ITEM_FILE_DIGITS);
+    return path.join(this.dir, 'items', `${digest}.json`);
+  }
+
+  /**
+   * Get a partition's state
+   * @param {string} key - Partition key
+   * @returns {Promise<Object|null>} - Partition, or null when never synced
+   */
+  async getPartition(key) {
+    const state = await this._loadState();
+    return state.partitions[key] || null;
+  }
+
+  /**
+   * List the partitions of an account
+   * @param {string} account - Account identifier
+   * @param {string} [mailbox] - Only this mailbox (null or '' for the account's own); all when undefined
+   * @returns {Promise<Array<Object>>} - Partitions
+   */
+  async listPartitions(account, mailbox) {
+    const state = await this._loadState();
+    return Object.values(state.partitions).filter(partition =>
+      partition.account === account && (mailbox === undefined || (partition.mailbox || null) === (mailbox || null)));
+  }
+
+  /**
+   * Read a partition's items
+   * When the item file cannot be decrypted, it is moved aside and the
+   * partition loses its delta link, so its next sync starts over.
+   * @param {string} key - Partition key
+   * @returns {Promise<Object|null>} - Items by ID, or null when they could not be decrypted
+   */
+  async readItems(key) {
+    const itemsPath = this._itemsPath(key);
+    try {
+      const content = await readSecureFile(itemsPath);
+      return content ? JSON.parse(content) : {};
+    } catch (error) {
+      if (error.name !== 'TokenStoreError') {
+        throw error;
+      }
+      await this._moveAside(itemsPath, error);
+      const state = await this._loadState();
+      if (state.partitions[key]) {
+        state.partitions[key] = { ...state.partitions[key], deltaLink: null, lastSyncedAt: null };
+        await writeSecureFile(this.statePath, JSON.stringify(state));
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Save a partition's items and state together
+   * @param {string} key - Partition key
+   * @param {Object} partition - Partition state
+   * @param {Object} [items] - Items by ID; the item file is left alone when omitted
+   * @returns {Promise<void>}
+   */
+  async savePartition(key, partition, items) {
+    const state = await this._loadState();
+    if (items) {
+      await writeSecureFile(this._itemsPath(key), JSON.stringify(items));
+    }
+    state.partitions[key] = partition;
+    await writeSecureFile(this.statePath, JSON.stringify(state));
+  }
+
+  /**
+   * Forget a partition and its items
+   * @param {string} key - Partition key
+   * @returns {Promise<void>}
+   */
+  async removePartition(key) {
+    const state = await this._loadState();
+    delete state.partitions[key];
+    await fs.promises.rm(this._itemsPath(key), { force: true });
+    await writeSecureFile(this.statePath, JSON.stringify(state));
+  }
+
+  /**
+   * Note that a tool changed an account's data, so synced copies are out of date
+   * @param {string} account - Account identifier
+   */
+  noteWrite(account) {
+    this.lastWriteAt.set(account, Date.now());
+  }
+
+  /**
+   * Check whether a partition is fresh enough to answer tools instead of Graph
+   * It must have synced within config.sync.maxAgeSeconds and after the
+   * account's last write through this server.
+   * @param {Object|null} partition - Partition state
+   * @returns {boolean} - True when fresh
+   */
+  isFresh(partition) {
+    if (!partition || !partition.lastSyncedAt || config.sync.maxAgeSeconds <= 0) {
+      return false;
+    }
+    const syncedAt = Date.parse(partition.lastSyncedAt);
+    const lastWrite = this.lastWriteAt.get(partition.account) || 0;
+    return Date.now() - syncedAt < config.sync.maxAgeSeconds * 1000 && syncedAt > lastWrite;
+  }
+
+  /**
+   * Get a partition's items if it is fresh
+   * @param {string} account - Account identifier
+   * @param {string|null} mailbox - Mailbox, or null for the account's own
+   * @param {string} scope - Scope
+   * @returns {Promise<Object|null>} - { partition, items: [] }, or null when not fresh
+   */
+  async getFreshItems(account, mailbox, scope) {
+    try {
+      const key = partitionKey(account, mailbox, scope);
+      const partition = await this.getPartition(key);
+      if (!this.isFresh(partition)) {
+        return null;
+      }
+      const items = await this.readItems(key);
+      return items ? { partition, items: Object.values(items) } : null;
+    } catch (error) {
+      logger.warn(`Local store unavailable for ${scope}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+// Shared store for the configured directory
+let syncStore = null;
+
+/**
+ * Get the store for config.sync.dir
+ * @returns {SyncStore} - Store
+ */
+function getSyncStore() {
+  if (!syncStore || syncStore.dir !== config.sync.dir) {
+    syncStore = new SyncStore(config.sync.dir);
+  }
+  return syncStore;
+}
+
+module.exports = {
+  SyncStore,
+  getSyncStore,
+  partitionKey,
+  folderScope
+};
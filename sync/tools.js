@@ -0,0 +1,137 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { errorResponse, describeError } = require('../utils/graph-errors');
+const { resolveAccount } = require('../utils/rate-limiter');
+const { getSyncStore } = require('./sync-store');
+const { syncFolder, syncCalendar } = require('./delta-sync');
+
+/**
+ * Parse a list parameter given as an array or comma-separated string
+ * @param {string|Array<string>} value - Parameter value
+ * @returns {Array<string>|null} - Values, or null when not given
+ */
+function parseList(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Sync mailbox handler
+ * Brings the local store up to date for the requested folders and the calendar.
+ * @param {Object} params - Tool parameters
+ * @param {string} [params.userId] - Account to sync (defaults to the signed-in account)
+ * @param {string} [params.mailbox] - Shared or delegated mailbox to sync
+ * @param {string|Array<string>} [params.folders] - Folders to sync (defaults to config.sync.folders)
+ * @param {boolean} [params.calendar=true] - Also sync the calendar window
+ * @param {boolean} [params.full=false] - Discard stored delta state and sync from scratch
+ * @returns {Promise<Object>} - MCP response
+ */
+async function syncMailboxHandler(params = {}) {
+  let account;
+  try {
+    account = await resolveAccount(params.userId);
+  } catch (error) {
+    return errorResponse(error, 'resolve account');
+  }
+
+  const mailbox = params.mailbox || null;
+  const folders = parseList(params.folders) || config.sync.folders;
+  const full = params.full === true;
+  const options = { account, userId: params.userId || account, mailbox, full };
+
+  const jobs = folders.map(folderId => ({ label: folderId, run: () => syncFolder({ ...options, folderId }) }));
+  if (params.calendar !== false) {
+    jobs.push({ label: 'calendar', run: () => syncCalendar(options) });
+  }
+
+  logger.info(`Syncing ${jobs.map(job => job.label).join(', ')} for ${account}${mailbox ? ` (mailbox ${mailbox})` : ''}`);
+
+  // One scope at a time keeps the Graph request rate even
+  const results = [];
+  for (const job of jobs) {
+    try {
+      results.push(await job.run());
+    } catch (error) {
+      logger.error(`Sync of ${job.label} failed for ${account}: ${error.message}`);
+      results.push({
+        scope: job.label,
+        error: error.message,
+        errorDetails: describeError(error, job.label === 'calendar' ? 'calendar' : 'folder')
+      });
+    }
+  }
+
+  const failed = results.filter(result => result.error).length;
+  return formatMcpResponse({
+    status: failed === 0 ? 'success' : (failed === results.length ? 'error' : 'partial'),
+    account,
+    mailbox,
+    results
+  });
+}
+
+/**
+ * Get sync status handler
+ * @param {Object} params - Tool parameters
+ * @param {string} [params.userId] - Account to report on (defaults to the signed-in account)
+ * @param {string} [params.mailbox] - Only report on this mailbox
+ * @returns {Promise<Object>} - MCP response
+ */
+async function getSyncStatusHandler(params = {}) {
+  try {
+    const account = await resolveAccount(params.userId);
+    const store = getSyncStore();
+    const partitions = await store.listPartitions(account, params.mailbox);
+    const now = Date.now();
+
+    return formatMcpResponse({
+      status: 'success',
+      account,
+      maxAgeSeconds: config.sync.maxAgeSeconds,
+      count: partitions.length,
+      partitions: partitions.map(partition => ({
+        mailbox: partition.mailbox,
+        scope: partition.scope,
+        ...(partition.folderId && { folderId: partition.folderId }),
+        ...(partition.window && { window: partition.window }),
+        itemCount: partition.itemCount,
+        lastSyncedAt: partition.lastSyncedAt,
+        ageSeconds: partition.lastSyncedAt ? Math.round((now - Date.parse(partition.lastSyncedAt)) / 1000) : null,
+        fresh: store.isFresh(partition),
+        hasDeltaLink: Boolean(partition.deltaLink),
+        ...(partition.lastError && {
+          lastError: partition.lastError,
+          lastAttemptAt: partition.lastAttemptAt
+        })
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error getting sync status: ${error.message}`);
+    return errorResponse(error, 'get sync status');
+  }
+}
+
+/**
+ * Format response for MCP
+ * @param {Object} data - Response data
+ * @returns {Object} - MCP formatted response
+ */
+function formatMcpResponse(data) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(data)
+      }
+    ]
+  };
+}
+
+module.exports = {
+  syncMailboxHandler,
+  getSyncStatusHandler
+};
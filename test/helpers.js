@@ -0,0 +1,82 @@
+const path = require('path');
+const config = require('../config');
+const { useCassette, ejectCassette } = require('../utils/graph-cassette');
+const { startFakeGraphServer } = require('../utils/fake-graph-server');
+
+/**
+ * Shared helpers for the Jest suites in __tests__
+ */
+
+// Recorded Graph traffic, one cassette per handler
+const CASSETTE_DIR = path.join(__dirname, 'cassettes');
+
+/**
+ * Cassette name of a handler, which is its tool name
+ * @param {string} handlerName - Handler function name, e.g. listEmailsHandler
+ * @returns {string} - Cassette name, e.g. list_emails
+ */
+function cassetteName(handlerName) {
+  return handlerName.replace(/Handler$/, '').replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+/**
+ * Parse the JSON payload of a tool response
+ * @param {Object} response - MCP tool response
+ * @returns {Object} - Parsed payload
+ */
+function parseResponse(response) {
+  return JSON.parse(response.content[0].text);
+}
+
+/**
+ * Record a suite's cassettes over HTTP from the fake Graph server
+ * Call inside a describe block. Outside record mode this does nothing, and
+ * the cassettes replay without a server.
+ */
+function recordFromFakeGraph() {
+  if (config.testing.cassette.mode !== 'record') {
+    return;
+  }
+
+  let graph;
+  let apiBaseUrl;
+  beforeAll(async () => {
+    graph = await startFakeGraphServer();
+    apiBaseUrl = config.microsoft.apiBaseUrl;
+    // Any host but graph.microsoft.com sends test mode requests over HTTP
+    config.microsoft.apiBaseUrl = graph.url;
+  });
+  afterAll(async () => {
+    config.microsoft.apiBaseUrl = apiBaseUrl;
+    await graph.stop();
+  });
+}
+
+/**
+ * Run a handler against its cassette
+ * The Graph traffic is replayed from test/cassettes/<tool>.json, or recorded
+ * when GRAPH_CASSETTE_MODE=record (see recordFromFakeGraph).
+ * @param {Function} handler - Tool handler
+ * @param {Object} [params={}] - Tool parameters
+ * @param {Object} [options] - Options
+ * @param {string} [options.cassette] - Cassette to use instead of the handler's own, e.g. for an error case
+ * @returns {Promise<Object>} - { result, requests }: the parsed response payload and the
+ *   scrubbed Graph requests the handler made, as { method, path, query, body }
+ */
+async function replayHandler(handler, params = {}, options = {}) {
+  const cassette = useCassette(options.cassette || cassetteName(handler.name), { dir: CASSETTE_DIR });
+  try {
+    const result = parseResponse(await handler(params));
+    return { result, requests: cassette.requests };
+  } finally {
+    ejectCassette();
+  }
+}
+
+module.exports = {
+  CASSETTE_DIR,
+  cassetteName,
+  parseResponse,
+  recordFromFakeGraph,
+  replayHandler
+};
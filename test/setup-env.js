@@ -0,0 +1,30 @@
+const os = require('os');
+const path = require('path');
+
+/**
+ * Environment for the Jest suites
+ *
+ * Loaded before each suite, ahead of config.js. Suites run in the testing
+ * profile against the mock mailbox, and everything the server writes (logs,
+ * token files, the sync store) goes to a temporary directory. Set
+ * GRAPH_CASSETTE_MODE=record to re-record the cassettes in test/cassettes
+ * from the fake Graph server.
+ */
+
+const dir = path.join(os.tmpdir(), 'enhanced-outlook-mcp-tests');
+
+Object.assign(process.env, {
+  CONFIG_PROFILE: 'testing',
+  TEST_MODE: 'true',
+  MS_API_BASE_URL: 'https://graph.microsoft.com/v1.0',
+  LOG_DIR: dir,
+  TOKEN_STORAGE_PATH: path.join(dir, 'tokens.json'),
+  MSAL_CACHE_PATH: path.join(dir, 'token-cache.json'),
+  TOKEN_ENCRYPTION_KEY: 'enhanced-outlook-mcp-tests',
+  SYNC_STORE_DIR: path.join(dir, 'sync'),
+  AUDIT_LOG_ENABLED: 'false',
+  DRY_RUN: 'false',
+  CONFIRM_DESTRUCTIVE_CATEGORIES: '',
+  MAIL_POLICY_PATH: '',
+  GRAPH_CACHE_TTL_SECONDS: '0'
+});
@@ -0,0 +1,624 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Configuration loading and validation
+ *
+ * Every setting is declared once in SCHEMA with its environment variable,
+ * type and default. The effective value of a setting comes from the first
+ * of these that sets it:
+ *
+ *   1. the environment (and .env)
+ *   2. the selected profile's section of the config file
+ *   3. the top level of the config file
+ *   4. the selected profile's defaults (PROFILES)
+ *   5. the setting's default
+ *
+ * Values are checked against their type, then against the rules in RULES
+ * and the profile's rules. All problems are collected and thrown together
+ * as one ConfigError, so a bad configuration stops the server at startup.
+ * Config is loaded once, by config.js.
+ */
+
+// Config file read when CONFIG_FILE is unset and it exists in the working directory
+const DEFAULT_CONFIG_FILE = 'outlook-mcp.config.json';
+
+// Profile used when neither CONFIG_PROFILE nor the config file names one
+const DEFAULT_PROFILE = 'development';
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Declaration of one setting
+ */
+class Setting {
+  /**
+   * @param {string} type - Key of TYPES
+   * @param {string|null} env - Environment variable, or null when only the config file sets it
+   * @param {*|Function} defaultValue - Default, or a function computing it at load time
+   * @param {Object} [options] - { min, max, values, secret, minItems }
+   */
+  constructor(type, env, defaultValue, options = {}) {
+    this.type = type;
+    this.env = env;
+    this.defaultValue = defaultValue;
+    Object.assign(this, options);
+  }
+}
+
+const setting = (type, env, defaultValue, options) => new Setting(type, env, defaultValue, options);
+const homeFile = name => () => path.join(os.homedir(), name);
+
+/**
+ * Split a comma-separated environment value
+ * @param {string} raw - Environment value
+ * @returns {Array<string>} - Trimmed, non-empty items
+ */
+function splitList(raw) {
+  return raw.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Check that a value is an absolute URL
+ * @param {string} value - Value
+ * @returns {boolean} - True if it parses
+ */
+function isUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a host name or address only accepts local connections
+ * @param {string} host - Host name or address, e.g. from MCP_HTTP_HOST
+ * @returns {boolean} - True for localhost, 127.0.0.0/8 and ::1
+ */
+function isLoopbackHost(host) {
+  const name = String(host || '').toLowerCase().replace(/^\[(.*)\]$/, '$1');
+  return name === 'localhost' || name === '::1' || /^127\.\d+\.\d+\.\d+$/.test(name);
+}
+
+/**
+ * Expand a leading ~ to the home directory, as a shell would
+ * @param {string} value - File or directory path
+ * @returns {string} - Path without a leading ~
+ */
+function expandHome(value) {
+  return value === '~' || /^~[\\/]/.test(value) ? path.join(os.homedir(), value.substring(1)) : value;
+}
+
+// Value types: how environment strings are parsed, how values are checked,
+// and how valid values from any source are normalized
+const TYPES = {
+  string: {
+    fromEnv: raw => raw,
+    check: value => typeof value === 'string' ? null : 'must be a string'
+  },
+  path: {
+    fromEnv: raw => raw,
+    check: value => typeof value === 'string' ? null : 'must be a string',
+    normalize: expandHome
+  },
+  url: {
+    fromEnv: raw => raw,
+    check: value => typeof value === 'string' && isUrl(value) ? null : 'must be an absolute URL'
+  },
+  boolean: {
+    fromEnv: raw => ({ true: true, '1': true, yes: true, false: false, '0': false, no: false })[raw.trim().toLowerCase()] ?? raw,
+    check: value => typeof value === 'boolean' ? null : 'must be true or false'
+  },
+  integer: {
+    fromEnv: raw => /^\s*-?\d+\s*$/.test(raw) ? Number(raw) : raw,
+    check: (value, { min, max }) => {
+      const range = min !== undefined && max !== undefined ? ` from ${min} to ${max}`
+        : min !== undefined ? ` of at least ${min}` : '';
+      const inRange = Number.isInteger(value) && (min === undefined || value >= min) && (max === undefined || value <= max);
+      return inRange ? null : `must be an integer${range}`;
+    }
+  },
+  enum: {
+    fromEnv: raw => raw.trim(),
+    check: (value, { values }) => values.includes(value) ? null : `must be one of ${values.join(', ')}`
+  },
+  list: {
+    fromEnv: splitList,
+    check: (value, { minItems = 0 }) => {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        return 'must be a list of strings (comma-separated in the environment)';
+      }
+      return value.length < minItems ? `must list at least ${minItems} item(s)` : null;
+    }
+  }
+};
+
+const PORT = { min: 1, max: 65535 };
+const COUNT = { min: 0 };
+const POSITIVE = { min: 1 };
+
+// Every setting, in the shape of the config object
+const SCHEMA = {
+  // Server configuration
+  server: {
+    logLevel: setting('enum', 'LOG_LEVEL', 'info', { values: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'] }),
+    tokenStoragePath: setting('path', 'TOKEN_STORAGE_PATH', homeFile('.enhanced-outlook-mcp-tokens.json')),
+    msalCachePath: setting('path', 'MSAL_CACHE_PATH', homeFile('.enhanced-outlook-mcp-token-cache.json')),
+    // Capture write requests instead of sending them, for every tool call (see utils/dry-run.js)
+    dryRun: setting('boolean', 'DRY_RUN', false),
+    // MCP transport: 'stdio' for a single local client, 'http' for Streamable HTTP and legacy SSE clients
+    transport: setting('enum', 'MCP_TRANSPORT', 'stdio', { values: ['stdio', 'http'] }),
+    http: {
+      host: setting('string', 'MCP_HTTP_HOST', '127.0.0.1'),
+      port: setting('integer', 'MCP_HTTP_PORT', 3333, PORT),
+      // Bearer token every HTTP client must send; required when transport is 'http'
+      authToken: setting('string', 'MCP_HTTP_AUTH_TOKEN', undefined, { secret: true }),
+      // Streamable HTTP sessions without a request for this long are closed
+      sessionIdleSeconds: setting('integer', 'MCP_HTTP_SESSION_IDLE_SECONDS', 1800, POSITIVE),
+      // Host and Origin headers accepted when bound to an address other than localhost
+      allowedHosts: setting('list', 'MCP_HTTP_ALLOWED_HOSTS', []),
+      allowedOrigins: setting('list', 'MCP_HTTP_ALLOWED_ORIGINS', [])
+    }
+  },
+  // Log files written by utils/logger.js
+  logging: {
+    dir: setting('path', 'LOG_DIR', () => process.cwd()),
+    // 'json' writes one JSON object per line; 'text' writes human-readable lines
+    format: setting('enum', 'LOG_FORMAT', 'json', { values: ['json', 'text'] }),
+    // Each file rotates at maxSize bytes, keeping at most maxFiles files
+    maxSize: setting('integer', 'LOG_MAX_SIZE_BYTES', 10485760, POSITIVE),
+    maxFiles: setting('integer', 'LOG_MAX_FILES', 5, POSITIVE),
+    // Field names to redact in addition to tokens, secrets and message content
+    redactKeys: setting('list', 'LOG_REDACT_KEYS', [])
+  },
+  // AES-256-GCM encryption of the token files (see auth/token-store.js)
+  tokenEncryption: {
+    // 32-byte key as base64 or hex, or a passphrase; the key file is used (and generated) when unset
+    key: setting('string', 'TOKEN_ENCRYPTION_KEY', undefined, { secret: true }),
+    keyFile: setting('path', 'TOKEN_ENCRYPTION_KEY_FILE', homeFile('.enhanced-outlook-mcp-token-key')),
+    // Keys that may still decrypt files during a rotation
+    previousKeys: setting('list', 'TOKEN_ENCRYPTION_PREVIOUS_KEYS', [], { secret: true })
+  },
+  // Microsoft Graph API configuration
+  microsoft: {
+    clientId: setting('string', 'MS_CLIENT_ID', undefined),
+    // Client credential for app-only mode
+    clientSecret: setting('string', 'MS_CLIENT_SECRET', undefined, { secret: true }),
+    authority: setting('url', 'MS_AUTHORITY', 'https://login.microsoftonline.com/common'),
+    // Delegated sign-in flow: 'browser', 'device_code', or 'auto' (device code in SSH and headless sessions)
+    authFlow: setting('enum', 'MS_AUTH_FLOW', 'auto', { values: ['browser', 'device_code', 'auto'] }),
+    // 'delegated' signs in a user; 'app' acquires app-only tokens with client credentials
+    authMode: setting('enum', 'MS_AUTH_MODE', 'delegated', { values: ['delegated', 'app'] }),
+    // Certificate credential for app-only mode, used instead of MS_CLIENT_SECRET when set
+    clientCertificate: {
+      thumbprint: setting('string', 'MS_CLIENT_CERT_THUMBPRINT', undefined),
+      privateKeyPath: setting('path', 'MS_CLIENT_CERT_PRIVATE_KEY_PATH', undefined),
+      certificatePath: setting('path', 'MS_CLIENT_CERT_PATH', undefined)
+    },
+    redirectUri: setting('url', 'MS_REDIRECT_URI', 'http://localhost:3000/auth/callback'),
+    scopes: setting('list', 'MS_SCOPES', [
+      'openid',
+      'profile',
+      'offline_access',
+      'User.Read',
+      'Mail.Read',
+      'Mail.ReadWrite',
+      'Mail.Send',
+      'Mail.ReadWrite.Shared',
+      'Mail.Send.Shared',
+      'MailboxSettings.Read',
+      'Calendars.ReadWrite',
+      'Calendars.ReadWrite.Shared',
+      'Contacts.Read'
+    ], { minItems: 1 }),
+    apiBaseUrl: setting('url', 'MS_API_BASE_URL', 'https://graph.microsoft.com/v1.0'),
+    graphApiResponseLimit: setting('integer', 'MS_GRAPH_API_RESPONSE_LIMIT', 50, POSITIVE)
+  },
+  // Hash-chained audit trail of mutating tool calls (see audit/audit-log.js)
+  audit: {
+    enabled: setting('boolean', 'AUDIT_LOG_ENABLED', true),
+    path: setting('path', 'AUDIT_LOG_PATH', homeFile('.enhanced-outlook-mcp-audit.jsonl')),
+    // HMAC key for the chain; the key file is used (and generated) when unset
+    key: setting('string', 'AUDIT_KEY', undefined, { secret: true }),
+    keyFile: setting('path', 'AUDIT_KEY_FILE', homeFile('.enhanced-outlook-mcp-audit-key'))
+  },
+  email: {
+    defaultFields: setting('list', 'EMAIL_DEFAULT_FIELDS', [
+      'id',
+      'subject',
+      'bodyPreview',
+      'receivedDateTime',
+      'from',
+      'toRecipients',
+      'ccRecipients',
+      'importance',
+      'hasAttachments',
+      'isDraft'
+    ], { minItems: 1 }),
+    maxEmailsPerRequest: setting('integer', 'MAX_EMAILS_PER_REQUEST', 20, POSITIVE),
+    // JSON outbound mail policy checked before sending, replying, forwarding and drafting (unset = no policy)
+    policyPath: setting('path', 'MAIL_POLICY_PATH', undefined)
+  },
+  calendar: {
+    defaultFields: setting('list', 'CALENDAR_DEFAULT_FIELDS', [
+      'id',
+      'subject',
+      'bodyPreview',
+      'start',
+      'end',
+      'location',
+      'attendees',
+      'organizer',
+      'isAllDay',
+      'isCancelled'
+    ], { minItems: 1 }),
+    maxEventsPerRequest: setting('integer', 'MAX_EVENTS_PER_REQUEST', 20, POSITIVE)
+  },
+  // Testing configuration
+  testing: {
+    enabled: setting('boolean', 'TEST_MODE', false),
+    mockDataDir: setting('path', 'MOCK_DATA_DIR', './utils/mock-data'),
+    userId: setting('string', 'TEST_USER_ID', 'test-user'),
+    // Record/replay of Graph traffic (off, record, replay)
+    cassette: {
+      mode: setting('enum', 'GRAPH_CASSETTE_MODE', 'off', { values: ['off', 'record', 'replay'] }),
+      dir: setting('path', 'GRAPH_CASSETTE_DIR', './test/cassettes'),
+      name: setting('string', 'GRAPH_CASSETTE', 'default')
+    }
+  },
+  // Token buckets per account (see utils/rate-limiter.js): capacity is the burst size,
+  // refillPerMinute the sustained rate. Tools use the bucket named by toolMetadata[tool].rateLimit.
+  rateLimit: {
+    buckets: {
+      read: {
+        capacity: setting('integer', 'RATE_LIMIT_READ_CAPACITY', 60, POSITIVE),
+        refillPerMinute: setting('integer', 'RATE_LIMIT_READ_PER_MINUTE', 60, POSITIVE)
+      },
+      write: {
+        capacity: setting('integer', 'RATE_LIMIT_WRITE_CAPACITY', 30, POSITIVE),
+        refillPerMinute: setting('integer', 'RATE_LIMIT_WRITE_PER_MINUTE', 30, POSITIVE)
+      },
+      send: {
+        capacity: setting('integer', 'RATE_LIMIT_SEND_CAPACITY', 10, POSITIVE),
+        refillPerMinute: setting('integer', 'RATE_LIMIT_SEND_PER_MINUTE', 10, POSITIVE)
+      },
+      // Individual Graph requests (Graph allows 10,000 per 10 minutes per mailbox)
+      graph: {
+        capacity: setting('integer', 'GRAPH_RATE_LIMIT_CAPACITY', 1000, POSITIVE),
+        refillPerMinute: setting('integer', 'GRAPH_RATE_LIMIT_PER_MINUTE', 1000, POSITIVE)
+      }
+    }
+  },
+  // Local mailbox store kept up to date with Graph delta queries (see sync/)
+  sync: {
+    // Directory holding the sync state and synced items, encrypted like the token files
+    dir: setting('path', 'SYNC_STORE_DIR', homeFile('.enhanced-outlook-mcp-sync')),
+    // Folders synced when sync_mailbox is called without folders
+    folders: setting('list', 'SYNC_FOLDERS', ['inbox', 'sentitems', 'drafts'], { minItems: 1 }),
+    // Calendar window synced around today
+    calendarPastDays: setting('integer', 'SYNC_CALENDAR_PAST_DAYS', 30, COUNT),
+    calendarFutureDays: setting('integer', 'SYNC_CALENDAR_FUTURE_DAYS', 90, COUNT),
+    // Items per delta page requested from Graph
+    pageSize: setting('integer', 'SYNC_PAGE_SIZE', 100, { min: 1, max: 1000 }),
+    // Synced data younger than this may answer tools instead of Graph (0 never does)
+    maxAgeSeconds: setting('integer', 'SYNC_MAX_AGE_SECONDS', 300, COUNT)
+  },
+  // Caching of Graph GET responses (0 disables)
+  cache: {
+    ttlSeconds: setting('integer', 'GRAPH_CACHE_TTL_SECONDS', 0, COUNT)
+  },
+  // Retry of throttled (429) and transient (503/504, network) Graph failures
+  retry: {
+    maxRetries: setting('integer', 'GRAPH_RETRY_MAX_RETRIES', 5, COUNT),
+    baseDelayMs: setting('integer', 'GRAPH_RETRY_BASE_DELAY_MS', 1000, COUNT),
+    maxDelayMs: setting('integer', 'GRAPH_RETRY_MAX_DELAY_MS', 30000, COUNT),
+    // Total time one tool call may spend waiting between retries
+    toolBudgetMs: setting('integer', 'GRAPH_RETRY_BUDGET_MS', 60000, COUNT)
+  },
+  // Two-phase confirmation of destructive tools (see utils/confirmation.js)
+  confirmation: {
+    // Categories whose destructive tools need a confirmation token, e.g. 'email,calendar', or 'all'
+    categories: setting('list', 'CONFIRM_DESTRUCTIVE_CATEGORIES', []),
+    tokenTtlSeconds: setting('integer', 'CONFIRMATION_TOKEN_TTL_SECONDS', 300, POSITIVE)
+  },
+  // Opaque nextCursor values of list and search tools (see utils/pagination-cursor.js)
+  pagination: {
+    cursorTtlSeconds: setting('integer', 'PAGINATION_CURSOR_TTL_SECONDS', 3600, POSITIVE)
+  },
+  // In-process metrics (see utils/metrics.js), reported by get_server_metrics
+  metrics: {
+    enabled: setting('boolean', 'METRICS_ENABLED', true),
+    // Path of the Prometheus text endpoint on the HTTP transport; empty to not serve it
+    prometheusPath: setting('string', 'METRICS_PROMETHEUS_PATH', '')
+  },
+  // Setup checks run by run_diagnostics and `npm run diagnose` (see diagnostics/checks.js)
+  diagnostics: {
+    // Timeout of the network checks (clock skew against the sign-in service)
+    timeoutMs: setting('integer', 'DIAGNOSTICS_TIMEOUT_MS', 5000, POSITIVE)
+  },
+  // Mailbox items exposed as MCP resources (see resources/mailbox.js)
+  resources: {
+    // Items per resources/list page, and recent messages listed when a folder is read
+    pageSize: setting('integer', 'RESOURCES_PAGE_SIZE', 50, { min: 1, max: 1000 })
+  }
+};
+
+// Rules across settings, checked in every profile; each returns a problem or null
+const RULES = [
+  (config, label) => config.server.transport === 'http' && !config.server.http.authToken
+    ? `${label('server.http.authToken')} is required when MCP_TRANSPORT is http` : null,
+  (config, label) => config.server.transport === 'http' && !isLoopbackHost(config.server.http.host) &&
+    config.server.http.allowedHosts.length === 0
+    ? `${label('server.http.allowedHosts')} is required when ${label('server.http.host')} is not a localhost address` : null,
+  (config, label) => config.retry.maxDelayMs < config.retry.baseDelayMs
+    ? `${label('retry.maxDelayMs')} must not be less than ${label('retry.baseDelayMs')}` : null,
+  (config, label) => config.metrics.prometheusPath && !config.metrics.prometheusPath.startsWith('/')
+    ? `${label('metrics.prometheusPath')} must start with /` : null,
+  (config, label) => {
+    const { authMode, clientSecret, clientCertificate } = config.microsoft;
+    if (authMode !== 'app' || config.testing.enabled || clientSecret || (clientCertificate.thumbprint && clientCertificate.privateKeyPath)) {
+      return null;
+    }
+    return `MS_AUTH_MODE=app needs ${label('microsoft.clientSecret')}, or ${label('microsoft.clientCertificate.thumbprint')} and ${label('microsoft.clientCertificate.privateKeyPath')}`;
+  },
+  (config, label) => config.microsoft.authMode === 'app' && !config.testing.enabled &&
+    /\/(common|organizations|consumers)\/?$/i.test(config.microsoft.authority)
+    ? `MS_AUTH_MODE=app needs a tenant-specific ${label('microsoft.authority')}, e.g. https://login.microsoftonline.com/<tenant-id>` : null
+];
+
+// Named profiles: defaults layered over the setting defaults, and extra rules
+const PROFILES = {
+  development: {
+    description: 'Local development with the setting defaults',
+    defaults: {},
+    rules: []
+  },
+  testing: {
+    description: 'Test mode against the mock mailbox: no tenant, debug logs, short retry delays, no audit log',
+    defaults: {
+      server: { logLevel: 'debug' },
+      testing: { enabled: true },
+      audit: { enabled: false },
+      retry: { baseDelayMs: 100, maxDelayMs: 1000 }
+    },
+    rules: []
+  },
+  production: {
+    description: 'A real tenant: JSON logs at info level; requires MS_CLIENT_ID and forbids test mode and cassettes',
+    defaults: {
+      server: { logLevel: 'info' },
+      logging: { format: 'json' }
+    },
+    rules: [
+      (config, label) => !config.microsoft.clientId ? `${label('microsoft.clientId')} is required in the production profile` : null,
+      (config, label) => config.testing.enabled ? `${label('testing.enabled')} must be false in the production profile` : null,
+      (config, label) => config.testing.cassette.mode !== 'off' ? `${label('testing.cassette.mode')} must be off in the production profile` : null
+    ]
+  }
+};
+
+/**
+ * Create a configuration error
+ * @param {Array<string>} problems - Problems found
+ * @param {Object} context - { profile, file }
+ * @returns {Error} - ConfigError with the problems in its message and `problems`
+ */
+function configError(problems, context) {
+  const where = [context.profile && `profile "${context.profile}"`, context.file && `file ${context.file}`].filter(Boolean).join(', ');
+  const error = new Error(`Invalid configuration${where ? ` (${where})` : ''}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  error.name = 'ConfigError';
+  error.problems = problems;
+  return error;
+}
+
+/**
+ * Call a function for every setting of a schema
+ * @param {Object} schema - Schema or section
+ * @param {Function} fn - Called with (key, setting), key like 'server.http.port'
+ * @param {string} [prefix] - Key prefix
+ */
+function forEachSetting(schema, fn, prefix = '') {
+  Object.entries(schema).forEach(([name, node]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (node instanceof Setting) {
+      fn(key, node);
+    } else {
+      forEachSetting(node, fn, key);
+    }
+  });
+}
+
+/**
+ * Flatten a config object into setting keys
+ * @param {Object} values - Nested values, e.g. from the config file
+ * @param {string} origin - Where they come from, for errors
+ * @param {Array<string>} problems - Collects unknown keys and misplaced values
+ * @returns {Map<string, *>} - Setting key -> value
+ */
+function flattenValues(values, origin, problems) {
+  const flat = new Map();
+  const walk = (node, schema, prefix) => {
+    Object.entries(node).forEach(([name, value]) => {
+      const key = prefix ? `${prefix}.${name}` : name;
+      const target = schema[name];
+      if (!target) {
+        problems.push(`${key} in ${origin} is not a known setting`);
+      } else if (target instanceof Setting) {
+        flat.set(key, value);
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        walk(value, target, key);
+      } else {
+        problems.push(`${key} in ${origin} must be an object of settings`);
+      }
+    });
+  };
+  walk(values, SCHEMA, '');
+  return flat;
+}
+
+/**
+ * Build a nested object from setting keys
+ * @param {Map<string, *>} flat - Setting key -> value
+ * @returns {Object} - Nested values
+ */
+function nest(flat) {
+  const result = {};
+  forEachSetting(SCHEMA, key => {
+    const names = key.split('.');
+    let node = result;
+    names.slice(0, -1).forEach(name => {
+      node = node[name] = node[name] || {};
+    });
+    node[names[names.length - 1]] = flat.get(key);
+  });
+  return result;
+}
+
+/**
+ * Read the config file
+ * @param {Object} env - Environment
+ * @returns {Object} - { file, values }; file is null when there is none
+ */
+function readConfigFile(env) {
+  const explicit = env.CONFIG_FILE;
+  const file = path.resolve(explicit || DEFAULT_CONFIG_FILE);
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !explicit) {
+      return { file: null, values: {} };
+    }
+    throw configError([`Config file ${file} cannot be read: ${error.message}`], {});
+  }
+
+  let values;
+  try {
+    values = JSON.parse(content);
+  } catch (error) {
+    throw configError([`${file} is not valid JSON: ${error.message}`], {});
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw configError([`${file} must hold a JSON object`], {});
+  }
+  return { file, values };
+}
+
+/**
+ * Load and validate the configuration
+ * @param {Object} [env=process.env] - Environment
+ * @returns {Object} - { values, profile, file, sources }; sources maps setting keys to default, profile, file or env
+ * @throws {Error} - ConfigError listing every problem found
+ */
+function loadConfig(env = process.env) {
+  const { file, values: fileValues } = readConfigFile(env);
+  const { profile: fileProfile, profiles: fileProfiles = {}, ...fileSettings } = fileValues;
+  const profile = env.CONFIG_PROFILE || fileProfile || DEFAULT_PROFILE;
+  const context = { profile, file };
+
+  if (!PROFILES[profile] && !fileProfiles[profile]) {
+    const available = [...new Set([...Object.keys(PROFILES), ...Object.keys(fileProfiles)])];
+    throw configError([`Unknown profile "${profile}" (from ${env.CONFIG_PROFILE ? 'CONFIG_PROFILE' : 'the config file'}). Available: ${available.join(', ')}`], context);
+  }
+
+  const problems = [];
+  const fileName = file ? path.basename(file) : null;
+  const layers = [
+    ['profile', flattenValues((PROFILES[profile] || {}).defaults || {}, `the ${profile} profile`, problems)],
+    ['file', flattenValues(fileSettings, fileName, problems)],
+    ['file', flattenValues(fileProfiles[profile] || {}, `${fileName} (profiles.${profile})`, problems)]
+  ];
+
+  const values = new Map();
+  const sources = {};
+  const settings = {};
+  forEachSetting(SCHEMA, (key, entry) => {
+    let value = typeof entry.defaultValue === 'function' ? entry.defaultValue() : entry.defaultValue;
+    let source = 'default';
+    layers.forEach(([layer, flat]) => {
+      if (flat.has(key)) {
+        value = flat.get(key);
+        source = layer;
+      }
+    });
+    // Empty variables count as unset, as they always have
+    if (entry.env && env[entry.env] !== undefined && env[entry.env] !== '') {
+      value = TYPES[entry.type].fromEnv(env[entry.env]);
+      source = 'env';
+    }
+    values.set(key, value);
+    sources[key] = source;
+    settings[key] = entry;
+  });
+
+  // Name a setting the way the user sets it: its key in the config file, or its variable
+  const label = key => sources[key] === 'file' ? `${key} in ${fileName}` : settings[key].env || key;
+
+  values.forEach((value, key) => {
+    const entry = settings[key];
+    if (value === undefined || value === null) {
+      return;
+    }
+    const problem = TYPES[entry.type].check(value, entry);
+    if (problem) {
+      const shown = entry.secret ? '' : `, got ${JSON.stringify(value)}`;
+      problems.push(`${label(key)} ${problem}${shown}`);
+    } else if (TYPES[entry.type].normalize) {
+      values.set(key, TYPES[entry.type].normalize(value));
+    }
+  });
+
+  // Cross-setting rules assume each value has its type
+  const config = nest(values);
+  if (problems.length === 0) {
+    [...RULES, ...((PROFILES[profile] || {}).rules || [])].forEach(rule => {
+      const problem = rule(config, label);
+      if (problem) {
+        problems.push(problem);
+      }
+    });
+  }
+
+  if (problems.length > 0) {
+    throw configError(problems, context);
+  }
+  return { values: config, profile, file, sources };
+}
+
+/**
+ * List settings with their effective values, secrets redacted
+ * @param {Object} config - Effective config object
+ * @param {Object} sources - Setting key -> source, from loadConfig
+ * @param {string} [section] - Only list this top-level section
+ * @returns {Array<Object>} - { key, env, value, source }
+ */
+function describeSettings(config, sources, section) {
+  const settings = [];
+  forEachSetting(SCHEMA, (key, entry) => {
+    if (section && key.split('.')[0] !== section) {
+      return;
+    }
+    const value = key.split('.').reduce((node, name) => (node === undefined ? undefined : node[name]), config);
+    const isSet = value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+    settings.push({
+      key,
+      env: entry.env,
+      value: entry.secret && isSet ? REDACTED : (value === undefined ? null : value),
+      source: sources[key] || 'default'
+    });
+  });
+  return settings;
+}
+
+module.exports = {
+  SCHEMA,
+  PROFILES,
+  DEFAULT_CONFIG_FILE,
+  SECTIONS: Object.keys(SCHEMA),
+  loadConfig,
+  describeSettings,
+  isLoopbackHost
+};
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+const { canonicalJson } = require('../audit/audit-log');
+
+/**
+ * Two-phase confirmation of destructive tools
+ *
+ * Tools marked requiresConfirmation in config.toolMetadata do not act on the
+ * first call. That call runs as a dry run and returns its preview with a
+ * short-lived, single-use confirmation token. The action is carried out only
+ * when the tool is called again with the same parameters and that token.
+ */
+
+// Issued tokens: token -> { toolName, paramsDigest, expiresAt }
+const pendingConfirmations = new Map();
+
+// Parameters that do not change what a call does
+const CONTROL_PARAMS = ['confirmationToken', 'dryRun'];
+
+/**
+ * Check whether a tool requires confirmation
+ * @param {string} toolName - Tool name
+ * @returns {boolean} - True when the tool needs a confirmation token
+ */
+function requiresConfirmation(toolName) {
+  return Boolean(config.toolMetadata[toolName] && config.toolMetadata[toolName].requiresConfirmation);
+}
+
+/**
+ * Digest of the parameters a token is bound to
+ * @param {string} toolName - Tool name
+ * @param {Object} [params] - Tool parameters
+ * @returns {string} - Hex digest
+ */
+function digestParams(toolName, params = {}) {
+  const relevant = { ...params };
+  CONTROL_PARAMS.forEach(name => delete relevant[name]);
+  return crypto.createHash('sha256').update(`${toolName}\n${canonicalJson(relevant)}`).digest('hex');
+}
+
+/**
+ * Forget expired tokens
+ */
+function pruneExpired() {
+  const now = Date.now();
+  for (const [token, pending] of pendingConfirmations) {
+    if (pending.expiresAt <= now) {
+      pendingConfirmations.delete(token);
+    }
+  }
+}
+
+/**
+ * Issue a confirmation token for a call
+ * @param {string} toolName - Tool name
+ * @param {Object} params - Tool parameters
+ * @returns {Object} - { token, expiresAt }
+ */
+function issueToken(toolName, params) {
+  pruneExpired();
+  const token = crypto.randomBytes(12).toString('base64url');
+  const expiresAt = Date.now() + config.confirmation.tokenTtlSeconds * 1000;
+  pendingConfirmations.set(token, { toolName, paramsDigest: digestParams(toolName, params), expiresAt });
+  logger.info(`Issued confirmation token for ${toolName}, valid for ${config.confirmation.tokenTtlSeconds}s`);
+  return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Check and take a confirmation token
+ * A token is taken by a matching call; a mismatched call leaves it valid.
+ * @param {string} toolName - Tool name
+ * @param {Object} params - Tool parameters, including confirmationToken
+ * @returns {Object} - { rejection } with the reason the token was rejected, or { pending } when taken
+ */
+function takeToken(toolName, params) {
+  pruneExpired();
+  const pending = pendingConfirmations.get(params.confirmationToken);
+  if (!pending) {
+    return { rejection: 'The confirmation token is unknown, expired or already used.' };
+  }
+  if (pending.toolName !== toolName) {
+    return { rejection: `The confirmation token was issued for ${pending.toolName}, not ${toolName}.` };
+  }
+  if (pending.paramsDigest !== digestParams(toolName, params)) {
+    return { rejection: 'The parameters differ from the call the confirmation token was issued for.' };
+  }
+  pendingConfirmations.delete(params.confirmationToken);
+  return { pending };
+}
+
+/**
+ * Format response for MCP
+ * @param {Object} data - Response data
+ * @returns {Object} - MCP formatted response
+ */
+function formatMcpResponse(data) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(data)
+      }
+    ]
+  };
+}
+
+/**
+ * Run a tool call under the confirmation protocol
+ * @param {string} toolName - Tool name
+ * @param {Object} params - Tool parameters
+ * @param {boolean} dryRun - Whether the caller asked for a dry run
+ * @param {Function} run - (dryRun, onAdmitted) => Promise<response>, runs the handler;
+ *   calls onAdmitted once the call has passed the rate limit and goes ahead
+ * @returns {Promise<Object>} - MCP response
+ */
+async function runWithConfirmation(toolName, params, dryRun, run) {
+  if (dryRun || !requiresConfirmation(toolName)) {
+    return run(dryRun);
+  }
+
+  const safeParams = params || {};
+  if (safeParams.confirmationToken) {
+    const { rejection, pending } = takeToken(toolName, safeParams);
+    if (rejection) {
+      logger.warn(`Rejected confirmation token for ${toolName}: ${rejection}`);
+      return formatMcpResponse({
+        status: 'error',
+        error: {
+          type: 'confirmation_invalid',
+          message: `${rejection} Call ${toolName} again without confirmationToken to get a new preview and token.`
+        }
+      });
+    }
+    logger.info(`Confirmation token accepted for ${toolName}`);
+    // The token is used up only by a call that goes ahead; one turned away
+    // first (e.g. rate limited) gets it back for the retry, until it expires
+    let admitted = false;
+    try {
+      return await run(false, () => {
+        admitted = true;
+      });
+    } finally {
+      if (!admitted && pending.expiresAt > Date.now()) {
+        pendingConfirmations.set(safeParams.confirmationToken, pending);
+        logger.info(`Confirmation token for ${toolName} kept: the call did not go ahead`);
+      }
+    }
+  }
+
+  // First phase: preview the call and hand out a token
+  const preview = await run(true);
+  let payload;
+  try {
+    payload = JSON.parse(preview.content[0].text);
+  } catch (error) {
+    return preview;
+  }
+  if (!payload || payload.status !== 'dry_run') {
+    // Failed before any write (e.g. invalid parameters): nothing to confirm
+    return preview;
+  }
+
+  const { token, expiresAt } = issueToken(toolName, safeParams);
+  return formatMcpResponse({
+    status: 'confirmation_required',
+    message: `${toolName} needs confirmation. Show the preview to the user and, if they agree, call ${toolName} again with the same parameters plus confirmationToken.`,
+    confirmationToken: token,
+    expiresAt,
+    preview: payload.preview,
+    requests: payload.requests
+  });
+}
+
+module.exports = {
+  requiresConfirmation,
+  runWithConfirmation
+};
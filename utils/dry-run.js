@@ -0,0 +1,300 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+/**
+ * Dry-run mode for write tools
+ *
+ * When a tool call runs in dry-run mode (DRY_RUN=true, or dryRun: true on the
+ * call), the Graph transport's dry-run middleware captures every write request
+ * instead of sending it and answers with a simulated success, so the handler
+ * runs to completion without changing anything. Reads still reach Graph. The
+ * handler's response is then replaced with the captured requests and a
+ * human-readable preview of what they would have done.
+ */
+
+// Captured requests of the tool call currently executing
+const dryRunStorage = new AsyncLocalStorage();
+
+// POST endpoints that only read data
+const READ_ONLY_POST_PATTERN = /\/(findMeetingTimes|getSchedule)$/;
+
+// Resource paths addressing a mailbox: /me/... or /users/{id}/...
+const MAILBOX_PATH_PATTERN = /^(?:https?:\/\/[^/]+)?\/?(?:(?:v1\.0|beta)\/)?(me|users\/[^/?]+)(\/[^?]*)?/;
+
+/**
+ * Check whether a tool call should run in dry-run mode
+ * A per-call dryRun: false does not override the global setting.
+ * @param {Object} [params] - Tool parameters
+ * @returns {boolean} - True for dry-run
+ */
+function isDryRunRequested(params) {
+  return config.server.dryRun || (params && params.dryRun === true) || false;
+}
+
+/**
+ * Run a tool call, in dry-run mode when enabled
+ * @param {boolean} enabled - Whether to run in dry-run mode
+ * @param {Function} fn - Async function returning the tool response
+ * @returns {Promise<Object>} - Tool response; in dry-run mode, the dry-run response
+ */
+function runWithDryRun(enabled, fn) {
+  if (!enabled) {
+    return fn();
+  }
+  const store = { requests: [] };
+  return dryRunStorage.run(store, async () => toDryRunResponse(await fn(), store.requests));
+}
+
+/**
+ * Check whether the current tool call is a dry run
+ * @returns {boolean} - True in dry-run mode
+ */
+function isDryRun() {
+  return Boolean(dryRunStorage.getStore());
+}
+
+/**
+ * Path of a request or batch sub-request without the query string
+ * @param {string} requestPath - Relative path or absolute URL
+ * @returns {string} - Path
+ */
+function stripQuery(requestPath) {
+  return String(requestPath || '').split('?')[0];
+}
+
+/**
+ * Check whether a single request would change state
+ * @param {string} method - HTTP method
+ * @param {string} requestPath - Relative path or absolute URL
+ * @returns {boolean} - True for writes
+ */
+function isWrite(method, requestPath) {
+  const upper = String(method || 'GET').toUpperCase();
+  if (upper === 'GET' || upper === 'HEAD') {
+    return false;
+  }
+  return !(upper === 'POST' && READ_ONLY_POST_PATTERN.test(stripQuery(requestPath)));
+}
+
+/**
+ * Check whether a transport request would change state
+ * A JSON batch counts as a write when any of its sub-requests does.
+ * @param {Object} request - Transport request { method, path, body }
+ * @returns {boolean} - True for writes
+ */
+function isWriteRequest(request) {
+  if (isBatch(request)) {
+    return request.body.requests.some(item => isWrite(item.method, item.url));
+  }
+  return isWrite(request.method, request.path);
+}
+
+/**
+ * @param {Object} request - Transport request
+ * @returns {boolean} - True for JSON batch requests
+ */
+function isBatch(request) {
+  return /\/\$batch$/.test(stripQuery(request.path)) && request.body && Array.isArray(request.body.requests);
+}
+
+/**
+ * Simulated Graph response body for a captured write
+ * @param {string} method - HTTP method
+ * @param {Object} [body] - Request body
+ * @param {number} index - Position of the write in this tool call
+ * @returns {Object|undefined} - Response body
+ */
+function simulatedBody(method, body, index) {
+  if (String(method).toUpperCase() === 'DELETE') {
+    return undefined;
+  }
+  const fields = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+  return { ...fields, id: `dry-run-${index}` };
+}
+
+/**
+ * Capture a write request instead of sending it
+ * @param {Object} request - Transport request, after mailbox routing
+ * @param {string} url - Absolute URL the request would have been sent to
+ * @returns {Object} - Simulated response { status, headers, body }
+ */
+function captureWriteRequest(request, url) {
+  const store = dryRunStorage.getStore();
+  const captured = { method: request.method, url };
+  if (request.body !== undefined) {
+    captured.body = request.body;
+  }
+  store.requests.push(captured);
+
+  if (isBatch(request)) {
+    return {
+      status: 200,
+      headers: {},
+      body: {
+        responses: request.body.requests.map((item, offset) => ({
+          id: item.id,
+          status: String(item.method).toUpperCase() === 'DELETE' ? 204 : 200,
+          headers: {},
+          body: simulatedBody(item.method, item.body, `${store.requests.length}-${offset + 1}`)
+        }))
+      }
+    };
+  }
+
+  return {
+    status: String(request.method).toUpperCase() === 'DELETE' ? 204 : 200,
+    headers: {},
+    body: simulatedBody(request.method, request.body, store.requests.length)
+  };
+}
+
+/**
+ * Format recipients of a message body
+ * @param {Array} [recipients] - Graph recipients
+ * @returns {string} - Comma-separated addresses
+ */
+function formatRecipients(recipients) {
+  return (recipients || [])
+    .map(recipient => recipient && recipient.emailAddress && recipient.emailAddress.address)
+    .filter(Boolean)
+    .join(', ') || 'no recipients';
+}
+
+/**
+ * Format the fields a PATCH would change
+ * @param {Object} [body] - Request body
+ * @returns {string} - Field list
+ */
+function formatFields(body) {
+  const fields = body && typeof body === 'object' ? Object.keys(body) : [];
+  return fields.length > 0 ? fields.join(', ') : 'no fields';
+}
+
+// Descriptions of write requests, matched against the resource path below /me or /users/{id}
+const DESCRIPTIONS = [
+  ['POST', /^\/sendMail$/, (m, body) => {
+    const message = (body && body.message) || {};
+    return `Send email "${message.subject || ''}" to ${formatRecipients(message.toRecipients)}`;
+  }],
+  ['POST', /^\/messages\/([^/]+)\/send$/, m => `Send draft ${m[1]}`],
+  ['POST', /^\/messages\/([^/]+)\/(reply|replyAll)$/, m => `${m[2] === 'replyAll' ? 'Reply to all on' : 'Reply to'} message ${m[1]}`],
+  ['POST', /^\/messages\/([^/]+)\/(createReply|createReplyAll)$/, m => `Create a reply draft for message ${m[1]}`],
+  ['POST', /^\/messages\/([^/]+)\/forward$/, (m, body) => `Forward message ${m[1]} to ${formatRecipients(body && body.toRecipients)}`],
+  ['POST', /^\/messages\/([^/]+)\/move$/, (m, body) => `Move message ${m[1]} to folder ${body && body.destinationId}`],
+  ['POST', /^\/messages\/([^/]+)\/copy$/, (m, body) => `Copy message ${m[1]} to folder ${body && body.destinationId}`],
+  ['POST', /^\/messages\/([^/]+)\/attachments$/, (m, body) => `Add attachment "${(body && body.name) || ''}" to message ${m[1]}`],
+  ['DELETE', /^\/messages\/([^/]+)\/attachments\/([^/]+)$/, m => `Delete attachment ${m[2]} from message ${m[1]}`],
+  ['POST', /^(?:\/mailFolders\/[^/]+)?\/messages$/, (m, body) => `Create draft "${(body && body.subject) || ''}" to ${formatRecipients(body && body.toRecipients)}`],
+  ['PATCH', /^\/messages\/([^/]+)$/, (m, body) => `Update message ${m[1]} (${formatFields(body)})`],
+  ['DELETE', /^\/messages\/([^/]+)$/, m => `Delete message ${m[1]}`],
+  ['POST', /^\/mailFolders\/([^/]+)\/childFolders$/, (m, body) => `Create folder "${(body && body.displayName) || ''}" in folder ${m[1]}`],
+  ['POST', /^\/mailFolders$/, (m, body) => `Create folder "${(body && body.displayName) || ''}"`],
+  ['POST', /^\/mailFolders\/([^/]+)\/move$/, (m, body) => `Move folder ${m[1]} to folder ${body && body.destinationId}`],
+  ['PATCH', /^\/mailFolders\/([^/]+)$/, (m, body) => `Update folder ${m[1]} (${formatFields(body)})`],
+  ['DELETE', /^\/mailFolders\/([^/]+)$/, m => `Delete folder ${m[1]}`],
+  ['POST', /^\/mailFolders\/[^/]+\/messageRules$/, (m, body) => `Create inbox rule "${(body && body.displayName) || ''}"`],
+  ['PATCH', /^\/mailFolders\/[^/]+\/messageRules\/([^/]+)$/, (m, body) => `Update inbox rule ${m[1]} (${formatFields(body)})`],
+  ['DELETE', /^\/mailFolders\/[^/]+\/messageRules\/([^/]+)$/, m => `Delete inbox rule ${m[1]}`],
+  ['POST', /^(?:\/calendars\/([^/]+))?\/events$/, (m, body) => {
+    const start = body && body.start && body.start.dateTime;
+    const end = body && body.end && body.end.dateTime;
+    return `Create event "${(body && body.subject) || ''}"${start ? ` from ${start} to ${end}` : ''}${m[1] ? ` in calendar ${m[1]}` : ''}`;
+  }],
+  ['POST', /^\/events\/([^/]+)\/cancel$/, m => `Cancel event ${m[1]} and notify attendees`],
+  ['POST', /^\/events\/([^/]+)\/(accept|decline|tentativelyAccept)$/, m => `${{ accept: 'Accept', decline: 'Decline', tentativelyAccept: 'Tentatively accept' }[m[2]]} event ${m[1]}`],
+  ['PATCH', /^\/events\/([^/]+)$/, (m, body) => `Update event ${m[1]} (${formatFields(body)})`],
+  ['DELETE', /^\/events\/([^/]+)$/, m => `Delete event ${m[1]}`]
+];
+
+/**
+ * Describe a single write request in plain words
+ * @param {string} method - HTTP method
+ * @param {string} requestUrl - Request path or URL
+ * @param {Object} [body] - Request body
+ * @returns {string} - Description
+ */
+function describeRequest(method, requestUrl, body) {
+  const upper = String(method).toUpperCase();
+  const match = MAILBOX_PATH_PATTERN.exec(stripQuery(requestUrl));
+  if (match) {
+    const resourcePath = match[2] || '';
+    const mailbox = match[1] === 'me' ? '' : ` (mailbox ${decodeURIComponent(match[1].slice('users/'.length))})`;
+    for (const [descMethod, pattern, describe] of DESCRIPTIONS) {
+      const found = descMethod === upper && pattern.exec(resourcePath);
+      if (found) {
+        return `${describe(found, body)}${mailbox}`;
+      }
+    }
+  }
+  return `${upper} ${stripQuery(requestUrl)}`;
+}
+
+/**
+ * Describe captured requests, expanding JSON batches into their sub-requests
+ * @param {Array} requests - Captured requests
+ * @returns {string[]} - One description per write
+ */
+function describeRequests(requests) {
+  const lines = [];
+  requests.forEach(request => {
+    if (/\/\$batch$/.test(stripQuery(request.url)) && request.body && Array.isArray(request.body.requests)) {
+      request.body.requests
+        .filter(item => isWrite(item.method, item.url))
+        .forEach(item => lines.push(describeRequest(item.method, item.url, item.body)));
+    } else {
+      lines.push(describeRequest(request.method, request.url, request.body));
+    }
+  });
+  return lines;
+}
+
+/**
+ * Replace a handler's response with the dry-run result
+ * @param {Object} response - MCP response the handler returned
+ * @param {Array} requests - Write requests captured during the call
+ * @returns {Object} - MCP response
+ */
+function toDryRunResponse(response, requests) {
+  let payload = null;
+  try {
+    payload = JSON.parse(response.content[0].text);
+  } catch (error) {
+    payload = null;
+  }
+
+  // Nothing would have been written (e.g. invalid parameters): keep the handler's answer
+  if (requests.length === 0) {
+    if (!payload || typeof payload !== 'object') {
+      return response;
+    }
+    return {
+      ...response,
+      content: [{ type: 'text', text: JSON.stringify({ ...payload, dryRun: true }) }, ...response.content.slice(1)]
+    };
+  }
+
+  const preview = describeRequests(requests);
+  const result = {
+    status: 'dry_run',
+    dryRun: true,
+    message: `Dry run: no changes were made. ${preview.length} write operation(s) would have been sent to Microsoft Graph.`,
+    preview: preview.map((line, index) => `${index + 1}. ${line}`).join('\n'),
+    requests
+  };
+  if (payload && payload.status === 'error') {
+    result.handlerError = payload.message;
+  }
+
+  return {
+    content: [{ type: 'text', text: JSON.stringify(result) }]
+  };
+}
+
+module.exports = {
+  isDryRunRequested,
+  runWithDryRun,
+  isDryRun,
+  isWriteRequest,
+  captureWriteRequest,
+  describeRequest
+};
@@ -0,0 +1,311 @@
+const http = require('http');
+const path = require('path');
+const express = require('express');
+const config = require('../config');
+const logger = require('./logger');
+const { MockMailbox } = require('./mock-mailbox');
+const { MAX_BATCH_REQUESTS } = require('./graph-transport');
+
+// Default error codes Graph returns for each injectable status
+const FAULT_DEFAULTS = {
+  400: { code: 'BadRequest', message: 'Injected bad request.' },
+  401: { code: 'InvalidAuthenticationToken', message: 'Access token has expired or is not yet valid.' },
+  403: { code: 'ErrorAccessDenied', message: 'Access is denied. Check credentials and try again.' },
+  404: { code: 'ErrorItemNotFound', message: 'The specified object was not found in the store.' },
+  429: { code: 'ApplicationThrottled', message: 'Application is over its MailboxConcurrency limit.' },
+  500: { code: 'InternalServerError', message: 'Injected internal server error.' },
+  503: { code: 'ServiceUnavailable', message: 'Service is temporarily unavailable. Try again later.' }
+};
+
+/**
+ * Local HTTP stand-in for the Microsoft Graph v1.0 endpoints used by this server
+ * Requests are served from a MockMailbox, so handlers running against it see the
+ * same stateful behavior as TEST_MODE. Faults can be injected per path to
+ * exercise authentication, throttling and retry handling.
+ */
+class FakeGraphServer {
+  /**
+   * Create a fake Graph server
+   * @param {Object} [options] - Server options
+   * @param {string} [options.dataDir] - Fixture directory (defaults to config.testing.mockDataDir)
+   * @param {MockMailbox} [options.mailbox] - Pre-built mailbox to serve
+   * @param {boolean} [options.requireAuth=false] - Reject requests without a bearer token
+   */
+  constructor(options = {}) {
+    this.dataDir = path.resolve(__dirname, '..', options.dataDir || config.testing.mockDataDir);
+    this.mailbox = options.mailbox || MockMailbox.fromDirectory(this.dataDir);
+    this.requireAuth = options.requireAuth === true;
+    this.faults = [];
+    this.requests = [];
+    this.server = null;
+    this.url = null;
+    this.app = this._createApp();
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port=0] - Port to listen on (0 picks a free port)
+   * @param {string} [host='127.0.0.1'] - Interface to bind
+   * @returns {Promise<string>} - Base URL including the API version, e.g. http://127.0.0.1:1234/v1.0
+   */
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer(this.app);
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        this.url = `http://${host}:${address.port}/v1.0`;
+        logger.info(`Fake Graph server listening on ${this.url}`);
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      this.server.close(error => {
+        this.server = null;
+        if (error) {
+          reject(error);
+        } else {
+          logger.info('Fake Graph server stopped');
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Inject a fault for matching requests
+   * @param {Object} fault - Fault definition
+   * @param {number} fault.status - HTTP status to return (401, 404, 429, 503, ...)
+   * @param {string|RegExp} [fault.path] - Path to match (substring or RegExp, relative to /v1.0)
+   * @param {string} [fault.method] - HTTP method to match
+   * @param {number} [fault.times=1] - Number of requests to fail (Infinity for all)
+   * @param {number} [fault.retryAfter] - Retry-After header value in seconds
+   * @param {string} [fault.code] - Graph error code
+   * @param {string} [fault.message] - Graph error message
+   * @returns {Object} - The stored fault
+   */
+  injectFault(fault) {
+    if (!fault || !fault.status) {
+      throw new Error('Fault status is required');
+    }
+    const stored = {
+      times: 1,
+      ...FAULT_DEFAULTS[fault.status],
+      ...fault,
+      method: fault.method ? fault.method.toUpperCase() : null,
+      hits: 0
+    };
+    if (stored.status === 429 && stored.retryAfter === undefined) {
+      stored.retryAfter = 1;
+    }
+    this.faults.push(stored);
+    return stored;
+  }
+
+  /**
+   * Remove all injected faults
+   */
+  clearFaults() {
+    this.faults = [];
+  }
+
+  /**
+   * Reseed the mailbox from fixtures and clear faults and the request log
+   */
+  reset() {
+    this.mailbox = MockMailbox.fromDirectory(this.dataDir);
+    this.faults = [];
+    this.requests = [];
+  }
+
+  /**
+   * Find and consume the first fault matching a request
+   * @param {string} method - HTTP method
+   * @param {string} requestPath - Path relative to /v1.0
+   * @returns {Object|null} - Matching fault
+   * @private
+   */
+  _takeFault(method, requestPath) {
+    const fault = this.faults.find(candidate => {
+      if (candidate.method && candidate.method !== method) return false;
+      if (candidate.path instanceof RegExp) return candidate.path.test(requestPath);
+      if (candidate.path) return requestPath.includes(candidate.path);
+      return true;
+    });
+
+    if (!fault) {
+      return null;
+    }
+
+    fault.hits++;
+    if (fault.hits >= fault.times) {
+      this.faults = this.faults.filter(candidate => candidate !== fault);
+    }
+    return fault;
+  }
+
+  /**
+   * Execute a single request against the mailbox, applying injected faults
+   * @param {string} method - HTTP method
+   * @param {string} url - Path relative to /v1.0, optionally with a query string
+   * @param {Object} body - Request body
+   * @param {string} baseUrl - Base URL used for @odata.nextLink
+   * @returns {Object} - { status, headers, body }
+   * @private
+   */
+  _execute(method, url, body, baseUrl) {
+    const upperMethod = method.toUpperCase();
+    const requestPath = url.split('?')[0];
+    const entry = { method: upperMethod, url, status: null };
+    this.requests.push(entry);
+
+    const fault = this._takeFault(upperMethod, requestPath);
+    if (fault) {
+      const headers = {};
+      if (fault.retryAfter !== undefined) {
+        headers['Retry-After'] = String(fault.retryAfter);
+      }
+      entry.status = fault.status;
+      return {
+        status: fault.status,
+        headers,
+        body: { error: { code: fault.code, message: fault.message } }
+      };
+    }
+
+    const response = this.mailbox.respond(upperMethod, url, { body, baseUrl });
+    entry.status = response.status;
+    return response;
+  }
+
+  /**
+   * Build the Express application
+   * @returns {express.Application} - App
+   * @private
+   */
+  _createApp() {
+    const app = express();
+    // Non-strict so a literal null body (sent by axios for bodiless requests) parses
+    app.use(express.json({ limit: '35mb', strict: false }));
+
+    // Control endpoints, for driving the server from another process
+    app.post('/__faults', (req, res) => {
+      res.status(201).json(this.injectFault(req.body));
+    });
+    app.delete('/__faults', (req, res) => {
+      this.clearFaults();
+      res.status(204).end();
+    });
+    app.get('/__requests', (req, res) => {
+      res.json({ value: this.requests });
+    });
+    app.post('/__reset', (req, res) => {
+      this.reset();
+      res.status(204).end();
+    });
+
+    app.use('/v1.0', (req, res, next) => {
+      if (!this.requireAuth) {
+        return next();
+      }
+      const authorization = req.get('Authorization') || '';
+      if (!/^Bearer\s+\S+/.test(authorization)) {
+        return res.status(401).json({ error: FAULT_DEFAULTS[401] });
+      }
+      next();
+    });
+
+    app.post('/v1.0/\\$batch', (req, res) => {
+      const requests = (req.body && req.body.requests) || [];
+      // The batch is logged ahead of its steps, which are logged as they run
+      const entry = { method: 'POST', url: '/$batch', status: 200 };
+      this.requests.push(entry);
+      if (requests.length === 0 || requests.length > MAX_BATCH_REQUESTS) {
+        entry.status = 400;
+        return res.status(400).json({
+          error: {
+            code: 'BadRequest',
+            message: `A batch must contain between 1 and ${MAX_BATCH_REQUESTS} requests.`
+          }
+        });
+      }
+
+      const baseUrl = this._baseUrl(req);
+      const responses = requests.map(request => {
+        const url = `/${String(request.url || '').replace(/^\/+/, '')}`;
+        const result = this._execute(request.method || 'GET', url, request.body, baseUrl);
+        return {
+          id: request.id,
+          status: result.status,
+          headers: { 'Content-Type': 'application/json', ...result.headers },
+          body: result.body
+        };
+      });
+
+      res.status(200).json({ responses });
+    });
+
+    app.all('/v1.0/*', (req, res) => {
+      const url = req.originalUrl.substring('/v1.0'.length);
+      const result = this._execute(req.method, url, req.body, this._baseUrl(req));
+
+      res.set(result.headers);
+      if (result.body === undefined) {
+        return res.status(result.status).end();
+      }
+      res.status(result.status).json(result.body);
+    });
+
+    return app;
+  }
+
+  /**
+   * Base URL of the current request, used for @odata.nextLink
+   * @param {express.Request} req - Request
+   * @returns {string} - Base URL ending in /v1.0
+   * @private
+   */
+  _baseUrl(req) {
+    return `${req.protocol}://${req.get('host')}/v1.0`;
+  }
+}
+
+/**
+ * Create and start a fake Graph server
+ * @param {Object} [options] - FakeGraphServer options plus port and host
+ * @returns {Promise<FakeGraphServer>} - Started server (see server.url)
+ */
+async function startFakeGraphServer(options = {}) {
+  const server = new FakeGraphServer(options);
+  await server.start(options.port || 0, options.host);
+  return server;
+}
+
+module.exports = {
+  FakeGraphServer,
+  startFakeGraphServer
+};
+
+// Allow running standalone: node utils/fake-graph-server.js
+if (require.main === module) {
+  const port = parseInt(process.env.FAKE_GRAPH_PORT || '4100', 10);
+  startFakeGraphServer({ port })
+    .then(server => {
+      console.log(`Fake Graph server listening on ${server.url}`);
+      console.log(`Start the MCP server with TEST_MODE=true MS_API_BASE_URL=${server.url}`);
+    })
+    .catch(error => {
+      console.error(`Failed to start fake Graph server: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -1,6 +1,9 @@
 const { getAuthService } = require('../auth/auth-service');
 const { EnhancedGraphApiClient } = require('./enhanced-graph-api');
 const logger = require('./logger');
+const { buildOrderBy } = require('./odata-helpers');
+const { getGraphTransport, toGraphError, MAX_BATCH_REQUESTS } = require('./graph-transport');
+const { withRetry, isRetryable, getRetryAfterMs } = require('./retry-policy');
 const auth = require('../auth/index');
 
 /**
@@ -171,24 +174,18 @@ async function createGraphClient(userId, options = {}) {
 }
 
 /**
- * Get the appropriate Graph client based on feature and migration config
+ * Get a Graph client whose requests go through the shared Graph transport
+ * (auth, retry, rate limiting, logging, caching and TEST_MODE routing)
  * @param {string} userId The user ID
  * @param {string} feature The feature area (email, calendar, etc.)
  * @returns {Promise<Object>} The Graph client
  */
 async function getGraphClient(userId, feature) {
-  try {
-    // Use the new auth system directly
-    const auth = require('../auth/index');
-    return await auth.getGraphClient(userId);
-  } catch (error) {
-    logger.error(`Fatal error getting Graph client: ${error.message}`);
-    throw error;
-  }
+  return getGraphTransport().client(userId, feature);
 }
 
 /**
- * Execute a Graph API request with the appropriate client based on migration config
+ * Execute a Graph API request through the shared Graph transport
  * 
  * @param {string} userId The user ID
  * @param {string} feature The feature area (email, calendar, etc.)
@@ -197,19 +194,7 @@ async function getGraphClient(userId, feature) {
  */
 async function executeGraphRequest(userId, feature, requestFn) {
   try {
-    // Get the appropriate Graph client based on migration config
     const client = await getGraphClient(userId, feature);
-    
-    if (!client) {
-      throw new Error(`Could not obtain a Graph client for ${feature}`);
-    }
-    
-    // Ensure the client has an 'api' method
-    if (typeof client.api !== 'function') {
-      throw new Error('Invalid Graph client - missing api method');
-    }
-    
-    // Execute the request
     return await requestFn(client);
   } catch (error) {
     logger.error(`Error executing Graph request for ${feature}: ${error.message}`);
@@ -217,11 +202,108 @@ async function executeGraphRequest(userId, feature, requestFn) {
   }
 }
 
+/**
+ * Get the page an @odata.nextLink points to
+ * 
+ * @param {string} userId The user ID
+ * @param {string} feature The feature area (email, calendar, etc.)
+ * @param {string} nextLink The @odata.nextLink of the previous page
+ * @returns {Promise<Object>} The page, with its own @odata.nextLink when more remain
+ */
+async function getNextPage(userId, feature, nextLink) {
+  return executeGraphRequest(userId, feature, async (client) => {
+    return await client.api(nextLink).get();
+  });
+}
+
+/**
+ * Execute several requests through Graph JSON batching
+ * Requests are sent in $batch calls of up to 20. Sub-requests that fail with a
+ * retryable status (429, or 503 and 504 for methods other than POST) are resent
+ * on their own under the shared retry policy, waiting for the longest
+ * Retry-After among them.
+ * 
+ * @param {string} userId The user ID
+ * @param {string} feature The feature area (email, calendar, etc.)
+ * @param {Array<Object>} requests Requests as { method, url, body }
+ * @returns {Promise<Array<Object>>} One { status, body, error } per request, in order;
+ *   error is set for failed requests
+ */
+async function executeBatch(userId, feature, requests) {
+  const results = new Array(requests.length);
+  const client = await getGraphClient(userId, feature);
+  
+  for (let offset = 0; offset < requests.length; offset += MAX_BATCH_REQUESTS) {
+    // Batch step ids are the request's index in the full list
+    let pending = requests.slice(offset, offset + MAX_BATCH_REQUESTS)
+      .map((request, index) => ({ ...request, id: String(offset + index) }));
+    // A batch with POST steps may have carried some of them out before failing
+    const method = pending.some(request => request.method === 'POST') ? 'POST' : 'GET';
+    
+    try {
+      await withRetry(async () => {
+        const response = await client.api('/$batch').post({
+          requests: pending.map(request => ({
+            id: request.id,
+            method: request.method,
+            url: request.url,
+            ...(request.body !== undefined && {
+              headers: { 'Content-Type': 'application/json' },
+              body: request.body
+            })
+          }))
+        });
+        
+        for (const item of (response && response.responses) || []) {
+          const error = item.status >= 400 ? toGraphError(item) : null;
+          results[Number(item.id)] = { status: item.status, body: item.body, error };
+        }
+        
+        pending = pending.filter(request => {
+          const result = results[Number(request.id)];
+          return result && result.error && isRetryable(result.error, request.method);
+        });
+        const retryable = pending.map(request => results[Number(request.id)].error);
+        if (retryable.length > 0) {
+          // Surface the failure with the longest Retry-After so the policy waits long enough
+          throw retryable.reduce((longest, error) =>
+            (getRetryAfterMs(error) || 0) > (getRetryAfterMs(longest) || 0) ? error : longest);
+        }
+      }, `${feature} batch of ${pending.length}`, method);
+    } catch (error) {
+      // The batch call itself failed, or retries ran out; keep per-item errors where known
+      logger.error(`Error executing Graph batch for ${feature}: ${error.message}`);
+      for (const request of pending) {
+        const index = Number(request.id);
+        if (!results[index] || !results[index].error) {
+          results[index] = { status: error.statusCode || null, body: null, error };
+        }
+      }
+    }
+  }
+  
+  // Graph answered the batch without a response for these steps
+  for (let index = 0; index < requests.length; index++) {
+    if (!results[index]) {
+      results[index] = { status: null, body: null, error: new Error('No response for batch request') };
+    }
+  }
+  
+  return results;
+}
+
 // Email related API calls
 const emailApi = {
   listMessages: async (userId, options = {}) => {
     return executeGraphRequest(userId, 'email', async (client) => {
-      const { folderId, top, filter, orderBy, skip } = options;
+      // Accept both plain option names and pre-built OData parameters ($top, $search, ...)
+      const { folderId } = options;
+      const top = options.top || options.$top;
+      const filter = options.filter || options.$filter;
+      const orderBy = options.orderBy || options.$orderby;
+      const skip = options.skip || options.$skip;
+      const select = options.select || options.$select;
+      const search = options.search || options.$search;
       
       let endpoint = '/me/messages';
       if (folderId) {
@@ -231,7 +313,13 @@ const emailApi = {
       let request = client.api(endpoint);
       
       if (filter) request = request.filter(filter);
-      if (orderBy) request = request.orderby(orderBy);
+      // $search cannot be combined with $orderby
+      if (search) {
+        request = request.search(/^".*"$/.test(search) ? search : `"${search}"`);
+      } else if (orderBy) {
+        request = request.orderby(buildOrderBy(orderBy));
+      }
+      if (select) request = request.select(select);
       if (top) request = request.top(top);
       if (skip) request = request.skip(skip);
       
@@ -241,7 +329,9 @@ const emailApi = {
   
   getMessage: async (userId, messageId, options = {}) => {
     return executeGraphRequest(userId, 'email', async (client) => {
-      return await client.api(`/me/messages/${messageId}`).get();
+      let request = client.api(`/me/messages/${messageId}`);
+      if (options.select) request = request.select(options.select);
+      return await request.get();
     });
   },
   
@@ -299,6 +389,22 @@ const emailApi = {
     });
   },
   
+  moveMessages: async (userId, messageIds, destinationId) => {
+    return executeBatch(userId, 'email', messageIds.map(messageId => ({
+      method: 'POST',
+      url: `/me/messages/${messageId}/move`,
+      body: { destinationId }
+    })));
+  },
+  
+  copyMessages: async (userId, messageIds, destinationId) => {
+    return executeBatch(userId, 'email', messageIds.map(messageId => ({
+      method: 'POST',
+      url: `/me/messages/${messageId}/copy`,
+      body: { destinationId }
+    })));
+  },
+  
   markMessageAsRead: async (userId, messageId, isRead = true) => {
     return executeGraphRequest(userId, 'email', async (client) => {
       return await client.api(`/me/messages/${messageId}`).patch({
@@ -354,6 +460,25 @@ const calendarApi = {
     });
   },
   
+  listCalendarView: async (userId, options = {}) => {
+    return executeGraphRequest(userId, 'calendar', async (client) => {
+      const { calendarId, startDateTime, endDateTime, top, filter, orderBy } = options;
+      
+      let endpoint = '/me/calendarView';
+      if (calendarId) {
+        endpoint = `/me/calendars/${calendarId}/calendarView`;
+      }
+      
+      let request = client.api(endpoint).query({ startDateTime, endDateTime });
+      
+      if (filter) request = request.filter(filter);
+      if (orderBy) request = request.orderby(orderBy);
+      if (top) request = request.top(top);
+      
+      return await request.get();
+    });
+  },
+  
   getEvent: async (userId, eventId, calendarId) => {
     return executeGraphRequest(userId, 'calendar', async (client) => {
       let endpoint;
@@ -366,9 +491,12 @@ const calendarApi = {
     });
   },
   
-  createEvent: async (userId, event) => {
+  createEvent: async (userId, event, calendarId) => {
     return executeGraphRequest(userId, 'calendar', async (client) => {
-      return await client.api('/me/events').post(event);
+      const endpoint = calendarId && calendarId !== 'primary'
+        ? `/me/calendars/${calendarId}/events`
+        : '/me/events';
+      return await client.api(endpoint).post(event);
     });
   },
   
@@ -434,6 +562,13 @@ const folderApi = {
     });
   },
   
+  getFolders: async (userId, folderIds, select = 'id,displayName') => {
+    return executeBatch(userId, 'folder', folderIds.map(folderId => ({
+      method: 'GET',
+      url: `/me/mailFolders/${folderId}?$select=${select}`
+    })));
+  },
+  
   createFolder: async (userId, folderData, parentFolderId) => {
     return executeGraphRequest(userId, 'folder', async (client) => {
       const endpoint = parentFolderId 
@@ -444,6 +579,12 @@ const folderApi = {
     });
   },
   
+  updateFolder: async (userId, folderId, folderData) => {
+    return executeGraphRequest(userId, 'folder', async (client) => {
+      return await client.api(`/me/mailFolders/${folderId}`).patch(folderData);
+    });
+  },
+  
   moveFolder: async (userId, sourceFolderId, destinationFolderId) => {
     // There's no direct way to move a folder in Graph API
     // This is a helper that copies the folder structure and contents to a new location
@@ -545,6 +686,8 @@ module.exports = {
   createGraphClient,
   getGraphClient,
   executeGraphRequest,
+  executeBatch,
+  getNextPage,
   email: emailApi,
   calendar: calendarApi,
   folder: folderApi,
@@ -0,0 +1,352 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+
+/**
+ * Record/replay of Microsoft Graph traffic
+ *
+ * In "record" mode every Graph exchange made through the Graph transport
+ * (utils/graph-transport.js) is captured, scrubbed of tokens and personal data,
+ * and appended to a JSON cassette file. In "replay" mode the same exchanges
+ * are answered from the cassette without touching the network, so handler
+ * suites run deterministically offline.
+ */
+
+const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+// Keys whose values are always secrets
+const SECRET_KEY_PATTERN = /(^|_)(access_?token|refresh_?token|id_?token|client_?secret|client_?assertion|password|authorization|code_?verifier)$/i;
+
+// Profile properties that identify a person
+const PERSON_KEYS = ['givenName', 'surname', 'mobilePhone', 'businessPhones', 'homePhones', 'officeLocation', 'jobTitle'];
+
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+const BEARER_PATTERN = /Bearer\s+[A-Za-z0-9._~+/=-]+/gi;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+// Hosts whose addresses are already fictitious and can be kept as-is
+const SAFE_EMAIL_DOMAINS = ['example.com', 'example.org', 'example.net'];
+
+/**
+ * Short stable hash used to build pseudonyms
+ * @param {string} value - Value to hash
+ * @returns {string} - 8 hex characters
+ */
+function shortHash(value) {
+  return crypto.createHash('sha256').update(String(value).toLowerCase()).digest('hex').substring(0, 8);
+}
+
+/**
+ * Replace an email address with a stable pseudonym
+ * @param {string} address - Email address
+ * @returns {string} - Pseudonymous address
+ */
+function pseudonymizeEmail(address) {
+  const domain = address.split('@')[1].toLowerCase();
+  if (SAFE_EMAIL_DOMAINS.includes(domain)) {
+    return address;
+  }
+  return `user-${shortHash(address)}@example.com`;
+}
+
+/**
+ * Scrub secrets and personal data from a string
+ * @param {string} value - String value
+ * @returns {string} - Scrubbed string
+ */
+function scrubString(value) {
+  return value
+    .replace(BEARER_PATTERN, 'Bearer [REDACTED]')
+    .replace(JWT_PATTERN, '[REDACTED]')
+    .replace(EMAIL_PATTERN, pseudonymizeEmail);
+}
+
+/**
+ * Recursively scrub tokens and PII from a request or response body
+ * Hashing keeps pseudonyms stable, so scrubbed requests recorded on one run
+ * still match the scrubbed requests issued on a later replay.
+ * @param {any} value - Value to scrub
+ * @returns {any} - Scrubbed copy
+ */
+function scrub(value) {
+  if (typeof value === 'string') {
+    return scrubString(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(scrub);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  // Profiles and emailAddress objects carry a person's name next to their address
+  const isPerson = 'userPrincipalName' in value || typeof value.address === 'string';
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (SECRET_KEY_PATTERN.test(key)) {
+      result[key] = '[REDACTED]';
+    } else if (PERSON_KEYS.includes(key)) {
+      result[key] = Array.isArray(item) ? [] : null;
+    } else if (isPerson && (key === 'name' || key === 'displayName') && typeof item === 'string' && item) {
+      result[key] = `Person ${shortHash(item)}`;
+    } else {
+      result[key] = scrub(item);
+    }
+  }
+  return result;
+}
+
+/**
+ * Reduce a URL or path to the Graph resource path (without host or version)
+ * @param {string} url - URL or path
+ * @returns {Object} - { path, query }
+ */
+function splitUrl(url) {
+  const query = {};
+  let resourcePath = String(url || '');
+
+  // A replayed nextLink names the recording host and may be appended to a different base URL
+  const absoluteIndex = Math.max(resourcePath.lastIndexOf('http://'), resourcePath.lastIndexOf('https://'));
+  if (absoluteIndex !== -1) {
+    const parsed = new URL(resourcePath.substring(absoluteIndex));
+    resourcePath = parsed.pathname + parsed.search;
+  }
+
+  const queryIndex = resourcePath.indexOf('?');
+  if (queryIndex !== -1) {
+    new URLSearchParams(resourcePath.substring(queryIndex + 1)).forEach((value, key) => {
+      query[key] = value;
+    });
+    resourcePath = resourcePath.substring(0, queryIndex);
+  }
+
+  resourcePath = `/${resourcePath.replace(/^\/+/, '').replace(/^(v1\.0|beta)\//, '')}`;
+  return { path: resourcePath, query };
+}
+
+/**
+ * Normalize a request into the scrubbed form stored in cassettes
+ * @param {Object} request - { method, url, query, body }
+ * @returns {Object} - Normalized request
+ */
+function normalizeRequest(request) {
+  const { path: resourcePath, query: urlQuery } = splitUrl(request.url);
+  const query = {};
+  const merged = { ...urlQuery, ...(request.query || {}) };
+  for (const key of Object.keys(merged).sort()) {
+    if (merged[key] !== undefined && merged[key] !== null) {
+      query[key] = scrubString(String(merged[key]));
+    }
+  }
+
+  const normalized = {
+    method: String(request.method || 'GET').toUpperCase(),
+    path: scrubString(resourcePath),
+    query
+  };
+  if (request.body !== undefined && request.body !== null) {
+    normalized.body = scrub(request.body);
+  }
+  return normalized;
+}
+
+/**
+ * Build the lookup key for a normalized request
+ * @param {Object} request - Normalized request
+ * @returns {string} - Key
+ */
+function requestKey(request) {
+  return JSON.stringify([request.method, request.path, request.query, request.body === undefined ? null : request.body]);
+}
+
+/**
+ * Error raised when replay finds no recorded interaction for a request
+ */
+class CassetteMissError extends Error {
+  constructor(request, cassetteName) {
+    const query = new URLSearchParams(request.query).toString();
+    super(`No recorded Graph interaction for ${request.method} ${request.path}${query ? `?${query}` : ''} in cassette '${cassetteName}'`);
+    this.name = 'CassetteMissError';
+    this.request = request;
+  }
+}
+
+/**
+ * A cassette file of recorded Graph interactions
+ */
+class GraphCassette {
+  /**
+   * @param {string} name - Cassette name (file name without .json)
+   * @param {Object} [options] - { mode: 'record'|'replay', dir }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.mode = options.mode || 'replay';
+    this.dir = path.resolve(__dirname, '..', options.dir || config.testing.cassette.dir);
+    this.file = path.join(this.dir, `${name}.json`);
+    this.interactions = [];
+    // Normalized requests made through this cassette, in order, for tests to inspect
+    this.requests = [];
+    this.playbackPositions = new Map();
+
+    if (!['record', 'replay'].includes(this.mode)) {
+      throw new Error(`Invalid cassette mode '${this.mode}'. Expected 'record' or 'replay'.`);
+    }
+
+    if (this.mode === 'replay') {
+      this._load();
+    }
+  }
+
+  /**
+   * Load interactions from disk
+   * @private
+   */
+  _load() {
+    if (!fs.existsSync(this.file)) {
+      throw new Error(`Cassette '${this.name}' not found at ${this.file}. Record it first with GRAPH_CASSETTE_MODE=record.`);
+    }
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.interactions = data.interactions || [];
+    logger.info(`Loaded cassette '${this.name}' with ${this.interactions.length} interactions`);
+  }
+
+  /**
+   * Write the cassette to disk
+   */
+  save() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({
+      name: this.name,
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions
+    }, null, 2));
+  }
+
+  /**
+   * Perform or replay a Graph exchange
+   * @param {Object} request - { method, url, query, body }
+   * @param {Function} perform - Sends the live request and resolves to { status, headers, body }
+   * @returns {Promise<Object>} - { status, headers, body }
+   */
+  async exchange(request, perform) {
+    const normalized = normalizeRequest(request);
+    this.requests.push(normalized);
+
+    if (this.mode === 'replay') {
+      return this._replay(normalized);
+    }
+
+    const response = await perform();
+    const headers = {};
+    for (const name of ['retry-after', 'content-type']) {
+      const value = response.headers && (response.headers[name] || response.headers[name.replace(/(^|-)\w/g, c => c.toUpperCase())]);
+      if (value !== undefined) {
+        headers[name] = String(value);
+      }
+    }
+
+    this.interactions.push({
+      request: normalized,
+      response: {
+        status: response.status,
+        headers,
+        body: response.body === undefined ? null : scrub(response.body)
+      }
+    });
+    this.save();
+    return response;
+  }
+
+  /**
+   * Answer a request from recorded interactions
+   * Identical requests replay in recorded order; once exhausted the last
+   * response repeats. Requests whose query or body differ from the recording
+   * (typically because they embed the current time) fall back to the
+   * recorded interactions for the same method and path.
+   * @param {Object} request - Normalized request
+   * @returns {Object} - { status, headers, body }
+   * @private
+   */
+  _replay(request) {
+    let key = requestKey(request);
+    let matches = this.interactions.filter(interaction => requestKey(interaction.request) === key);
+    if (matches.length === 0) {
+      key = `${request.method} ${request.path}`;
+      matches = this.interactions.filter(interaction =>
+        interaction.request.method === request.method && interaction.request.path === request.path
+      );
+      if (matches.length > 0) {
+        logger.debug(`Cassette '${this.name}': replaying ${key} by method and path only`);
+      }
+    }
+    if (matches.length === 0) {
+      throw new CassetteMissError(request, this.name);
+    }
+
+    const position = this.playbackPositions.get(key) || 0;
+    this.playbackPositions.set(key, position + 1);
+    const { response } = matches[Math.min(position, matches.length - 1)];
+    return {
+      status: response.status,
+      headers: { ...response.headers },
+      body: response.body === null ? undefined : JSON.parse(JSON.stringify(response.body))
+    };
+  }
+}
+
+// Cassette currently in use, if any
+let activeCassette = null;
+let configCassetteLoaded = false;
+
+/**
+ * Get the cassette in use, creating it from config.testing.cassette on first call
+ * @returns {GraphCassette|null} - Active cassette, or null when record/replay is off
+ */
+function getActiveCassette() {
+  if (!activeCassette && !configCassetteLoaded) {
+    configCassetteLoaded = true;
+    const { mode, name } = config.testing.cassette;
+    if (!CASSETTE_MODES.includes(mode)) {
+      throw new Error(`Invalid GRAPH_CASSETTE_MODE '${mode}'. Expected one of: ${CASSETTE_MODES.join(', ')}`);
+    }
+    if (mode !== 'off') {
+      activeCassette = new GraphCassette(name, { mode });
+    }
+  }
+  return activeCassette;
+}
+
+/**
+ * Switch to a named cassette (e.g. one per Jest suite)
+ * @param {string} name - Cassette name
+ * @param {Object} [options] - { mode, dir }
+ * @returns {GraphCassette} - Active cassette
+ */
+function useCassette(name, options = {}) {
+  configCassetteLoaded = true;
+  activeCassette = new GraphCassette(name, {
+    mode: options.mode || (config.testing.cassette.mode === 'record' ? 'record' : 'replay'),
+    dir: options.dir
+  });
+  return activeCassette;
+}
+
+/**
+ * Stop using the active cassette
+ */
+function ejectCassette() {
+  configCassetteLoaded = true;
+  activeCassette = null;
+}
+
+module.exports = {
+  GraphCassette,
+  CassetteMissError,
+  getActiveCassette,
+  useCassette,
+  ejectCassette,
+  scrub
+};
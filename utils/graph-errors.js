@@ -0,0 +1,353 @@
+const { isRetryable, getRetryAfterMs } = require('./retry-policy');
+
+/**
+ * Graph error taxonomy
+ *
+ * Maps Graph error codes (and HTTP statuses, for codes not listed) to a
+ * stable error `type`, whether retrying the same call can succeed, and the
+ * tool to call next. Handlers turn caught errors into tool responses with
+ * errorResponse, so every tool reports failures the same way.
+ */
+
+// Error types by Graph error code
+const CODE_TYPES = {
+  ErrorItemNotFound: 'not_found',
+  ResourceNotFound: 'not_found',
+  ErrorFolderNotFound: 'not_found',
+  ErrorInvalidIdMalformed: 'invalid_id',
+  ErrorInvalidIdNotAnItemAttachmentId: 'invalid_id',
+  ErrorAccessDenied: 'access_denied',
+  AccessDenied: 'access_denied',
+  Authorization_RequestDenied: 'access_denied',
+  ErrorSendAsDenied: 'send_as_denied',
+  MailboxNotEnabledForRESTAPI: 'mailbox_unavailable',
+  MailboxNotSupportedForRESTAPI: 'mailbox_unavailable',
+  ErrorQuotaExceeded: 'quota_exceeded',
+  ErrorMessageSizeExceeded: 'message_too_large',
+  ErrorInvalidRecipients: 'invalid_recipients',
+  ErrorFolderExists: 'already_exists',
+  ErrorDeleteDistinguishedFolder: 'not_allowed',
+  ErrorIrresolvableConflict: 'conflict',
+  InvalidAuthenticationToken: 'authentication_error',
+  ActivityLimitReached: 'throttled',
+  ApplicationThrottled: 'throttled',
+  ErrorServerBusy: 'service_unavailable',
+  ServiceNotAvailable: 'service_unavailable'
+};
+
+// Error types by HTTP status, for codes not in CODE_TYPES
+const STATUS_TYPES = {
+  400: 'invalid_request',
+  401: 'authentication_error',
+  403: 'access_denied',
+  404: 'not_found',
+  409: 'conflict',
+  412: 'conflict',
+  413: 'message_too_large',
+  429: 'throttled',
+  503: 'service_unavailable',
+  504: 'service_unavailable'
+};
+
+// Error types of errors thrown by name before reaching Graph
+const NAME_TYPES = {
+  AuthenticationError: 'authentication_error',
+  TokenExpiredError: 'authentication_error',
+  ThrottlingError: 'throttled',
+  EmailNotFoundError: 'not_found',
+  DraftNotFoundError: 'not_found',
+  FolderNotFoundError: 'not_found',
+  AttachmentNotFoundError: 'not_found',
+  EventNotFoundError: 'not_found',
+  CalendarNotFoundError: 'not_found',
+  RuleNotFoundError: 'not_found'
+};
+
+// Resources named in not-found errors, with the tool that lists valid IDs
+const RESOURCES = {
+  email: { label: 'Email', errorName: 'EmailNotFoundError', tool: 'list_emails', sequence: 'view_emails' },
+  draft: { label: 'Draft email', errorName: 'DraftNotFoundError', tool: 'create_draft', sequence: 'send_email_with_attachment' },
+  folder: { label: 'Folder', errorName: 'FolderNotFoundError', tool: 'list_folders', sequence: 'organize_emails' },
+  attachment: { label: 'Attachment', errorName: 'AttachmentNotFoundError', tool: 'list_attachments', sequence: 'send_email_with_attachment' },
+  event: { label: 'Event', errorName: 'EventNotFoundError', tool: 'list_events', sequence: 'view_calendar_events' },
+  calendar: { label: 'Calendar', errorName: 'CalendarNotFoundError', tool: 'list_calendars', sequence: 'view_calendar_events' },
+  rule: { label: 'Rule', errorName: 'RuleNotFoundError', tool: 'list_rules', sequence: 'setup_email_rule' }
+};
+
+// Resource of each tool category, used when a handler does not name one
+const CATEGORY_RESOURCES = {
+  email: 'email',
+  attachment: 'attachment',
+  folder: 'folder',
+  calendar: 'event',
+  rule: 'rule'
+};
+
+/**
+ * What each error type means for the caller
+ * name: error name of typed errors; retryable: whether the same call can
+ * succeed later; hint: (resource) => { message, suggestedTool, suggestedSequence }
+ */
+const ERROR_TYPES = {
+  not_found: {
+    name: 'NotFoundError',
+    retryable: false,
+    hint: resource => resource
+      ? {
+        message: `${resource.label} not found. ${resource.tool === 'create_draft'
+          ? 'Call create_draft first to create a draft email.'
+          : `Call ${resource.tool} first to get valid IDs.`}`,
+        suggestedTool: resource.tool,
+        suggestedSequence: resource.sequence
+      }
+      : { message: 'The item was not found. It may have been moved or deleted.' }
+  },
+  invalid_id: {
+    name: 'InvalidIdError',
+    retryable: false,
+    hint: resource => ({
+      message: `The ID is malformed. Use an ID exactly as returned by ${resource ? resource.tool : 'a list tool'}, without changing it.`,
+      suggestedTool: resource && resource.tool
+    })
+  },
+  access_denied: {
+    name: 'AccessDeniedError',
+    retryable: false,
+    hint: () => ({
+      message: 'Access denied. The signed-in account or app lacks permission for this mailbox or operation. Re-authenticate to grant missing scopes, or ask an administrator for access.',
+      suggestedTool: 'check_auth_status'
+    })
+  },
+  send_as_denied: {
+    name: 'SendAsDeniedError',
+    retryable: false,
+    hint: () => ({
+      message: 'The account is not allowed to send as this mailbox. Send from the signed-in mailbox, or ask an administrator to grant Send As permission.'
+    })
+  },
+  mailbox_unavailable: {
+    name: 'MailboxUnavailableError',
+    retryable: false,
+    hint: () => ({
+      message: 'This mailbox cannot be used through Microsoft Graph (it may be on-premises, inactive or unlicensed). Contact your administrator.'
+    })
+  },
+  quota_exceeded: {
+    name: 'QuotaExceededError',
+    retryable: false,
+    hint: () => ({
+      message: 'The mailbox is full. Delete or archive emails and empty Deleted Items, then try again.',
+      suggestedTool: 'list_folders'
+    })
+  },
+  message_too_large: {
+    name: 'MessageTooLargeError',
+    retryable: false,
+    hint: () => ({ message: 'The message or attachment is too large. Remove attachments or send smaller files.' })
+  },
+  invalid_recipients: {
+    name: 'InvalidRecipientsError',
+    retryable: false,
+    hint: () => ({ message: 'One or more recipient addresses are invalid. Check the addresses and try again.' })
+  },
+  already_exists: {
+    name: 'AlreadyExistsError',
+    retryable: false,
+    hint: resource => ({
+      message: 'An item with this name already exists.',
+      suggestedTool: resource && resource.tool
+    })
+  },
+  not_allowed: {
+    name: 'NotAllowedError',
+    retryable: false,
+    hint: () => ({ message: 'This operation is not allowed on this item, such as deleting a default folder.' })
+  },
+  conflict: {
+    name: 'ConflictError',
+    retryable: true,
+    hint: resource => ({
+      message: 'The item was changed at the same time. Read it again and retry.',
+      suggestedTool: resource && resource.tool
+    })
+  },
+  authentication_error: {
+    name: 'AuthenticationError',
+    retryable: false,
+    hint: () => ({
+      message: 'Authentication failed or expired. Please re-authenticate using the authenticate tool.',
+      suggestedTool: 'authenticate'
+    })
+  },
+  throttled: {
+    name: 'ThrottlingError',
+    retryable: true,
+    hint: () => ({ message: 'Microsoft Graph is throttling requests. Wait for retry_after seconds and try again.' })
+  },
+  service_unavailable: {
+    name: 'ServiceUnavailableError',
+    retryable: true,
+    hint: () => ({ message: 'Microsoft Graph is temporarily unavailable. Please try again later.' })
+  },
+  invalid_request: {
+    name: 'InvalidRequestError',
+    retryable: false,
+    hint: () => ({ message: 'Microsoft Graph rejected the request. Check the parameters.' })
+  },
+  api_error: {
+    name: 'GraphAPIError',
+    retryable: false,
+    hint: () => ({ message: 'Microsoft Graph returned an error.' })
+  },
+  internal_error: {
+    name: 'InternalError',
+    retryable: false,
+    hint: () => ({ message: 'An unexpected error occurred. Please try again or check the server logs.' })
+  }
+};
+
+/**
+ * HTTP status of an error
+ * @param {Error} error - Error
+ * @returns {number|null} - Status
+ */
+function statusOf(error) {
+  return error.status || error.statusCode || (error.response && error.response.status) || null;
+}
+
+/**
+ * Error type of an error
+ * @param {Error} error - Error from a handler or the Graph transport
+ * @returns {string} - Key of ERROR_TYPES
+ */
+function errorType(error) {
+  if (error.errorType && ERROR_TYPES[error.errorType]) {
+    return error.errorType;
+  }
+  if (error.code && CODE_TYPES[error.code]) {
+    return CODE_TYPES[error.code];
+  }
+  const status = statusOf(error);
+  if (status && STATUS_TYPES[status]) {
+    return STATUS_TYPES[status];
+  }
+  if (NAME_TYPES[error.name]) {
+    return NAME_TYPES[error.name];
+  }
+  if (isRetryable(error)) {
+    return 'service_unavailable';
+  }
+  return error.name === 'GraphAPIError' || status ? 'api_error' : 'internal_error';
+}
+
+/**
+ * Resource named by a legacy not-found error, e.g. EmailNotFoundError
+ * @param {Error} error - Error
+ * @returns {string|null} - Key of RESOURCES
+ */
+function resourceFromName(error) {
+  return Object.keys(RESOURCES).find(key => RESOURCES[key].errorName === error.name) || null;
+}
+
+/**
+ * Classify an error
+ * @param {Error} error - Error from a handler or the Graph transport
+ * @param {string} [resource] - Resource the call works on (email, draft, folder, attachment, event, calendar, rule)
+ * @returns {Object} - { type, name, code, status, retryable, retryAfter, message, suggestedTool, suggestedSequence }
+ */
+function classifyError(error, resource) {
+  const type = errorType(error);
+  const definition = ERROR_TYPES[type];
+  const resourceInfo = RESOURCES[resourceFromName(error) || resource] || null;
+  const hint = definition.hint(resourceInfo);
+
+  let retryAfter = null;
+  if (type === 'throttled' || type === 'service_unavailable') {
+    const retryAfterMs = getRetryAfterMs(error);
+    retryAfter = error.retryAfter || (retryAfterMs !== null ? Math.ceil(retryAfterMs / 1000) : null);
+  }
+
+  return {
+    type,
+    name: type === 'not_found' && resourceInfo ? resourceInfo.errorName : definition.name,
+    code: error.code && error.code !== 'unknown' ? error.code : null,
+    status: statusOf(error),
+    retryable: definition.retryable,
+    retryAfter,
+    message: hint.message,
+    suggestedTool: hint.suggestedTool || null,
+    suggestedSequence: hint.suggestedSequence || null
+  };
+}
+
+/**
+ * Convert an error to a typed error, keeping the original as its cause
+ * @param {Error} error - Error from a handler or the Graph transport
+ * @param {string} [resource] - Resource the call works on
+ * @returns {Error} - Error named after its type (e.g. EmailNotFoundError, QuotaExceededError)
+ *   with type, code, status, retryable, retryAfter and suggestedTool
+ */
+function toTypedError(error, resource) {
+  const classified = classifyError(error, resource);
+  const typed = new Error(error.message);
+  Object.assign(typed, classified, { message: error.message, hint: classified.message, cause: error });
+  return typed;
+}
+
+/**
+ * Error details for a tool response
+ * @param {Error} error - Error from a handler or the Graph transport
+ * @param {string} [resource] - Resource the call works on
+ * @returns {Object} - { type, message, code, status, retryable, retry_after, suggested_tool, suggested_sequence }
+ */
+function describeError(error, resource) {
+  const classified = classifyError(error, resource);
+  return {
+    type: classified.type,
+    message: classified.message,
+    ...(classified.code && { code: classified.code }),
+    ...(classified.status && { status: classified.status }),
+    retryable: classified.retryable,
+    ...(classified.retryAfter !== null && { retry_after: classified.retryAfter }),
+    ...(classified.suggestedTool && { suggested_tool: classified.suggestedTool }),
+    ...(classified.suggestedSequence && { suggested_sequence: classified.suggestedSequence })
+  };
+}
+
+/**
+ * Tool response for a failed call
+ * @param {Error} error - Error from a handler or the Graph transport
+ * @param {string} action - What the call was doing, e.g. 'read email'
+ * @param {string} [resource] - Resource the call works on
+ * @returns {Object} - MCP formatted response with status, message and error details
+ */
+function errorResponse(error, action, resource) {
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({
+        status: 'error',
+        message: `Failed to ${action}: ${error.message}`,
+        error: describeError(error, resource)
+      })
+    }]
+  };
+}
+
+/**
+ * Resource a tool works on, from its category in config.toolMetadata
+ * @param {Object} [metadata] - Tool metadata
+ * @returns {string|null} - Key of RESOURCES
+ */
+function resourceForTool(metadata) {
+  return (metadata && CATEGORY_RESOURCES[metadata.category]) || null;
+}
+
+module.exports = {
+  ERROR_TYPES,
+  classifyError,
+  toTypedError,
+  describeError,
+  errorResponse,
+  resourceForTool
+};
@@ -0,0 +1,605 @@
+const axios = require('axios');
+const NodeCache = require('node-cache');
+const config = require('../config');
+const logger = require('./logger');
+const { rateLimiter, resolveAccount } = require('./rate-limiter');
+const { withRetry, isRetryable } = require('./retry-policy');
+const { getActiveCassette } = require('./graph-cassette');
+const { mailboxMiddleware } = require('./mailbox-routing');
+const { getCorrelationId } = require('./log-context');
+const { isDryRun, isWriteRequest, captureWriteRequest } = require('./dry-run');
+const { metrics } = require('./metrics');
+
+/**
+ * Single transport for Microsoft Graph requests
+ *
+ * Every Graph call (the emailApi/calendarApi/folderApi/rulesApi helpers,
+ * EnhancedGraphApiClient and the fluent clients returned by auth) is sent
+ * through one ordered middleware pipeline. A middleware is an async function
+ * (request, next) => response, where request is
+ * { method, path, query, body, headers, userId, feature, mailbox } and response is
+ * { status, headers, body }. Error statuses travel back up the pipeline as
+ * responses and are turned into a GraphAPIError once, in send().
+ */
+
+// Hosts served by the in-memory mailbox in TEST_MODE; anything else is a fake Graph server
+const GRAPH_HOST = 'graph.microsoft.com';
+
+// Graph limits JSON batches to 20 requests
+const MAX_BATCH_REQUESTS = 20;
+
+/**
+ * Build the error thrown for a failed Graph response
+ * @param {Object} response - { status, headers, body }
+ * @returns {Error} - GraphAPIError, AuthenticationError (401) or ThrottlingError (429)
+ */
+function toGraphError(response) {
+  const details = (response.body && response.body.error) || {};
+  const error = new Error(details.message || `Graph request failed with status ${response.status}`);
+  error.name = 'GraphAPIError';
+  error.status = response.status;
+  error.statusCode = response.status;
+  error.code = details.code || 'unknown';
+  error.body = response.body;
+  error.data = response.body;
+  error.headers = response.headers || {};
+
+  if (response.status === 401) {
+    error.name = 'AuthenticationError';
+    error.message = 'Authentication failed. Please re-authenticate.';
+  }
+
+  if (response.status === 429) {
+    const key = Object.keys(error.headers).find(name => name.toLowerCase() === 'retry-after');
+    error.name = 'ThrottlingError';
+    error.retryAfter = key ? parseInt(error.headers[key], 10) : null;
+  }
+
+  return error;
+}
+
+/**
+ * Fluent request builder mirroring the subset of the Graph SDK
+ * GraphRequest interface used by this server
+ */
+class GraphRequest {
+  /**
+   * @param {Object} backend - Object with handle(method, path, { query, body, headers })
+   *   resolving to the response body, such as a MockMailbox or the transport
+   * @param {string} path - Request path or URL
+   */
+  constructor(backend, path) {
+    this.backend = backend;
+    this.path = path.startsWith(config.microsoft.apiBaseUrl)
+      ? path.substring(config.microsoft.apiBaseUrl.length)
+      : path;
+    this.queryOptions = {};
+    this.requestHeaders = {};
+  }
+
+  filter(value) { this.queryOptions.$filter = value; return this; }
+  orderby(value) { this.queryOptions.$orderby = value; return this; }
+  top(value) { this.queryOptions.$top = String(value); return this; }
+  skip(value) { this.queryOptions.$skip = String(value); return this; }
+  search(value) { this.queryOptions.$search = value; return this; }
+  expand(value) { this.queryOptions.$expand = Array.isArray(value) ? value.join(',') : value; return this; }
+  count(value = true) { this.queryOptions.$count = String(value); return this; }
+
+  select(value) {
+    this.queryOptions.$select = Array.isArray(value) ? value.join(',') : value;
+    return this;
+  }
+
+  /**
+   * Add raw query options, as an object or "key=value" string
+   * @param {Object|string} value - Query options
+   * @returns {GraphRequest} - This request
+   */
+  query(value) {
+    if (typeof value === 'string') {
+      new URLSearchParams(value).forEach((v, k) => { this.queryOptions[k] = v; });
+    } else {
+      Object.assign(this.queryOptions, value);
+    }
+    return this;
+  }
+
+  header(name, value) { this.requestHeaders[name] = value; return this; }
+  headers(values) { Object.assign(this.requestHeaders, values); return this; }
+
+  async _send(method, body) {
+    return this.backend.handle(method, this.path, {
+      query: this.queryOptions,
+      body,
+      headers: this.requestHeaders
+    });
+  }
+
+  get() { return this._send('GET'); }
+  post(body) { return this._send('POST', body); }
+  patch(body) { return this._send('PATCH', body); }
+  put(body) { return this._send('PUT', body); }
+  delete() { return this._send('DELETE'); }
+  del() { return this._send('DELETE'); }
+}
+
+/**
+ * Graph SDK-compatible client exposing the fluent api(path) interface
+ */
+class GraphClient {
+  /**
+   * @param {Object} backend - Request backend (see GraphRequest)
+   */
+  constructor(backend) {
+    this.backend = backend;
+  }
+
+  /**
+   * Start a request
+   * @param {string} path - Request path or URL
+   * @returns {GraphRequest} - Request builder
+   */
+  api(path) {
+    return new GraphRequest(this.backend, path);
+  }
+}
+
+/**
+ * Ordered middleware pipeline ending in a terminal handler
+ */
+class GraphTransport {
+  /**
+   * @param {Function} [terminal] - Innermost handler, (request) => response (defaults to HTTP)
+   */
+  constructor(terminal = sendHttp) {
+    this.middleware = [];
+    this.terminal = terminal;
+  }
+
+  /**
+   * Append a middleware; earlier middleware wrap later ones
+   * @param {string} name - Name used by insertBefore() and remove()
+   * @param {Function} fn - Middleware (request, next) => response
+   * @returns {GraphTransport} - This transport
+   */
+  use(name, fn) {
+    this.middleware.push({ name, fn });
+    return this;
+  }
+
+  /**
+   * Insert a middleware in front of an existing one
+   * @param {string} existing - Name of the middleware to insert before
+   * @param {string} name - Name of the new middleware
+   * @param {Function} fn - Middleware (request, next) => response
+   * @returns {GraphTransport} - This transport
+   */
+  insertBefore(existing, name, fn) {
+    const index = this.middleware.findIndex(entry => entry.name === existing);
+    if (index === -1) {
+      throw new Error(`No Graph middleware named '${existing}'`);
+    }
+    this.middleware.splice(index, 0, { name, fn });
+    return this;
+  }
+
+  /**
+   * Remove a middleware
+   * @param {string} name - Middleware name
+   * @returns {GraphTransport} - This transport
+   */
+  remove(name) {
+    this.middleware = this.middleware.filter(entry => entry.name !== name);
+    return this;
+  }
+
+  /**
+   * Send a request through the pipeline
+   * @param {Object} request - { method, path, query, body, headers, userId, feature, mailbox }
+   * @returns {Promise<Object>} - { status, headers, body }
+   * @throws {Error} - GraphAPIError (or a subtype) for error statuses
+   */
+  async send(request) {
+    const normalized = {
+      method: String(request.method || 'GET').toUpperCase(),
+      path: request.path,
+      query: { ...(request.query || {}) },
+      body: request.body === null ? undefined : request.body,
+      headers: { ...(request.headers || {}) },
+      userId: request.userId || 'default',
+      feature: request.feature || 'graph',
+      mailbox: request.mailbox
+    };
+
+    const dispatch = (index) => async (current) => {
+      const entry = this.middleware[index];
+      return entry ? entry.fn(current, dispatch(index + 1)) : this.terminal(current);
+    };
+
+    const response = await dispatch(0)(normalized);
+    if (response.status >= 400) {
+      throw toGraphError(response);
+    }
+    return response;
+  }
+
+  /**
+   * Get a fluent client whose requests go through this transport
+   * @param {string} [userId='default'] - Account the requests are made for
+   * @param {string} [feature='graph'] - Feature area, used for logging
+   * @returns {GraphClient} - Client
+   */
+  client(userId = 'default', feature = 'graph') {
+    return new GraphClient({
+      handle: async (method, path, options = {}) => {
+        const response = await this.send({ method, path, ...options, userId, feature });
+        return response.body;
+      }
+    });
+  }
+}
+
+/**
+ * Resolve a request path against config.microsoft.apiBaseUrl
+ * @param {string} requestPath - Relative path or absolute URL (e.g. an @odata.nextLink)
+ * @returns {string} - Absolute URL
+ */
+function resolveUrl(requestPath) {
+  if (/^https?:\/\//.test(requestPath)) {
+    return requestPath;
+  }
+  return `${config.microsoft.apiBaseUrl}/${String(requestPath).replace(/^\//, '')}`;
+}
+
+/**
+ * Encode query options with encodeURIComponent (axios would send spaces as "+")
+ * @param {Object} params - Query options
+ * @returns {string} - Query string
+ */
+function serializeQuery(params) {
+  return Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+}
+
+/**
+ * Terminal handler sending the request over HTTP
+ * @param {Object} request - Pipeline request
+ * @returns {Promise<Object>} - { status, headers, body }
+ */
+async function sendHttp(request) {
+  try {
+    const response = await axios({
+      method: request.method,
+      url: resolveUrl(request.path),
+      params: request.query,
+      paramsSerializer: serializeQuery,
+      data: request.body,
+      headers: { 'Content-Type': 'application/json', ...request.headers },
+      validateStatus: () => true
+    });
+    const headers = typeof response.headers.toJSON === 'function' ? response.headers.toJSON() : { ...response.headers };
+    return {
+      status: response.status,
+      headers,
+      body: response.data === '' ? undefined : response.data
+    };
+  } catch (error) {
+    if (!error.request) {
+      throw error;
+    }
+    // The request was made but no response was received
+    const networkError = new Error(`No response received from Microsoft Graph API: ${error.message}`);
+    networkError.name = 'NetworkError';
+    networkError.code = error.code;
+    networkError.cause = error;
+    throw networkError;
+  }
+}
+
+/**
+ * Capture write requests in dry-run mode instead of sending them
+ * Reads pass through, so handlers can still look up what they would change.
+ * @returns {Function} - Middleware
+ */
+function dryRunMiddleware() {
+  return async (request, next) => {
+    if (!isDryRun() || !isWriteRequest(request)) {
+      return next(request);
+    }
+    const query = serializeQuery(request.query);
+    logger.info(`Dry run: not sending ${request.method} ${request.path}`);
+    return captureWriteRequest(request, `${resolveUrl(request.path)}${query ? `?${query}` : ''}`);
+  };
+}
+
+/**
+ * Log each request with its status and duration
+ * @returns {Function} - Middleware
+ */
+function loggingMiddleware() {
+  return async (request, next) => {
+    const started = Date.now();
+    // Tag the request with the tool call's correlation ID so Graph-side diagnostics can be matched up
+    const correlationId = getCorrelationId();
+    const hasClientRequestId = Object.keys(request.headers).some(name => name.toLowerCase() === 'client-request-id');
+    const tagged = correlationId && !hasClientRequestId
+      ? { ...request, headers: { ...request.headers, 'client-request-id': correlationId } }
+      : request;
+    logger.debug(`Graph request (${request.feature}, ${request.userId}): ${request.method} ${request.path}`);
+    try {
+      const response = await next(tagged);
+      const level = response.status >= 400 ? 'warn' : 'debug';
+      logger[level](`Graph response: ${request.method} ${request.path} ${response.status} in ${Date.now() - started}ms`, {
+        graphRequestId: graphRequestId(response.headers)
+      });
+      return response;
+    } catch (error) {
+      logger.error(`Graph request failed: ${request.method} ${request.path} after ${Date.now() - started}ms: ${error.message}`, {
+        graphRequestId: graphRequestId(error.headers)
+      });
+      throw error;
+    }
+  };
+}
+
+/**
+ * Graph's own ID for a request, quoted when reporting issues to Microsoft
+ * @param {Object} [headers] - Response headers
+ * @returns {string|undefined} - request-id header value
+ */
+function graphRequestId(headers) {
+  if (!headers) {
+    return undefined;
+  }
+  const key = Object.keys(headers).find(name => name.toLowerCase() === 'request-id');
+  return key ? String(headers[key]) : undefined;
+}
+
+/**
+ * Limit the Graph request rate per account with the 'graph' token bucket
+ * @param {Object} [limiter=rateLimiter] - RateLimiter instance
+ * @returns {Function} - Middleware
+ */
+function rateLimitMiddleware(limiter = rateLimiter) {
+  return async (request, next) => {
+    await limiter.check(await resolveAccount(request.userId), 'graph');
+    return next(request);
+  };
+}
+
+/**
+ * Cache successful GET responses per account for config.cache.ttlSeconds
+ * Any write by an account clears that account's cached responses.
+ * @returns {Function} - Middleware
+ */
+function cacheMiddleware() {
+  const cache = new NodeCache({ checkperiod: 120, useClones: true });
+
+  return async (request, next) => {
+    const ttl = config.cache.ttlSeconds;
+    if (!ttl || ttl <= 0) {
+      return next(request);
+    }
+
+    const prefix = `${request.userId}|`;
+    if (request.method !== 'GET') {
+      cache.del(cache.keys().filter(key => key.startsWith(prefix)));
+      return next(request);
+    }
+
+    const key = `${prefix}${request.path}|${JSON.stringify(request.query)}`;
+    const cached = cache.get(key);
+    if (cached) {
+      logger.debug(`Graph cache hit: GET ${request.path}`);
+      return cached;
+    }
+
+    const response = await next(request);
+    if (response.status === 200) {
+      cache.set(key, response, ttl);
+    }
+    return response;
+  };
+}
+
+/**
+ * Method that decides how a request may be retried
+ * A $batch is always a POST, but one without POST steps is as safe to repeat as its steps.
+ * @param {Object} request - Transport request
+ * @returns {string} - HTTP method
+ */
+function retryMethod(request) {
+  const steps = request.path === '/$batch' && request.body && request.body.requests;
+  return Array.isArray(steps) && !steps.some(step => step.method === 'POST') ? 'GET' : request.method;
+}
+
+/**
+ * Retry throttled and transient failures under the shared retry policy
+ * @returns {Function} - Middleware
+ */
+function retryMiddleware() {
+  return (request, next) => {
+    const method = retryMethod(request);
+    return withRetry(async () => {
+      const response = await next(request);
+      if (response.status >= 400) {
+        const error = toGraphError(response);
+        if (isRetryable(error, method)) {
+          throw error;
+        }
+      }
+      return response;
+    }, `${request.method} ${request.path}`, method);
+  };
+}
+
+/**
+ * Attach the bearer token, refreshing it and retrying once on a 401
+ * @returns {Function} - Middleware
+ */
+function authMiddleware() {
+  return async (request, next) => {
+    // Required lazily: auth-service hands out clients built on this transport
+    const { getAuthService } = require('../auth/auth-service');
+    const authService = getAuthService();
+
+    const token = await authService.getTokenSilently();
+    if (!token) {
+      const error = new Error('No cached token available. Call authenticate() first.');
+      error.name = 'AuthenticationError';
+      throw error;
+    }
+
+    const response = await next({ ...request, headers: { ...request.headers, Authorization: `Bearer ${token}` } });
+    if (response.status !== 401) {
+      return response;
+    }
+
+    logger.warn(`Received 401 for ${request.method} ${request.path}, refreshing token and retrying once`);
+    const refreshed = await authService.getTokenSilently(true);
+    if (!refreshed) {
+      return response;
+    }
+    return next({ ...request, headers: { ...request.headers, Authorization: `Bearer ${refreshed}` } });
+  };
+}
+
+// Collections whose next path segment is an item ID, for metrics endpoints
+const ID_COLLECTIONS = new Set(['messages', 'events', 'mailFolders', 'childFolders', 'attachments', 'calendars', 'messageRules', 'users', 'instances']);
+
+// Well-known folder names kept in metrics endpoints
+const WELL_KNOWN_FOLDERS = new Set(['inbox', 'drafts', 'sentitems', 'deleteditems', 'archive', 'junkemail', 'outbox', 'msgfolderroot', 'clutter', 'conversationhistory', 'recoverableitemsdeletions', 'scheduled', 'searchfolders', 'syncissues']);
+
+/**
+ * Endpoint of a request path for metrics, with IDs replaced by {id}
+ * The segment after a collection such as messages is an ID unless it is a
+ * well-known folder name, a $ segment or a function like delta. Other
+ * segments count as IDs when they hold digits, an address or encoded characters.
+ * @param {string} requestPath - Relative path or absolute URL
+ * @returns {string} - e.g. /me/messages/{id}/attachments
+ */
+function graphEndpoint(requestPath) {
+  const pathname = /^https?:\/\//.test(requestPath)
+    ? new URL(requestPath).pathname.replace(/^\/(v1\.0|beta)(?=\/)/, '')
+    : String(requestPath).split('?')[0];
+  const segments = pathname.split('/').filter(Boolean);
+  return `/${segments.map((segment, index) => {
+    const afterCollection = index > 0 && ID_COLLECTIONS.has(segments[index - 1]) &&
+      !WELL_KNOWN_FOLDERS.has(segment.toLowerCase()) && !/^\$|^delta$|\./.test(segment);
+    return afterCollection || /[0-9=@%+_-]/.test(segment) || segment.length > 40 ? '{id}' : segment;
+  }).join('/')}`;
+}
+
+/**
+ * Count each request sent, by method, endpoint and status, and time it
+ * @returns {Function} - Middleware
+ */
+function metricsMiddleware() {
+  return async (request, next) => {
+    const started = Date.now();
+    const labels = { method: request.method, endpoint: graphEndpoint(request.path) };
+    let status = 'network_error';
+    try {
+      const response = await next(request);
+      status = String(response.status);
+      return response;
+    } finally {
+      metrics.increment('graph_requests_total', { ...labels, status });
+      metrics.observe('graph_request_duration_seconds', labels, (Date.now() - started) / 1000);
+    }
+  };
+}
+
+/**
+ * Record or replay exchanges through the active cassette (see utils/graph-cassette.js)
+ * @returns {Function} - Middleware
+ */
+function cassetteMiddleware() {
+  return async (request, next) => {
+    const cassette = getActiveCassette();
+    if (!cassette) {
+      return next(request);
+    }
+    return cassette.exchange({
+      method: request.method,
+      url: request.path,
+      query: request.query,
+      body: request.body
+    }, () => next(request));
+  };
+}
+
+/**
+ * In TEST_MODE, serve requests from the in-memory mailbox unless
+ * MS_API_BASE_URL points at a fake Graph server
+ * @returns {Function} - Middleware
+ */
+function testModeMiddleware() {
+  return async (request, next) => {
+    if (!config.testing.enabled || new URL(config.microsoft.apiBaseUrl).hostname !== GRAPH_HOST) {
+      return next(request);
+    }
+    // Required lazily so the mock mailbox is only loaded in TEST_MODE
+    const { getMockMailbox } = require('./mock-mailbox');
+    return getMockMailbox().respond(request.method, request.path, {
+      query: request.query,
+      body: request.body
+    });
+  };
+}
+
+/**
+ * Create a transport with the default middleware stack
+ * Order, outermost first: mailbox routing, dry run, logging, rate limit, cache, retry, auth, metrics, cassette, test mode.
+ * @returns {GraphTransport} - Transport
+ */
+function createGraphTransport() {
+  return new GraphTransport(sendHttp)
+    .use('mailbox', mailboxMiddleware())
+    .use('dryRun', dryRunMiddleware())
+    .use('logging', loggingMiddleware())
+    .use('rateLimit', rateLimitMiddleware())
+    .use('cache', cacheMiddleware())
+    .use('retry', retryMiddleware())
+    .use('auth', authMiddleware())
+    .use('metrics', metricsMiddleware())
+    .use('cassette', cassetteMiddleware())
+    .use('testMode', testModeMiddleware());
+}
+
+// Shared transport instance
+let transportInstance = null;
+
+/**
+ * Get the shared Graph transport, creating it if necessary
+ * @returns {GraphTransport} - Transport
+ */
+function getGraphTransport() {
+  if (!transportInstance) {
+    transportInstance = createGraphTransport();
+  }
+  return transportInstance;
+}
+
+module.exports = {
+  MAX_BATCH_REQUESTS,
+  GraphTransport,
+  GraphClient,
+  GraphRequest,
+  getGraphTransport,
+  createGraphTransport,
+  toGraphError,
+  graphEndpoint,
+  sendHttp,
+  dryRunMiddleware,
+  loggingMiddleware,
+  rateLimitMiddleware,
+  cacheMiddleware,
+  retryMiddleware,
+  authMiddleware,
+  metricsMiddleware,
+  cassetteMiddleware,
+  testModeMiddleware
+};
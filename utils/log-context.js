@@ -0,0 +1,60 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+/**
+ * Correlation context for log lines
+ *
+ * Every tool call runs with a correlation ID. The logger adds it to each line
+ * written during the call, including those from the Graph transport, and the
+ * transport sends it to Graph as the client-request-id header, so one ID
+ * links the tool call, its Graph requests and Microsoft's own diagnostics.
+ */
+
+// Context of the tool call currently executing
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Create a correlation ID
+ * Graph requires client-request-id to be a GUID, so IDs are UUIDs.
+ * @returns {string} - New correlation ID
+ */
+function newCorrelationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Run a function with a log context
+ * @param {Object} context - Context fields
+ * @param {string} [context.correlationId] - Correlation ID (generated when omitted)
+ * @param {string} [context.tool] - Tool being called
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<any>} - Result of fn
+ */
+function runWithLogContext(context, fn) {
+  const store = { ...context, correlationId: context.correlationId || newCorrelationId() };
+  return contextStorage.run(store, fn);
+}
+
+/**
+ * Log context of the current tool call
+ * @returns {Object|null} - { correlationId, tool }, or null outside a tool call
+ */
+function getLogContext() {
+  return contextStorage.getStore() || null;
+}
+
+/**
+ * Correlation ID of the current tool call
+ * @returns {string|null} - Correlation ID, or null outside a tool call
+ */
+function getCorrelationId() {
+  const context = getLogContext();
+  return context ? context.correlationId : null;
+}
+
+module.exports = {
+  newCorrelationId,
+  runWithLogContext,
+  getLogContext,
+  getCorrelationId
+};
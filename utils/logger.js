@@ -1,35 +1,86 @@
+const fs = require('fs');
+const path = require('path');
 const winston = require('winston');
 const config = require('../config');
+const { getLogContext } = require('./log-context');
+const { redact, redactString } = require('./redact');
 
-// Create a custom format that includes timestamp, level, and message
-const customFormat = winston.format.combine(
-  winston.format.timestamp({
-    format: 'YYYY-MM-DD HH:mm:ss'
-  }),
-  winston.format.printf(info => {
-    return `${info.timestamp} [${info.level.toUpperCase()}]: ${info.message}${
-      info.stack ? '\n' + info.stack : ''
-    }${
-      info.data ? '\n' + JSON.stringify(info.data, null, 2) : ''
-    }`;
-  })
-);
+// Fields winston manages itself
+const RESERVED_FIELDS = ['level', 'timestamp'];
+
+const logDir = path.resolve(config.logging.dir);
+fs.mkdirSync(logDir, { recursive: true });
+
+// Tag each line with the correlation ID and tool of the current tool call
+const contextFormat = winston.format(info => {
+  const context = getLogContext();
+  if (context) {
+    info.correlationId = context.correlationId;
+    if (context.tool) {
+      info.tool = context.tool;
+    }
+  }
+  return info;
+});
+
+// Strip tokens, auth codes and message content before anything is written
+const redactFormat = winston.format(info => {
+  Object.keys(info).forEach(field => {
+    if (RESERVED_FIELDS.includes(field)) {
+      return;
+    }
+    info[field] = field === 'message' || field === 'stack'
+      ? redactString(String(info[field]))
+      : redact(info[field], field);
+  });
+  return info;
+});
+
+// Plain text lines, for LOG_FORMAT=text
+const textFormat = winston.format.printf(info => {
+  return `${info.timestamp} [${info.level.toUpperCase()}]${
+    info.correlationId ? ` [${info.correlationId}]` : ''
+  }: ${info.message}${
+    info.stack ? '\n' + info.stack : ''
+  }${
+    info.data ? '\n' + JSON.stringify(info.data, null, 2) : ''
+  }`;
+});
+
+// One JSON object per line by default
+const outputFormat = config.logging.format === 'text'
+  ? winston.format.combine(winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }), textFormat)
+  : winston.format.combine(winston.format.timestamp(), winston.format.json());
+
+// Size-capped files; the oldest rotated file is removed past maxFiles
+const fileOptions = {
+  maxsize: config.logging.maxSize,
+  maxFiles: config.logging.maxFiles,
+  tailable: true
+};
 
 // Create the logger
 const logger = winston.createLogger({
   level: config.server.logLevel,
-  format: customFormat,
+  format: winston.format.combine(
+    winston.format.errors({ stack: true }),
+    contextFormat(),
+    redactFormat(),
+    outputFormat
+  ),
   transports: [
     // Console transport removed to avoid interfering with STDIO JSON communication
-    
+
     // File transport for errors and above
-    new winston.transports.File({ 
-      filename: 'error.log', 
-      level: 'error' 
+    new winston.transports.File({
+      ...fileOptions,
+      filename: path.join(logDir, 'error.log'),
+      level: 'error'
     }),
     // File transport for all logs
-    new winston.transports.File({ 
-      filename: 'combined.log' 
+    new winston.transports.File({
+      ...fileOptions,
+      filename: path.join(logDir, 'combined.log')
     })
   ]
 });
@@ -39,4 +90,4 @@ logger.logWithData = (level, message, data) => {
   logger.log(level, message, { data });
 };
 
-module.exports = logger;
\ No newline at end of file
+module.exports = logger;
@@ -0,0 +1,120 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+/**
+ * Routing of Microsoft Graph requests to shared and delegated mailboxes
+ *
+ * The API helpers address the signed-in mailbox through /me. When a tool is
+ * called with a `mailbox` parameter, the Graph transport's mailbox middleware
+ * rewrites those paths to /users/{id-or-upn}, so the same helpers reach a
+ * shared mailbox or one the user has FullAccess or SendAs rights on.
+ * App-only tokens have no signed-in mailbox, so in app-only mode (MS_AUTH_MODE=app)
+ * every /me request must name its mailbox.
+ */
+
+// Mailbox targeted by the tool call currently executing
+const mailboxStorage = new AsyncLocalStorage();
+
+// Graph resource paths addressing the signed-in mailbox, with or without host and version
+const ME_PATH_PATTERN = /^((?:https?:\/\/[^/]+)?\/?(?:(?:v1\.0|beta)\/)?)me(?=$|[/?])/;
+
+/**
+ * Normalize a mailbox parameter
+ * @param {string} [mailbox] - User principal name, SMTP address or user ID
+ * @returns {string|null} - Mailbox, or null for the signed-in mailbox
+ */
+function normalizeMailbox(mailbox) {
+  if (typeof mailbox !== 'string') {
+    return null;
+  }
+  const trimmed = mailbox.trim();
+  return trimmed && trimmed.toLowerCase() !== 'me' ? trimmed : null;
+}
+
+/**
+ * Run a tool call against a mailbox
+ * @param {string} [mailbox] - Mailbox to target; empty or 'me' targets the signed-in mailbox
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<any>} - Result of fn
+ */
+function runWithMailbox(mailbox, fn) {
+  return mailboxStorage.run({ mailbox: normalizeMailbox(mailbox) }, fn);
+}
+
+/**
+ * Mailbox targeted by the current tool call
+ * @returns {string|null} - Mailbox, or null for the signed-in mailbox
+ */
+function getTargetMailbox() {
+  const store = mailboxStorage.getStore();
+  return store ? store.mailbox : null;
+}
+
+/**
+ * Rewrite a /me path to address another mailbox
+ * @param {string} requestPath - Relative path or absolute URL
+ * @param {string|null} mailbox - Mailbox to target
+ * @returns {string} - Path addressing /users/{mailbox}, or the path unchanged
+ */
+function routeToMailbox(requestPath, mailbox) {
+  if (!mailbox || typeof requestPath !== 'string') {
+    return requestPath;
+  }
+  // Keep '@' readable so UPNs in paths are scrubbed from cassettes like other addresses
+  const segment = encodeURIComponent(mailbox).replace(/%40/g, '@');
+  return requestPath.replace(ME_PATH_PATTERN, `$1users/${segment}`);
+}
+
+/**
+ * Check whether a path addresses the signed-in mailbox
+ * @param {string} requestPath - Relative path or absolute URL
+ * @returns {boolean} - True for /me paths
+ */
+function isMePath(requestPath) {
+  return typeof requestPath === 'string' && ME_PATH_PATTERN.test(requestPath);
+}
+
+/**
+ * Error raised for /me requests made with app-only authentication
+ * @returns {Error} - ParameterError
+ */
+function missingMailboxError() {
+  const error = new Error('App-only authentication has no signed-in mailbox. Pass the mailbox parameter (a user principal name or user ID).');
+  error.name = 'ParameterError';
+  return error;
+}
+
+/**
+ * Route /me requests (and /me sub-requests of JSON batches) to the target mailbox
+ * The mailbox is taken from request.mailbox, or from the current tool call.
+ * @returns {Function} - Middleware
+ */
+function mailboxMiddleware() {
+  return async (request, next) => {
+    const mailbox = request.mailbox !== undefined ? normalizeMailbox(request.mailbox) : getTargetMailbox();
+    const isBatch = /\/\$batch$/.test(request.path) && request.body && Array.isArray(request.body.requests);
+    if (!mailbox) {
+      if (config.microsoft.authMode === 'app' &&
+          (isMePath(request.path) || (isBatch && request.body.requests.some(item => isMePath(item.url))))) {
+        throw missingMailboxError();
+      }
+      return next(request);
+    }
+
+    const routed = { ...request, path: routeToMailbox(request.path, mailbox) };
+    if (isBatch) {
+      routed.body = {
+        ...request.body,
+        requests: request.body.requests.map(item => ({ ...item, url: routeToMailbox(item.url, mailbox) }))
+      };
+    }
+    return next(routed);
+  };
+}
+
+module.exports = {
+  runWithMailbox,
+  getTargetMailbox,
+  routeToMailbox,
+  mailboxMiddleware
+};
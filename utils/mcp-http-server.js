@@ -0,0 +1,411 @@
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+const logger = require('./logger');
+const { metrics } = require('./metrics');
+const { isLoopbackHost } = require('./config-loader');
+
+// Endpoints served over HTTP
+const STREAMABLE_HTTP_PATH = '/mcp';
+const SSE_PATH = '/sse';
+const SSE_MESSAGES_PATH = '/messages';
+
+// Longest wait between checks for idle sessions
+const MAX_IDLE_SWEEP_MS = 60000;
+
+/**
+ * Build a JSON-RPC error body for requests rejected before reaching a session
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @returns {Object} - JSON-RPC error response
+ */
+function jsonRpcError(code, message) {
+  return {
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  };
+}
+
+/**
+ * Compare two secrets in constant time
+ * Both values are hashed first so their lengths are not revealed either.
+ * @param {string} provided - Secret supplied by the client
+ * @param {string} expected - Configured secret
+ * @returns {boolean} - True when the secrets match
+ */
+function secretsMatch(provided, expected) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+/**
+ * Host name of a Host header, without the port
+ * @param {string} header - Host header, e.g. mcp.example.com:3333 or [::1]:3333
+ * @returns {string} - Lower-case host name
+ */
+function hostName(header) {
+  const value = String(header || '').toLowerCase();
+  return value.startsWith('[') ? value.substring(0, value.indexOf(']') + 1) : value.split(':')[0];
+}
+
+/**
+ * HTTP host for the MCP server, serving several clients from one process
+ * Streamable HTTP clients use /mcp; older SSE clients open /sse and post to
+ * /messages. Each session gets its own McpServer from the factory, so every
+ * client sees the same tool registrations. When a metrics path is set, the
+ * server metrics are served there in the Prometheus text format. All
+ * endpoints require the configured bearer token.
+ *
+ * Streamable HTTP sessions that see no request for the idle timeout, and
+ * have no open event stream, are closed: clients that vanish without a
+ * DELETE would otherwise keep their server instance forever. When bound to
+ * an address other than localhost, requests must name an allowed Host, and
+ * browser requests an allowed Origin, against DNS rebinding.
+ */
+class McpHttpServer {
+  /**
+   * Create an HTTP host
+   * @param {Function} createServer - Factory returning a new, unconnected McpServer
+   * @param {Object} options - Server options
+   * @param {string} options.authToken - Bearer token clients must present
+   * @param {string} [options.host='127.0.0.1'] - Interface to bind
+   * @param {number} [options.port=3333] - Port to listen on (0 picks a free port)
+   * @param {string} [options.metricsPath] - Path of the Prometheus metrics endpoint, e.g. /metrics
+   * @param {number} [options.sessionIdleSeconds=1800] - Close Streamable HTTP sessions idle this long
+   * @param {Array<string>} [options.allowedHosts] - Host names accepted when not bound to localhost
+   * @param {Array<string>} [options.allowedOrigins] - Origins accepted when not bound to localhost
+   */
+  constructor(createServer, options = {}) {
+    if (!options.authToken) {
+      throw new Error('MCP_HTTP_AUTH_TOKEN must be set to serve MCP over HTTP');
+    }
+    this.createServer = createServer;
+    this.authToken = options.authToken;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port !== undefined ? options.port : 3333;
+    this.metricsPath = options.metricsPath || null;
+    this.sessionIdleMs = (options.sessionIdleSeconds || 1800) * 1000;
+    this.checkHost = !isLoopbackHost(this.host);
+    this.allowedHosts = (options.allowedHosts || []).map(hostName);
+    this.allowedOrigins = (options.allowedOrigins || []).map(origin => origin.toLowerCase());
+    if (this.checkHost && this.allowedHosts.length === 0) {
+      throw new Error('MCP_HTTP_ALLOWED_HOSTS must be set to serve MCP on an address other than localhost');
+    }
+    // Session ID -> { type, transport, server, lastActiveAt, openStreams }
+    this.sessions = new Map();
+    this.idleTimer = null;
+    this.httpServer = null;
+    this.url = null;
+    this.app = this._createApp();
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} - Base URL, e.g. http://127.0.0.1:3333
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.httpServer = http.createServer(this.app);
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        const address = this.httpServer.address();
+        this.url = `http://${this.host}:${address.port}`;
+        logger.info(`MCP HTTP transport listening on ${this.url}${STREAMABLE_HTTP_PATH} (legacy SSE on ${this.url}${SSE_PATH})`);
+        if (this.metricsPath) {
+          logger.info(`Prometheus metrics served on ${this.url}${this.metricsPath}`);
+        }
+        this.idleTimer = setInterval(() => this._closeIdleSessions(), Math.min(this.sessionIdleMs, MAX_IDLE_SWEEP_MS));
+        this.idleTimer.unref();
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Close every session and stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.idleTimer);
+    this.idleTimer = null;
+    const sessions = Array.from(this.sessions.values());
+    this.sessions.clear();
+    await Promise.all(sessions.map(session => session.server.close().catch(error => {
+      logger.warn(`Error closing MCP session: ${error.message}`);
+    })));
+
+    if (!this.httpServer) {
+      return;
+    }
+    await new Promise((resolve, reject) => {
+      this.httpServer.close(error => (error ? reject(error) : resolve()));
+      if (typeof this.httpServer.closeAllConnections === 'function') {
+        this.httpServer.closeAllConnections();
+      }
+    });
+    this.httpServer = null;
+    logger.info('MCP HTTP transport stopped');
+  }
+
+  /**
+   * Build the Express application
+   * @returns {Function} - Express app
+   * @private
+   */
+  _createApp() {
+    const app = express();
+    app.disable('x-powered-by');
+    app.use(this._checkHostAndOrigin.bind(this));
+    app.use(this._authenticate.bind(this));
+    app.use(express.json({ limit: '4mb' }));
+
+    app.post(STREAMABLE_HTTP_PATH, (req, res) => this._handleStreamablePost(req, res));
+    app.get(STREAMABLE_HTTP_PATH, (req, res) => this._handleStreamableSession(req, res));
+    app.delete(STREAMABLE_HTTP_PATH, (req, res) => this._handleStreamableSession(req, res));
+
+    app.get(SSE_PATH, (req, res) => this._handleSseConnect(req, res));
+    app.post(SSE_MESSAGES_PATH, (req, res) => this._handleSseMessage(req, res));
+
+    if (this.metricsPath) {
+      app.get(this.metricsPath, (req, res) => {
+        res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.renderPrometheus());
+      });
+    }
+
+    // Malformed JSON and other errors raised before a handler runs
+    app.use((error, req, res, next) => {
+      logger.warn(`Rejected MCP HTTP request ${req.method} ${req.path}: ${error.message}`);
+      if (res.headersSent) {
+        return next(error);
+      }
+      res.status(error.status || 500).json(jsonRpcError(-32700, error.type === 'entity.parse.failed' ? 'Parse error' : 'Internal error'));
+    });
+
+    return app;
+  }
+
+  /**
+   * Reject requests for other host names or from other origins when not bound to localhost
+   * @private
+   */
+  _checkHostAndOrigin(req, res, next) {
+    if (!this.checkHost) {
+      return next();
+    }
+    const origin = req.headers.origin;
+    if (!this.allowedHosts.includes(hostName(req.headers.host))) {
+      logger.warn(`Rejected MCP HTTP request for host ${req.headers.host} from ${req.socket.remoteAddress}`);
+      return res.status(403).json(jsonRpcError(-32000, 'Forbidden: host not allowed'));
+    }
+    if (origin && !this.allowedOrigins.includes(origin.toLowerCase())) {
+      logger.warn(`Rejected MCP HTTP request from origin ${origin}`);
+      return res.status(403).json(jsonRpcError(-32000, 'Forbidden: origin not allowed'));
+    }
+    next();
+  }
+
+  /**
+   * Reject requests without the configured bearer token
+   * @private
+   */
+  _authenticate(req, res, next) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (match && secretsMatch(match[1].trim(), this.authToken)) {
+      return next();
+    }
+    logger.warn(`Unauthorized MCP HTTP request ${req.method} ${req.path} from ${req.socket.remoteAddress}`);
+    res.set('WWW-Authenticate', 'Bearer realm="mcp"');
+    res.status(401).json(jsonRpcError(-32001, 'Unauthorized: a valid bearer token is required'));
+  }
+
+  /**
+   * Look up a session by ID and transport type
+   * @param {string} sessionId - Session ID
+   * @param {string} type - 'streamable-http' or 'sse'
+   * @returns {Object|null} - Session, or null when unknown or of another type
+   * @private
+   */
+  _getSession(sessionId, type) {
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+    if (!session || session.type !== type) {
+      return null;
+    }
+    session.lastActiveAt = Date.now();
+    return session;
+  }
+
+  /**
+   * Handle a Streamable HTTP POST, creating a session on initialize
+   * @private
+   */
+  async _handleStreamablePost(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    try {
+      const existing = this._getSession(sessionId, 'streamable-http');
+      if (existing) {
+        await existing.transport.handleRequest(req, res, req.body);
+        return;
+      }
+
+      if (sessionId || !isInitializeRequest(req.body)) {
+        res.status(sessionId ? 404 : 400).json(jsonRpcError(-32000, sessionId
+          ? 'Session not found'
+          : 'Bad Request: no valid session ID provided'));
+        return;
+      }
+
+      const server = this.createServer();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => crypto.randomUUID(),
+        onsessioninitialized: id => {
+          this.sessions.set(id, { type: 'streamable-http', transport, server, lastActiveAt: Date.now(), openStreams: 0 });
+          logger.info(`MCP HTTP session ${id} opened (streamable-http)`);
+        }
+      });
+
+      await server.connect(transport);
+      // Chain after connect: older SDK versions replace any onclose set beforehand
+      const onclose = transport.onclose;
+      transport.onclose = () => {
+        this._removeSession(transport.sessionId);
+        if (onclose) {
+          onclose();
+        }
+      };
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      this._handleTransportError(error, res);
+    }
+  }
+
+  /**
+   * Handle Streamable HTTP GET (server-sent event stream) and DELETE (session end)
+   * @private
+   */
+  async _handleStreamableSession(req, res) {
+    const session = this._getSession(req.headers['mcp-session-id'], 'streamable-http');
+    if (!session) {
+      res.status(req.headers['mcp-session-id'] ? 404 : 400).json(jsonRpcError(-32000, req.headers['mcp-session-id']
+        ? 'Session not found'
+        : 'Bad Request: no valid session ID provided'));
+      return;
+    }
+    if (req.method === 'GET') {
+      session.openStreams++;
+      res.on('close', () => {
+        session.openStreams--;
+        session.lastActiveAt = Date.now();
+      });
+    }
+    try {
+      await session.transport.handleRequest(req, res);
+    } catch (error) {
+      this._handleTransportError(error, res);
+    }
+  }
+
+  /**
+   * Open a legacy SSE session
+   * @private
+   */
+  async _handleSseConnect(req, res) {
+    const server = this.createServer();
+    const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+    const sessionId = transport.sessionId;
+    // The event stream stays open for the whole session, so it never goes idle
+    this.sessions.set(sessionId, { type: 'sse', transport, server, lastActiveAt: Date.now(), openStreams: 1 });
+    res.on('close', () => {
+      this._removeSession(sessionId);
+      server.close().catch(() => {});
+    });
+
+    try {
+      await server.connect(transport);
+      logger.info(`MCP HTTP session ${sessionId} opened (sse)`);
+    } catch (error) {
+      this._removeSession(sessionId);
+      this._handleTransportError(error, res);
+    }
+  }
+
+  /**
+   * Deliver a client message to a legacy SSE session
+   * @private
+   */
+  async _handleSseMessage(req, res) {
+    const session = this._getSession(req.query.sessionId, 'sse');
+    if (!session) {
+      res.status(404).json(jsonRpcError(-32000, 'Session not found'));
+      return;
+    }
+    try {
+      await session.transport.handlePostMessage(req, res, req.body);
+    } catch (error) {
+      this._handleTransportError(error, res);
+    }
+  }
+
+  /**
+   * Close sessions that have been idle longer than the idle timeout
+   * @private
+   */
+  _closeIdleSessions() {
+    const cutoff = Date.now() - this.sessionIdleMs;
+    for (const [sessionId, session] of this.sessions) {
+      if (session.openStreams > 0 || session.lastActiveAt > cutoff) {
+        continue;
+      }
+      logger.info(`Closing MCP HTTP session ${sessionId}: idle for over ${this.sessionIdleMs / 1000}s`);
+      this._removeSession(sessionId);
+      session.server.close().catch(error => {
+        logger.warn(`Error closing MCP session: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Forget a closed session
+   * @param {string} sessionId - Session ID
+   * @private
+   */
+  _removeSession(sessionId) {
+    if (sessionId && this.sessions.delete(sessionId)) {
+      logger.info(`MCP HTTP session ${sessionId} closed`);
+    }
+  }
+
+  /**
+   * Log a transport failure and answer with a JSON-RPC error if still possible
+   * @private
+   */
+  _handleTransportError(error, res) {
+    logger.error(`MCP HTTP transport error: ${error.message}`);
+    if (!res.headersSent) {
+      res.status(500).json(jsonRpcError(-32603, 'Internal server error'));
+    }
+  }
+}
+
+/**
+ * Create and start an HTTP host for the MCP server
+ * @param {Function} createServer - Factory returning a new, unconnected McpServer
+ * @param {Object} options - See McpHttpServer
+ * @returns {Promise<McpHttpServer>} - Running host
+ */
+async function startMcpHttpServer(createServer, options) {
+  const host = new McpHttpServer(createServer, options);
+  await host.start();
+  return host;
+}
+
+module.exports = {
+  McpHttpServer,
+  startMcpHttpServer,
+  STREAMABLE_HTTP_PATH,
+  SSE_PATH,
+  SSE_MESSAGES_PATH
+};
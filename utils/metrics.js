@@ -0,0 +1,218 @@
+const config = require('../config');
+
+/**
+ * In-process server metrics
+ *
+ * Counters and latency histograms kept in memory since startup: tool calls,
+ * Graph requests, retries and rate-limit rejections. get_server_metrics
+ * reports them as JSON, and the HTTP transport can serve them in the
+ * Prometheus text format.
+ */
+
+// Upper bounds of the latency histogram buckets, in seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Metrics recorded by the server
+const METRICS = {
+  mcp_tool_calls_total: { type: 'counter', help: 'Tool calls by tool and response status' },
+  mcp_tool_errors_total: { type: 'counter', help: 'Failed tool calls by tool and error type' },
+  mcp_tool_duration_seconds: { type: 'histogram', help: 'Tool call latency by tool' },
+  graph_requests_total: { type: 'counter', help: 'Graph requests sent, by method, endpoint and HTTP status' },
+  graph_request_duration_seconds: { type: 'histogram', help: 'Graph request latency by method and endpoint' },
+  graph_retries_total: { type: 'counter', help: 'Graph requests retried, by reason' },
+  graph_retry_budget_exhausted_total: { type: 'counter', help: 'Retries skipped because the tool call ran out of retry budget, by tool' },
+  rate_limit_rejections_total: { type: 'counter', help: 'Calls rejected by the rate limiter, by category' }
+};
+
+/**
+ * Key of a label set, independent of property order
+ * @param {Object} labels - Label values
+ * @returns {string} - Key
+ */
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {string} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set for the Prometheus text format
+ * @param {Object} labels - Label values
+ * @returns {string} - e.g. {tool="list_emails",status="success"}, or '' without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.keys(labels).map(name => `${name}="${escapeLabel(labels[name])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Registry of counters and histograms with labels
+ */
+class MetricsRegistry {
+  constructor() {
+    this.startedAt = new Date();
+    // Metric name -> Map(label key -> series)
+    this.series = new Map();
+  }
+
+  /**
+   * Find or create the series of a metric for a label set
+   * @param {string} name - Metric name, a key of METRICS
+   * @param {Object} labels - Label values
+   * @returns {Object} - { labels, value } for counters, { labels, buckets, count, sum, max } for histograms
+   * @private
+   */
+  _series(name, labels) {
+    if (!METRICS[name]) {
+      throw new Error(`Unknown metric: ${name}`);
+    }
+    if (!this.series.has(name)) {
+      this.series.set(name, new Map());
+    }
+    const byLabels = this.series.get(name);
+    const key = labelKey(labels);
+    if (!byLabels.has(key)) {
+      byLabels.set(key, METRICS[name].type === 'histogram'
+        ? { labels: { ...labels }, buckets: LATENCY_BUCKETS.map(() => 0), count: 0, sum: 0, max: 0 }
+        : { labels: { ...labels }, value: 0 });
+    }
+    return byLabels.get(key);
+  }
+
+  /**
+   * Add to a counter
+   * @param {string} name - Counter name
+   * @param {Object} [labels={}] - Label values
+   * @param {number} [amount=1] - Amount to add
+   */
+  increment(name, labels = {}, amount = 1) {
+    if (!config.metrics.enabled) {
+      return;
+    }
+    this._series(name, labels).value += amount;
+  }
+
+  /**
+   * Record a latency in a histogram
+   * @param {string} name - Histogram name
+   * @param {Object} labels - Label values
+   * @param {number} seconds - Observed latency
+   */
+  observe(name, labels, seconds) {
+    if (!config.metrics.enabled) {
+      return;
+    }
+    const series = this._series(name, labels);
+    LATENCY_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) {
+        series.buckets[index]++;
+      }
+    });
+    series.count++;
+    series.sum += seconds;
+    series.max = Math.max(series.max, seconds);
+  }
+
+  /**
+   * Series recorded for a metric
+   * @param {string} name - Metric name
+   * @returns {Array<Object>} - Copies of the series
+   */
+  get(name) {
+    const byLabels = this.series.get(name);
+    return byLabels ? Array.from(byLabels.values()).map(series => ({
+      ...series,
+      labels: { ...series.labels },
+      ...(series.buckets && { buckets: [...series.buckets] })
+    })) : [];
+  }
+
+  /**
+   * Forget everything recorded so far
+   */
+  reset() {
+    this.series.clear();
+    this.startedAt = new Date();
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format (version 0.0.4)
+   * @returns {string} - Metrics text
+   */
+  renderPrometheus() {
+    const lines = [];
+    Object.keys(METRICS).forEach(name => {
+      const { type, help } = METRICS[name];
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      this.get(name).forEach(series => {
+        if (type === 'counter') {
+          lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+          return;
+        }
+        LATENCY_BUCKETS.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.buckets[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+      });
+    });
+    lines.push('# HELP process_uptime_seconds Seconds since the metrics were started or reset');
+    lines.push('# TYPE process_uptime_seconds gauge');
+    lines.push(`process_uptime_seconds ${(Date.now() - this.startedAt.getTime()) / 1000}`);
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+/**
+ * Estimate a latency quantile from histogram buckets
+ * Returns the upper bound of the bucket holding the quantile, or the largest
+ * observation when it falls beyond the last bucket.
+ * @param {Object} series - Histogram series
+ * @param {number} quantile - Quantile between 0 and 1
+ * @returns {number|null} - Seconds, or null without observations
+ */
+function estimateQuantile(series, quantile) {
+  if (!series || series.count === 0) {
+    return null;
+  }
+  const rank = quantile * series.count;
+  const index = series.buckets.findIndex(count => count >= rank);
+  return index === -1 ? series.max : Math.min(LATENCY_BUCKETS[index], series.max);
+}
+
+/**
+ * Record the outcome and latency of a tool call
+ * @param {string} toolName - Tool name
+ * @param {Object} outcome - { status, errorType } of the response (see summarizeOutcome in audit/audit-log.js)
+ * @param {number} durationMs - Call duration
+ */
+function recordToolMetrics(toolName, outcome, durationMs) {
+  // Some tools answer without a status field; without an error they succeeded
+  const status = outcome.status === 'unknown' ? 'success' : outcome.status;
+  metrics.increment('mcp_tool_calls_total', { tool: toolName, status });
+  if (status === 'error') {
+    metrics.increment('mcp_tool_errors_total', { tool: toolName, type: outcome.errorType || 'error' });
+  }
+  metrics.observe('mcp_tool_duration_seconds', { tool: toolName }, durationMs / 1000);
+}
+
+// Shared registry
+const metrics = new MetricsRegistry();
+
+module.exports = {
+  LATENCY_BUCKETS,
+  METRICS,
+  MetricsRegistry,
+  metrics,
+  estimateQuantile,
+  recordToolMetrics
+};
@@ -0,0 +1,85 @@
+const { graphDateTime } = require('./dates');
+
+const organizer = { emailAddress: { name: 'Test User', address: 'test.user@contoso.com' } };
+
+/**
+ * Mock calendars and events for TEST_MODE
+ * Events reference their calendar through `calendarId`.
+ */
+module.exports = {
+  calendars: [
+    {
+      id: 'AAMkCalendarPrimary1',
+      name: 'Calendar',
+      color: 'auto',
+      isDefaultCalendar: true,
+      canShare: true,
+      canViewPrivateItems: true,
+      canEdit: true,
+      owner: { name: 'Test User', address: 'test.user@contoso.com' }
+    },
+    {
+      id: 'AAMkCalendarFamily01',
+      name: 'Family',
+      color: 'lightGreen',
+      isDefaultCalendar: false,
+      canShare: true,
+      canViewPrivateItems: true,
+      canEdit: true,
+      owner: { name: 'Test User', address: 'test.user@contoso.com' }
+    }
+  ],
+  events: [
+    {
+      id: 'AAMkEvent00000000001',
+      calendarId: 'AAMkCalendarPrimary1',
+      subject: 'Project X kickoff',
+      body: { contentType: 'HTML', content: '<p>Kickoff meeting for Project X.</p>' },
+      start: graphDateTime(1, 15),
+      end: graphDateTime(1, 16),
+      location: { displayName: 'Conference Room A' },
+      attendees: [
+        {
+          emailAddress: { name: 'Sarah Lee', address: 'sarah.lee@contoso.com' },
+          type: 'required',
+          status: { response: 'accepted' }
+        },
+        {
+          emailAddress: { name: 'John Smith', address: 'john.smith@contoso.com' },
+          type: 'optional',
+          status: { response: 'none' }
+        }
+      ],
+      organizer,
+      isOnlineMeeting: true
+    },
+    {
+      id: 'AAMkEvent00000000002',
+      calendarId: 'AAMkCalendarPrimary1',
+      subject: 'Quarterly review',
+      body: { contentType: 'Text', content: 'Quarterly business review with finance.' },
+      start: graphDateTime(2, 10),
+      end: graphDateTime(2, 11, 30),
+      location: { displayName: 'Board Room' },
+      attendees: [
+        {
+          emailAddress: { name: 'Maria Garcia', address: 'maria.garcia@contoso.com' },
+          type: 'required',
+          status: { response: 'none' }
+        }
+      ],
+      organizer: { emailAddress: { name: 'Maria Garcia', address: 'maria.garcia@contoso.com' } },
+      responseStatus: { response: 'notResponded' }
+    },
+    {
+      id: 'AAMkEvent00000000003',
+      calendarId: 'AAMkCalendarFamily01',
+      subject: 'Dentist appointment',
+      body: { contentType: 'Text', content: '' },
+      start: graphDateTime(3, 8),
+      end: graphDateTime(3, 9),
+      location: { displayName: 'Downtown Dental' },
+      organizer
+    }
+  ]
+};
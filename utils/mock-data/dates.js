@@ -0,0 +1,39 @@
+/**
+ * Date helpers for mock fixtures
+ * Fixtures are relative to the current time so that default date ranges
+ * (e.g. list_events for the current month) always return data.
+ */
+
+/**
+ * Get an ISO timestamp offset from now
+ * @param {number} days - Days from now (negative for the past)
+ * @param {number} [hour] - Hour of day (UTC) to pin the timestamp to
+ * @param {number} [minute=0] - Minute of the hour
+ * @returns {string} - ISO 8601 timestamp
+ */
+function daysFromNow(days, hour, minute = 0) {
+  const date = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  if (hour !== undefined) {
+    date.setUTCHours(hour, minute, 0, 0);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Get a Graph dateTimeTimeZone value offset from now
+ * @param {number} days - Days from now
+ * @param {number} hour - Hour of day (UTC)
+ * @param {number} [minute=0] - Minute of the hour
+ * @returns {Object} - { dateTime, timeZone } as returned by Graph
+ */
+function graphDateTime(days, hour, minute = 0) {
+  return {
+    dateTime: daysFromNow(days, hour, minute).replace(/\.\d{3}Z$/, '.0000000'),
+    timeZone: 'UTC'
+  };
+}
+
+module.exports = {
+  daysFromNow,
+  graphDateTime
+};
@@ -0,0 +1,107 @@
+const { daysFromNow } = require('./dates');
+
+/**
+ * Mock messages for TEST_MODE
+ * `parentFolderId` may be a folder ID or a well-known folder name.
+ * Attachments are listed inline and split out by the mock mailbox.
+ */
+module.exports = [
+  {
+    id: 'AAMkMessage000000001',
+    parentFolderId: 'inbox',
+    subject: 'Project X kickoff',
+    body: {
+      contentType: 'HTML',
+      content: '<p>Hi,</p><p>The Project X kickoff is scheduled for next week. Agenda attached.</p>'
+    },
+    from: { emailAddress: { name: 'Sarah Lee', address: 'sarah.lee@contoso.com' } },
+    toRecipients: [{ emailAddress: { name: 'Test User', address: 'test.user@contoso.com' } }],
+    ccRecipients: [{ emailAddress: { name: 'John Smith', address: 'john.smith@contoso.com' } }],
+    receivedDateTime: daysFromNow(-1, 9, 15),
+    isRead: false,
+    importance: 'high',
+    categories: ['Project X'],
+    attachments: [
+      {
+        '@odata.type': '#microsoft.graph.fileAttachment',
+        id: 'AAMkAttachment000001',
+        name: 'agenda.txt',
+        contentType: 'text/plain',
+        contentBytes: Buffer.from('1. Introductions\n2. Scope\n3. Timeline\n').toString('base64'),
+        isInline: false
+      }
+    ]
+  },
+  {
+    id: 'AAMkMessage000000002',
+    parentFolderId: 'inbox',
+    subject: 'Invoice #4411 for October',
+    body: {
+      contentType: 'Text',
+      content: 'Please find invoice #4411 for October services. Payment is due within 30 days.'
+    },
+    from: { emailAddress: { name: 'Fabrikam Billing', address: 'billing@fabrikam.com' } },
+    toRecipients: [{ emailAddress: { name: 'Test User', address: 'test.user@contoso.com' } }],
+    receivedDateTime: daysFromNow(-2, 14, 30),
+    isRead: true,
+    importance: 'normal'
+  },
+  {
+    id: 'AAMkMessage000000003',
+    parentFolderId: 'inbox',
+    subject: 'Lunch on Friday?',
+    body: {
+      contentType: 'Text',
+      content: 'Are you free for lunch on Friday? There is a new place around the corner.'
+    },
+    from: { emailAddress: { name: 'John Smith', address: 'john.smith@contoso.com' } },
+    toRecipients: [{ emailAddress: { name: 'Test User', address: 'test.user@contoso.com' } }],
+    receivedDateTime: daysFromNow(-3, 11, 5),
+    isRead: false,
+    importance: 'low'
+  },
+  {
+    id: 'AAMkMessage000000004',
+    parentFolderId: 'AAMkFolderProjects01',
+    subject: 'Project X requirements draft',
+    body: {
+      contentType: 'Text',
+      content: 'First cut of the Project X requirements. Comments welcome before Thursday.'
+    },
+    from: { emailAddress: { name: 'John Smith', address: 'john.smith@contoso.com' } },
+    toRecipients: [{ emailAddress: { name: 'Test User', address: 'test.user@contoso.com' } }],
+    receivedDateTime: daysFromNow(-6, 16, 45),
+    isRead: true,
+    importance: 'normal',
+    categories: ['Project X']
+  },
+  {
+    id: 'AAMkMessage000000005',
+    parentFolderId: 'sentitems',
+    subject: 'RE: Quarterly review',
+    body: {
+      contentType: 'Text',
+      content: 'Thanks, the numbers look good. See you at the review.'
+    },
+    from: { emailAddress: { name: 'Test User', address: 'test.user@contoso.com' } },
+    toRecipients: [{ emailAddress: { name: 'Maria Garcia', address: 'maria.garcia@contoso.com' } }],
+    receivedDateTime: daysFromNow(-4, 10, 0),
+    sentDateTime: daysFromNow(-4, 10, 0),
+    isRead: true,
+    importance: 'normal'
+  },
+  {
+    id: 'AAMkMessage000000006',
+    parentFolderId: 'drafts',
+    subject: 'Team offsite ideas',
+    body: {
+      contentType: 'Text',
+      content: 'Some ideas for the team offsite: hiking, cooking class, escape room.'
+    },
+    from: { emailAddress: { name: 'Test User', address: 'test.user@contoso.com' } },
+    toRecipients: [{ emailAddress: { name: 'Team', address: 'team@contoso.com' } }],
+    isRead: true,
+    isDraft: true,
+    importance: 'normal'
+  }
+];
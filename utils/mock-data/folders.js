@@ -0,0 +1,14 @@
+/**
+ * Mock mail folders for TEST_MODE
+ * `wellKnownName` lets tools address folders as inbox, drafts, sentitems, etc.
+ */
+module.exports = [
+  { id: 'AAMkFolderInbox00001', displayName: 'Inbox', wellKnownName: 'inbox', parentFolderId: 'msgfolderroot' },
+  { id: 'AAMkFolderDrafts0001', displayName: 'Drafts', wellKnownName: 'drafts', parentFolderId: 'msgfolderroot' },
+  { id: 'AAMkFolderSent000001', displayName: 'Sent Items', wellKnownName: 'sentitems', parentFolderId: 'msgfolderroot' },
+  { id: 'AAMkFolderDeleted001', displayName: 'Deleted Items', wellKnownName: 'deleteditems', parentFolderId: 'msgfolderroot' },
+  { id: 'AAMkFolderArchive001', displayName: 'Archive', wellKnownName: 'archive', parentFolderId: 'msgfolderroot' },
+  { id: 'AAMkFolderJunk000001', displayName: 'Junk Email', wellKnownName: 'junkemail', parentFolderId: 'msgfolderroot' },
+  { id: 'AAMkFolderProjects01', displayName: 'Projects', parentFolderId: 'AAMkFolderInbox00001' },
+  { id: 'AAMkFolderInvoices01', displayName: 'Invoices', parentFolderId: 'AAMkFolderInbox00001' }
+];
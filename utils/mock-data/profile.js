@@ -0,0 +1,9 @@
+/**
+ * Mock signed-in user for TEST_MODE (returned by GET /me)
+ */
+module.exports = {
+  id: 'mock-user-0001',
+  displayName: 'Test User',
+  mail: 'test.user@contoso.com',
+  userPrincipalName: 'test.user@contoso.com'
+};
@@ -0,0 +1,20 @@
+/**
+ * Mock inbox rules for TEST_MODE
+ */
+module.exports = [
+  {
+    id: 'AQAAAJ5dZqA=',
+    displayName: 'Move invoices',
+    sequence: 1,
+    isEnabled: true,
+    hasError: false,
+    isReadOnly: false,
+    conditions: {
+      subjectContains: ['Invoice']
+    },
+    actions: {
+      moveToFolder: 'AAMkFolderInvoices01',
+      stopProcessingRules: true
+    }
+  }
+];
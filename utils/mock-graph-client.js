@@ -0,0 +1,30 @@
+const { GraphClient, GraphRequest } = require('./graph-transport');
+const { getMockMailbox } = require('./mock-mailbox');
+
+/**
+ * Graph SDK-compatible client served directly by a mock mailbox, bypassing
+ * the Graph transport (TEST_MODE requests normally reach the mailbox through
+ * the transport's test mode middleware)
+ */
+class MockGraphClient extends GraphClient {
+  /**
+   * @param {Object} [backend] - Request backend (defaults to the shared TEST_MODE mailbox)
+   */
+  constructor(backend = getMockMailbox()) {
+    super(backend);
+  }
+}
+
+/**
+ * Get a Graph client backed by the shared TEST_MODE mailbox
+ * @returns {MockGraphClient} - Mock client
+ */
+function getMockGraphClient() {
+  return new MockGraphClient();
+}
+
+module.exports = {
+  MockGraphClient,
+  MockGraphRequest: GraphRequest,
+  getMockGraphClient
+};
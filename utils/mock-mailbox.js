@@ -0,0 +1,1204 @@
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+const { applyFilter, applySearch, applyOrderBy, applySelect } = require('./mock-odata');
+const { MAX_BATCH_REQUESTS } = require('./graph-transport');
+
+// Well-known folder aliases accepted by Graph (compared case-insensitively)
+const WELL_KNOWN_FOLDERS = ['inbox', 'drafts', 'sentitems', 'deleteditems', 'archive', 'junkemail', 'outbox'];
+const ROOT_FOLDER_ID = 'msgfolderroot';
+
+// Items per delta query page (Graph's default page size is larger; small pages exercise paging)
+const DELTA_PAGE_SIZE = 10;
+
+/**
+ * Create an error shaped like the ones raised by the Graph clients
+ * @param {number} status - HTTP status code
+ * @param {string} code - Graph error code
+ * @param {string} message - Error message
+ * @returns {Error} - Graph API error
+ */
+function createGraphError(status, code, message) {
+  const error = new Error(message);
+  error.name = 'GraphAPIError';
+  error.status = status;
+  error.statusCode = status;
+  error.code = code;
+  error.data = { error: { code, message } };
+  return error;
+}
+
+/**
+ * Deep clone a JSON-compatible value
+ * @param {any} value - Value to clone
+ * @returns {any} - Clone
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Build a body preview from message body content
+ * @param {Object} body - Graph itemBody
+ * @returns {string} - Plain-text preview (max 255 chars)
+ */
+function buildBodyPreview(body) {
+  if (!body || !body.content) {
+    return '';
+  }
+  return body.content
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 255);
+}
+
+/**
+ * Normalize a dateTimeTimeZone value to the format Graph returns
+ * @param {Object} value - { dateTime, timeZone }
+ * @returns {Object} - Normalized value in UTC
+ */
+function normalizeDateTimeTimeZone(value) {
+  if (!value || !value.dateTime) {
+    return value;
+  }
+  const hasZone = /(Z|[+-]\d{2}:\d{2})$/.test(value.dateTime);
+  const date = new Date(hasZone ? value.dateTime : `${value.dateTime}Z`);
+  if (isNaN(date.getTime())) {
+    throw createGraphError(400, 'ErrorInvalidRequest', `Invalid dateTime: ${value.dateTime}`);
+  }
+  return {
+    dateTime: date.toISOString().replace(/\.\d{3}Z$/, '.0000000'),
+    timeZone: 'UTC'
+  };
+}
+
+/**
+ * Parse an ISO 8601 duration such as PT30M or PT1H
+ * @param {string} duration - ISO duration
+ * @returns {number} - Duration in milliseconds
+ */
+function parseDuration(duration) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/.exec(duration || '');
+  if (!match) {
+    return 30 * 60 * 1000;
+  }
+  const [, days = 0, hours = 0, minutes = 0] = match;
+  return ((Number(days) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 * 1000;
+}
+
+/**
+ * Stateful in-memory stand-in for a Graph mailbox used in TEST_MODE
+ * Handles the /me endpoints used by the API helpers in graph-api-adapter.js
+ */
+class MockMailbox {
+  /**
+   * Create a mailbox from fixture data
+   * @param {Object} fixtures - { profile, folders, emails, calendar, rules }
+   */
+  constructor(fixtures = {}) {
+    this.idCounter = 0;
+    this.profile = clone(fixtures.profile) || {
+      id: 'mock-user',
+      displayName: 'Test User',
+      mail: 'test.user@example.com',
+      userPrincipalName: 'test.user@example.com'
+    };
+
+    this.folders = new Map();
+    for (const folder of clone(fixtures.folders) || []) {
+      this.folders.set(folder.id, folder);
+    }
+
+    this.messages = new Map();
+    this.attachments = new Map();
+    for (const message of clone(fixtures.emails) || []) {
+      const { attachments = [], ...rest } = message;
+      this._storeMessage({
+        ...rest,
+        parentFolderId: this._resolveFolder(rest.parentFolderId || 'inbox').id
+      });
+      this.attachments.set(rest.id, attachments);
+      this.messages.get(rest.id).hasAttachments = attachments.length > 0;
+    }
+
+    const calendarData = clone(fixtures.calendar) || {};
+    this.calendars = new Map();
+    for (const calendar of calendarData.calendars || []) {
+      this.calendars.set(calendar.id, calendar);
+    }
+
+    this.events = new Map();
+    for (const event of calendarData.events || []) {
+      this._storeEvent(event, event.calendarId);
+    }
+
+    this.rules = new Map();
+    for (const rule of clone(fixtures.rules) || []) {
+      this.rules.set(rule.id, rule);
+    }
+
+    // Delta query state: item snapshots by delta token, and unsent pages by skip token
+    this.deltaCounter = 0;
+    this.deltaSnapshots = new Map();
+    this.deltaRounds = new Map();
+
+    this.routes = this._buildRoutes();
+  }
+
+  /**
+   * Load fixtures from a directory containing profile, folders, emails,
+   * calendar and rules modules (.js or .json)
+   * @param {string} dataDir - Fixture directory
+   * @returns {MockMailbox} - Seeded mailbox
+   */
+  static fromDirectory(dataDir) {
+    const fixtures = {};
+    for (const name of ['profile', 'folders', 'emails', 'calendar', 'rules']) {
+      try {
+        fixtures[name] = require(path.join(dataDir, name));
+      } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') {
+          throw error;
+        }
+        logger.warn(`Mock data fixture '${name}' not found in ${dataDir}`);
+      }
+    }
+    return new MockMailbox(fixtures);
+  }
+
+  /**
+   * Generate a new entity ID
+   * @param {string} prefix - Entity type prefix
+   * @returns {string} - Unique ID
+   * @private
+   */
+  _nextId(prefix) {
+    const taken = id => this.messages?.has(id) || this.folders?.has(id) || this.events?.has(id) ||
+      this.rules?.has(id) || Array.from(this.attachments?.values() || []).some(list => list.some(a => a.id === id));
+    let id;
+    do {
+      this.idCounter++;
+      id = `AAMkGen${prefix}${String(this.idCounter).padStart(8, '0')}`;
+    } while (taken(id));
+    return id;
+  }
+
+  /**
+   * Handle a Graph request against the in-memory mailbox
+   * @param {string} method - HTTP method
+   * @param {string} requestPath - Request path, optionally a full URL with query string
+   * @param {Object} [options] - { query, body, baseUrl }; baseUrl is used to build
+   *   @odata.nextLink and defaults to config.microsoft.apiBaseUrl
+   * @returns {any} - Response body (undefined for 204/202 responses)
+   */
+  handle(method, requestPath, options = {}) {
+    const { pathname, query } = this._parsePath(requestPath, options.query);
+    const upperMethod = method.toUpperCase();
+    const link = `${options.baseUrl || config.microsoft.apiBaseUrl}${pathname}`;
+
+    logger.debug(`Mock Graph request: ${upperMethod} ${pathname}`);
+
+    for (const route of this.routes) {
+      if (route.method !== upperMethod) continue;
+      const match = route.pattern.exec(pathname);
+      if (match) {
+        const params = match.slice(1).map(decodeURIComponent);
+        return clone(route.handler(params, { query, body: clone(options.body), link }));
+      }
+    }
+
+    throw createGraphError(400, 'BadRequest', `Resource not found for the segment '${pathname}' (${upperMethod}) in mock mailbox`);
+  }
+
+  /**
+   * Handle a Graph request and describe the result as an HTTP response
+   * Status codes follow Graph: 201 for creates, 202 for actions without a body,
+   * 204 for deletes, and the error status with a Graph error body on failure.
+   * @param {string} method - HTTP method
+   * @param {string} requestPath - Request path, optionally a full URL with query string
+   * @param {Object} [options] - Same as handle()
+   * @returns {Object} - { status, headers, body }
+   */
+  respond(method, requestPath, options = {}) {
+    const upperMethod = method.toUpperCase();
+    if (upperMethod === 'POST' && /^\/?\$batch$/.test(requestPath.split('?')[0])) {
+      return this._respondBatch(options.body, options);
+    }
+
+    try {
+      const result = this.handle(upperMethod, requestPath, options);
+      let status = 200;
+      if (result === undefined) {
+        status = upperMethod === 'DELETE' ? 204 : 202;
+      } else if (upperMethod === 'POST' && !/\/findMeetingTimes$/.test(requestPath.split('?')[0])) {
+        status = 201;
+      }
+      return { status, headers: {}, body: result };
+    } catch (error) {
+      return {
+        status: error.status || 500,
+        headers: {},
+        body: { error: { code: error.code || 'InternalServerError', message: error.message } }
+      };
+    }
+  }
+
+  /**
+   * Serve a JSON $batch request, running sub-requests in order
+   * @param {Object} body - Batch body ({ requests: [{ id, method, url, body }] })
+   * @param {Object} options - respond() options (baseUrl is passed on)
+   * @returns {Object} - { status, headers, body }
+   * @private
+   */
+  _respondBatch(body, options) {
+    const requests = (body && body.requests) || [];
+    if (requests.length === 0 || requests.length > MAX_BATCH_REQUESTS) {
+      return {
+        status: 400,
+        headers: {},
+        body: {
+          error: {
+            code: 'BadRequest',
+            message: `A batch must contain between 1 and ${MAX_BATCH_REQUESTS} requests.`
+          }
+        }
+      };
+    }
+
+    const responses = requests.map(request => {
+      const url = `/${String(request.url || '').replace(/^\/+/, '')}`;
+      const result = this.respond(request.method || 'GET', url, { body: request.body, baseUrl: options.baseUrl });
+      return {
+        id: request.id,
+        status: result.status,
+        headers: { 'Content-Type': 'application/json', ...result.headers },
+        body: result.body
+      };
+    });
+
+    return { status: 200, headers: {}, body: { responses } };
+  }
+
+  /**
+   * Split a request path into a mailbox-relative path and query options
+   * @param {string} requestPath - Path or URL
+   * @param {Object} [query] - Explicit query options
+   * @returns {Object} - { pathname, query }
+   * @private
+   */
+  _parsePath(requestPath, query = {}) {
+    let pathname = requestPath;
+    const mergedQuery = {};
+
+    if (/^https?:\/\//.test(pathname)) {
+      const parsed = new URL(pathname);
+      pathname = parsed.pathname.replace(/^\/(v1\.0|beta)/, '');
+      parsed.searchParams.forEach((value, key) => { mergedQuery[key] = value; });
+    } else if (pathname.includes('?')) {
+      const [base, search] = pathname.split('?');
+      pathname = base;
+      new URLSearchParams(search).forEach((value, key) => { mergedQuery[key] = value; });
+    }
+
+    Object.assign(mergedQuery, query || {});
+
+    pathname = `/${pathname.replace(/^\/+/, '').replace(/\/+$/, '')}`;
+    // Every mailbox is served from the same store: /users/{id} behaves like /me
+    pathname = pathname.replace(/^\/users\/[^/]+/, '/me');
+
+    return { pathname, query: mergedQuery };
+  }
+
+  /**
+   * Build the route table
+   * @returns {Array<Object>} - Routes
+   * @private
+   */
+  _buildRoutes() {
+    const routes = [];
+    const add = (method, pattern, handler) => {
+      routes.push({ method, pattern: new RegExp(`^${pattern}$`), handler: handler.bind(this) });
+    };
+    const id = '([^/]+)';
+
+    // Profile
+    add('GET', '/me', () => this.profile);
+
+    // Messages
+    add('GET', '/me/messages', (params, req) => this._listMessages(null, req.query, req.link));
+    add('POST', '/me/messages', (params, req) => this._createMessage(req.body, 'drafts'));
+    add('GET', `/me/mailFolders/${id}/messages`, ([folderId], req) => this._listMessages(folderId, req.query, req.link));
+    add('GET', `/me/mailFolders/${id}/messages/delta`, ([folderId], req) => this._messagesDelta(folderId, req.query, req.link));
+    add('POST', `/me/mailFolders/${id}/messages`, ([folderId], req) => this._createMessage(req.body, folderId));
+    add('GET', `/me/messages/${id}`, ([messageId], req) => applySelect(this._getMessage(messageId), req.query.$select));
+    add('PATCH', `/me/messages/${id}`, ([messageId], req) => this._updateMessage(messageId, req.body));
+    add('DELETE', `/me/messages/${id}`, ([messageId]) => this._deleteMessage(messageId));
+    add('POST', '/me/sendMail', (params, req) => this._sendMail(req.body));
+    add('POST', `/me/messages/${id}/send`, ([messageId]) => this._sendDraft(messageId));
+    add('POST', `/me/messages/${id}/(reply|replyAll|forward)`, ([messageId, action], req) => this._respondToMessage(messageId, action, req.body));
+    add('POST', `/me/messages/${id}/move`, ([messageId], req) => this._moveMessage(messageId, req.body));
+    add('POST', `/me/messages/${id}/copy`, ([messageId], req) => this._copyMessage(messageId, req.body));
+
+    // Attachments
+    add('GET', `/me/messages/${id}/attachments`, ([messageId]) => ({ value: this._getAttachments(messageId) }));
+    add('POST', `/me/messages/${id}/attachments`, ([messageId], req) => this._addAttachment(messageId, req.body));
+    add('GET', `/me/messages/${id}/attachments/${id}`, ([messageId, attachmentId]) => this._getAttachment(messageId, attachmentId));
+    add('DELETE', `/me/messages/${id}/attachments/${id}`, ([messageId, attachmentId]) => this._deleteAttachment(messageId, attachmentId));
+
+    // Mail folders
+    add('GET', '/me/mailFolders', (params, req) => this._listFolders(ROOT_FOLDER_ID, req.query, req.link));
+    add('POST', '/me/mailFolders', (params, req) => this._createFolder(ROOT_FOLDER_ID, req.body));
+    add('GET', `/me/mailFolders/${id}/childFolders`, ([folderId], req) => this._listFolders(this._resolveFolder(folderId).id, req.query, req.link));
+    add('POST', `/me/mailFolders/${id}/childFolders`, ([folderId], req) => this._createFolder(this._resolveFolder(folderId).id, req.body));
+    add('GET', `/me/mailFolders/${id}`, ([folderId], req) => applySelect(this._formatFolder(this._resolveFolder(folderId)), req.query.$select));
+    add('PATCH', `/me/mailFolders/${id}`, ([folderId], req) => this._updateFolder(folderId, req.body));
+    add('DELETE', `/me/mailFolders/${id}`, ([folderId]) => this._deleteFolder(folderId));
+    add('POST', `/me/mailFolders/${id}/move`, ([folderId], req) => this._moveFolder(folderId, req.body));
+
+    // Inbox rules
+    add('GET', `/me/mailFolders/${id}/messageRules`, () => ({ value: this._listRules() }));
+    add('POST', `/me/mailFolders/${id}/messageRules`, (params, req) => this._createRule(req.body));
+    add('GET', `/me/mailFolders/${id}/messageRules/${id}`, ([, ruleId]) => this._getRule(ruleId));
+    add('PATCH', `/me/mailFolders/${id}/messageRules/${id}`, ([, ruleId], req) => this._updateRule(ruleId, req.body));
+    add('DELETE', `/me/mailFolders/${id}/messageRules/${id}`, ([, ruleId]) => this._deleteRule(ruleId));
+
+    // Calendars and events
+    add('GET', '/me/calendars', () => ({ value: Array.from(this.calendars.values()) }));
+    add('GET', `/me/calendars/${id}`, ([calendarId]) => this._getCalendar(calendarId));
+    add('GET', '/me/events', (params, req) => this._listEvents(null, req.query, req.link));
+    add('POST', '/me/events', (params, req) => this._createEvent(req.body, null));
+    add('GET', '/me/calendarView', (params, req) => this._listEvents(null, req.query, req.link));
+    add('GET', '/me/calendarView/delta', (params, req) => this._eventsDelta(req.query, req.link));
+    add('GET', `/me/calendars/${id}/events`, ([calendarId], req) => this._listEvents(calendarId, req.query, req.link));
+    add('POST', `/me/calendars/${id}/events`, ([calendarId], req) => this._createEvent(req.body, calendarId));
+    add('GET', `/me/calendars/${id}/calendarView`, ([calendarId], req) => this._listEvents(calendarId, req.query, req.link));
+    add('GET', `/me/calendars/${id}/events/${id}`, ([, eventId]) => this._formatEvent(this._getEvent(eventId)));
+    add('GET', `/me/events/${id}`, ([eventId]) => this._formatEvent(this._getEvent(eventId)));
+    add('PATCH', `/me/events/${id}`, ([eventId], req) => this._updateEvent(eventId, req.body));
+    add('PATCH', `/me/calendars/${id}/events/${id}`, ([, eventId], req) => this._updateEvent(eventId, req.body));
+    add('DELETE', `/me/events/${id}`, ([eventId]) => this._deleteEvent(eventId));
+    add('DELETE', `/me/calendars/${id}/events/${id}`, ([, eventId]) => this._deleteEvent(eventId));
+    add('POST', `/me/events/${id}/cancel`, ([eventId], req) => this._cancelEvent(eventId, req.body));
+    add('POST', `/me/events/${id}/(accept|tentativelyAccept|decline)`, ([eventId, response], req) => this._respondToEvent(eventId, response, req.body));
+    add('POST', '/me/findMeetingTimes', (params, req) => this._findMeetingTimes(req.body));
+
+    return routes;
+  }
+
+  /**
+   * Apply $filter/$search/$orderby/$skip/$top/$select to a collection
+   * @param {Array<Object>} items - Formatted entities
+   * @param {Object} query - Query options
+   * @param {string} link - Absolute request URL without query string (used to build @odata.nextLink)
+   * @returns {Object} - Collection response
+   * @private
+   */
+  _applyQuery(items, query, link) {
+    let results = items;
+
+    try {
+      results = applyFilter(results, query.$filter);
+    } catch (error) {
+      throw createGraphError(400, 'BadRequest', error.message);
+    }
+
+    if (query.$search) {
+      results = applySearch(results, query.$search);
+    } else if (query.$orderby) {
+      results = applyOrderBy(results, query.$orderby);
+    }
+
+    const skip = parseInt(query.$skip || '0', 10);
+    const top = query.$top ? parseInt(query.$top, 10) : null;
+    const page = top ? results.slice(skip, skip + top) : results.slice(skip);
+
+    const response = { value: page.map(item => applySelect(item, query.$select)) };
+
+    if (query.$count === 'true' || query.$count === true) {
+      response['@odata.count'] = results.length;
+    }
+
+    if (top && skip + top < results.length) {
+      const nextQuery = new URLSearchParams();
+      for (const [key, value] of Object.entries(query)) {
+        if (key !== '$skip' && value !== undefined && value !== null) {
+          nextQuery.set(key, value);
+        }
+      }
+      nextQuery.set('$skip', String(skip + top));
+      response['@odata.nextLink'] = `${link}?${nextQuery.toString()}`;
+    }
+
+    return response;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Folders
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Resolve a folder ID or well-known name
+   * @param {string} folderId - Folder ID or well-known name
+   * @returns {Object} - Folder record
+   * @private
+   */
+  _resolveFolder(folderId) {
+    if (this.folders.has(folderId)) {
+      return this.folders.get(folderId);
+    }
+
+    const wellKnownName = String(folderId).toLowerCase();
+    if (WELL_KNOWN_FOLDERS.includes(wellKnownName)) {
+      for (const folder of this.folders.values()) {
+        if (folder.wellKnownName === wellKnownName) {
+          return folder;
+        }
+      }
+    }
+
+    throw createGraphError(404, 'ErrorItemNotFound', `The specified folder '${folderId}' could not be found in the store.`);
+  }
+
+  /**
+   * Collect a folder and all of its descendants
+   * @param {string} folderId - Root folder ID
+   * @returns {Array<string>} - Folder IDs
+   * @private
+   */
+  _folderSubtree(folderId) {
+    const ids = [folderId];
+    for (const folder of this.folders.values()) {
+      if (folder.parentFolderId === folderId) {
+        ids.push(...this._folderSubtree(folder.id));
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Format a folder with computed counts
+   * @param {Object} folder - Folder record
+   * @returns {Object} - Graph mailFolder
+   * @private
+   */
+  _formatFolder(folder) {
+    const messages = Array.from(this.messages.values()).filter(m => m.parentFolderId === folder.id);
+    return {
+      id: folder.id,
+      displayName: folder.displayName,
+      parentFolderId: folder.parentFolderId,
+      childFolderCount: Array.from(this.folders.values()).filter(f => f.parentFolderId === folder.id).length,
+      totalItemCount: messages.length,
+      unreadItemCount: messages.filter(m => !m.isRead).length,
+      isHidden: false
+    };
+  }
+
+  _listFolders(parentFolderId, query, link) {
+    const folders = Array.from(this.folders.values())
+      .filter(folder => folder.parentFolderId === parentFolderId)
+      .map(folder => this._formatFolder(folder));
+    return this._applyQuery(folders, query, link);
+  }
+
+  _createFolder(parentFolderId, body = {}) {
+    if (!body.displayName) {
+      throw createGraphError(400, 'ErrorInvalidRequest', 'The displayName property is required.');
+    }
+
+    const duplicate = Array.from(this.folders.values()).find(folder =>
+      folder.parentFolderId === parentFolderId &&
+      folder.displayName.toLowerCase() === body.displayName.toLowerCase()
+    );
+    if (duplicate) {
+      throw createGraphError(409, 'ErrorFolderExists', 'A folder with the specified name already exists.');
+    }
+
+    const folder = {
+      id: this._nextId('Folder'),
+      displayName: body.displayName,
+      parentFolderId
+    };
+    this.folders.set(folder.id, folder);
+    return this._formatFolder(folder);
+  }
+
+  _updateFolder(folderId, body = {}) {
+    const folder = this._resolveFolder(folderId);
+    if (body.displayName) {
+      folder.displayName = body.displayName;
+    }
+    return this._formatFolder(folder);
+  }
+
+  _deleteFolder(folderId) {
+    const folder = this._resolveFolder(folderId);
+    if (folder.wellKnownName) {
+      throw createGraphError(403, 'ErrorDeleteDistinguishedFolder', 'Distinguished folders cannot be deleted.');
+    }
+
+    for (const id of this._folderSubtree(folder.id)) {
+      for (const message of Array.from(this.messages.values())) {
+        if (message.parentFolderId === id) {
+          this.messages.delete(message.id);
+          this.attachments.delete(message.id);
+        }
+      }
+      this.folders.delete(id);
+    }
+    return undefined;
+  }
+
+  _moveFolder(folderId, body = {}) {
+    const folder = this._resolveFolder(folderId);
+    const destination = this._resolveFolder(body.destinationId);
+    if (this._folderSubtree(folder.id).includes(destination.id)) {
+      throw createGraphError(400, 'ErrorMoveCopyFailed', 'Cannot move a folder into itself or one of its subfolders.');
+    }
+    folder.parentFolderId = destination.id;
+    return this._formatFolder(folder);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Delta queries
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Serve a delta query over the items currently in scope
+   * A round without a delta token returns every item. A round started from a
+   * delta token returns the items added or changed since that token, plus
+   * @removed entries for items that left the scope. Rounds are split into
+   * pages linked by $skiptoken; the last page carries an @odata.deltaLink.
+   * @param {Array<Object>} items - Items in scope
+   * @param {Object} query - Query options ($deltatoken, $skiptoken, $select)
+   * @param {string} link - Request URL without query string
+   * @param {Object} [scope={}] - Query options repeated in next and delta links
+   * @returns {Object} - Delta page
+   * @private
+   */
+  _delta(items, query, link, scope = {}) {
+    if (query.$skiptoken) {
+      const round = this.deltaRounds.get(query.$skiptoken);
+      if (!round) {
+        throw createGraphError(410, 'SyncStateNotFound', 'The sync state generation is not found.');
+      }
+      this.deltaRounds.delete(query.$skiptoken);
+      return this._deltaPage(round, link);
+    }
+
+    let previous = new Map();
+    if (query.$deltatoken) {
+      previous = this.deltaSnapshots.get(query.$deltatoken);
+      if (!previous) {
+        throw createGraphError(410, 'SyncStateNotFound', 'The sync state generation is not found.');
+      }
+    }
+
+    const snapshot = new Map(items.map(item => [item.id, JSON.stringify(item)]));
+    const changes = items
+      .filter(item => previous.get(item.id) !== snapshot.get(item.id))
+      .map(item => applySelect(item, query.$select));
+    for (const id of previous.keys()) {
+      if (!snapshot.has(id)) {
+        changes.push({ id, '@removed': { reason: 'deleted' } });
+      }
+    }
+
+    const deltaToken = `mockdelta${++this.deltaCounter}`;
+    this.deltaSnapshots.set(deltaToken, snapshot);
+    return this._deltaPage({ changes, deltaToken, scope }, link);
+  }
+
+  /**
+   * Return the next page of a delta round
+   * @param {Object} round - { changes, deltaToken, scope }
+   * @param {string} link - Request URL without query string
+   * @returns {Object} - Delta page
+   * @private
+   */
+  _deltaPage(round, link) {
+    const params = new URLSearchParams(round.scope);
+    const response = { value: round.changes.slice(0, DELTA_PAGE_SIZE) };
+    const rest = round.changes.slice(DELTA_PAGE_SIZE);
+    if (rest.length > 0) {
+      const skipToken = `mockskip${++this.deltaCounter}`;
+      this.deltaRounds.set(skipToken, { ...round, changes: rest });
+      params.set('$skiptoken', skipToken);
+      response['@odata.nextLink'] = `${link}?${params.toString()}`;
+    } else {
+      params.set('$deltatoken', round.deltaToken);
+      response['@odata.deltaLink'] = `${link}?${params.toString()}`;
+    }
+    return response;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Messages
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Insert or replace a message, filling in derived fields
+   * @param {Object} message - Message record
+   * @returns {Object} - Stored message
+   * @private
+   */
+  _storeMessage(message) {
+    const now = new Date().toISOString();
+    const id = message.id || this._nextId('Message');
+    const stored = {
+      createdDateTime: now,
+      lastModifiedDateTime: now,
+      receivedDateTime: now,
+      sentDateTime: message.isDraft ? null : (message.receivedDateTime || now),
+      hasAttachments: false,
+      importance: 'normal',
+      isRead: false,
+      isDraft: false,
+      toRecipients: [],
+      ccRecipients: [],
+      bccRecipients: [],
+      categories: [],
+      flag: { flagStatus: 'notFlagged' },
+      ...message,
+      id
+    };
+    stored.sender = stored.sender || stored.from;
+    stored.bodyPreview = buildBodyPreview(stored.body);
+    stored.conversationId = stored.conversationId || `conv-${stored.id}`;
+    stored.webLink = `https://outlook.office365.com/owa/?ItemID=${encodeURIComponent(stored.id)}`;
+
+    this.messages.set(stored.id, stored);
+    if (!this.attachments.has(stored.id)) {
+      this.attachments.set(stored.id, []);
+    }
+    return stored;
+  }
+
+  _getMessage(messageId) {
+    const message = this.messages.get(messageId);
+    if (!message) {
+      throw createGraphError(404, 'ErrorItemNotFound', 'The specified object was not found in the store.');
+    }
+    return message;
+  }
+
+  _listMessages(folderId, query, link) {
+    let messages = Array.from(this.messages.values());
+    if (folderId) {
+      const folder = this._resolveFolder(folderId);
+      messages = messages.filter(message => message.parentFolderId === folder.id);
+    }
+    if (!query.$orderby && !query.$search) {
+      query = { ...query, $orderby: 'receivedDateTime desc' };
+    }
+    return this._applyQuery(messages, query, link);
+  }
+
+  _messagesDelta(folderId, query, link) {
+    const folder = this._resolveFolder(folderId);
+    const messages = Array.from(this.messages.values()).filter(message => message.parentFolderId === folder.id);
+    return this._delta(messages, query, link);
+  }
+
+  _createMessage(body = {}, folderId) {
+    const folder = this._resolveFolder(folderId);
+    return this._storeMessage({
+      ...body,
+      id: undefined,
+      from: body.from || { emailAddress: { name: this.profile.displayName, address: this.profile.mail } },
+      parentFolderId: folder.id,
+      isDraft: folder.wellKnownName === 'drafts' || body.isDraft === true,
+      isRead: true
+    });
+  }
+
+  _updateMessage(messageId, body = {}) {
+    const message = this._getMessage(messageId);
+    const { id, parentFolderId, ...changes } = body;
+    Object.assign(message, changes, { lastModifiedDateTime: new Date().toISOString() });
+    if (changes.body) {
+      message.bodyPreview = buildBodyPreview(message.body);
+    }
+    return message;
+  }
+
+  _deleteMessage(messageId) {
+    const message = this._getMessage(messageId);
+    const deletedItems = this._resolveFolder('deleteditems');
+    if (message.parentFolderId === deletedItems.id) {
+      this.messages.delete(messageId);
+      this.attachments.delete(messageId);
+    } else {
+      message.parentFolderId = deletedItems.id;
+    }
+    return undefined;
+  }
+
+  /**
+   * Deliver a copy of a sent message to the inbox when it is addressed to this mailbox
+   * @param {Object} message - Sent message
+   * @private
+   */
+  _deliverToSelf(message) {
+    const ownAddress = (this.profile.mail || '').toLowerCase();
+    const recipients = [...(message.toRecipients || []), ...(message.ccRecipients || []), ...(message.bccRecipients || [])];
+    if (ownAddress && recipients.some(r => (r.emailAddress?.address || '').toLowerCase() === ownAddress)) {
+      this._storeMessage({
+        ...message,
+        id: undefined,
+        parentFolderId: this._resolveFolder('inbox').id,
+        isRead: false,
+        isDraft: false
+      });
+    }
+  }
+
+  _sendMail(body = {}) {
+    if (!body.message) {
+      throw createGraphError(400, 'ErrorInvalidRequest', 'The message property is required.');
+    }
+    const recipients = [...(body.message.toRecipients || []), ...(body.message.ccRecipients || []), ...(body.message.bccRecipients || [])];
+    if (recipients.length === 0) {
+      throw createGraphError(400, 'ErrorInvalidRecipients', 'At least one recipient is required.');
+    }
+
+    const now = new Date().toISOString();
+    const sent = {
+      ...body.message,
+      from: { emailAddress: { name: this.profile.displayName, address: this.profile.mail } },
+      isDraft: false,
+      isRead: true,
+      sentDateTime: now,
+      receivedDateTime: now
+    };
+
+    if (body.saveToSentItems !== false) {
+      this._storeMessage({ ...sent, id: undefined, parentFolderId: this._resolveFolder('sentitems').id });
+    }
+    this._deliverToSelf(sent);
+    return undefined;
+  }
+
+  _sendDraft(messageId) {
+    const draft = this._getMessage(messageId);
+    if (!draft.isDraft) {
+      throw createGraphError(400, 'ErrorInvalidOperation', 'Only draft messages can be sent.');
+    }
+    const now = new Date().toISOString();
+    Object.assign(draft, {
+      isDraft: false,
+      sentDateTime: now,
+      receivedDateTime: now,
+      parentFolderId: this._resolveFolder('sentitems').id
+    });
+    this._deliverToSelf(draft);
+    return undefined;
+  }
+
+  _respondToMessage(messageId, action, body = {}) {
+    const original = this._getMessage(messageId);
+    const ownAddress = (this.profile.mail || '').toLowerCase();
+    const notSelf = recipient => (recipient.emailAddress?.address || '').toLowerCase() !== ownAddress;
+    const message = body.message || {};
+
+    let toRecipients;
+    let ccRecipients = message.ccRecipients || [];
+    let subjectPrefix;
+
+    if (action === 'forward') {
+      toRecipients = body.toRecipients || message.toRecipients || [];
+      if (toRecipients.length === 0) {
+        throw createGraphError(400, 'ErrorInvalidRecipients', 'At least one recipient is required.');
+      }
+      subjectPrefix = 'FW: ';
+    } else {
+      toRecipients = original.from ? [original.from] : [];
+      if (action === 'replyAll') {
+        toRecipients = [...toRecipients, ...(original.toRecipients || []).filter(notSelf)];
+        ccRecipients = [...ccRecipients, ...(original.ccRecipients || []).filter(notSelf)];
+      }
+      subjectPrefix = 'RE: ';
+    }
+
+    const comment = body.comment || '';
+    const quoted = original.body?.content || '';
+    const now = new Date().toISOString();
+    const sent = {
+      subject: `${subjectPrefix}${(original.subject || '').replace(/^(RE|FW):\s*/i, '')}`,
+      body: {
+        contentType: original.body?.contentType || 'Text',
+        content: message.body?.content || `${comment}\n\n-----\n${quoted}`
+      },
+      from: { emailAddress: { name: this.profile.displayName, address: this.profile.mail } },
+      toRecipients,
+      ccRecipients,
+      conversationId: original.conversationId,
+      isDraft: false,
+      isRead: true,
+      sentDateTime: now,
+      receivedDateTime: now
+    };
+
+    this._storeMessage({ ...sent, parentFolderId: this._resolveFolder('sentitems').id });
+    this._deliverToSelf(sent);
+    return undefined;
+  }
+
+  _moveMessage(messageId, body = {}) {
+    const message = this._getMessage(messageId);
+    const destination = this._resolveFolder(body.destinationId);
+    message.parentFolderId = destination.id;
+    message.lastModifiedDateTime = new Date().toISOString();
+    return message;
+  }
+
+  _copyMessage(messageId, body = {}) {
+    const original = this._getMessage(messageId);
+    const destination = this._resolveFolder(body.destinationId);
+    const copy = this._storeMessage({ ...clone(original), id: undefined, parentFolderId: destination.id });
+    this.attachments.set(copy.id, clone(this.attachments.get(messageId) || []));
+    return copy;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Attachments
+  // ---------------------------------------------------------------------------
+
+  _getAttachments(messageId) {
+    this._getMessage(messageId);
+    return this.attachments.get(messageId) || [];
+  }
+
+  _getAttachment(messageId, attachmentId) {
+    const attachment = this._getAttachments(messageId).find(a => a.id === attachmentId);
+    if (!attachment) {
+      throw createGraphError(404, 'ErrorItemNotFound', 'The specified attachment was not found.');
+    }
+    return attachment;
+  }
+
+  _addAttachment(messageId, body = {}) {
+    const message = this._getMessage(messageId);
+    if (!body.name) {
+      throw createGraphError(400, 'ErrorInvalidRequest', 'The name property is required.');
+    }
+    const attachment = {
+      '@odata.type': body['@odata.type'] || '#microsoft.graph.fileAttachment',
+      ...body,
+      id: this._nextId('Attachment'),
+      size: body.contentBytes ? Buffer.from(body.contentBytes, 'base64').length : 0,
+      lastModifiedDateTime: new Date().toISOString()
+    };
+    this.attachments.get(messageId).push(attachment);
+    message.hasAttachments = true;
+    return attachment;
+  }
+
+  _deleteAttachment(messageId, attachmentId) {
+    const message = this._getMessage(messageId);
+    this._getAttachment(messageId, attachmentId);
+    const remaining = this.attachments.get(messageId).filter(a => a.id !== attachmentId);
+    this.attachments.set(messageId, remaining);
+    message.hasAttachments = remaining.length > 0;
+    return undefined;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Calendars and events
+  // ---------------------------------------------------------------------------
+
+  _defaultCalendar() {
+    const calendars = Array.from(this.calendars.values());
+    const calendar = calendars.find(c => c.isDefaultCalendar) || calendars[0];
+    if (!calendar) {
+      throw createGraphError(404, 'ErrorItemNotFound', 'The default calendar could not be found.');
+    }
+    return calendar;
+  }
+
+  _getCalendar(calendarId) {
+    if (calendarId === 'primary') {
+      return this._defaultCalendar();
+    }
+    const calendar = this.calendars.get(calendarId);
+    if (!calendar) {
+      throw createGraphError(404, 'ErrorItemNotFound', 'The specified calendar could not be found.');
+    }
+    return calendar;
+  }
+
+  _storeEvent(event, calendarId) {
+    const calendar = calendarId ? this._getCalendar(calendarId) : this._defaultCalendar();
+    const now = new Date().toISOString();
+    const id = event.id || this._nextId('Event');
+    const stored = {
+      createdDateTime: now,
+      lastModifiedDateTime: now,
+      isAllDay: false,
+      isCancelled: false,
+      isOnlineMeeting: false,
+      attendees: [],
+      categories: [],
+      showAs: 'busy',
+      sensitivity: 'normal',
+      location: { displayName: '' },
+      organizer: { emailAddress: { name: this.profile.displayName, address: this.profile.mail } },
+      responseStatus: { response: 'organizer' },
+      ...event,
+      id,
+      start: normalizeDateTimeTimeZone(event.start),
+      end: normalizeDateTimeTimeZone(event.end),
+      calendarId: calendar.id
+    };
+    stored.bodyPreview = buildBodyPreview(stored.body);
+    stored.webLink = `https://outlook.office365.com/owa/?itemid=${encodeURIComponent(stored.id)}&path=/calendar/item`;
+    if (stored.isOnlineMeeting && !stored.onlineMeeting) {
+      stored.onlineMeeting = { joinUrl: `https://teams.microsoft.com/l/meetup-join/${stored.id}` };
+    }
+
+    this.events.set(stored.id, stored);
+    return stored;
+  }
+
+  _getEvent(eventId) {
+    const event = this.events.get(eventId);
+    if (!event) {
+      throw createGraphError(404, 'ErrorItemNotFound', 'The specified object was not found in the store.');
+    }
+    return event;
+  }
+
+  /**
+   * Strip mock-only fields from an event
+   * @param {Object} event - Event record
+   * @returns {Object} - Graph event
+   * @private
+   */
+  _formatEvent(event) {
+    const { calendarId, ...graphEvent } = event;
+    return graphEvent;
+  }
+
+  _listEvents(calendarId, query, link) {
+    let events = Array.from(this.events.values());
+    if (calendarId) {
+      const calendar = this._getCalendar(calendarId);
+      events = events.filter(event => event.calendarId === calendar.id);
+    }
+
+    // calendarView restricts results to events overlapping the window
+    if (query.startDateTime && query.endDateTime) {
+      const windowStart = Date.parse(query.startDateTime);
+      const windowEnd = Date.parse(query.endDateTime);
+      events = events.filter(event => {
+        const start = Date.parse(`${event.start.dateTime}Z`);
+        const end = Date.parse(`${event.end.dateTime}Z`);
+        return start < windowEnd && end > windowStart;
+      });
+    }
+
+    if (!query.$orderby) {
+      query = { ...query, $orderby: 'start/dateTime asc' };
+    }
+    return this._applyQuery(events.map(event => this._formatEvent(event)), query, link);
+  }
+
+  _eventsDelta(query, link) {
+    if (!query.startDateTime || !query.endDateTime) {
+      throw createGraphError(400, 'ErrorInvalidParameter', 'startDateTime and endDateTime are required for calendarView delta.');
+    }
+    const windowStart = Date.parse(query.startDateTime);
+    const windowEnd = Date.parse(query.endDateTime);
+    const events = Array.from(this.events.values())
+      .filter(event => Date.parse(`${event.start.dateTime}Z`) < windowEnd && Date.parse(`${event.end.dateTime}Z`) > windowStart)
+      .map(event => this._formatEvent(event));
+    return this._delta(events, query, link, { startDateTime: query.startDateTime, endDateTime: query.endDateTime });
+  }
+
+  _createEvent(body = {}, calendarId) {
+    if (!body.subject) {
+      throw createGraphError(400, 'ErrorInvalidRequest', 'The subject property is required.');
+    }
+    if (!body.start || !body.end) {
+      throw createGraphError(400, 'ErrorInvalidRequest', 'The start and end properties are required.');
+    }
+    const attendees = (body.attendees || []).map(attendee => ({
+      status: { response: 'none', time: '0001-01-01T00:00:00Z' },
+      ...attendee
+    }));
+    return this._formatEvent(this._storeEvent({ ...body, id: undefined, attendees }, calendarId));
+  }
+
+  _updateEvent(eventId, body = {}) {
+    const event = this._getEvent(eventId);
+    const { id, calendarId, ...changes } = body;
+    if (changes.start) changes.start = normalizeDateTimeTimeZone(changes.start);
+    if (changes.end) changes.end = normalizeDateTimeTimeZone(changes.end);
+    Object.assign(event, changes, { lastModifiedDateTime: new Date().toISOString() });
+    if (changes.body) {
+      event.bodyPreview = buildBodyPreview(event.body);
+    }
+    return this._formatEvent(event);
+  }
+
+  _deleteEvent(eventId) {
+    this._getEvent(eventId);
+    this.events.delete(eventId);
+    return undefined;
+  }
+
+  _cancelEvent(eventId, body = {}) {
+    const event = this._getEvent(eventId);
+    const organizer = (event.organizer?.emailAddress?.address || '').toLowerCase();
+    if (organizer !== (this.profile.mail || '').toLowerCase()) {
+      throw createGraphError(400, 'ErrorAccessDenied', 'Your request can\'t be completed. You need to be an organizer to cancel a meeting.');
+    }
+    // The organizer's copy is removed once cancellations are sent
+    this.events.delete(eventId);
+    return undefined;
+  }
+
+  _respondToEvent(eventId, response, body = {}) {
+    const event = this._getEvent(eventId);
+    const responses = {
+      accept: 'accepted',
+      tentativelyAccept: 'tentativelyAccepted',
+      decline: 'declined'
+    };
+    event.responseStatus = { response: responses[response], time: new Date().toISOString() };
+    return undefined;
+  }
+
+  _findMeetingTimes(body = {}) {
+    const slot = body.timeConstraint?.timeSlots?.[0];
+    const duration = parseDuration(body.meetingDuration);
+    const windowStart = slot ? Date.parse(normalizeDateTimeTimeZone(slot.start).dateTime + 'Z') : Date.now();
+    const windowEnd = slot ? Date.parse(normalizeDateTimeTimeZone(slot.end).dateTime + 'Z') : windowStart + 7 * 24 * 60 * 60 * 1000;
+
+    const busy = Array.from(this.events.values())
+      .filter(event => !event.isCancelled && event.showAs !== 'free')
+      .map(event => ({
+        start: Date.parse(`${event.start.dateTime}Z`),
+        end: Date.parse(`${event.end.dateTime}Z`)
+      }));
+
+    // Walk the window in 30 minute steps within working hours (09:00-17:00 UTC)
+    const step = 30 * 60 * 1000;
+    let cursor = Math.ceil(windowStart / step) * step;
+    const suggestions = [];
+    const attendees = (body.attendees || []).map(attendee => ({
+      emailAddress: attendee.emailAddress,
+      availability: 'free'
+    }));
+
+    while (cursor + duration <= windowEnd && suggestions.length < 5) {
+      const start = new Date(cursor);
+      const end = new Date(cursor + duration);
+      const withinWorkingHours = start.getUTCHours() >= 9 &&
+        (end.getUTCHours() < 17 || (end.getUTCHours() === 17 && end.getUTCMinutes() === 0)) &&
+        start.getUTCDay() !== 0 && start.getUTCDay() !== 6;
+      const conflicts = busy.some(b => b.start < end.getTime() && b.end > start.getTime());
+
+      if (withinWorkingHours && !conflicts) {
+        suggestions.push({
+          confidence: 100,
+          organizerAvailability: 'free',
+          suggestionReason: 'Suggested because it is one of the nearest times when all attendees are available.',
+          meetingTimeSlot: {
+            start: normalizeDateTimeTimeZone({ dateTime: start.toISOString() }),
+            end: normalizeDateTimeTimeZone({ dateTime: end.toISOString() })
+          },
+          attendeeAvailability: attendees,
+          locations: []
+        });
+        cursor += duration;
+      } else {
+        cursor += step;
+      }
+    }
+
+    return {
+      emptySuggestionsReason: suggestions.length === 0 ? 'OrganizerUnavailable' : '',
+      meetingTimeSuggestions: suggestions
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inbox rules
+  // ---------------------------------------------------------------------------
+
+  _listRules() {
+    return Array.from(this.rules.values()).sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+  }
+
+  _getRule(ruleId) {
+    const rule = this.rules.get(ruleId);
+    if (!rule) {
+      throw createGraphError(404, 'ErrorItemNotFound', 'The specified rule was not found.');
+    }
+    return rule;
+  }
+
+  _createRule(body = {}) {
+    if (!body.displayName) {
+      throw createGraphError(400, 'ErrorInvalidRequest', 'The displayName property is required.');
+    }
+    const sequences = Array.from(this.rules.values()).map(rule => rule.sequence || 0);
+    const rule = {
+      isEnabled: true,
+      hasError: false,
+      isReadOnly: false,
+      conditions: {},
+      actions: {},
+      ...body,
+      id: this._nextId('Rule'),
+      sequence: body.sequence || (sequences.length ? Math.max(...sequences) + 1 : 1)
+    };
+    this.rules.set(rule.id, rule);
+    return rule;
+  }
+
+  _updateRule(ruleId, body = {}) {
+    const rule = this._getRule(ruleId);
+    const { id, ...changes } = body;
+    Object.assign(rule, changes);
+    return rule;
+  }
+
+  _deleteRule(ruleId) {
+    this._getRule(ruleId);
+    this.rules.delete(ruleId);
+    return undefined;
+  }
+}
+
+// Singleton mailbox shared by every client in TEST_MODE
+let mockMailboxInstance = null;
+
+/**
+ * Get the TEST_MODE mailbox, seeding it from config.testing.mockDataDir on first use
+ * @returns {MockMailbox} - Mailbox instance
+ */
+function getMockMailbox() {
+  if (!mockMailboxInstance) {
+    const dataDir = path.resolve(__dirname, '..', config.testing.mockDataDir);
+    logger.info(`Seeding mock mailbox from ${dataDir}`);
+    mockMailboxInstance = MockMailbox.fromDirectory(dataDir);
+  }
+  return mockMailboxInstance;
+}
+
+/**
+ * Discard the TEST_MODE mailbox so the next call reseeds it from fixtures
+ */
+function resetMockMailbox() {
+  mockMailboxInstance = null;
+}
+
+module.exports = {
+  MockMailbox,
+  createGraphError,
+  getMockMailbox,
+  resetMockMailbox
+};
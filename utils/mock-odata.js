@@ -0,0 +1,403 @@
+/**
+ * In-memory evaluation of OData query options for the TEST_MODE mailbox
+ * Supports the subset of $filter, $search, $orderby and $select that the
+ * tools in this server actually generate.
+ */
+
+/**
+ * Read a nested property using an OData path (e.g. from/emailAddress/address)
+ * @param {Object} item - Entity to read from
+ * @param {string} propertyPath - Slash separated property path
+ * @returns {any} - Property value or undefined
+ */
+function getPropertyValue(item, propertyPath) {
+  return propertyPath.split('/').reduce((value, key) => {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    return value[key];
+  }, item);
+}
+
+/**
+ * Split a $filter expression into tokens
+ * @param {string} expression - OData filter expression
+ * @returns {Array<Object>} - Tokens
+ */
+function tokenizeFilter(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char });
+      i++;
+      continue;
+    }
+
+    if (char === "'") {
+      // String literal, '' is an escaped quote
+      let value = '';
+      i++;
+      while (i < expression.length) {
+        if (expression[i] === "'" && expression[i + 1] === "'") {
+          value += "'";
+          i += 2;
+        } else if (expression[i] === "'") {
+          i++;
+          break;
+        } else {
+          value += expression[i++];
+        }
+      }
+      tokens.push({ type: 'literal', value });
+      continue;
+    }
+
+    let word = '';
+    while (i < expression.length && !/[\s(),']/.test(expression[i])) {
+      word += expression[i++];
+    }
+    tokens.push({ type: 'word', value: word });
+  }
+
+  return tokens;
+}
+
+const COMPARISON_OPERATORS = ['eq', 'ne', 'gt', 'ge', 'lt', 'le'];
+const STRING_FUNCTIONS = ['contains', 'startswith', 'endswith'];
+
+/**
+ * Convert a bare word into a literal value where it looks like one
+ * @param {string} word - Token value
+ * @returns {Object} - AST node
+ */
+function wordToNode(word) {
+  if (word === 'true' || word === 'false') {
+    return { type: 'literal', value: word === 'true' };
+  }
+  if (word === 'null') {
+    return { type: 'literal', value: null };
+  }
+  if (/^-?\d+(\.\d+)?$/.test(word)) {
+    return { type: 'literal', value: Number(word) };
+  }
+  if (/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/.test(word)) {
+    return { type: 'literal', value: word };
+  }
+  return { type: 'property', path: word };
+}
+
+/**
+ * Parse a $filter expression into an AST
+ * Grammar: or-expr := and-expr ('or' and-expr)*
+ *          and-expr := unary ('and' unary)*
+ *          unary := 'not' unary | '(' or-expr ')' | function | comparison
+ * @param {string} expression - OData filter expression
+ * @returns {Object} - AST root
+ */
+function parseFilter(expression) {
+  const tokens = tokenizeFilter(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const isWord = (token, value) => token && token.type === 'word' && token.value.toLowerCase() === value;
+
+  const expect = (type) => {
+    const token = next();
+    if (!token || token.type !== type) {
+      throw new Error(`Invalid filter expression: expected "${type}" in "${expression}"`);
+    }
+    return token;
+  };
+
+  const parseOperand = () => {
+    const token = next();
+    if (!token) {
+      throw new Error(`Invalid filter expression: unexpected end of "${expression}"`);
+    }
+    if (token.type === 'literal') {
+      return token;
+    }
+    if (token.type === 'word') {
+      return wordToNode(token.value);
+    }
+    throw new Error(`Invalid filter expression: unexpected "${token.type}" in "${expression}"`);
+  };
+
+  let parseOr;
+
+  const parseUnary = () => {
+    const token = peek();
+
+    if (isWord(token, 'not')) {
+      next();
+      return { type: 'not', operand: parseUnary() };
+    }
+
+    if (token && token.type === '(') {
+      next();
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+
+    if (token && token.type === 'word' && STRING_FUNCTIONS.includes(token.value.toLowerCase())) {
+      next();
+      expect('(');
+      const left = parseOperand();
+      expect(',');
+      const right = parseOperand();
+      expect(')');
+      return { type: 'function', name: token.value.toLowerCase(), left, right };
+    }
+
+    const left = parseOperand();
+    const operatorToken = next();
+    const operator = operatorToken && operatorToken.type === 'word' ? operatorToken.value.toLowerCase() : null;
+
+    if (operator === 'in') {
+      expect('(');
+      const values = [];
+      while (peek() && peek().type !== ')') {
+        values.push(parseOperand());
+        if (peek() && peek().type === ',') {
+          next();
+        }
+      }
+      expect(')');
+      return { type: 'in', left, values };
+    }
+
+    if (!COMPARISON_OPERATORS.includes(operator)) {
+      throw new Error(`Unsupported filter operator "${operatorToken ? operatorToken.value : ''}" in "${expression}"`);
+    }
+
+    return { type: 'comparison', operator, left, right: parseOperand() };
+  };
+
+  const parseAnd = () => {
+    let node = parseUnary();
+    while (isWord(peek(), 'and')) {
+      next();
+      node = { type: 'and', left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  parseOr = () => {
+    let node = parseAnd();
+    while (isWord(peek(), 'or')) {
+      next();
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Invalid filter expression: unexpected trailing input in "${expression}"`);
+  }
+  return ast;
+}
+
+/**
+ * Normalize a value so dates, strings and numbers compare sensibly
+ * @param {any} value - Raw value
+ * @returns {any} - Comparable value
+ */
+function toComparable(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    const withZone = /(Z|[+-]\d{2}:\d{2})$/.test(value) ? value : `${value}Z`;
+    const time = Date.parse(withZone);
+    if (!isNaN(time)) {
+      return time;
+    }
+  }
+  if (typeof value === 'string') {
+    return value.toLowerCase();
+  }
+  return value;
+}
+
+/**
+ * Evaluate an AST node against an entity
+ * @param {Object} node - AST node
+ * @param {Object} item - Entity
+ * @returns {any} - Evaluation result
+ */
+function evaluateNode(node, item) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'property':
+      return getPropertyValue(item, node.path);
+    case 'not':
+      return !evaluateNode(node.operand, item);
+    case 'and':
+      return evaluateNode(node.left, item) && evaluateNode(node.right, item);
+    case 'or':
+      return evaluateNode(node.left, item) || evaluateNode(node.right, item);
+    case 'in': {
+      const left = toComparable(evaluateNode(node.left, item));
+      return node.values.some(valueNode => toComparable(evaluateNode(valueNode, item)) === left);
+    }
+    case 'function': {
+      const haystack = String(evaluateNode(node.left, item) ?? '').toLowerCase();
+      const needle = String(evaluateNode(node.right, item) ?? '').toLowerCase();
+      if (node.name === 'contains') return haystack.includes(needle);
+      if (node.name === 'startswith') return haystack.startsWith(needle);
+      return haystack.endsWith(needle);
+    }
+    case 'comparison': {
+      const left = toComparable(evaluateNode(node.left, item));
+      const right = toComparable(evaluateNode(node.right, item));
+      switch (node.operator) {
+        case 'eq': return left === right || (left == null && right == null);
+        case 'ne': return !(left === right || (left == null && right == null));
+        case 'gt': return left > right;
+        case 'ge': return left >= right;
+        case 'lt': return left < right;
+        case 'le': return left <= right;
+      }
+      return false;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Apply a $filter expression to a list of entities
+ * @param {Array<Object>} items - Entities
+ * @param {string} filter - OData filter expression
+ * @returns {Array<Object>} - Matching entities
+ */
+function applyFilter(items, filter) {
+  if (!filter) {
+    return items;
+  }
+  const ast = parseFilter(filter);
+  return items.filter(item => !!evaluateNode(ast, item));
+}
+
+/**
+ * Apply a $search expression to messages
+ * Plain terms match subject, body, preview and sender; KQL-style
+ * from:/to:/subject:/body: prefixes restrict the term to one field.
+ * @param {Array<Object>} items - Messages
+ * @param {string} search - Search expression (optionally quoted)
+ * @returns {Array<Object>} - Matching messages
+ */
+function applySearch(items, search) {
+  if (!search) {
+    return items;
+  }
+
+  const terms = search
+    .replace(/^"(.*)"$/, '$1')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(term => {
+      const match = term.match(/^(from|to|subject|body):(.+)$/i);
+      return match
+        ? { field: match[1].toLowerCase(), value: match[2].toLowerCase() }
+        : { field: null, value: term.toLowerCase() };
+    });
+
+  const fieldText = (item, field) => {
+    const addresses = recipients => (recipients || [])
+      .map(r => `${r.emailAddress?.name || ''} ${r.emailAddress?.address || ''}`)
+      .join(' ');
+
+    switch (field) {
+      case 'from':
+        return addresses(item.from ? [item.from] : []);
+      case 'to':
+        return addresses([...(item.toRecipients || []), ...(item.ccRecipients || [])]);
+      case 'subject':
+        return item.subject || '';
+      case 'body':
+        return `${item.bodyPreview || ''} ${item.body?.content || ''}`;
+      default:
+        return [
+          item.subject,
+          item.bodyPreview,
+          item.body?.content,
+          addresses(item.from ? [item.from] : [])
+        ].join(' ');
+    }
+  };
+
+  return items.filter(item => terms.every(term =>
+    fieldText(item, term.field).toLowerCase().includes(term.value)
+  ));
+}
+
+/**
+ * Apply an $orderby expression
+ * @param {Array<Object>} items - Entities
+ * @param {string} orderBy - e.g. "receivedDateTime desc,subject"
+ * @returns {Array<Object>} - Sorted copy
+ */
+function applyOrderBy(items, orderBy) {
+  if (!orderBy) {
+    return items;
+  }
+
+  const clauses = orderBy.split(',').map(clause => {
+    const [field, direction] = clause.trim().split(/\s+/);
+    return { field, descending: (direction || '').toLowerCase() === 'desc' };
+  });
+
+  return [...items].sort((a, b) => {
+    for (const { field, descending } of clauses) {
+      const valueA = toComparable(getPropertyValue(a, field));
+      const valueB = toComparable(getPropertyValue(b, field));
+      if (valueA === valueB) continue;
+      if (valueA === undefined || valueA === null) return 1;
+      if (valueB === undefined || valueB === null) return -1;
+      const result = valueA < valueB ? -1 : 1;
+      return descending ? -result : result;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Apply a $select expression
+ * @param {Object} item - Entity
+ * @param {string|Array<string>} select - Fields to keep
+ * @returns {Object} - Projected entity (id is always kept)
+ */
+function applySelect(item, select) {
+  if (!select) {
+    return item;
+  }
+
+  const fields = Array.isArray(select) ? select : String(select).split(',');
+  const projected = { id: item.id };
+  for (const field of fields.map(f => f.trim()).filter(Boolean)) {
+    if (item[field] !== undefined) {
+      projected[field] = item[field];
+    }
+  }
+  return projected;
+}
+
+module.exports = {
+  getPropertyValue,
+  parseFilter,
+  applyFilter,
+  applySearch,
+  applyOrderBy,
+  applySelect
+};
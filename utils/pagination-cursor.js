@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+
+/**
+ * Opaque pagination cursors
+ *
+ * List and search tools return a nextCursor while more results remain. It
+ * wraps where the next page starts (a Graph @odata.nextLink, or an offset
+ * into local results) together with the tool, account and listing
+ * parameters it belongs to. Cursors are signed with a key generated at
+ * startup, so they cannot be altered and stop working after a restart.
+ */
+
+// Key signing cursors issued by this process
+const CURSOR_KEY = crypto.randomBytes(32);
+
+/**
+ * Create an invalid cursor error
+ * @param {string} message - Error message
+ * @returns {Error} - InvalidCursorError
+ */
+function invalidCursor(message) {
+  const error = new Error(message);
+  error.name = 'InvalidCursorError';
+  return error;
+}
+
+/**
+ * Signature of an encoded cursor payload
+ * @param {string} payload - base64url payload
+ * @returns {string} - base64url HMAC
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', CURSOR_KEY).update(payload).digest('base64url');
+}
+
+/**
+ * Drop parameters that were not given
+ * @param {Object} params - Listing parameters
+ * @returns {Object} - Parameters with a value
+ */
+function definedParams(params) {
+  return Object.fromEntries(Object.entries(params || {}).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Issue a cursor for the next page
+ * @param {string} toolName - Tool the cursor is for
+ * @param {string} account - Account the results belong to
+ * @param {Object} params - Listing parameters the next page must keep (folder, query, ...)
+ * @param {Object} position - Where the next page starts: { link } or { offset }
+ * @returns {string} - Cursor
+ */
+function encodeCursor(toolName, account, params, position) {
+  const payload = Buffer.from(JSON.stringify({
+    tool: toolName,
+    account,
+    params: definedParams(params),
+    position,
+    expiresAt: Date.now() + config.pagination.cursorTtlSeconds * 1000
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check a cursor and merge the listing parameters it was issued with
+ * Parameters left out of the call are taken from the cursor; parameters
+ * given with a different value are an error.
+ * @param {string} toolName - Tool being called
+ * @param {string} account - Account of the call
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Object} params - Listing parameters of the call
+ * @returns {Object} - { params, position }
+ * @throws {Error} - InvalidCursorError when the cursor cannot be used for this call
+ */
+function decodeCursor(toolName, account, cursor, params) {
+  const [payload, signature] = String(cursor).split('.');
+  const expected = payload ? sign(payload) : '';
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw invalidCursor('The cursor is not valid. It may have been changed, or issued before the server restarted.');
+  }
+
+  const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (data.tool !== toolName) {
+    throw invalidCursor(`The cursor was issued by ${data.tool}, not ${toolName}.`);
+  }
+  if (data.account !== account) {
+    throw invalidCursor('The cursor was issued for another account.');
+  }
+  if (data.expiresAt <= Date.now()) {
+    throw invalidCursor('The cursor has expired.');
+  }
+
+  const given = definedParams(params);
+  const conflicts = Object.keys(data.params).filter(name =>
+    given[name] !== undefined && JSON.stringify(given[name]) !== JSON.stringify(data.params[name]));
+  if (conflicts.length > 0) {
+    throw invalidCursor(`The cursor was issued for a different ${conflicts.join(', ')}. Leave ${conflicts.length === 1 ? 'it' : 'them'} out or start again without a cursor.`);
+  }
+
+  return { params: { ...given, ...data.params }, position: data.position };
+}
+
+/**
+ * Format an invalid_cursor error
+ * @param {Error} error - InvalidCursorError
+ * @param {string} toolName - Tool being called
+ * @returns {Object} - MCP formatted response
+ */
+function invalidCursorResponse(error, toolName) {
+  logger.warn(`Rejected cursor for ${toolName}: ${error.message}`);
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({
+        status: 'error',
+        error: {
+          type: 'invalid_cursor',
+          message: `${error.message} Call ${toolName} without a cursor to start from the first page.`
+        }
+      })
+    }]
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  invalidCursorResponse
+};
@@ -1,86 +1,203 @@
-const NodeCache = require('node-cache');
 const config = require('../config');
 const logger = require('./logger');
+const { metrics } = require('./metrics');
+const { lookupDefaultUser } = require('./parameter-helpers');
 
-class RateLimiter {
-  constructor(options = {}) {
-    this.windowMs = options.windowMs || config.rateLimit.windowMs;
-    this.maxRequests = options.maxRequests || config.rateLimit.maxRequests;
-    
-    // Cache to store request counts by user or IP
-    this.cache = new NodeCache({
-      stdTTL: this.windowMs / 1000, // Convert to seconds for NodeCache
-      checkperiod: 60 // Check for expired keys every 60 seconds
-    });
-    
-    logger.info(`Rate limiter initialized: ${this.maxRequests} requests per ${this.windowMs}ms`);
+/**
+ * Token-bucket rate limiting per account and category
+ *
+ * Each account has one bucket per category in config.rateLimit.buckets:
+ * tool calls that read, write or send (see rateLimitCategory), and the
+ * individual Graph requests those calls make. A bucket holds up to
+ * `capacity` tokens and refills at `refillPerMinute`; each call or request
+ * takes one token, so short bursts are allowed up to the capacity.
+ */
+
+// Category used by tools whose metadata does not name one
+const DEFAULT_CATEGORY = 'read';
+
+/**
+ * A single token bucket
+ */
+class TokenBucket {
+  /**
+   * @param {number} capacity - Maximum tokens (burst size)
+   * @param {number} refillPerMinute - Tokens added per minute
+   */
+  constructor(capacity, refillPerMinute) {
+    this.capacity = capacity;
+    this.refillPerMinute = refillPerMinute;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
   }
-  
+
   /**
-   * Check if the request is within rate limits
-   * @param {string} key - Identifier for the requestor (userId, IP, etc.)
-   * @returns {Promise<boolean>} - True if within limits, false otherwise
-   * @throws {Error} - If rate limit is exceeded with retry-after information
+   * Add the tokens earned since the last update
+   * @param {number} now - Current time in ms
+   * @private
    */
-  async check(key = 'default') {
-    const current = this.cache.get(key) || 0;
-    
-    if (current >= this.maxRequests) {
-      // Calculate time remaining in the current window
-      const ttl = this.cache.getTtl(key);
-      const now = Date.now();
-      const retryAfter = Math.ceil((ttl - now) / 1000); // in seconds
-      
-      logger.warn(`Rate limit exceeded for ${key}: ${current}/${this.maxRequests}`);
-      
-      const error = new Error(`Rate limit exceeded. Try again in ${retryAfter} seconds.`);
-      error.name = 'RateLimitExceededError';
-      error.retryAfter = retryAfter;
-      throw error;
+  _refill(now) {
+    const earned = ((now - this.updatedAt) / 60000) * this.refillPerMinute;
+    this.tokens = Math.min(this.capacity, this.tokens + earned);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Take one token if available
+   * @returns {boolean} - True if a token was taken
+   */
+  take() {
+    this._refill(Date.now());
+    if (this.tokens < 1) {
+      return false;
     }
-    
-    // Increment the counter
-    this.cache.set(key, current + 1);
-    
-    logger.debug(`Rate limit check passed for ${key}: ${current + 1}/${this.maxRequests}`);
+    this.tokens -= 1;
     return true;
   }
-  
+
   /**
-   * Reset rate limit counter for a specific key
-   * @param {string} key - Identifier to reset
+   * Milliseconds until the given number of tokens are available
+   * @param {number} tokens - Tokens needed
+   * @returns {number} - Wait in ms (0 when already available)
    */
-  reset(key = 'default') {
-    this.cache.del(key);
-    logger.debug(`Rate limit counter reset for ${key}`);
+  msUntil(tokens) {
+    this._refill(Date.now());
+    const missing = Math.min(tokens, this.capacity) - this.tokens;
+    return missing <= 0 ? 0 : Math.ceil((missing / this.refillPerMinute) * 60000);
   }
-  
+
   /**
-   * Get current usage for a specific key
-   * @param {string} key - Identifier to check
-   * @returns {Object} - Current usage information
+   * Current state of the bucket
+   * @returns {Object} - { capacity, remaining, refillPerMinute, nextTokenAt, resetAt }
    */
-  getUsage(key = 'default') {
-    const current = this.cache.get(key) || 0;
-    let remaining = this.maxRequests - current;
-    if (remaining < 0) remaining = 0;
-    
-    let reset = null;
-    if (current > 0) {
-      const ttl = this.cache.getTtl(key);
-      reset = Math.ceil((ttl - Date.now()) / 1000); // in seconds
-    }
-    
+  status() {
+    const now = Date.now();
+    const nextTokenMs = this.msUntil(1);
+    const resetMs = this.msUntil(this.capacity);
     return {
-      limit: this.maxRequests,
-      current,
-      remaining,
-      reset
+      capacity: this.capacity,
+      remaining: Math.floor(this.tokens),
+      refillPerMinute: this.refillPerMinute,
+      nextTokenAt: nextTokenMs > 0 ? new Date(now + nextTokenMs).toISOString() : null,
+      resetAt: resetMs > 0 ? new Date(now + resetMs).toISOString() : null
     };
   }
 }
 
-// Create a singleton instance
+class RateLimiter {
+  /**
+   * @param {Object} [buckets=config.rateLimit.buckets] - Limits per category: { capacity, refillPerMinute }
+   */
+  constructor(buckets = config.rateLimit.buckets) {
+    this.limits = buckets;
+    // Buckets by account and category
+    this.buckets = new Map();
+
+    logger.info(`Rate limiter initialized: ${Object.keys(buckets).map(category =>
+      `${category} ${buckets[category].capacity} burst, ${buckets[category].refillPerMinute}/min`).join('; ')}`);
+  }
+
+  /**
+   * Get the bucket for an account and category, creating it full
+   * @param {string} account - Account identifier
+   * @param {string} category - Category from this.limits
+   * @returns {TokenBucket} - Bucket
+   * @private
+   */
+  _bucket(account, category) {
+    const key = `${account}|${category}`;
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      const { capacity, refillPerMinute } = this.limits[category];
+      bucket = new TokenBucket(capacity, refillPerMinute);
+      this.buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Take a token for an account and category
+   * Categories without configured limits are not limited.
+   * @param {string} account - Account identifier
+   * @param {string} category - Category, e.g. 'read', 'write', 'send' or 'graph'
+   * @returns {Promise<boolean>} - True if within limits
+   * @throws {Error} - RateLimitExceededError with category and retryAfter (seconds)
+   */
+  async check(account, category) {
+    if (!this.limits[category]) {
+      return true;
+    }
+    const bucket = this._bucket(account, category);
+    if (bucket.take()) {
+      return true;
+    }
+
+    const retryAfter = Math.ceil(bucket.msUntil(1) / 1000);
+    logger.warn(`Rate limit exceeded for ${account} (${category}): retry in ${retryAfter}s`);
+    metrics.increment('rate_limit_rejections_total', { category });
+
+    const error = new Error(`Rate limit for ${category} exceeded. Try again in ${retryAfter} seconds.`);
+    error.name = 'RateLimitExceededError';
+    error.category = category;
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+
+  /**
+   * Get remaining capacity for every category of an account
+   * @param {string} account - Account identifier
+   * @returns {Object} - Bucket status by category
+   */
+  getStatus(account) {
+    const status = {};
+    Object.keys(this.limits).forEach(category => {
+      status[category] = this._bucket(account, category).status();
+    });
+    return status;
+  }
+
+  /**
+   * Accounts that have used any bucket
+   * @returns {string[]} - Account identifiers
+   */
+  accounts() {
+    return [...new Set([...this.buckets.keys()].map(key => key.slice(0, key.lastIndexOf('|'))))];
+  }
+
+  /**
+   * Refill all buckets of an account
+   * @param {string} account - Account identifier
+   */
+  reset(account) {
+    Object.keys(this.limits).forEach(category => this.buckets.delete(`${account}|${category}`));
+    logger.debug(`Rate limit buckets reset for ${account}`);
+  }
+}
+
+/**
+ * Rate limit category of a tool: config.toolMetadata[tool].rateLimit, or 'read'
+ * @param {string} toolName - Tool name
+ * @returns {string} - Category; one without configured limits means not limited
+ */
+function rateLimitCategory(toolName) {
+  const metadata = config.toolMetadata[toolName];
+  return (metadata && metadata.rateLimit) || DEFAULT_CATEGORY;
+}
+
+/**
+ * Resolve the account buckets are kept for
+ * A missing or 'default' userId is the default signed-in account.
+ * @param {string} [userId] - User identifier
+ * @returns {Promise<string>} - Account identifier
+ */
+async function resolveAccount(userId) {
+  if (userId && userId !== 'default') {
+    return userId;
+  }
+  return (await lookupDefaultUser()) || 'default';
+}
+
+// Shared limiter for tool calls and Graph requests
 const rateLimiter = new RateLimiter();
 
-module.exports = { rateLimiter };
\ No newline at end of file
+module.exports = { rateLimiter, RateLimiter, TokenBucket, rateLimitCategory, resolveAccount };
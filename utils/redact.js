@@ -0,0 +1,136 @@
+const config = require('../config');
+
+/**
+ * Redaction of secrets and message content from log output
+ *
+ * Metadata fields are redacted by name: anything that looks like a token,
+ * secret or password, and Graph fields carrying message or event content.
+ * Free-form strings are scanned for bearer tokens, JWTs, OAuth query
+ * parameters and JSON-encoded secret or content fields.
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Field names holding credentials
+const SECRET_KEY_PATTERN = /token|secret|password|passphrase|authorization|cookie|assertion|^(auth_?|device_?|user_?)code$|code_?verifier|^key$|encryptionkey|privatekey/i;
+
+// Graph fields holding message, event or attachment content
+const CONTENT_KEYS = ['body', 'uniquebody', 'bodypreview', 'content', 'contentbytes', 'comment'];
+
+// OAuth parameters in URLs, form bodies and key=value text
+const QUERY_SECRET_PATTERN = /((?:^|[?&#\s;,])(?:code|[a-z_]*token|client_secret|client_assertion|code_verifier|device_code|password)=)[^&#\s"',;]+/gi;
+
+// Bearer credentials, e.g. in echoed Authorization headers
+const BEARER_PATTERN = /(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/gi;
+
+// JSON Web Tokens (header.payload.signature)
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g;
+
+// Deepest object nesting walked before the rest is dropped
+const MAX_DEPTH = 8;
+
+/**
+ * Check whether a field should be redacted
+ * @param {string} key - Field name
+ * @returns {boolean} - True for credential and content fields
+ */
+function isSensitiveKey(key) {
+  if (typeof key !== 'string') {
+    return false;
+  }
+  const lower = key.toLowerCase();
+  return SECRET_KEY_PATTERN.test(key) ||
+    CONTENT_KEYS.includes(lower) ||
+    config.logging.redactKeys.some(extra => extra.toLowerCase() === lower);
+}
+
+/**
+ * Pattern matching JSON-encoded sensitive fields with string values
+ * Built per call so LOG_REDACT_KEYS is honored.
+ * @returns {RegExp} - Pattern capturing the field name prefix
+ */
+function jsonFieldPattern() {
+  const names = [
+    '[A-Za-z_]*(?:[Tt]oken|[Ss]ecret|[Pp]assword)[A-Za-z_]*',
+    'authorization', 'Authorization', 'code_verifier', 'device_code',
+    'body', 'uniqueBody', 'bodyPreview', 'content', 'contentBytes', 'comment',
+    ...config.logging.redactKeys.map(key => key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  ];
+  return new RegExp(`("(?:${names.join('|')})"\\s*:\\s*)"(?:[^"\\\\]|\\\\.)*"`, 'g');
+}
+
+/**
+ * Redact credentials and content embedded in a string
+ * @param {string} text - Text to scan
+ * @returns {string} - Text with sensitive values replaced
+ */
+function redactString(text) {
+  if (typeof text !== 'string' || text.length === 0) {
+    return text;
+  }
+  return text
+    .replace(BEARER_PATTERN, `$1${REDACTED}`)
+    .replace(JWT_PATTERN, REDACTED)
+    .replace(QUERY_SECRET_PATTERN, `$1${REDACTED}`)
+    .replace(jsonFieldPattern(), `$1"${REDACTED}"`);
+}
+
+/**
+ * Redact a value for logging
+ * Returns a copy; the value passed in is not modified.
+ * @param {any} value - Value to redact
+ * @param {string} [key] - Field name the value is stored under
+ * @param {number} [depth=0] - Current nesting depth
+ * @param {WeakSet} [seen] - Objects already visited
+ * @returns {any} - Redacted copy
+ */
+function redact(value, key, depth = 0, seen = new WeakSet()) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (isSensitiveKey(key) && value !== '') {
+    return REDACTED;
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redactString(value.message) };
+    ['code', 'statusCode', 'status'].forEach(field => {
+      if (value[field] !== undefined) {
+        error[field] = value[field];
+      }
+    });
+    return error;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, undefined, depth + 1, seen));
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  const copy = {};
+  Object.keys(value).forEach(field => {
+    copy[field] = redact(value[field], field, depth + 1, seen);
+  });
+  return copy;
+}
+
+module.exports = {
+  REDACTED,
+  redact,
+  redactString,
+  isSensitiveKey
+};
@@ -0,0 +1,305 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const logger = require('./logger');
+const { metrics } = require('./metrics');
+
+/**
+ * Shared retry policy for Microsoft Graph requests
+ *
+ * The Graph transport's retry middleware (utils/graph-transport.js) retries
+ * through withRetry(). Throttled requests (429) wait out Retry-After;
+ * 503/504 responses and network errors back off exponentially with jitter.
+ * POST requests (sending mail, creating items, moves) are not idempotent, so
+ * they are only retried when Graph throttled them or they were never sent.
+ * Every tool call gets one retry budget, so a bulk operation on a throttled
+ * mailbox slows down instead of failing halfway, but never waits forever.
+ */
+
+// Statuses Graph documents as safe to retry
+const RETRYABLE_STATUSES = [429, 503, 504];
+
+// Socket-level failures worth retrying
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+];
+
+// Failures to connect, raised before any of the request was sent
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// Retry budget of the tool call currently executing
+const budgetStorage = new AsyncLocalStorage();
+
+/**
+ * Retry budget for a single tool call
+ */
+class RetryBudget {
+  /**
+   * @param {string|null} toolName - Tool the budget belongs to
+   * @param {number} budgetMs - Total time that may be spent waiting between retries
+   */
+  constructor(toolName, budgetMs) {
+    this.toolName = toolName;
+    this.budgetMs = budgetMs;
+    this.retries = 0;
+    this.waitedMs = 0;
+    this.throttled = 0;
+    this.transient = 0;
+    this.exhausted = false;
+  }
+
+  /**
+   * Check whether a further wait fits in the budget
+   * @param {number} delayMs - Proposed wait
+   * @returns {boolean} - True if the wait is allowed
+   */
+  canWait(delayMs) {
+    return this.waitedMs + delayMs <= this.budgetMs;
+  }
+
+  /**
+   * Record a retry
+   * @param {number} status - HTTP status of the failed attempt (0 for network errors)
+   * @param {number} delayMs - Time waited before the retry
+   */
+  record(status, delayMs) {
+    this.retries++;
+    this.waitedMs += delayMs;
+    if (status === 429) {
+      this.throttled++;
+    } else {
+      this.transient++;
+    }
+  }
+
+  /**
+   * Retry metadata for tool responses
+   * @returns {Object} - Summary
+   */
+  summary() {
+    return {
+      retries: this.retries,
+      waitedMs: this.waitedMs,
+      throttled: this.throttled,
+      transientFailures: this.transient,
+      budgetMs: this.budgetMs,
+      budgetExhausted: this.exhausted
+    };
+  }
+}
+
+/**
+ * Get the retry budget for a tool, honoring per-tool overrides in toolMetadata
+ * @param {string} [toolName] - Tool name
+ * @returns {number} - Budget in milliseconds
+ */
+function getToolBudgetMs(toolName) {
+  const override = toolName && config.toolMetadata[toolName]?.retryBudgetMs;
+  return override !== undefined ? override : config.retry.toolBudgetMs;
+}
+
+/**
+ * HTTP status of a failed Graph request, for transport, axios and mock errors
+ * @param {Error} error - Error
+ * @returns {number|null} - Status code
+ */
+function getErrorStatus(error) {
+  if (error.response && error.response.status) {
+    return error.response.status;
+  }
+  const status = error.statusCode || error.status;
+  return typeof status === 'number' && status > 0 ? status : null;
+}
+
+/**
+ * Network error code of a failed request, if it never got a response
+ * @param {Error} error - Error
+ * @returns {string|null} - Error code such as ECONNRESET
+ */
+function getNetworkErrorCode(error) {
+  // Wrapped errors keep the socket error on their cause
+  const candidates = [error, error.cause];
+  for (const candidate of candidates) {
+    if (candidate && NETWORK_ERROR_CODES.includes(candidate.code)) {
+      return candidate.code;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a header from a fetch Headers instance or a plain object
+ * @param {Object} headers - Headers
+ * @param {string} name - Header name
+ * @returns {string|null} - Header value
+ */
+function readHeader(headers, name) {
+  if (!headers) {
+    return null;
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get(name);
+  }
+  const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : null;
+}
+
+/**
+ * Delay requested by the server through Retry-After
+ * @param {Error} error - Error
+ * @returns {number|null} - Delay in milliseconds
+ */
+function getRetryAfterMs(error) {
+  const value = readHeader(error.response && error.response.headers, 'retry-after') ||
+    readHeader(error.headers, 'retry-after');
+
+  if (value !== null && value !== undefined && value !== '') {
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a failed request should be retried
+ * A 503, 504 or dropped connection may come after Graph acted on the request,
+ * so for POST only throttling and connection failures are retried.
+ * @param {Error} error - Error
+ * @param {string} [method] - HTTP method of the request; when omitted it is assumed safe to repeat
+ * @returns {boolean} - True for 429 and unsent requests; also for 503, 504 and
+ *   other network errors unless the method is POST
+ */
+function isRetryable(error, method) {
+  if (!error) {
+    return false;
+  }
+  const status = getErrorStatus(error);
+  const networkCode = status ? null : getNetworkErrorCode(error);
+  if (status === 429 || UNSENT_ERROR_CODES.includes(networkCode)) {
+    return true;
+  }
+  if (method && method.toUpperCase() === 'POST') {
+    return false;
+  }
+  return RETRYABLE_STATUSES.includes(status) || networkCode !== null;
+}
+
+/**
+ * Delay before the next attempt
+ * Retry-After wins when present; otherwise exponential backoff with jitter.
+ * @param {number} attempt - Zero-based number of the attempt that failed
+ * @param {number|null} retryAfterMs - Server-requested delay
+ * @returns {number} - Delay in milliseconds
+ */
+function computeDelay(attempt, retryAfterMs) {
+  if (retryAfterMs !== null) {
+    return Math.ceil(retryAfterMs);
+  }
+  const exponential = Math.min(config.retry.maxDelayMs, config.retry.baseDelayMs * Math.pow(2, attempt));
+  // Equal jitter: half the backoff is fixed, the other half random
+  return Math.ceil(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * Run an operation, retrying throttled and transient failures
+ * Retries draw on the budget of the current tool call (see runWithRetryBudget);
+ * outside a tool call each operation gets a budget of its own.
+ * @param {Function} operation - Async function performing the request
+ * @param {string} [description='Graph request'] - Label for log messages
+ * @param {string} [method] - HTTP method of the request (see isRetryable)
+ * @returns {Promise<any>} - Operation result
+ */
+async function withRetry(operation, description = 'Graph request', method) {
+  const budget = budgetStorage.getStore() || new RetryBudget(null, config.retry.toolBudgetMs);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (!isRetryable(error, method) || attempt >= config.retry.maxRetries) {
+        throw error;
+      }
+
+      const status = getErrorStatus(error) || 0;
+      const delay = computeDelay(attempt, getRetryAfterMs(error));
+      if (!budget.canWait(delay)) {
+        budget.exhausted = true;
+        error.retryBudgetExhausted = true;
+        metrics.increment('graph_retry_budget_exhausted_total', { tool: budget.toolName || 'none' });
+        logger.warn(`${description} failed with ${status || getNetworkErrorCode(error)}; retry budget of ${budget.budgetMs}ms exhausted`);
+        throw error;
+      }
+
+      budget.record(status, delay);
+      metrics.increment('graph_retries_total', { reason: status === 429 ? 'throttled' : (status ? 'transient' : 'network') });
+      logger.warn(`${description} failed with ${status || getNetworkErrorCode(error)}; retrying in ${delay}ms (attempt ${attempt + 1} of ${config.retry.maxRetries})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Run a tool call with its own retry budget
+ * @param {string} toolName - Tool name
+ * @param {Function} fn - Async function receiving the RetryBudget
+ * @returns {Promise<any>} - Result of fn
+ */
+function runWithRetryBudget(toolName, fn) {
+  const budget = new RetryBudget(toolName, getToolBudgetMs(toolName));
+  return budgetStorage.run(budget, () => fn(budget));
+}
+
+/**
+ * Add retry metadata to a tool response when any retries happened
+ * @param {Object} response - MCP tool response
+ * @param {RetryBudget} budget - Budget of the tool call
+ * @returns {Object} - Response with a "retry" field in its JSON payload
+ */
+function addRetryMetadata(response, budget) {
+  if (!budget || (budget.retries === 0 && !budget.exhausted)) {
+    return response;
+  }
+  const item = response && response.content && response.content[0];
+  if (!item || item.type !== 'text') {
+    return response;
+  }
+
+  try {
+    const payload = JSON.parse(item.text);
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return response;
+    }
+    payload.retry = budget.summary();
+    return {
+      ...response,
+      content: [{ ...item, text: JSON.stringify(payload) }, ...response.content.slice(1)]
+    };
+  } catch (error) {
+    // Not a JSON payload; leave it untouched
+    return response;
+  }
+}
+
+module.exports = {
+  RetryBudget,
+  withRetry,
+  runWithRetryBudget,
+  addRetryMetadata,
+  isRetryable,
+  getRetryAfterMs,
+  computeDelay
+};